@@ -11,23 +11,33 @@ const path = require('path');
 const readline = require('readline');
 
 // --- Import necessary modules ---
-const { deepClone, highlightChangesCLI } = require('./utils');
-const { generateReasoningPaths, identifyKeyDifferences } = require('./reasoningPath');
-const { findRelevantPrecedents } = require('./similarity');
-const { detectConflicts } = require('./conflictDetection');
-const { resolveConflicts } = require('./conflictResolution');
-
-// Import the precedents
-const precedents = require('./precedents');
-
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-});
+const { deepCopy } = require('./src/utils');
+const { runCommand, formatAnalysisText } = require('./src/cliCommands');
+const { buildCustomDilemma, validateDilemma, parseParameterValue, toIdentifier, REQUIRED_PARAMETERS } = require('./src/createDilemma');
+const { saveDilemma, loadDilemmaWithReport } = require('./src/dilemmaLoader');
+const { formatIssues } = require('./src/schemaValidator');
+const { generateReport, REPORT_FORMATS } = require('./src/reportGenerator');
+
+// Precedents are loaded when the interactive mode starts
+let precedents = [];
+
+// The readline interface is only created for interactive sessions so that
+// subcommands such as `serve` do not hold on to stdin
+let rl = null;
+
+function getReadline() {
+    if (!rl) {
+        rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+        });
+    }
+    return rl;
+}
 
 function promptAsync(question) {
     return new Promise((resolve) => {
-        rl.question(question, resolve);
+        getReadline().question(question, resolve);
     });
 }
 
@@ -64,7 +74,114 @@ function getExampleDilemma(exampleNum) {
         return null;
     }
     // Return deep clone.
-    return deepClone(precedents[exampleIndex]);
+    return deepCopy(precedents[exampleIndex]);
+}
+
+// Asks until a non-empty answer is given
+async function promptRequired(question) {
+    const answer = (await promptAsync(question)).trim();
+    if (!answer) {
+        console.log("This field is required.");
+        return promptRequired(question);
+    }
+    return answer;
+}
+
+// Collects "name=value" entries until a blank line is entered, calling
+// onEntry (if given) after each one so follow-up questions can be asked
+async function promptKeyValueList(question, onEntry = null) {
+    const entries = [];
+    while (true) {
+        const line = (await promptAsync(question)).trim();
+        if (!line) {
+            return entries;
+        }
+        const separator = line.indexOf('=');
+        if (separator <= 0) {
+            console.log("Please use the format name=value.");
+            continue;
+        }
+        const entry = {
+            name: toIdentifier(line.slice(0, separator)),
+            value: parseParameterValue(line.slice(separator + 1))
+        };
+        if (!entry.name) {
+            console.log("Please give the name at least one letter or digit.");
+            continue;
+        }
+        if (onEntry) {
+            await onEntry(entry);
+        }
+        entries.push(entry);
+    }
+}
+
+// Guided interview for describing a new dilemma
+async function promptForNewDilemma() {
+    console.log("\nPlease describe your ethical dilemma.");
+
+    const title = await promptRequired("Title: ");
+    const description = await promptRequired("Description: ");
+    const contextType = (await promptAsync("Type of situation (e.g. Medical Ethics) [Generic]: ")).trim();
+
+    console.log("\nEnter the possible actions, one per line (blank line to finish, at least 2).");
+    const actions = [];
+    while (true) {
+        const action = (await promptAsync(`Action ${actions.length + 1}: `)).trim();
+        if (!action) {
+            if (actions.length >= 2) break;
+            console.log("A dilemma needs at least two possible actions.");
+            continue;
+        }
+        actions.push(action);
+    }
+
+    console.log("\nEnter situation parameters as name=value (blank line to finish).");
+    console.log(`Parameters used by the adaptation rules: ${REQUIRED_PARAMETERS.join(', ')}`);
+    console.log("Any of these that you leave out keep their default values.");
+    const parameters = {};
+    for (const entry of await promptKeyValueList("Parameter: ")) {
+        parameters[entry.name] = entry.value;
+    }
+
+    console.log("\nEnter contextual factors as name=value (blank line to finish).");
+    const contextualFactors = [];
+    await promptKeyValueList("Factor: ", async (entry) => {
+        const relevance = (await promptAsync(`Relevance of ${entry.name} (high/medium/low) [medium]: `)).trim().toLowerCase();
+        contextualFactors.push({
+            factor: entry.name,
+            value: entry.value,
+            relevance: ['high', 'medium', 'low'].includes(relevance) ? relevance : 'medium'
+        });
+    });
+
+    const dilemma = buildCustomDilemma({
+        title,
+        description,
+        contextType: contextType || undefined,
+        actions,
+        parameters,
+        contextualFactors
+    });
+
+    const validation = validateDilemma(dilemma);
+    if (!validation.success) {
+        console.log(`Warning: missing parameters: ${validation.missingParameters.join(', ')}`);
+    }
+
+    console.log("\nDilemma structure:", JSON.stringify(dilemma, null, 2));
+
+    const save = (await promptAsync("\nSave this dilemma to a file? (y/n) ")).trim().toLowerCase();
+    if (save === 'y') {
+        const defaultName = `${toIdentifier(title) || 'dilemma'}.json`;
+        const fileName = (await promptAsync(`File name [${defaultName}]: `)).trim() || defaultName;
+        const filePath = path.isAbsolute(fileName) ? fileName : path.resolve(process.cwd(), 'dilemmas', fileName);
+        if (!saveDilemma(dilemma, filePath)) {
+            console.log("The dilemma could not be saved, but it will still be analyzed.");
+        }
+    }
+
+    return dilemma;
 }
 
 async function promptForDilemma() {
@@ -104,10 +221,7 @@ async function promptForDilemma() {
         console.log("Description:", exampleDilemma.description || "No description available");
         return exampleDilemma;
     } else if (choice === '2') {
-        console.log("\nPlease describe your ethical dilemma.");
-        console.log("This feature is not fully implemented in the prototype.");
-        console.log("Please use option 1 or 3 instead.");
-        return promptForDilemma();
+        return promptForNewDilemma();
     } else if (choice === '3') {
         console.log("\nPlease enter the path to your JSON file containing the dilemma:");
         
@@ -118,74 +232,31 @@ async function promptForDilemma() {
         }
         const resolvedPath = path.resolve(__dirname, inputPath);
 
+        let dilemmaJson;
         try {
-            const dilemmaJson = fs.readFileSync(resolvedPath, 'utf8');
+            dilemmaJson = fs.readFileSync(resolvedPath, 'utf8');
             console.log(`Loaded JSON from file: ${resolvedPath}`);
-            
-            try {
-                const dilemma = JSON.parse(dilemmaJson);
-                
-                // Validate required structure
-                if (!dilemma || typeof dilemma !== 'object') {
-                    console.log("Invalid dilemma format. JSON must represent an object.");
-                    return promptForDilemma();
-                }
-                
-                // Add/validate the required fields
-                dilemma.precedent_id = dilemma.precedent_id || "user_input_" + Date.now();
-                dilemma.title = dilemma.title || "User-Provided Dilemma";
-                
-                // Ensure situation and parameters exist
-                if (!dilemma.situation) {
-                    dilemma.situation = {};
-                }
-                if (!dilemma.situation.parameters) {
-                    dilemma.situation.parameters = {};
-                    console.log("Warning: No parameters provided. Using empty parameters object.");
-                }
-                
-                // Handle contextual factors
-                if (!Array.isArray(dilemma.contextual_factors)) {
-                    if (dilemma.contextual_factors && typeof dilemma.contextual_factors === 'object') {
-                        console.log("Converting flat contextual factors structure to required format...");
-                        // Convert object format to array format
-                        const factorsArray = [];
-                        for (const [factor, value] of Object.entries(dilemma.contextual_factors)) {
-                            factorsArray.push({
-                                factor: factor,
-                                value: value,
-                                relevance: "medium" // Default relevance when not specified
-                            });
-                        }
-                        dilemma.contextual_factors = factorsArray;
-                    } else {
-                        dilemma.contextual_factors = [];
-                        console.log("Warning: No contextual factors provided. Using empty factors array.");
-                    }
-                }
-                
-                if (!dilemma.description) {
-                    dilemma.description = `Ethical dilemma: ${dilemma.title}`;
-                    console.log("Warning: No description provided. Using title as description.");
-                }
-                
-                if (!Array.isArray(dilemma.reasoning_paths)) {
-                    dilemma.reasoning_paths = [];
-                    console.log("Warning: No reasoning paths provided. Using empty array.");
-                }
-                
-                console.log("Dilemma structure:", JSON.stringify(dilemma, null, 2));
-                return dilemma;
-            } catch (error) {
-                console.error("Invalid JSON:", error.message);
-                console.log("Please enter valid JSON file path.");
-                return promptForDilemma();
-            }
         } catch (error) {
             console.error(`Error loading file: ${error.message}`);
             console.log("Please enter a valid file path.");
             return promptForDilemma();
         }
+
+        // Validates the dilemma and converts it to the canonical model
+        const { dilemma, errors, changes } = loadDilemmaWithReport(dilemmaJson);
+        if (!dilemma) {
+            console.log("The file does not contain a valid dilemma:");
+            formatIssues(errors).forEach(line => console.log(`  ${line}`));
+            return promptForDilemma();
+        }
+
+        if (changes.length > 0) {
+            console.log(`Converted ${changes.length} field(s) to the canonical dilemma format:`);
+            changes.forEach(change => console.log(`  ${change.path}: ${change.message}`));
+        }
+
+        console.log("Dilemma structure:", JSON.stringify(dilemma, null, 2));
+        return dilemma;
     } else {
         console.log("Invalid option. Please try again.");
         return promptForDilemma();
@@ -193,116 +264,52 @@ async function promptForDilemma() {
 }
 
 async function analyzeDilemma(dilemma) {
+    const { analyzeDilemma: runAnalysis } = require('./index');
     console.log("\nAnalyzing dilemma...");
     
-    // Find relevant precedents
-    const relevantPrecedents = findRelevantPrecedents(dilemma, precedents);
-    console.log(`Found ${relevantPrecedents.length} relevant precedents.`);
-    
-    // Generate reasoning paths
-    console.log("Generating reasoning paths...");
-    const reasoningPaths = await generateReasoningPaths(dilemma, precedents);
-    console.log(`Generated ${reasoningPaths.length} reasoning paths.`);
-    
-    // If we have relevant precedents, identify key differences with the best match
-    let keyDifferences = [];
-    let bestMatch = null;
+    const results = await runAnalysis(dilemma, precedents);
     
-    if (relevantPrecedents && relevantPrecedents.length > 0) {
-        bestMatch = relevantPrecedents[0];
-        console.log(`Best matching precedent: ${bestMatch.precedent.title} (similarity: ${bestMatch.similarity.toFixed(2)})`);
-        keyDifferences = identifyKeyDifferences(dilemma, bestMatch.precedent);
-        console.log(`Identified ${keyDifferences.length} key differences with best precedent.`);
+    console.log(`Generated ${results.reasoningPaths.length} reasoning paths.`);
+    if (results.bestMatch) {
+        console.log(`Best matching precedent: ${results.bestMatch.precedent.title} (similarity: ${results.bestMatch.similarity.toFixed(2)})`);
+        console.log(`Identified ${results.keyDifferences.length} key differences with best precedent.`);
     }
-    
-    // Detect conflicts between reasoning paths
-    console.log("Detecting conflicts in reasoning paths...");
-    const conflicts = detectConflicts(reasoningPaths);
-    console.log(`Detected ${conflicts.length} conflicts.`);
-    
-    // Resolve conflicts if any exist
-    let resolvedPaths = [];
-    if (conflicts.length > 0) {
-        console.log("Resolving conflicts...");
-        resolvedPaths = resolveConflicts(conflicts, reasoningPaths, dilemma);
-        console.log(`Generated ${resolvedPaths.length} reconciled paths.`);
+    console.log(`Detected ${results.conflicts.length} conflicts.`);
+    if (results.resolvedPaths.length > 0) {
+        console.log(`Generated ${results.resolvedPaths.length} reconciled paths.`);
     }
     
-    return {
-        dilemma,
-        bestMatch,
-        reasoningPaths,
-        conflicts,
-        resolvedPaths,
-        keyDifferences,
-        syntheticAnalysis: !bestMatch
-    };
+    return results;
 }
 
 function displayResults(results) {
-    console.log("\n==== Analysis Results ====");
-    
-    // Display dilemma info
-    console.log(`\nDilemma: ${results.dilemma.title}`);
-    console.log(`Description: ${results.dilemma.description || "No description available"}`);
-    
-    // Display best match if available
-    if (results.bestMatch) {
-        console.log(`\nBest Matching Precedent: ${results.bestMatch.precedent.title}`);
-        
-        // Display key differences
-        if (results.keyDifferences && results.keyDifferences.length > 0) {
-            console.log("\nKey Differences with Precedent:");
-            for (const diff of results.keyDifferences) {
-                console.log(`- ${diff.type} "${diff.name}": ${diff.precedent_value} → ${diff.new_value}`);
-            }
-        }
-    } else {
-        console.log("\nNo relevant precedent found. Using synthetic reasoning.");
-    }
-    
-    // Display reasoning paths
-    if (results.reasoningPaths && results.reasoningPaths.length > 0) {
-        console.log("\nReasoning Paths:");
-        results.reasoningPaths.forEach((path, index) => {
-            console.log(`\n[${index + 1}] Source: ${path.source}, Framework: ${path.framework}, Action: ${path.action}`);
-            
-            // Display a snippet of the argument
-            const argumentSnippet = path.argument.split('\n').slice(0, 2).join('\n') + '...';
-            console.log(highlightChangesCLI(argumentSnippet));
-            
-            // Display score if available
-            if (path.score !== undefined) {
-                console.log(`Score: ${path.score.toFixed(2)}`);
-            }
-        });
-    }
-    
-    // Display conflicts
-    if (results.conflicts && results.conflicts.length > 0) {
-        console.log("\nDetected Conflicts:");
-        results.conflicts.forEach((conflict, index) => {
-            console.log(`\n[${index + 1}] Conflict between actions: ${conflict.action1} and ${conflict.action2}`);
-            console.log(`Severity: ${conflict.severity || "Unknown"}`);
-            console.log(`Type: ${conflict.type || "Unknown"}`);
-        });
+    console.log("\n" + formatAnalysisText(results, { highlight: true }));
+}
+
+async function promptForReportExport(results) {
+    const format = (await promptAsync(`\nExport this analysis as a report? (${REPORT_FORMATS.join('/')}/n) `)).trim().toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+        return;
     }
-    
-    // Display resolved paths
-    if (results.resolvedPaths && results.resolvedPaths.length > 0) {
-        console.log("\nReconciled Reasoning Paths:");
-        results.resolvedPaths.forEach((path, index) => {
-            console.log(`\n[${index + 1}] Resolution Strategy: ${path.strategy}`);
-            console.log(`Action: ${path.action}`);
-            
-            // Display a snippet of the reconciled argument
-            const argumentSnippet = path.argument.split('\n').slice(0, 2).join('\n') + '...';
-            console.log(highlightChangesCLI(argumentSnippet));
-        });
+
+    const extension = format === 'html' ? 'html' : 'md';
+    const defaultName = `${toIdentifier(results.dilemma.title || '') || 'analysis'}.${extension}`;
+    const fileName = (await promptAsync(`File name [${defaultName}]: `)).trim() || defaultName;
+    const filePath = path.isAbsolute(fileName) ? fileName : path.resolve(process.cwd(), 'reports', fileName);
+
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, generateReport(results, format), 'utf8');
+        console.log(`Report written to ${filePath}`);
+    } catch (error) {
+        console.error(`Error writing report: ${error.message}`);
     }
 }
 
-async function main() {
+async function interactive() {
+    const { getPrecedentDatabase } = require('./src/precedents');
+    precedents = getPrecedentDatabase();
+    
     displayWelcome();
     
     let running = true;
@@ -317,6 +324,7 @@ async function main() {
         
         const results = await analyzeDilemma(dilemma);
         displayResults(results);
+        await promptForReportExport(results);
         
         console.log("\nWould you like to analyze another dilemma? (y/n)");
         const continueResponse = await promptAsync("> ");
@@ -327,11 +335,22 @@ async function main() {
         }
     }
     
-    rl.close();
+    getReadline().close();
+}
+
+async function main(argv) {
+    // Any argument selects the non-interactive command mode
+    if (argv.length > 0) {
+        process.exitCode = await runCommand(argv);
+        return;
+    }
+    
+    return interactive();
 }
 
 // Start the application
-main().catch(error => {
+main(process.argv.slice(2)).catch(error => {
     console.error("An error occurred:", error);
-    rl.close();
-}); 
\ No newline at end of file
+    if (rl) rl.close();
+    process.exitCode = 1;
+});
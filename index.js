@@ -7,35 +7,85 @@
  */
 
 // --- Import necessary modules ---
-const { deepClone, calculateStringSimilarity } = require('./utils');
-const { applyAdaptationRules } = require('./adaptationRules');
-const { generateReasoningPaths, handleNoMatchCase, identifyKeyDifferences } = require('./reasoningPath'); //reasoningPath exports
-const { calculateSimilarity, findRelevantPrecedents } = require('./similarity');
-const { detectConflicts, calculateConflictSeverity, detectAllConflicts } = require('./conflictDetection');
-const { resolveConflicts, selectResolutionStrategy, generateReconciledArgument } = require('./conflictResolution');
-const precedents = require('./precedents');
+const { applyAdaptationRules } = require('./src/adaptationRules');
+const { generateReasoningPaths, handleNoMatchCase, identifyKeyDifferences } = require('./src/reasoningPath'); //reasoningPath exports
+const { calculateSimilarity, findRelevantPrecedents, configureSimilarityCache, saveSimilarityCache } = require('./src/similarity');
+const { detectConflicts, calculateConflictSeverity, detectAllConflicts } = require('./src/conflictDetection');
+const { resolveConflicts, selectResolutionStrategy, generateReconciledArgument } = require('./src/conflictResolution');
+const precedents = require('./src/precedents');
+const { validateDilemmaDocument, validatePrecedent, validateReasoningPath } = require('./src/schemaValidator');
+const { normalizeDilemma, normalizePrecedents } = require('./src/dilemmaNormalizer');
+const { loadDilemmaWithReport } = require('./src/dilemmaLoader');
+const { createRetrievalQuery, retrievePrecedents, retrieveWithExclusions } = require('./src/precedentRetrieval');
+const { registerSemanticProvider, setSemanticProvider, listSemanticProviders } = require('./src/semanticSimilarity');
+const { listLanguages, detectLanguage } = require('./src/language');
+const { discoverPacks, loadPrecedentPacks, composePrecedentDatabase } = require('./src/precedentPacks');
+const { buildTaxonomy, browseTaxonomy } = require('./src/precedentTaxonomy');
+const { auditPrecedents } = require('./src/precedentAudit');
+
+// The built-in precedent database, reused by analyses until the file changes
+let defaultDatabase = null;
+
+/**
+ * Returns the built-in precedent database, loading it again only when the file has changed,
+ * so that consecutive analyses share one database and its precedent index
+ * 
+ * @returns {Array} The built-in precedents
+ */
+function getDefaultDatabase() {
+    try {
+        const fs = require('fs');
+        const { mtimeMs } = fs.statSync(precedents.DEFAULT_DATABASE_PATH);
+        if (!defaultDatabase || defaultDatabase.mtimeMs !== mtimeMs) {
+            defaultDatabase = { mtimeMs, precedents: precedents.getPrecedentDatabase() };
+        }
+        return defaultDatabase.precedents;
+    } catch (error) {
+        return precedents.getPrecedentDatabase();
+    }
+}
 
 /**
  * Analyzes an ethical dilemma by finding relevant precedents, generating reasoning paths,
  * identifying conflicts, and producing reconciled paths.
  * 
- * @param {Object} dilemma - The ethical dilemma to analyze
- * @param {Array} [precedentDatabase=precedents] - Optional custom precedent database (defaults to built-in precedents)
- * @returns {Object} The analysis results containing reasoning paths, conflicts, and reconciled paths
+ * @param {Object} input - The ethical dilemma to analyze (any accepted shape, see dilemmaNormalizer)
+ * @param {Array} [precedentDatabase] - Optional custom precedent database (defaults to built-in precedents)
+ * @param {Object} [options] - Optional analysis options
+ * @param {number} [options.threshold=0.3] - Minimum similarity for a precedent to be considered relevant
+ * @param {string|Object} [options.profile] - Similarity profile name or definition (see similarityProfiles.js)
+ * @param {Object} [options.query] - Precedent retrieval query (maxResults, weights, filters, relations; see precedentRetrieval.js)
+ * @param {string} [options.strategy] - Resolution strategy passed to resolveConflicts
+ * @returns {Object} The analysis results containing the normalized dilemma, reasoning paths, conflicts,
+ *   reconciled paths, the list of normalization changes and the matching precedents left out
+ *   because other precedents overrule them (excludedPrecedents, with the reason for each)
  */
-async function analyzeDilemma(dilemma, precedentDatabase = precedents) {
+async function analyzeDilemma(input, precedentDatabase, options = {}) {
+    // Work on the canonical model so every module sees the same shape
+    const { dilemma, changes } = normalizeDilemma(input);
+    const database = normalizePrecedents(precedentDatabase || getDefaultDatabase());
+    const query = createRetrievalQuery({
+        ...options.query,
+        ...(options.threshold !== undefined ? { threshold: options.threshold } : {}),
+        ...(options.profile !== undefined ? { profile: options.profile } : {})
+    });
+
     // Find relevant precedents
-    const relevantPrecedents = findRelevantPrecedents(dilemma, precedentDatabase);
+    const { results: relevantPrecedents, excluded: excludedPrecedents } = await retrieveWithExclusions(dilemma, database, query);
     
-    // Generate reasoning paths
-    const reasoningPaths = await generateReasoningPaths(dilemma, precedentDatabase);
+    // Generate reasoning paths from the same precedents
+    const generated = await generateReasoningPaths(dilemma, database, { query, relevantPrecedents });
+    const reasoningPaths = (generated && generated.reasoningPaths) || [];
     
     // If we have relevant precedents, identify key differences with the best match
     let keyDifferences = [];
     let bestMatch = null;
     
     if (relevantPrecedents && relevantPrecedents.length > 0) {
-        bestMatch = relevantPrecedents[0];
+        bestMatch = {
+            precedent: relevantPrecedents[0],
+            similarity: relevantPrecedents[0].totalSimilarityScore
+        };
         keyDifferences = identifyKeyDifferences(dilemma, bestMatch.precedent);
     }
     
@@ -45,31 +95,36 @@ async function analyzeDilemma(dilemma, precedentDatabase = precedents) {
     // Resolve conflicts if any exist
     let resolvedPaths = [];
     if (conflicts.length > 0) {
-        resolvedPaths = resolveConflicts(conflicts, reasoningPaths, dilemma);
+        const resolved = resolveConflicts(reasoningPaths, conflicts, dilemma, [], { strategy: options.strategy });
+        resolvedPaths = (resolved && resolved.resolutions) || [];
     }
     
     return {
         dilemma,
         bestMatch,
+        matchCase: generated ? generated.matchCase : 'error',
         reasoningPaths,
         conflicts,
         resolvedPaths,
         keyDifferences,
-        syntheticAnalysis: !bestMatch
+        excludedPrecedents,
+        syntheticAnalysis: !bestMatch,
+        normalization: changes
     };
 }
 
 /**
- * Loads a dilemma from a file path
+ * Loads a dilemma from a file path, validated and converted to the canonical model
+ * like the dilemmas loaded by the CLI and the HTTP API (see src/dilemmaLoader.js)
  * 
  * @param {string} filePath - Path to the dilemma JSON file
- * @returns {Object|null} The loaded dilemma or null if loading failed
+ * @returns {Object|null} The loaded dilemma or null if loading or validation failed
  */
 function loadDilemma(filePath) {
     try {
         const fs = require('fs');
         const dilemmaJson = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(dilemmaJson);
+        return loadDilemmaWithReport(dilemmaJson).dilemma;
     } catch (error) {
         console.error(`Error loading dilemma: ${error.message}`);
         return null;
@@ -77,24 +132,16 @@ function loadDilemma(filePath) {
 }
 
 /**
- * Gets the precedent database, either from the default location or a specified path
+ * Gets the precedent database, either from the default location or a specified path.
+ * Like the built-in database, a custom one is validated and normalized and may be JSON, YAML,
+ * CSV or JSON Lines (see src/precedents.js).
  * 
  * @param {string} [filePath] - Optional path to a custom precedent database
- * @returns {Array|null} The precedent database or null if loading failed
+ * @param {Object} [options] - { packs }: precedent packs to add to the database (see src/precedentPacks.js)
+ * @returns {Array} The valid precedents of the database (empty if loading failed)
  */
-function getPrecedentDatabase(filePath) {
-    if (!filePath) {
-        return precedents;
-    }
-    
-    try {
-        const fs = require('fs');
-        const precedentsJson = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(precedentsJson);
-    } catch (error) {
-        console.error(`Error loading precedent database: ${error.message}`);
-        return null;
-    }
+function getPrecedentDatabase(filePath, options = {}) {
+    return precedents.getPrecedentDatabase(filePath, options);
 }
 
 // --- Export the public API ---
@@ -103,11 +150,31 @@ module.exports = {
     loadDilemma,
     getPrecedentDatabase,
     findRelevantPrecedents,
+    retrievePrecedents,
+    retrieveWithExclusions,
+    createRetrievalQuery,
+    registerSemanticProvider,
+    setSemanticProvider,
+    listSemanticProviders,
     generateReasoningPaths,
     detectConflicts,
     detectAllConflicts,
     resolveConflicts,
     calculateSimilarity,
+    configureSimilarityCache,
+    saveSimilarityCache,
+    listLanguages,
+    detectLanguage,
+    discoverPacks,
+    loadPrecedentPacks,
+    composePrecedentDatabase,
+    buildTaxonomy,
+    browseTaxonomy,
+    auditPrecedents,
     identifyKeyDifferences,
-    applyAdaptationRules
+    applyAdaptationRules,
+    validateDilemmaDocument,
+    validatePrecedent,
+    validateReasoningPath,
+    normalizeDilemma
 }; 
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Adaptation rules of the autonomous-vehicles pack
+ *
+ * Each rule has the signature of the built-in rules of src/adaptationRules.js and applies to
+ * reasoning paths adapted from this pack's precedents.
+ */
+
+/**
+ * Notes when the new dilemma has a human driver who can take over, which weakens the case for
+ * decisions programmed in advance
+ * @param {Object} reasoningPath - The reasoning path being adapted
+ * @param {Object} dilemma - The new dilemma
+ * @param {Object} precedent - The precedent the path comes from
+ * @returns {Object} The adapted reasoning path
+ */
+function adaptHumanTakeoverRule(reasoningPath, dilemma, precedent) {
+  const text = `${dilemma.title || ''} ${dilemma.description || ''}`.toLowerCase();
+  if (!/\b(safety driver|human driver|take over|takeover)\b/.test(text)) {
+    return reasoningPath;
+  }
+
+  return {
+    ...reasoningPath,
+    argument: `${reasoningPath.argument}\n[ADAPTED: A human driver can take over, so the decision need not rest on the vehicle's programming alone.]`
+  };
+}
+
+module.exports = {
+  adaptHumanTakeoverRule
+};
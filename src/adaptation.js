@@ -6,6 +6,9 @@
 
 const { getContextualFactor, getParameter, weakenStrength, getCertaintyFactor, getFactorValue, deepCopy } = require('./utils');
 const adaptationRules = require('./adaptationRules');
+const { mapDilemmaRoles, getRoleSubstitutions, describeRoleMapping } = require('./structureMapping');
+const { createCitation, formatCitation } = require('./provenance');
+const { getPackAdaptationRules } = require('./precedentPacks');
 const fs = require('fs');
 
 /**
@@ -59,10 +62,14 @@ function adaptReasoningPaths(precedent, dilemma, originalDilemmaOrSkipFlag = fal
     originalDilemma = precedent;
   }
   
+  // Every adapted path cites the precedent it came from
+  const citation = createCitation(precedent);
+  
   // Adapt each reasoning path
   const adaptedPaths = reasoningPaths.map((path, i) => {
     // Create a deep copy of the path to modify
     let adaptedPath = deepCopy(path);
+    adaptedPath.citation = deepCopy(citation);
     
     // Conditionally modify the argument to reflect the new dilemma
     if (!skipArgumentAdaptation) {
@@ -186,6 +193,17 @@ function adaptReasoningPaths(precedent, dilemma, originalDilemmaOrSkipFlag = fal
           console.error(`Error applying adaptLifeVsPropertyRule: ${error.message}`, error.stack);
         }
       }
+      
+      // Apply the rules of the precedent's pack, if it comes from one (see precedentPacks.js)
+      for (const rule of getPackAdaptationRules(precedent)) {
+        const rulePath = deepCopy(adaptedPath);
+        try {
+          const result = rule.apply(rulePath, dilemma, originalDilemma);
+          if (result) adaptedPath = result;
+        } catch (error) {
+          console.error(`Error applying pack rule ${rule.name}: ${error.message}`, error.stack);
+        }
+      }
     } catch (error) {
       console.warn(`Error applying adaptation rules: ${error.message}`);
     }
@@ -229,20 +247,24 @@ function adaptArgumentForNewDilemma(originalArgument, precedent, dilemma) {
     .replace(/\bthis dilemma\b/gi, dilemmaTitle)
     .replace(/\bthe dilemma\b/gi, dilemmaTitle);
   
-  // 3. Make simple, targeted replacements for common terms
-  // Instead of using complex extraction, use a simple mapping approach
-  const replacements = getSimpleReplacements(precedent, dilemma);
+  // 3. Carry the precedent's roles over to their counterparts in the new dilemma
+  const mapping = mapDilemmaRoles(precedent, dilemma);
+  const replacements = getRoleReplacements(precedent, dilemma, mapping);
   
-  // Apply each replacement only once, with word boundaries
-  for (const [oldTerm, newTerm] of Object.entries(replacements)) {
-    if (oldTerm && newTerm && oldTerm !== newTerm) {
-      const termRegex = new RegExp(`\\b${escapeRegExp(oldTerm)}\\b`, 'gi');
-      adaptedArgument = adaptedArgument.replace(termRegex, newTerm);
-    }
+  // Replace all terms in one pass so a replacement is never replaced again
+  if (replacements.length > 0) {
+    const replacementMap = new Map(replacements.map(([oldTerm, newTerm]) => [oldTerm.toLowerCase(), newTerm]));
+    const termRegex = new RegExp(`\\b(?:${replacements.map(([oldTerm]) => escapeRegExp(oldTerm)).join('|')})\\b`, 'gi');
+    adaptedArgument = adaptedArgument.replace(termRegex, match => replacementMap.get(match.toLowerCase()));
   }
   
   // Add an adaptation note at the end
-  adaptedArgument += `\n\n[ADAPTED: This reasoning has been adapted from the "${precedentTitle}" precedent to the "${dilemmaTitle}" dilemma.]`;
+  const correspondences = describeRoleMapping(mapping)
+    .filter(pair => pair.role === pair.targetRole && pair.source !== pair.target)
+    .map(pair => `${pair.source} -> ${pair.target}`);
+  const mappingNote = correspondences.length > 0 ? ` Role mapping: ${correspondences.join('; ')}.` : '';
+  const sourceNote = precedent.provenance ? ` Source: ${formatCitation(precedent)}` : '';
+  adaptedArgument += `\n\n[ADAPTED: This reasoning has been adapted from the "${precedentTitle}" precedent to the "${dilemmaTitle}" dilemma.${mappingNote}${sourceNote}]`;
   
   return adaptedArgument;
 }
@@ -257,42 +279,26 @@ function escapeRegExp(string) {
 }
 
 /**
- * Creates a simple mapping of terms to replace from precedent to dilemma
+ * Lists the terms to replace when carrying an argument from a precedent to a new dilemma
  * @param {Object} precedent The precedent dilemma
  * @param {Object} dilemma The new dilemma
- * @returns {Object} A mapping of terms to replace
+ * @param {Object} mapping The correspondence of the precedent's roles to the dilemma's (see structureMapping.js)
+ * @returns {Array<Array<string>>} [term, replacement] pairs, longest term first
  */
-function getSimpleReplacements(precedent, dilemma) {
-  const replacements = {};
+function getRoleReplacements(precedent, dilemma, mapping) {
+  const replacements = getRoleSubstitutions(mapping);
   
   // Type replacement
-  if (precedent.situation?.type && dilemma.situation?.type) {
-    replacements[precedent.situation.type] = dilemma.situation.type;
+  if (precedent.situation?.type && dilemma.situation?.type && precedent.situation.type !== dilemma.situation.type) {
+    replacements.push([precedent.situation.type, dilemma.situation.type]);
   }
   
-  // Simple mapping for common medical ethics terms
-  if (precedent.precedent_id === 'transplant_dilemma' && 
-      (dilemma.precedent_id === 'medical_triage' || dilemma.situation?.type === 'ResourceAllocationDilemma')) {
-    replacements['traveler'] = 'patient';
-    replacements['one person'] = 'some patients';
-    replacements['five patients'] = 'many patients';
-    replacements['organ transplants'] = 'medical resources';
-    replacements['transplant'] = 'treatment';
-    replacements['harvesting organs'] = 'withholding treatment';
+  // A term can only be replaced one way; the first mapping wins
+  const byTerm = new Map();
+  for (const [oldTerm, newTerm] of replacements) {
+    if (!byTerm.has(oldTerm.toLowerCase())) byTerm.set(oldTerm.toLowerCase(), [oldTerm, newTerm]);
   }
-  
-  // Simple mapping for trolley problem to medical scenarios
-  if (precedent.precedent_id === 'trolley_problem' && 
-      (dilemma.precedent_id === 'medical_triage' || dilemma.situation?.type === 'ResourceAllocationDilemma')) {
-    replacements['trolley'] = 'resources';
-    replacements['track'] = 'treatment path';
-    replacements['lever'] = 'decision';
-    replacements['pull the lever'] = 'allocate resources';
-    replacements['five people'] = 'many patients';
-    replacements['one person'] = 'some patients';
-  }
-  
-  return replacements;
+  return Array.from(byTerm.values()).sort((a, b) => b[0].length - a[0].length);
 }
 
 /**
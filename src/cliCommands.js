@@ -0,0 +1,1258 @@
+/**
+ * Non-interactive CLI commands for the REA system
+ *
+ * This module parses command line arguments and runs the scriptable subcommands
+ * (analyze, report, precedents, packs, frameworks, profiles, conflicts, validate, diagnose, serve). Each command writes
+ * its result to stdout and resolves to a process exit code so it can be used in batch jobs.
+ * Progress logging from the pipeline is routed to stderr so that stdout stays machine-readable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+/**
+ * Process exit codes returned by the CLI commands
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,   // Unexpected failure while running a command
+  USAGE: 2,   // Unknown command, unknown flag or invalid flag value
+  INPUT: 3    // Input file or precedent database could not be read
+};
+
+/**
+ * Supported flags and their value types
+ */
+const FLAG_TYPES = {
+  threshold: 'number',
+  strategy: 'string',
+  db: 'string',
+  format: 'string',
+  max: 'number',
+  framework: 'string',
+  profile: 'string',
+  packs: 'string',
+  tags: 'string',
+  relations: 'string',
+  semantic: 'string',
+  'cache-size': 'number',
+  'cache-file': 'string',
+  name: 'string',
+  holdout: 'number',
+  port: 'number',
+  host: 'string',
+  schema: 'string',
+  output: 'string',
+  'file-format': 'string',
+  'on-duplicate': 'string',
+  'dry-run': 'boolean',
+  merge: 'string',
+  linkage: 'string',
+  find: 'string',
+  author: 'string',
+  quiet: 'boolean',
+  help: 'boolean'
+};
+
+const OUTPUT_FORMATS = ['text', 'json'];
+
+// The report command uses --format for the document format instead
+const REPORT_FORMATS = ['markdown', 'html'];
+
+// Documents the validate command can check; "precedent-database" is an array of precedents
+const VALIDATION_SCHEMAS = ['dilemma', 'precedent', 'reasoning-path', 'precedent-database'];
+
+const USAGE = `Usage: node cli.js [command] [options]
+
+Without a command the interactive menu is started.
+
+Commands:
+  analyze <file>             Analyze a dilemma JSON file
+  report <file>              Analyze a dilemma JSON file and render a Markdown or HTML report
+  precedents search <file>   Find precedents relevant to a dilemma JSON file
+  precedents list            List the precedents in the database
+  precedents import <file>   Import precedents from a JSON, JSONL, YAML or CSV file into the database
+  precedents export          Export the precedent database as JSON, JSONL, YAML or CSV
+  precedents dedup           Find likely duplicate precedents and show how they differ; merge them with --merge
+  precedents taxonomy        Cluster the precedents by similarity into a labelled tree and list the outliers
+  precedents audit           Find similar precedents whose frameworks reach different conclusions
+  packs list                 List the installed precedent packs
+  frameworks list            List the registered ethical frameworks
+  frameworks migrate [files] Rewrite the framework names of the precedent database (or of precedent
+                             database and dilemma JSON files) to the registered names and ids
+  profiles list              List the similarity profiles
+  profiles train <file>      Learn a similarity profile from reviewer-labelled dilemma pairs (JSON, JSONL or YAML)
+  conflicts <file>           Detect and resolve conflicts for a dilemma JSON file
+  validate <file>            Check a JSON file against the published schemas
+  diagnose                   Print the framework diagnostics report
+  serve                      Start the HTTP API server
+  help                       Show this message
+
+Options:
+  --threshold <0-1>          Minimum precedent similarity (default: 0.3; for precedents dedup: 0.8;
+                             for precedents taxonomy: 0.5; for precedents audit: 0.7)
+  --strategy <name>          Conflict resolution strategy (balance, stakeholder, compromise, pluralistic)
+  --db <path>                Path to a precedent database (JSON, JSONL, YAML or CSV; import and export
+                             also accept a SQLite .sqlite or .db file)
+  --format <text|json>       Output format (default: text); for report: markdown or html (default: markdown)
+  --output <path>            Write the report or export to a file instead of stdout; for profiles train,
+                             where to save the profile (default: config/similarity-profiles/<name>.json)
+  --file-format <name>       Format of the imported or exported file (json, jsonl, yaml, csv);
+                             defaults to the file extension
+  --on-duplicate <policy>    How import treats an existing precedent_id: skip (default) or update
+  --merge <policy>           Merge the duplicates found by precedents dedup, keeping the first precedent, the most
+                             authoritative one (authority), the newest one, or asking for each cluster (interactive)
+  --linkage <name>           How precedents taxonomy compares clusters: average (default), single or complete
+  --find <words>             Only show the taxonomy clusters and outliers matching these words, e.g. triage
+  --dry-run                  Print the import, dedup merge, training or framework migration report without
+                             changing anything
+  --author <name>            Author recorded in the revision history (default: $USER)
+  --max <n>                  Maximum number of precedents to retrieve (default: 5)
+  --framework <names>        Only retrieve precedents reasoning with these frameworks (comma-separated)
+  --tags <tags>              Only retrieve precedents with one of these tags (comma-separated)
+  --packs <names>            Add these precedent packs to the database (comma-separated, or all)
+  --profile <name>           Similarity profile for matching precedents (default, medical, resource-allocation,
+                             or any profile in config/similarity-profiles)
+  --relations <mode>         How retrieval treats precedents that others overrule: suppress (default),
+                             flag, or ignore the links between precedents
+  --name <name>              Name of the trained profile (default: learned)
+  --holdout <0-1>            Share of the labelled pairs held out to measure accuracy (default: 0.25)
+  --semantic <provider>      Semantic text similarity provider (word-overlap, lsa, or a registered provider);
+                             lsa is trained over the precedent database
+  --cache-size <n>           Maximum number of cached string similarity scores (default: 10000)
+  --cache-file <path>        Load cached similarity scores from this file and save them back after the command
+  --port <n>, --host <addr>  Address for the serve command
+  --schema <name>            Schema for validate (dilemma, precedent, reasoning-path, precedent-database);
+                             defaults to precedent-database for arrays and dilemma otherwise
+  --quiet                    Suppress pipeline progress logging on stderr
+`;
+
+/**
+ * Error raised for invalid command lines; reported with the USAGE exit code
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Error raised when an input file cannot be read; reported with the INPUT exit code
+ */
+class InputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InputError';
+  }
+}
+
+/**
+ * Parses command line arguments into positionals and typed flags
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { positionals, flags }
+ * @throws {UsageError} On unknown flags or invalid flag values
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const equalsIndex = arg.indexOf('=');
+    const name = equalsIndex === -1 ? arg.slice(2) : arg.slice(2, equalsIndex);
+    const type = FLAG_TYPES[name];
+
+    if (!type) {
+      throw new UsageError(`Unknown option: --${name}`);
+    }
+
+    if (type === 'boolean') {
+      flags[name] = true;
+      continue;
+    }
+
+    let value;
+    if (equalsIndex !== -1) {
+      value = arg.slice(equalsIndex + 1);
+    } else if (i + 1 < argv.length) {
+      value = argv[++i];
+    } else {
+      throw new UsageError(`Option --${name} requires a value`);
+    }
+
+    if (type === 'number') {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number)) {
+        throw new UsageError(`Option --${name} must be a number, got "${value}"`);
+      }
+      flags[name] = number;
+    } else {
+      flags[name] = value;
+    }
+  }
+
+  return { positionals, flags };
+}
+
+/**
+ * Checks that --profile names a registered similarity profile
+ * @param {Object} flags - Parsed flags
+ * @throws {UsageError} If the profile is unknown
+ */
+function validateProfile(flags) {
+  if (flags.profile === undefined) return;
+
+  const { getSimilarityProfiles } = require('./similarityProfiles');
+  const profiles = Array.from(getSimilarityProfiles().keys());
+  if (!profiles.includes(flags.profile)) {
+    throw new UsageError(`--profile must be one of: ${profiles.join(', ')}`);
+  }
+}
+
+/**
+ * Validates flag values shared by several commands
+ * @param {Object} flags - Parsed flags
+ * @param {string} command - The command being run
+ * @throws {UsageError} If a value is out of range
+ */
+function validateFlags(flags, command) {
+  if (flags.threshold !== undefined && (flags.threshold < 0 || flags.threshold > 1)) {
+    throw new UsageError('--threshold must be between 0 and 1');
+  }
+
+  const formats = command === 'report' ? REPORT_FORMATS : OUTPUT_FORMATS;
+  if (flags.format !== undefined && !formats.includes(flags.format)) {
+    throw new UsageError(`--format must be one of: ${formats.join(', ')}`);
+  }
+
+  if (flags.holdout !== undefined && (flags.holdout < 0 || flags.holdout >= 1)) {
+    throw new UsageError('--holdout must be at least 0 and below 1');
+  }
+
+  if (flags.max !== undefined && (!Number.isInteger(flags.max) || flags.max < 1)) {
+    throw new UsageError('--max must be a positive integer');
+  }
+
+  if (flags.strategy !== undefined) {
+    const { resolutionStrategies } = require('./conflictResolution');
+    const strategies = Object.keys(resolutionStrategies).filter(name => name !== 'fallback');
+    if (!strategies.includes(flags.strategy)) {
+      throw new UsageError(`--strategy must be one of: ${strategies.join(', ')}`);
+    }
+  }
+
+  if (flags.schema !== undefined && !VALIDATION_SCHEMAS.includes(flags.schema)) {
+    throw new UsageError(`--schema must be one of: ${VALIDATION_SCHEMAS.join(', ')}`);
+  }
+
+  if (flags.packs !== undefined) {
+    const { resolvePacks } = require('./precedentPacks');
+    const { unknown } = resolvePacks(flags.packs);
+    if (unknown.length > 0) {
+      throw new UsageError(`Unknown precedent pack(s): ${unknown.join(', ')}. Run "packs list" to see the installed packs`);
+    }
+  } else {
+    // With --packs, the profile may be one the packs register: loadPrecedents checks it once they are loaded
+    validateProfile(flags);
+  }
+
+  if (flags.relations !== undefined) {
+    const { RELATION_MODES } = require('./precedentRelations');
+    if (!RELATION_MODES.includes(flags.relations)) {
+      throw new UsageError(`--relations must be one of: ${RELATION_MODES.join(', ')}`);
+    }
+  }
+
+  if (flags.semantic !== undefined) {
+    const { listSemanticProviders } = require('./semanticSimilarity');
+    const providers = listSemanticProviders().map(provider => provider.name);
+    if (!providers.includes(flags.semantic)) {
+      throw new UsageError(`--semantic must be one of: ${providers.join(', ')}`);
+    }
+  }
+
+  if (flags['cache-size'] !== undefined && (!Number.isInteger(flags['cache-size']) || flags['cache-size'] < 1)) {
+    throw new UsageError('--cache-size must be a positive integer');
+  }
+
+  const { FORMATS, DUPLICATE_POLICIES } = require('./precedentIO');
+  if (flags['file-format'] !== undefined && !FORMATS.includes(flags['file-format'])) {
+    throw new UsageError(`--file-format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  if (flags['on-duplicate'] !== undefined && !DUPLICATE_POLICIES.includes(flags['on-duplicate'])) {
+    throw new UsageError(`--on-duplicate must be one of: ${DUPLICATE_POLICIES.join(', ')}`);
+  }
+
+  if (flags.linkage !== undefined) {
+    const { LINKAGES } = require('./precedentTaxonomy');
+    if (!Object.keys(LINKAGES).includes(flags.linkage)) {
+      throw new UsageError(`--linkage must be one of: ${Object.keys(LINKAGES).join(', ')}`);
+    }
+  }
+
+  if (flags.merge !== undefined) {
+    const { MERGE_POLICIES } = require('./precedentDedup');
+    const policies = [...MERGE_POLICIES, 'interactive'];
+    if (!policies.includes(flags.merge)) {
+      throw new UsageError(`--merge must be one of: ${policies.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Runs a function with console logging redirected away from stdout
+ * @param {Function} fn - Async function to run
+ * @param {boolean} quiet - Discard the logging instead of writing it to stderr
+ * @returns {Promise<*>} The function's result
+ */
+async function withRedirectedConsole(fn, quiet) {
+  const original = { log: console.log, info: console.info, warn: console.warn, debug: console.debug };
+  const sink = quiet ? () => {} : (...args) => process.stderr.write(util.format(...args) + '\n');
+
+  console.log = sink;
+  console.info = sink;
+  console.debug = sink;
+  if (quiet) console.warn = sink;
+
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+/**
+ * Loads a dilemma JSON file given on the command line
+ * @param {string} filePath - Path to the dilemma file (relative to the working directory)
+ * @returns {Object} The loaded dilemma
+ * @throws {UsageError|InputError} If no path was given or the file cannot be loaded
+ */
+function loadDilemmaFile(filePath) {
+  if (!filePath) {
+    throw new UsageError('A dilemma file is required');
+  }
+
+  const { loadDilemmaWithReport } = require('./dilemmaLoader');
+  const { formatIssues } = require('./schemaValidator');
+  const resolvedPath = path.resolve(filePath);
+
+  if (!fs.existsSync(resolvedPath)) {
+    throw new InputError(`Dilemma file not found: ${resolvedPath}`);
+  }
+
+  const { dilemma, errors } = loadDilemmaWithReport(fs.readFileSync(resolvedPath, 'utf8'));
+  if (!dilemma) {
+    const details = formatIssues(errors).map(line => `\n  ${line}`).join('');
+    throw new InputError(`Could not load dilemma from ${resolvedPath}${details}`);
+  }
+  return dilemma;
+}
+
+/**
+ * Reads the precedents of a JSON, JSONL, YAML or CSV file without validating them
+ * @param {string} filePath - Path to the file
+ * @param {string} [format] - File format (defaults to the extension, then JSON)
+ * @returns {Array} The precedents as written in the file
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function readPrecedentFile(filePath, format) {
+  const { detectFormat, parsePrecedents } = require('./precedentIO');
+  const { entries } = parsePrecedents(fs.readFileSync(filePath, 'utf8'), format || detectFormat(filePath) || 'json');
+  return entries.map(entry => entry.precedent);
+}
+
+/**
+ * Returns true if a --db path refers to a SQLite database
+ * @param {string} filePath - The path
+ * @returns {boolean} True for .sqlite and .db files
+ */
+function isSqlitePath(filePath) {
+  return ['.sqlite', '.db'].includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Opens the precedent repository selected with --db (or the built-in database) for changes
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<PrecedentRepository>} The repository
+ * @throws {UsageError} If --db is not a JSON or SQLite database
+ */
+async function openRepository(flags) {
+  const { openPrecedentRepository } = require('./precedentRepository');
+  if (flags.db === undefined) {
+    return openPrecedentRepository({ type: 'file' });
+  }
+
+  const resolvedPath = path.resolve(flags.db);
+  if (isSqlitePath(resolvedPath)) {
+    return openPrecedentRepository({ type: 'sqlite', path: resolvedPath });
+  }
+  if (path.extname(resolvedPath).toLowerCase() !== '.json') {
+    throw new UsageError('--db must be a JSON or SQLite (.sqlite, .db) database');
+  }
+  return openPrecedentRepository({ type: 'file', path: resolvedPath });
+}
+
+/**
+ * Loads the precedent database selected with --db (or the built-in database) with the --packs
+ * precedents. Loading the packs registers their similarity profiles, so --profile is checked
+ * here when packs are given.
+ * @param {Object} flags - Parsed flags
+ * @returns {Array} The precedent database
+ * @throws {InputError} If the database file cannot be read
+ * @throws {UsageError} If --profile is unknown
+ */
+function loadPrecedents(flags) {
+  const { getPrecedentDatabase } = require('./precedents');
+
+  let resolvedPath;
+  if (flags.db !== undefined) {
+    resolvedPath = path.resolve(flags.db);
+    if (!fs.existsSync(resolvedPath)) {
+      throw new InputError(`Precedent database not found: ${resolvedPath}`);
+    }
+    try {
+      readPrecedentFile(resolvedPath);
+    } catch (error) {
+      throw new InputError(`Invalid precedent database ${resolvedPath}: ${error.message}`);
+    }
+  }
+
+  const precedents = getPrecedentDatabase(resolvedPath, { packs: flags.packs });
+  if (flags.packs !== undefined) {
+    validateProfile(flags);
+  }
+  return precedents;
+}
+
+/**
+ * Selects the semantic similarity provider given with --semantic. The lsa provider is trained
+ * over the --db database and the --packs precedents rather than the built-in database.
+ * @param {Object} flags - Parsed flags
+ */
+function configureSemanticProvider(flags) {
+  if (flags.semantic === undefined) return;
+
+  const { registerSemanticProvider, setSemanticProvider } = require('./semanticSimilarity');
+  if (flags.semantic === 'lsa' && (flags.db !== undefined || flags.packs !== undefined)) {
+    const { createLsaProvider } = require('./lsaModel');
+    registerSemanticProvider(createLsaProvider({ precedents: () => loadPrecedents(flags) }));
+  }
+  setSemanticProvider(flags.semantic);
+}
+
+/**
+ * Applies --cache-size and --cache-file to the similarity cache
+ * @param {Object} flags - Parsed flags
+ */
+function configureCache(flags) {
+  if (flags['cache-size'] === undefined && flags['cache-file'] === undefined) return;
+
+  const { configureSimilarityCache } = require('./similarity');
+  configureSimilarityCache({ maxEntries: flags['cache-size'], file: flags['cache-file'] });
+}
+
+/**
+ * Builds the precedent retrieval query of a command from its flags
+ * @param {Object} flags - Parsed flags
+ * @param {number} [threshold] - Threshold used when --threshold is not given (default: the service default)
+ * @returns {Object} Retrieval query (see precedentRetrieval.js)
+ */
+function retrievalQuery(flags, threshold = flags.threshold) {
+  return {
+    threshold,
+    maxResults: flags.max,
+    profile: flags.profile,
+    relations: flags.relations,
+    filters: {
+      frameworks: flags.framework ? flags.framework.split(',').map(name => name.trim()) : [],
+      tags: flags.tags ? flags.tags.split(',').map(tag => tag.trim()) : []
+    }
+  };
+}
+
+/**
+ * Shortens an argument to its first lines for terminal display
+ * @param {string} argument - The full argument text
+ * @returns {string} The snippet
+ */
+function argumentSnippet(argument) {
+  if (!argument) return '(no argument)';
+  return argument.split('\n').slice(0, 2).join('\n') + '...';
+}
+
+/**
+ * Formats the similarity breakdown of a precedent match for the terminal
+ * @param {Object} breakdown - A similarityBreakdown from retrievePrecedents
+ * @param {string} [indent] - Prefix for each line
+ * @returns {Array<string>} One line for the weighted components, then one per matched pair
+ */
+function formatSimilarityBreakdown(breakdown, indent = '   ') {
+  if (!breakdown) return [];
+  const score = value => (typeof value === 'number' ? value.toFixed(2) : '-');
+
+  const profile = breakdown.profile && breakdown.profile !== 'default' ? ` (profile: ${breakdown.profile})` : '';
+  const lines = [indent + breakdown.components
+    .map(c => `${c.name} ${score(c.score)} x ${score(c.weight)} = ${score(c.contribution)}`)
+    .join(' | ') + profile];
+  for (const pair of breakdown.matchedActions || []) {
+    const closest = pair.matchedAction ? ` ~ ${pair.matchedAction}` : '';
+    lines.push(`${indent}action ${pair.action}${closest} (relevance ${score(pair.relevance)})`);
+  }
+  for (const pair of breakdown.matchedFactors || []) {
+    lines.push(`${indent}factor ${pair.factor}: ${pair.value1} / ${pair.value2} (${score(pair.score)})`);
+  }
+  for (const pair of breakdown.matchedParameters || []) {
+    lines.push(`${indent}parameter ${pair.parameter}: ${pair.value1} / ${pair.value2} (${score(pair.score)})`);
+  }
+  return lines;
+}
+
+/**
+ * Formats an analyzeDilemma result for the terminal
+ * @param {Object} results - The analysis results
+ * @param {Object} [options]
+ * @param {boolean} [options.highlight=false] - Highlight what adaptation changed in the arguments of adapted
+ *   reasoning paths with ANSI colors (interactive mode only; --format text stays plain)
+ * @returns {string} Human-readable analysis
+ */
+function formatAnalysisText(results, options = {}) {
+  const { highlightChangesCLI } = require('./utils');
+  const lines = [];
+  lines.push("==== Analysis Results ====");
+
+  // Dilemma info
+  lines.push(`\nDilemma: ${results.dilemma.title}`);
+  lines.push(`Description: ${results.dilemma.description || "No description available"}`);
+
+  // Best match and key differences
+  if (results.bestMatch) {
+    lines.push(`\nBest Matching Precedent: ${results.bestMatch.precedent.title} (similarity: ${results.bestMatch.similarity.toFixed(2)})`);
+    lines.push(...formatSimilarityBreakdown(results.bestMatch.precedent.similarityBreakdown, '  '));
+
+    if (results.keyDifferences && results.keyDifferences.length > 0) {
+      lines.push("\nKey Differences with Precedent:");
+      for (const diff of results.keyDifferences) {
+        lines.push(`- ${diff.type} "${diff.name}": ${diff.precedent_value} → ${diff.new_value}`);
+      }
+    }
+  } else {
+    lines.push("\nNo relevant precedent found. Using synthetic reasoning.");
+  }
+
+  // Precedents left out because other precedents overrule them
+  if (results.excludedPrecedents && results.excludedPrecedents.length > 0) {
+    lines.push("\nExcluded Precedents:");
+    for (const excluded of results.excludedPrecedents) {
+      lines.push(`- ${excluded.title} (${excluded.precedent_id}): ${excluded.reason}`);
+    }
+  }
+
+  // Reasoning paths
+  if (results.reasoningPaths && results.reasoningPaths.length > 0) {
+    lines.push("\nReasoning Paths:");
+    results.reasoningPaths.forEach((reasoningPath, index) => {
+      lines.push(`\n[${index + 1}] Source: ${reasoningPath.source}, Framework: ${reasoningPath.framework}, Action: ${reasoningPath.action}`);
+      const original = reasoningPath.adapted_from && reasoningPath.adapted_from.original_argument;
+      lines.push(argumentSnippet(options.highlight && original && reasoningPath.argument
+        ? highlightChangesCLI(original, reasoningPath.argument)
+        : reasoningPath.argument));
+
+      if (typeof reasoningPath.score === 'number') {
+        lines.push(`Score: ${reasoningPath.score.toFixed(2)}`);
+      }
+    });
+  }
+
+  // Conflicts
+  if (results.conflicts && results.conflicts.length > 0) {
+    lines.push("\nDetected Conflicts:");
+    results.conflicts.forEach((conflict, index) => {
+      lines.push(`\n[${index + 1}] ${formatConflictSummary(conflict)}`);
+      lines.push(`Severity: ${conflict.severity || "Unknown"}`);
+      lines.push(`Type: ${conflict.type || "Unknown"}`);
+    });
+  }
+
+  // Reconciled paths
+  if (results.resolvedPaths && results.resolvedPaths.length > 0) {
+    lines.push("\nReconciled Reasoning Paths:");
+    results.resolvedPaths.forEach((resolvedPath, index) => {
+      lines.push(`\n[${index + 1}] Resolution Strategy: ${resolvedPath.resolutionStrategy || resolvedPath.strategy}`);
+      lines.push(`Action: ${resolvedPath.action}`);
+      lines.push(argumentSnippet(resolvedPath.argument));
+    });
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Describes a conflict in one line
+ * @param {Object} conflict - A detected conflict
+ * @returns {string} Summary of the frameworks and actions involved
+ */
+function formatConflictSummary(conflict) {
+  const frameworks = conflict.frameworks
+    ? conflict.frameworks.join(' vs ')
+    : [conflict.framework1, conflict.framework2].filter(Boolean).join(' vs ');
+  const actions = conflict.action
+    || [conflict.action1, conflict.action2].filter(Boolean).join(' vs ');
+
+  return `Conflict between ${frameworks || 'unknown frameworks'} on ${actions || 'unknown action'}`;
+}
+
+/**
+ * Writes command output in the requested format
+ * @param {Object} io - Output streams
+ * @param {Object} flags - Parsed flags
+ * @param {*} data - Data written as JSON when --format json is used
+ * @param {Function} formatText - Produces the text output
+ */
+function writeOutput(io, flags, data, formatText) {
+  if (flags.format === 'json') {
+    io.stdout.write(JSON.stringify(data, null, 2) + '\n');
+  } else {
+    io.stdout.write(formatText(data) + '\n');
+  }
+}
+
+async function analyzeCommand(positionals, flags, io) {
+  const results = await withRedirectedConsole(async () => {
+    const { analyzeDilemma } = require('../index');
+    const dilemma = loadDilemmaFile(positionals[0]);
+    const precedents = loadPrecedents(flags);
+    return analyzeDilemma(dilemma, precedents, { query: retrievalQuery(flags), strategy: flags.strategy });
+  }, flags.quiet);
+
+  writeOutput(io, flags, results, formatAnalysisText);
+  return EXIT_CODES.SUCCESS;
+}
+
+async function reportCommand(positionals, flags, io) {
+  const format = flags.format || 'markdown';
+  const results = await withRedirectedConsole(async () => {
+    const { analyzeDilemma } = require('../index');
+    const dilemma = loadDilemmaFile(positionals[0]);
+    const precedents = loadPrecedents(flags);
+    return analyzeDilemma(dilemma, precedents, { query: retrievalQuery(flags), strategy: flags.strategy });
+  }, flags.quiet);
+
+  const { generateReport } = require('./reportGenerator');
+  const report = generateReport(results, format);
+
+  if (flags.output) {
+    const outputPath = path.resolve(flags.output);
+    try {
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, report, 'utf8');
+    } catch (error) {
+      throw new InputError(`Could not write report to ${outputPath}: ${error.message}`);
+    }
+    io.stdout.write(`Report written to ${outputPath}\n`);
+  } else {
+    io.stdout.write(report);
+  }
+  return EXIT_CODES.SUCCESS;
+}
+
+async function precedentsCommand(positionals, flags, io) {
+  const [action, file] = positionals;
+
+  if (action === 'list') {
+    const { getProvenance, formatCitation } = require('./provenance');
+    const precedents = await withRedirectedConsole(async () => loadPrecedents(flags), flags.quiet);
+    const summary = precedents.map(p => ({
+      id: p.id || p.precedent_id,
+      title: p.title,
+      frameworks: p.frameworks || [],
+      reasoningPaths: (p.reasoning_paths || []).length,
+      authority: getProvenance(p).authority,
+      citation: formatCitation(p),
+      pack: p.pack || null,
+      tags: p.tags || []
+    }));
+
+    writeOutput(io, flags, summary, items => items
+      .map(p => `${p.id}\t${p.title} (${p.reasoningPaths} reasoning paths, authority: ${p.authority}${p.pack ? `, pack: ${p.pack}` : ''})`)
+      .join('\n'));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (action === 'search') {
+    const threshold = flags.threshold !== undefined ? flags.threshold : 0.3;
+
+    const { results, excluded } = await withRedirectedConsole(async () => {
+      const { retrieveWithExclusions } = require('./precedentRetrieval');
+      const dilemma = loadDilemmaFile(file);
+      const precedents = loadPrecedents(flags);
+      return retrieveWithExclusions(dilemma, precedents, retrievalQuery(flags, threshold));
+    }, flags.quiet);
+
+    writeOutput(io, flags, results, items => {
+      const lines = items.length === 0
+        ? [`No precedents found above similarity threshold ${threshold}.`]
+        : items.map((p, index) => [
+          `${index + 1}. ${p.title} (${p.id || p.precedent_id}) similarity: ${p.totalSimilarityScore.toFixed(2)}${p.overruled ? ' [overruled]' : ''}`,
+          ...formatSimilarityBreakdown(p.similarityBreakdown)
+        ].join('\n'));
+      if (excluded.length > 0) {
+        lines.push('Excluded:', ...excluded.map(p => `- ${p.title} (${p.precedent_id}): ${p.reason}`));
+      }
+      return lines.join('\n');
+    });
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (action === 'import') {
+    return importPrecedentsCommand(file, flags, io);
+  }
+
+  if (action === 'export') {
+    return exportPrecedentsCommand(flags, io);
+  }
+
+  if (action === 'dedup') {
+    return dedupPrecedentsCommand(flags, io);
+  }
+
+  if (action === 'taxonomy') {
+    const { DEFAULT_CLUSTER_THRESHOLD, buildTaxonomy, browseTaxonomy, formatTaxonomy } = require('./precedentTaxonomy');
+    const taxonomy = await withRedirectedConsole(async () => buildTaxonomy(loadPrecedents(flags), {
+      threshold: flags.threshold !== undefined ? flags.threshold : DEFAULT_CLUSTER_THRESHOLD,
+      linkage: flags.linkage,
+      profile: flags.profile
+    }), flags.quiet);
+
+    writeOutput(io, flags, flags.find !== undefined ? browseTaxonomy(taxonomy, flags.find) : taxonomy, formatTaxonomy);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (action === 'audit') {
+    const { DEFAULT_AUDIT_THRESHOLD, auditPrecedents, formatAuditReport } = require('./precedentAudit');
+    const report = await withRedirectedConsole(async () => auditPrecedents(loadPrecedents(flags), {
+      threshold: flags.threshold !== undefined ? flags.threshold : DEFAULT_AUDIT_THRESHOLD,
+      profile: flags.profile
+    }), flags.quiet);
+
+    writeOutput(io, flags, report, formatAuditReport);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  throw new UsageError(`Unknown precedents action: ${action || '(none)'}. Use "precedents search <file>", "precedents list", "precedents import <file>", "precedents export", "precedents dedup", "precedents taxonomy" or "precedents audit".`);
+}
+
+async function importPrecedentsCommand(file, flags, io) {
+  if (!file) {
+    throw new UsageError('A precedent file to import is required');
+  }
+
+  const { detectFormat, importPrecedents, applyImport, formatMergeReport } = require('./precedentIO');
+  const resolvedPath = path.resolve(file);
+  const format = flags['file-format'] || detectFormat(resolvedPath);
+  if (!format) {
+    throw new UsageError(`Cannot tell the format of ${resolvedPath}; use --file-format`);
+  }
+
+  const report = await withRedirectedConsole(async () => {
+    const repository = await openRepository(flags);
+    let result;
+    try {
+      result = importPrecedents(fs.readFileSync(resolvedPath, 'utf8'), {
+        format,
+        existing: await repository.list(),
+        onDuplicate: flags['on-duplicate']
+      });
+    } catch (error) {
+      throw new InputError(`Could not import ${resolvedPath}: ${error.message}`);
+    }
+
+    const mergeReport = { file: resolvedPath, dryRun: Boolean(flags['dry-run']), ...result.report };
+    if (!flags['dry-run']) {
+      mergeReport.applied = await applyImport(repository, result.precedents, {
+        author: flags.author,
+        message: `Imported from ${path.basename(resolvedPath)}`
+      });
+    }
+    return mergeReport;
+  }, flags.quiet);
+
+  writeOutput(io, flags, report, data => formatMergeReport(data) + (data.dryRun ? '\n\nDry run: the database was not changed.' : ''));
+  const failed = report.invalid.length > 0 || (report.applied && report.applied.failed.length > 0);
+  return failed ? EXIT_CODES.INPUT : EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Reads answers from the input stream, one line per question. Questions go to stderr so that
+ * stdout keeps the report.
+ * @param {Object} io - Streams ({ stdin, stderr }); stdin defaults to the process input
+ * @returns {Object} { ask(question) -> Promise<string>, close() }; at the end of the input every answer is empty
+ */
+function createPrompter(io) {
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: io.stdin || process.stdin, terminal: false });
+  const lines = rl[Symbol.asyncIterator]();
+
+  return {
+    async ask(question) {
+      io.stderr.write(question);
+      const { value, done } = await lines.next();
+      return done ? '' : value.trim();
+    },
+    close() {
+      rl.close();
+    }
+  };
+}
+
+/**
+ * Asks how to merge a cluster of duplicates
+ * @param {Object} cluster - The cluster from planDeduplication
+ * @param {Array} members - Its precedents
+ * @param {Object} prompter - From createPrompter
+ * @param {Object} io - Output streams
+ * @returns {Promise<Object|null>} The merge (see mergeDuplicates), or null to leave the cluster alone
+ */
+async function promptMerge(cluster, members, prompter, io) {
+  const { mergeDuplicates, getChoiceFields } = require('./precedentDedup');
+  const { getPrecedentId } = require('./precedentRepository');
+
+  io.stderr.write(`\nLikely duplicates (similarity ${cluster.similarity.toFixed(2)}):\n`);
+  members.forEach((precedent, index) => io.stderr.write(`  [${index + 1}] ${getPrecedentId(precedent)}: ${precedent.title}\n`));
+
+  const answer = await prompter.ask(`Keep which precedent? [1-${members.length}, s to skip] (1): `);
+  if (answer.toLowerCase() === 's') {
+    return null;
+  }
+  const primary = Number.isInteger(Number(answer)) && Number(answer) >= 1 && Number(answer) <= members.length ? Number(answer) - 1 : 0;
+
+  const choices = {};
+  for (const difference of getChoiceFields(cluster.differences)) {
+    io.stderr.write(`${difference.field}:\n`);
+    difference.values.forEach((entry, index) => io.stderr.write(`  [${index + 1}] ${JSON.stringify(entry.value)}\n`));
+    const choice = Number(await prompter.ask(`Keep which value? [1-${members.length}] (${primary + 1}): `));
+    if (Number.isInteger(choice) && choice >= 1 && choice <= members.length) {
+      choices[difference.field] = difference.values[choice - 1].precedent_id;
+    }
+  }
+
+  return mergeDuplicates(members, { primary, choices });
+}
+
+async function dedupPrecedentsCommand(flags, io) {
+  const { DEFAULT_DUPLICATE_THRESHOLD, planDeduplication, applyMerges, formatDedupReport } = require('./precedentDedup');
+  const { getPrecedentId } = require('./precedentRepository');
+  const interactive = flags.merge === 'interactive';
+
+  const report = await withRedirectedConsole(async () => {
+    const repository = await openRepository(flags);
+    const precedents = await repository.list();
+    const plan = planDeduplication(precedents, {
+      threshold: flags.threshold !== undefined ? flags.threshold : DEFAULT_DUPLICATE_THRESHOLD,
+      profile: flags.profile,
+      policy: interactive ? undefined : flags.merge
+    });
+
+    if (interactive && plan.clusters.length > 0) {
+      const byId = new Map(precedents.map(precedent => [getPrecedentId(precedent), precedent]));
+      const prompter = createPrompter(io);
+      try {
+        for (const cluster of plan.clusters) {
+          const merge = await promptMerge(cluster, cluster.ids.map(id => byId.get(id)), prompter, io);
+          if (merge) cluster.merge = merge;
+        }
+      } finally {
+        prompter.close();
+      }
+      plan.policy = 'interactive';
+    }
+
+    plan.dryRun = Boolean(flags['dry-run']);
+    const merges = plan.clusters.map(cluster => cluster.merge).filter(Boolean);
+    if (merges.length > 0 && !plan.dryRun) {
+      plan.applied = await applyMerges(repository, merges, { author: flags.author });
+    }
+    return plan;
+  }, flags.quiet);
+
+  writeOutput(io, flags, report, data => formatDedupReport(data) + (data.dryRun ? '\n\nDry run: the database was not changed.' : ''));
+  return report.applied && report.applied.failed.length > 0 ? EXIT_CODES.ERROR : EXIT_CODES.SUCCESS;
+}
+
+async function exportPrecedentsCommand(flags, io) {
+  const { detectFormat, formatPrecedents } = require('./precedentIO');
+  const format = flags['file-format'] || (flags.output && detectFormat(flags.output)) || 'json';
+
+  const precedents = await withRedirectedConsole(async () => {
+    if (flags.db !== undefined && isSqlitePath(flags.db)) {
+      return (await openRepository(flags)).list();
+    }
+    const { DEFAULT_DATABASE_PATH } = require('./precedentRepository');
+    const resolvedPath = flags.db !== undefined ? path.resolve(flags.db) : DEFAULT_DATABASE_PATH;
+    try {
+      return readPrecedentFile(resolvedPath);
+    } catch (error) {
+      throw new InputError(`Could not read precedent database ${resolvedPath}: ${error.message}`);
+    }
+  }, flags.quiet);
+
+  const contents = formatPrecedents(precedents, format);
+  if (flags.output) {
+    const outputPath = path.resolve(flags.output);
+    try {
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, contents, 'utf8');
+    } catch (error) {
+      throw new InputError(`Could not write ${outputPath}: ${error.message}`);
+    }
+    io.stdout.write(`Exported ${precedents.length} precedent(s) to ${outputPath}\n`);
+  } else {
+    io.stdout.write(contents);
+  }
+  return EXIT_CODES.SUCCESS;
+}
+
+async function packsCommand(positionals, flags, io) {
+  if (positionals[0] !== 'list') {
+    throw new UsageError(`Unknown packs action: ${positionals[0] || '(none)'}. Use "packs list".`);
+  }
+
+  const packs = await withRedirectedConsole(async () => {
+    const { discoverPacks } = require('./precedentPacks');
+    return discoverPacks().map(({ manifest, ...pack }) => pack);
+  }, flags.quiet);
+
+  writeOutput(io, flags, packs, items => {
+    if (items.length === 0) {
+      return 'No precedent packs installed.';
+    }
+    return items
+      .map(pack => `${pack.name}${pack.version ? `@${pack.version}` : ''}\t${pack.description}${pack.tags.length > 0 ? ` (tags: ${pack.tags.join(', ')})` : ''}`)
+      .join('\n');
+  });
+  return EXIT_CODES.SUCCESS;
+}
+
+async function frameworksCommand(positionals, flags, io) {
+  if (positionals[0] === 'migrate') {
+    return migrateFrameworksCommand(positionals.slice(1), flags, io);
+  }
+  if (positionals[0] !== 'list') {
+    throw new UsageError(`Unknown frameworks action: ${positionals[0] || '(none)'}. Use "frameworks list" or "frameworks migrate".`);
+  }
+
+  const frameworks = await withRedirectedConsole(async () => {
+    const { getAllFrameworks } = require('./frameworkRegistry');
+    return getAllFrameworks().map(framework => framework.toJSON());
+  }, flags.quiet);
+
+  writeOutput(io, flags, frameworks, items => items
+    .map(f => `${f.id}\t${f.name}${f.aliases.length > 0 ? ` (aliases: ${f.aliases.join(', ')})` : ''}`)
+    .join('\n'));
+  return EXIT_CODES.SUCCESS;
+}
+
+async function migrateFrameworksCommand(files, flags, io) {
+  const { createFrameworkResolver, migrateDocument, formatMigrationReport } = require('./frameworkMigration');
+  const { FilePrecedentRepository, getPrecedentId } = require('./precedentRepository');
+  const { writeFileAtomic } = require('./utils');
+  const dryRun = Boolean(flags['dry-run']);
+  const documentId = (document, index) => getPrecedentId(document) || document.title || `#${index + 1}`;
+  const needsReport = result => result.changes.length > 0 || result.unresolved.length > 0;
+
+  // Precedent databases are migrated through a repository, so every change gets a revision
+  const migrateRepository = async (repository, resolve) => {
+    const precedents = await repository.list();
+    const documents = [];
+    for (const [index, precedent] of precedents.entries()) {
+      const result = migrateDocument(precedent, resolve);
+      if (!needsReport(result)) continue;
+
+      const entry = { id: documentId(precedent, index), changes: result.changes, unresolved: result.unresolved };
+      // The title and position only label the report; the repository is updated by the precedent's own id
+      const repositoryId = getPrecedentId(precedent);
+      if (!dryRun && result.changes.length > 0) {
+        if (!repositoryId) {
+          entry.error = 'the precedent has no precedent_id, so it cannot be updated';
+        } else {
+          try {
+            await repository.update(repositoryId, result.document, { author: flags.author, message: 'Canonicalized framework names' });
+          } catch (error) {
+            entry.error = error.message;
+          }
+        }
+      }
+      documents.push(entry);
+    }
+    return { documents, written: !dryRun && documents.some(d => d.changes.length > 0 && !d.error) };
+  };
+
+  const report = await withRedirectedConsole(async () => {
+    const resolve = createFrameworkResolver();
+    const sources = [];
+
+    if (files.length === 0) {
+      const migrated = await migrateRepository(await openRepository(flags), resolve);
+      sources.push({ source: flags.db !== undefined ? path.resolve(flags.db) : 'precedent database', ...migrated });
+      return { dryRun, sources };
+    }
+
+    // Files holding an array are precedent databases, with their history next to them; other files are dilemmas
+    for (const file of files) {
+      const resolvedPath = path.resolve(file);
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+      } catch (error) {
+        throw new InputError(`Could not read ${resolvedPath}: ${error.message}`);
+      }
+
+      if (Array.isArray(data)) {
+        sources.push({ source: resolvedPath, ...await migrateRepository(new FilePrecedentRepository(resolvedPath), resolve) });
+        continue;
+      }
+
+      const result = migrateDocument(data, resolve);
+      const written = result.changes.length > 0 && !dryRun;
+      if (written) {
+        writeFileAtomic(resolvedPath, JSON.stringify(result.document, null, 2) + '\n');
+      }
+      sources.push({
+        source: resolvedPath,
+        documents: needsReport(result) ? [{ id: documentId(result.document, 0), changes: result.changes, unresolved: result.unresolved }] : [],
+        written
+      });
+    }
+    return { dryRun, sources };
+  }, flags.quiet);
+
+  writeOutput(io, flags, report, formatMigrationReport);
+  return report.sources.some(source => source.documents.some(document => document.error)) ? EXIT_CODES.ERROR : EXIT_CODES.SUCCESS;
+}
+
+async function profilesCommand(positionals, flags, io) {
+  const [action, file] = positionals;
+
+  if (action === 'list') {
+    const profiles = await withRedirectedConsole(async () => {
+      const { getSimilarityProfiles } = require('./similarityProfiles');
+      return Array.from(getSimilarityProfiles().values());
+    }, flags.quiet);
+
+    writeOutput(io, flags, profiles, items => items
+      .map(profile => `${profile.name}\t${profile.description}`)
+      .join('\n'));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (action === 'train') {
+    return trainProfileCommand(file, flags, io);
+  }
+
+  throw new UsageError(`Unknown profiles action: ${action || '(none)'}. Use "profiles list" or "profiles train <file>".`);
+}
+
+async function trainProfileCommand(file, flags, io) {
+  if (!file) {
+    throw new UsageError('A file of labelled pairs is required');
+  }
+
+  const { PROFILES_DIRECTORY, DEFAULT_PROFILE_NAME, getSimilarityProfiles } = require('./similarityProfiles');
+  const name = flags.name || 'learned';
+  if (name === DEFAULT_PROFILE_NAME) {
+    throw new UsageError(`--name cannot be "${DEFAULT_PROFILE_NAME}"`);
+  }
+  if (!flags.output && !flags['dry-run'] && getSimilarityProfiles().has(name)) {
+    throw new UsageError(`A similarity profile named "${name}" already exists; choose another --name or an --output path`);
+  }
+
+  const { detectFormat } = require('./precedentIO');
+  const resolvedPath = path.resolve(file);
+  const format = flags['file-format'] || detectFormat(resolvedPath) || 'json';
+
+  const result = await withRedirectedConsole(async () => {
+    const { parseLabelledPairs, trainSimilarityProfile } = require('./weightLearning');
+    let pairs;
+    try {
+      pairs = parseLabelledPairs(fs.readFileSync(resolvedPath, 'utf8'), format);
+    } catch (error) {
+      throw new InputError(`Could not read labelled pairs from ${resolvedPath}: ${error.message}`);
+    }
+    const precedents = loadPrecedents(flags);
+    try {
+      return await trainSimilarityProfile(pairs, { precedents, name, holdout: flags.holdout });
+    } catch (error) {
+      throw new InputError(`Could not train on ${resolvedPath}: ${error.message}`);
+    }
+  }, flags.quiet);
+
+  const outputPath = path.resolve(flags.output || path.join(PROFILES_DIRECTORY, `${name}.json`));
+  if (!flags['dry-run']) {
+    try {
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, JSON.stringify(result.profile, null, 2) + '\n', 'utf8');
+    } catch (error) {
+      throw new InputError(`Could not write ${outputPath}: ${error.message}`);
+    }
+  }
+
+  const output = { ...result, file: flags['dry-run'] ? null : outputPath };
+  const { formatTrainingReport } = require('./weightLearning');
+  writeOutput(io, flags, output, data => formatTrainingReport(data.report) +
+    (data.file ? `\n\nSaved the profile to ${data.file}` : '\n\nDry run: the profile was not saved.'));
+  return EXIT_CODES.SUCCESS;
+}
+
+async function conflictsCommand(positionals, flags, io) {
+  const result = await withRedirectedConsole(async () => {
+    const { generateReasoningPaths } = require('./reasoningPath');
+    const { detectAllConflicts } = require('./conflictDetection');
+    const { resolveConflicts } = require('./conflictResolution');
+    const dilemma = loadDilemmaFile(positionals[0]);
+    const precedents = loadPrecedents(flags);
+    const generated = await generateReasoningPaths(dilemma, precedents, { query: retrievalQuery(flags) });
+    const reasoningPaths = generated.reasoningPaths || [];
+    const conflicts = detectAllConflicts(reasoningPaths, dilemma, generated.granularElements || []);
+    const resolved = resolveConflicts(reasoningPaths, conflicts.all, dilemma, [], { strategy: flags.strategy });
+
+    return {
+      dilemma: dilemma.title,
+      reasoningPaths: reasoningPaths.length,
+      conflicts,
+      resolutions: (resolved && resolved.resolutions) || []
+    };
+  }, flags.quiet);
+
+  writeOutput(io, flags, result, data => {
+    const lines = [`Dilemma: ${data.dilemma}`, `Reasoning paths: ${data.reasoningPaths}`, `Conflicts detected: ${data.conflicts.all.length}`];
+    data.conflicts.all.forEach((conflict, index) => {
+      lines.push(`[${index + 1}] ${formatConflictSummary(conflict)} (type: ${conflict.type || 'unknown'}, severity: ${conflict.severity || 'unknown'})`);
+    });
+    lines.push(`Resolutions: ${data.resolutions.length}`);
+    data.resolutions.forEach((resolution, index) => {
+      lines.push(`[${index + 1}] ${resolution.framework} → ${resolution.action} (${resolution.resolutionStrategy})`);
+    });
+    return lines.join('\n');
+  });
+  return EXIT_CODES.SUCCESS;
+}
+
+async function validateCommand(positionals, flags, io) {
+  const filePath = positionals[0];
+  if (!filePath) {
+    throw new UsageError('A JSON file to validate is required');
+  }
+
+  const resolvedPath = path.resolve(filePath);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new InputError(`Could not read ${resolvedPath}: ${error.message}`);
+  }
+
+  const { validate, validatePrecedentDatabase, formatIssues } = require('./schemaValidator');
+  const schema = flags.schema || (Array.isArray(data) ? 'precedent-database' : 'dilemma');
+  const report = schema === 'precedent-database' ? validatePrecedentDatabase(data) : validate(data, schema);
+  const result = { file: resolvedPath, schema, valid: report.valid, errors: report.errors, warnings: report.warnings };
+
+  writeOutput(io, flags, result, data => [
+    `${data.file}: ${data.valid ? 'valid' : 'invalid'} ${data.schema}`,
+    ...formatIssues(data.errors).map(line => `error   ${line}`),
+    ...formatIssues(data.warnings).map(line => `warning ${line}`)
+  ].join('\n'));
+  return report.valid ? EXIT_CODES.SUCCESS : EXIT_CODES.INPUT;
+}
+
+async function diagnoseCommand(positionals, flags, io) {
+  const diagnostics = await withRedirectedConsole(async () => require('./frameworkDiagnostics'), flags.quiet);
+
+  if (flags.format === 'json') {
+    const report = await withRedirectedConsole(async () => diagnostics.generateFrameworkReport(false), flags.quiet);
+    writeOutput(io, flags, report);
+  } else {
+    const report = await withRedirectedConsole(async () => diagnostics.generateHumanReadableReport(), flags.quiet);
+    io.stdout.write(report);
+  }
+  return EXIT_CODES.SUCCESS;
+}
+
+async function serveCommand(positionals, flags) {
+  const precedents = await withRedirectedConsole(async () => loadPrecedents(flags), flags.quiet);
+  const { startServer } = require('./server');
+  await startServer({ port: flags.port, host: flags.host, precedents });
+  return EXIT_CODES.SUCCESS;
+}
+
+const COMMANDS = {
+  analyze: analyzeCommand,
+  report: reportCommand,
+  precedents: precedentsCommand,
+  packs: packsCommand,
+  frameworks: frameworksCommand,
+  profiles: profilesCommand,
+  conflicts: conflictsCommand,
+  validate: validateCommand,
+  diagnose: diagnoseCommand,
+  serve: serveCommand
+};
+
+/**
+ * Runs a non-interactive CLI command
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} [io] - Output streams ({ stdout, stderr }), defaults to the process streams
+ * @returns {Promise<number>} The process exit code
+ */
+async function runCommand(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  try {
+    const { positionals, flags } = parseArgs(argv);
+    const [command, ...rest] = positionals;
+
+    if (flags.help || command === 'help' || !command) {
+      io.stdout.write(USAGE);
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const handler = COMMANDS[command];
+    if (!handler) {
+      throw new UsageError(`Unknown command: ${command}`);
+    }
+
+    validateFlags(flags, command);
+    configureSemanticProvider(flags);
+    configureCache(flags);
+    const exitCode = await handler(rest, flags, io);
+    if (flags['cache-file'] !== undefined) {
+      require('./similarity').saveSimilarityCache();
+    }
+    return exitCode;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      io.stderr.write(`Error: ${error.message}\n\n${USAGE}`);
+      return EXIT_CODES.USAGE;
+    }
+    if (error instanceof InputError) {
+      io.stderr.write(`Error: ${error.message}\n`);
+      return EXIT_CODES.INPUT;
+    }
+    io.stderr.write(`Error: ${error.message}\n`);
+    return EXIT_CODES.ERROR;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseArgs,
+  runCommand,
+  formatAnalysisText,
+  UsageError,
+  InputError
+};
@@ -0,0 +1,253 @@
+/**
+ * Concept Lexicon
+ *
+ * Maps the many ways dilemmas phrase the same idea onto shared ethical concepts, so that
+ * "do nothing", "dont_pull" and "refrain" all express omission, and "patient" and "victim" both
+ * name the beneficiary of a decision. String similarity, key term extraction and granular
+ * element relevance use it to match equivalents that share no words.
+ *
+ * The lexicon is read from the JSON and YAML files in config/concept-lexicon/. Each file maps
+ * concept ids to their surface terms:
+ *
+ *   {
+ *     "omission": { "description": "Letting events take their course", "terms": ["do nothing", "refrain", "dont pull"] }
+ *   }
+ *
+ * Files are merged, so a file can add terms to a concept of another file. Terms are matched as
+ * whole words after lower-casing, treating underscores and hyphens as spaces and stemming each
+ * word ("kills" matches "kill", "dont_pull" matches "dont pull").
+ *
+ * A file can give the terms of another language with "$language" (see language.js):
+ *
+ *   { "$language": "es", "omission": { "terms": ["no hacer nada", "abstenerse"] } }
+ *
+ * Its terms are stemmed with that language's stemmer and matched in texts of that language, so a
+ * Spanish and an English text expressing the same concepts are similar even though they share no
+ * words. Texts of unknown language are matched against every language.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { DEFAULT_LANGUAGE, resolveLanguage, stem, detectLanguage } = require('./language');
+
+const LEXICON_DIRECTORY = path.join(__dirname, '..', 'config', 'concept-lexicon');
+
+const LEXICON_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Loaded lexicons by directory
+const lexiconCache = new Map();
+
+/**
+ * Splits text into stemmed words
+ * @param {string} text - The text
+ * @param {string} [language] - Language code of the stemmer (default: English)
+ * @returns {Array<string>} The stemmed words
+ */
+function stemWords(text, language = DEFAULT_LANGUAGE) {
+  return splitWords(text).map(word => stem(word, language));
+}
+
+/**
+ * Splits text into lower-cased words, dropping apostrophes ("don't" is "dont")
+ * @param {string} text - The text
+ * @returns {Array<string>} The words
+ */
+function splitWords(text) {
+  if (typeof text !== 'string') return [];
+  return text.toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+class ConceptLexicon {
+  constructor() {
+    this.concepts = new Map();   // id -> { id, description, terms }
+    this.patterns = new Map();   // language -> first stemmed word -> [{ words, concept, term }]
+    this.version = 0;
+  }
+
+  /**
+   * Adds concepts, or terms to existing concepts
+   * @param {Object} definitions - Map of concept id to { description, terms }; "$language" sets
+   *   the language of the terms (default: English)
+   * @returns {Array<string>} Problems with the definitions (those entries are skipped)
+   */
+  addConcepts(definitions) {
+    const issues = [];
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+      return ['the lexicon must map concept ids to { description, terms }'];
+    }
+
+    const language = definitions.$language === undefined ? DEFAULT_LANGUAGE : resolveLanguage(definitions.$language);
+    if (!language) {
+      return [`$language ${JSON.stringify(definitions.$language)} is not a configured language`];
+    }
+    if (!this.patterns.has(language)) this.patterns.set(language, new Map());
+    const patterns = this.patterns.get(language);
+
+    for (const [id, definition] of Object.entries(definitions)) {
+      if (id === '$language') continue;
+      const terms = definition && definition.terms;
+      if (!Array.isArray(terms) || !terms.every(term => typeof term === 'string' && term.trim())) {
+        issues.push(`${id}.terms must be a list of non-empty strings`);
+        continue;
+      }
+
+      const concept = this.concepts.get(id) || { id, description: '', terms: [] };
+      if (definition.description) concept.description = definition.description;
+      for (const term of terms) {
+        const words = stemWords(term, language);
+        const first = patterns.get(words[0]) || [];
+        if (first.some(pattern => pattern.concept === id && pattern.term === term)) continue;
+        if (!concept.terms.includes(term)) concept.terms.push(term);
+        patterns.set(words[0], [...first, { words, concept: id, term }]);
+      }
+      this.concepts.set(id, concept);
+    }
+
+    this.version++;
+    return issues;
+  }
+
+  /**
+   * Finds the concepts a text expresses. The longest term wins where terms overlap, so
+   * "dont pull" is an omission and not also the intervention "pull".
+   * @param {string} text - The text (action ids such as "dont_pull" are accepted)
+   * @param {string} [language] - Language of the text; when not given it is detected, and a text
+   *   too short to tell is matched against every language of the lexicon
+   * @returns {Array<Object>} { concept, term } for each concept found, in order of first appearance
+   */
+  findConcepts(text, language) {
+    const words = splitWords(text);
+    const textLanguage = resolveLanguage(language) || detectLanguage(text);
+    const languages = this.patterns.has(textLanguage) ? [textLanguage] : Array.from(this.patterns.keys());
+    const found = new Map();   // concept -> { concept, term, position }
+
+    for (const code of languages) {
+      const patterns = this.patterns.get(code);
+      const stems = words.map(word => stem(word, code));
+
+      let start = 0;
+      while (start < stems.length) {
+        let longest = [];
+        for (const pattern of patterns.get(stems[start]) || []) {
+          const matches = pattern.words.every((patternWord, offset) => stems[start + offset] === patternWord);
+          if (!matches || (longest.length > 0 && pattern.words.length < longest[0].words.length)) continue;
+          longest = longest.length > 0 && pattern.words.length === longest[0].words.length ? [...longest, pattern] : [pattern];
+        }
+
+        for (const pattern of longest) {
+          const previous = found.get(pattern.concept);
+          if (!previous || previous.position > start) {
+            found.set(pattern.concept, { concept: pattern.concept, term: pattern.term, position: start });
+          }
+        }
+        start += longest.length > 0 ? longest[0].words.length : 1;
+      }
+    }
+
+    return Array.from(found.values())
+      .sort((a, b) => a.position - b.position)
+      .map(({ concept, term }) => ({ concept, term }));
+  }
+
+  /**
+   * Returns the concept ids a text expresses
+   * @param {string} text - The text
+   * @param {string} [language] - Language of the text (see findConcepts)
+   * @returns {Set<string>} The concept ids
+   */
+  conceptsOf(text, language) {
+    return new Set(this.findConcepts(text, language).map(match => match.concept));
+  }
+
+  /**
+   * Compares two texts by the concepts they express (Jaccard similarity of the concept sets)
+   * @param {string} text1 - First text
+   * @param {string} text2 - Second text
+   * @returns {number|null} Similarity between 0 and 1, or null if either text expresses no concept
+   */
+  conceptSimilarity(text1, text2) {
+    const concepts1 = this.conceptsOf(text1);
+    const concepts2 = this.conceptsOf(text2);
+    if (concepts1.size === 0 || concepts2.size === 0) return null;
+
+    let shared = 0;
+    concepts1.forEach(concept => { if (concepts2.has(concept)) shared++; });
+    return shared / (concepts1.size + concepts2.size - shared);
+  }
+}
+
+/**
+ * Loads the lexicon files of a directory. Invalid files and entries are skipped with a warning.
+ * @param {string} [directory] - Lexicon directory (default: config/concept-lexicon)
+ * @returns {ConceptLexicon} The lexicon
+ */
+function loadConceptLexicon(directory = LEXICON_DIRECTORY) {
+  const lexicon = new ConceptLexicon();
+  if (!fs.existsSync(directory)) {
+    return lexicon;
+  }
+
+  const files = fs.readdirSync(directory)
+    .filter(file => LEXICON_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort();
+
+  for (const file of files) {
+    try {
+      const text = fs.readFileSync(path.join(directory, file), 'utf8');
+      const definitions = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+      const issues = lexicon.addConcepts(definitions);
+      if (issues.length > 0) {
+        console.warn(`Concept lexicon ${file}: skipped ${issues.join('; ')}`);
+      }
+    } catch (error) {
+      console.warn(`Skipping concept lexicon ${file}: ${error.message}`);
+    }
+  }
+
+  return lexicon;
+}
+
+/**
+ * Returns the lexicon of a directory, loading it on first use
+ * @param {string} [directory] - Lexicon directory (default: config/concept-lexicon)
+ * @returns {ConceptLexicon} The lexicon
+ */
+function getConceptLexicon(directory = LEXICON_DIRECTORY) {
+  if (!lexiconCache.has(directory)) {
+    lexiconCache.set(directory, loadConceptLexicon(directory));
+  }
+  return lexiconCache.get(directory);
+}
+
+/**
+ * Finds the concepts a text expresses with the default lexicon
+ * @param {string} text - The text
+ * @param {string} [language] - Language of the text (see ConceptLexicon.findConcepts)
+ * @returns {Array<Object>} { concept, term } for each concept found
+ */
+function findConcepts(text, language) {
+  return getConceptLexicon().findConcepts(text, language);
+}
+
+/**
+ * Compares two texts by their concepts with the default lexicon
+ * @param {string} text1 - First text
+ * @param {string} text2 - Second text
+ * @returns {number|null} Similarity between 0 and 1, or null if either text expresses no concept
+ */
+function conceptSimilarity(text1, text2) {
+  return getConceptLexicon().conceptSimilarity(text1, text2);
+}
+
+module.exports = {
+  LEXICON_DIRECTORY,
+  ConceptLexicon,
+  loadConceptLexicon,
+  getConceptLexicon,
+  findConcepts,
+  conceptSimilarity
+};
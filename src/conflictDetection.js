@@ -1,5 +1,7 @@
 // conflictDetection.js - Consolidated conflict detection functionality
 
+const { DEFAULT_LANGUAGE, getLanguage, detectLanguage } = require('./language');
+
 /**
  * Detects conflicts between reasoning paths
  * @param {Array} reasoningPaths - Array of reasoning paths
@@ -811,26 +813,22 @@ function extractSecondaryPriority(path) {
 /**
  * Extracts values mentioned in the argument text
  * @param {string} text - Argument text to analyze
- * @returns {Array} Array of values mentioned in the text
+ * @param {string} [language] - Language of the text (detected when not given, else English)
+ * @returns {Array} Array of values mentioned in the text, by their shared value names
+ *   ("vida" in a Spanish argument is the value "life")
  */
-function extractValues(text) {
+function extractValues(text, language) {
     if (!text) return [];
     
-    // Common ethical values to look for
-    const commonValues = [
-        "life", "lives", "autonomy", "rights", "welfare", "justice", "fairness", 
-        "equality", "freedom", "liberty", "privacy", "dignity", "responsibility",
-        "care", "compassion", "integrity", "honesty", "transparency", "duty",
-        "virtue", "character", "community", "respect", "trust", "consent",
-        "security", "safety", "efficiency", "benefit", "harm", "utility"
-    ];
+    // Ethical values to look for, from the vocabulary of the text's language
+    const { values: valueTerms } = getLanguage(language || detectLanguage(text) || DEFAULT_LANGUAGE);
     
     // Extract values based on common ethical vocabulary
     const values = [];
     const lowerText = text.toLowerCase();
     
-    for (const value of commonValues) {
-        if (lowerText.includes(value.toLowerCase())) {
+    for (const [value, terms] of Object.entries(valueTerms)) {
+        if (terms.some(term => lowerText.includes(term.toLowerCase()))) {
             values.push(value);
         }
     }
@@ -5,6 +5,7 @@
 
 const { highlightChanges, deepClone, calculateStringSimilarity } = require('./utils');
 const { extractPriorities } = require('./conflictDetection');
+const { getDilemmaParameters, getDilemmaContext, getActionDescription } = require('./dilemmaNormalizer');
 
 /**
  * Finds a framework by name or ID in reasoning paths
@@ -924,8 +925,8 @@ function generateBalancedConclusion(framework1, framework2, dilemma, conflict) {
     
     // Extract specific actions from the dilemma if available
     let actionDescription = action.replace(/_/g, ' ');
-    if (dilemma.actions && dilemma.actions[action] && dilemma.actions[action].description) {
-        actionDescription = dilemma.actions[action].description;
+    if (getActionDescription(dilemma, action)) {
+        actionDescription = getActionDescription(dilemma, action);
     }
     
     // List of potential balanced resolution patterns
@@ -943,9 +944,10 @@ function generateBalancedConclusion(framework1, framework2, dilemma, conflict) {
     let recommendations = "Specific recommendations include:";
     
     // Add recommendations based on any parameters in the dilemma
-    if (dilemma.parameters) {
-        for (const key in dilemma.parameters) {
-            if (dilemma.parameters.hasOwnProperty(key) && (key.includes('level') || key.includes('impact') || key.includes('risk'))) {
+    const parameters = getDilemmaParameters(dilemma);
+    if (Object.keys(parameters).length > 0) {
+        for (const key in parameters) {
+            if (parameters.hasOwnProperty(key) && (key.includes('level') || key.includes('impact') || key.includes('risk'))) {
                 recommendations += `\n- Implement controls to manage ${key.replace(/_/g, ' ')}`;
             }
         }
@@ -1055,16 +1057,18 @@ In the specific context of this dilemma (${dilemmaDescription}), several factors
 
     // Extract and analyze context-specific factors
     let contextFactors = [];
-    if (dilemma.context) {
-        contextFactors.push(`- The context of ${dilemma.context} creates unique ethical considerations`);
+    const dilemmaContext = getDilemmaContext(dilemma);
+    if (dilemmaContext) {
+        contextFactors.push(`- The context of ${dilemmaContext} creates unique ethical considerations`);
     }
     
-    if (dilemma.parameters) {
+    const parameters = getDilemmaParameters(dilemma);
+    if (Object.keys(parameters).length > 0) {
         balancedResolution += "The following parameters significantly influence how we should balance these competing considerations:\n\n";
         
-        for (const param in dilemma.parameters) {
-            if (dilemma.parameters.hasOwnProperty(param)) {
-                const paramObj = dilemma.parameters[param];
+        for (const param in parameters) {
+            if (parameters.hasOwnProperty(param)) {
+                const paramObj = parameters[param];
                 const paramValue = paramObj.value !== undefined ? paramObj.value : paramObj;
                 const paramDescription = paramObj.description || param.replace(/_/g, ' ');
                 
@@ -1164,7 +1168,7 @@ function generateFrameworkPreservation(framework) {
  * @returns {boolean} Whether the parameter exists
  */
 function hasParameter(dilemma, paramName) {
-    return dilemma && dilemma.parameters && dilemma.parameters[paramName] !== undefined;
+    return getDilemmaParameters(dilemma)[paramName] !== undefined;
 }
 
 /**
@@ -1178,8 +1182,8 @@ function getParameterValue(dilemma, paramName) {
         return null;
     }
     
-    const param = dilemma.parameters[paramName];
-    return param.value !== undefined ? param.value : param;
+    const param = getDilemmaParameters(dilemma)[paramName];
+    return param !== null && typeof param === 'object' && param.value !== undefined ? param.value : param;
 }
 
 /**
@@ -1694,18 +1698,19 @@ function extractContextualFactors(dilemma) {
     }
     
     // Add specific context if available
-    if (dilemma.context) {
+    if (getDilemmaContext(dilemma)) {
         factors.push({
             name: "Specific Setting",
-            description: dilemma.context
+            description: getDilemmaContext(dilemma)
         });
     }
     
     // Add parameters as factors
-    if (dilemma.parameters) {
-        for (const key in dilemma.parameters) {
-            if (dilemma.parameters.hasOwnProperty(key)) {
-                const param = dilemma.parameters[key];
+    const parameters = getDilemmaParameters(dilemma);
+    if (Object.keys(parameters).length > 0) {
+        for (const key in parameters) {
+            if (parameters.hasOwnProperty(key)) {
+                const param = parameters[key];
                 let description;
                 
                 if (typeof param === 'object') {
@@ -1756,7 +1761,7 @@ function buildDecisionFramework(framework1, framework2, dilemma) {
         
         secondPerspective: extractFirstParagraph(framework2.argument) || `This perspective emphasizes ${getPriorityValue(priority2)}.`,
         
-        contextFactors: `The specific context of this dilemma (${dilemma.context || dilemma.description || "as described"}) must inform how these ethical perspectives are applied.`,
+        contextFactors: `The specific context of this dilemma (${getDilemmaContext(dilemma) || dilemma.description || "as described"}) must inform how these ethical perspectives are applied.`,
         
         situatedDecision: `A decision should be made based on careful consideration of both frameworks, with special attention to which values are most critical in this specific context.`
     };
@@ -2259,15 +2264,16 @@ function formatContextualConsiderations(dilemma) {
     if (dilemma.description) {
         parts.push("Description: " + dilemma.description);
     }
-    if (dilemma.parameters) {
+    if (dilemma.parameters || (dilemma.situation && dilemma.situation.parameters)) {
         if (Array.isArray(dilemma.parameters)) {
             const params = dilemma.parameters.map(p => p.name ? `${p.name}: ${p.value}` : p.value).join(", ");
             parts.push("Parameters: " + params);
-        } else if (typeof dilemma.parameters === "object") {
+        } else {
             let paramArr = [];
-            for (const key in dilemma.parameters) {
-                if (dilemma.parameters.hasOwnProperty(key)) {
-                    const param = dilemma.parameters[key];
+            const parameters = getDilemmaParameters(dilemma);
+            for (const key in parameters) {
+                if (parameters.hasOwnProperty(key)) {
+                    const param = parameters[key];
                     const value = (typeof param === 'object' && param.value !== undefined) ? param.value : param;
                     paramArr.push(`${key}: ${value}`);
                 }
@@ -2275,8 +2281,8 @@ function formatContextualConsiderations(dilemma) {
             parts.push("Parameters: " + paramArr.join(", "));
         }
     }
-    if (dilemma.context) {
-        parts.push("Context: " + dilemma.context);
+    if (getDilemmaContext(dilemma)) {
+        parts.push("Context: " + getDilemmaContext(dilemma));
     }
     return parts.join("\n");
 }
@@ -2909,11 +2915,12 @@ function analyzeEthicalTradeoffs(claims1, claims2, framework1, framework2, dilem
     
     // Identify contextual factors that influence the trade-offs
     const contextualFactors = [];
-    if (dilemma.parameters) {
-        for (const param in dilemma.parameters) {
-            if (dilemma.parameters.hasOwnProperty(param)) {
+    const parameters = getDilemmaParameters(dilemma);
+    if (Object.keys(parameters).length > 0) {
+        for (const param in parameters) {
+            if (parameters.hasOwnProperty(param)) {
                 const paramValue = getParameterValue(dilemma, param);
-                const paramDescription = dilemma.parameters[param].description || param;
+                const paramDescription = (parameters[param] && parameters[param].description) || param;
                 
                 // Determine which framework's claims this parameter supports
                 const framework1Alignment = calculateParameterAlignment(param, paramValue, framework1);
@@ -3063,9 +3070,10 @@ function calculateContextualWeight(value, dilemma) {
     let weight = 5.0; // Base weight
     
     // Adjust weight based on dilemma parameters
-    if (dilemma.parameters) {
-        for (const param in dilemma.parameters) {
-            if (dilemma.parameters.hasOwnProperty(param)) {
+    const parameters = getDilemmaParameters(dilemma);
+    if (Object.keys(parameters).length > 0) {
+        for (const param in parameters) {
+            if (parameters.hasOwnProperty(param)) {
                 const paramValue = getParameterValue(dilemma, param);
                 
                 // Increase weight for relevant parameters
@@ -3488,9 +3496,10 @@ function determineActionApproach(action, dilemma, tradeoffAnalysis) {
  * Gets a dilemma factor value by searching for parameter keys containing the term.
  */
 function getDilemmaFactor(dilemma, term) {
-    if (!dilemma.parameters) return 0.5; // Default midpoint
+    const parameters = getDilemmaParameters(dilemma);
+    if (Object.keys(parameters).length === 0) return 0.5; // Default midpoint
     
-    for (const key in dilemma.parameters) {
+    for (const key in parameters) {
         if (key.toLowerCase().includes(term.toLowerCase())) {
             return getParameterValue(dilemma, key);
         }
@@ -3779,13 +3788,11 @@ function createCompromiseArgument(framework1, framework2, conflict, dilemma, com
     let contextDescription = '';
     if (dilemma) {
         contextDescription += `Description: ${dilemma.description || 'Not provided'}\n`;
-        if (dilemma.parameters) {
-            const paramEntries = Object.entries(dilemma.parameters);
-            if (paramEntries.length > 0) {
-                contextDescription += `Parameters: ${paramEntries.map(([key, value]) => `${key}: ${value.value || value}`).join(', ')}\n`;
-            }
+        const paramEntries = Object.entries(getDilemmaParameters(dilemma));
+        if (paramEntries.length > 0) {
+            contextDescription += `Parameters: ${paramEntries.map(([key, value]) => `${key}: ${value.value || value}`).join(', ')}\n`;
         }
-        contextDescription += `Context: ${dilemma.context || 'Not provided'}\n`;
+        contextDescription += `Context: ${getDilemmaContext(dilemma) || 'Not provided'}\n`;
     } else {
         contextDescription = 'No contextual information available.\n';
     }
@@ -5,6 +5,19 @@
  * with all required parameters and contextual factors needed by adaptation rules.
  */
 
+// Parameters every dilemma needs for the adaptation rules to apply
+const REQUIRED_PARAMETERS = [
+  'certainty_of_outcome',
+  'information_availability',
+  'time_pressure',
+  'resource_divisibility',
+  'alternatives',
+  'relationship_to_beneficiary',
+  'property_value',
+  'life_at_stake',
+  'num_people_affected'
+];
+
 /**
  * Creates a complete dilemma object with all required parameters
  * @param {string} type - The type of dilemma to create (e.g., 'trolley', 'medical', 'resource')
@@ -197,23 +210,11 @@ function createPropertyDilemma(baseDilemma, settings) {
  * @returns {Object} Validation result with success flag and missing parameters
  */
 function validateDilemma(dilemma) {
-  const requiredParameters = [
-    'certainty_of_outcome',
-    'information_availability',
-    'time_pressure',
-    'resource_divisibility',
-    'alternatives',
-    'relationship_to_beneficiary',
-    'property_value',
-    'life_at_stake',
-    'num_people_affected'
-  ];
-  
   const missingParameters = [];
   
   // Check in parameters object
   const parametersCheck = (dilemma.situation && dilemma.situation.parameters) || {};
-  for (const param of requiredParameters) {
+  for (const param of REQUIRED_PARAMETERS) {
     if (parametersCheck[param] === undefined || parametersCheck[param].value === undefined) {
       missingParameters.push(`parameters.${param}`);
     }
@@ -225,7 +226,101 @@ function validateDilemma(dilemma) {
   };
 }
 
+/**
+ * Converts free text into an identifier such as "pull_the_lever". Letters of any script are kept,
+ * so "Über die Würde" becomes "über_die_würde".
+ * @param {string} text - The text to convert
+ * @returns {string} A lowercase, underscore-separated identifier (empty if the text has no letters or digits)
+ */
+function toIdentifier(text) {
+  return String(text)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Parses a parameter value entered as text into a number, boolean or string
+ * @param {string} raw - The raw value
+ * @returns {number|boolean|string} The parsed value
+ */
+function parseParameterValue(raw) {
+  const text = String(raw).trim();
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  if (text !== '' && !isNaN(Number(text))) {
+    return Number(text);
+  }
+  return text;
+}
+
+/**
+ * Builds a dilemma from user-supplied details, e.g. the answers of the CLI interview.
+ * Required parameters that are not supplied keep the createDilemma defaults.
+ * @param {Object} details - The dilemma details
+ * @param {string} details.title - Dilemma title
+ * @param {string} details.description - Dilemma description
+ * @param {Array<string|Object>} details.actions - Action descriptions, or { action, description } objects
+ * @param {Object} [details.parameters] - Map of parameter name to value
+ * @param {Array<Object>} [details.contextualFactors] - Factors as { factor, value, relevance }
+ * @param {string} [details.contextType] - Situation type (defaults to 'Generic')
+ * @param {Array<string>} [details.keyFactors] - Key factors of the situation
+ * @returns {Object} The dilemma object
+ */
+function buildCustomDilemma(details) {
+  const parameters = details.parameters || {};
+  const options = {
+    title: details.title,
+    description: details.description
+  };
+  if (details.contextType) {
+    options.contextType = details.contextType;
+  }
+
+  // Required parameters go through createDilemma so the defaults are shared
+  for (const param of REQUIRED_PARAMETERS) {
+    if (parameters[param] !== undefined) {
+      options[param] = parameters[param];
+    }
+  }
+
+  const dilemma = createDilemma('custom', options);
+  dilemma.situation.context = [dilemma.situation.type];
+  dilemma.situation.key_factors = details.keyFactors || [];
+
+  for (const [name, value] of Object.entries(parameters)) {
+    if (!REQUIRED_PARAMETERS.includes(name)) {
+      dilemma.situation.parameters[name] = { value };
+    }
+  }
+
+  // Actions described without letters or digits are numbered instead
+  dilemma.possible_actions = (details.actions || []).map((action, index) => {
+    if (typeof action === 'string') {
+      return { action: toIdentifier(action) || `action_${index + 1}`, description: action };
+    }
+    return {
+      action: action.action || toIdentifier(action.description) || `action_${index + 1}`,
+      description: action.description || action.action
+    };
+  });
+
+  dilemma.contextual_factors = (details.contextualFactors || []).map(factor => ({
+    factor: factor.factor,
+    value: factor.value,
+    relevance: factor.relevance || 'medium'
+  }));
+
+  return dilemma;
+}
+
 module.exports = {
   createDilemma,
-  validateDilemma
+  validateDilemma,
+  buildCustomDilemma,
+  parseParameterValue,
+  toIdentifier,
+  REQUIRED_PARAMETERS
 }; 
\ No newline at end of file
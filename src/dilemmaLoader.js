@@ -2,13 +2,18 @@
 
 const fs = require('fs');
 const path = require('path');
+const { validateDilemmaDocument, formatIssues } = require('./schemaValidator');
+const { normalizeDilemma } = require('./dilemmaNormalizer');
 
 /**
- * Loads an ethical dilemma from a JSON file or string.
+ * Loads an ethical dilemma from a JSON file or string and reports schema problems.
+ * The dilemma is validated against schemas/dilemma.schema.json and then converted to
+ * the canonical model with normalizeDilemma; when there are schema errors no dilemma is returned.
  * @param {string} input - Either a file path or JSON string
- * @returns {Object|null} The loaded dilemma object, or null if loading fails
+ * @returns {Object} { dilemma, errors, warnings, changes } where dilemma is null if loading fails
+ *   and changes lists the conversions made by normalizeDilemma
  */
-function loadDilemma(input) {
+function loadDilemmaWithReport(input) {
     let dilemmaJson = input;
     
     // Check if this is a file path
@@ -29,82 +34,53 @@ function loadDilemma(input) {
             console.log(`Loaded JSON from file: ${filename}`);
         } catch (error) {
             console.error(`Error loading file: ${error.message}`);
-            return null;
+            return { dilemma: null, errors: [{ path: '$', message: `could not be read: ${error.message}` }], warnings: [], changes: [] };
         }
     }
     
+    let dilemma;
     try {
-        let dilemma = JSON.parse(dilemmaJson);
-        
-        // Basic validation
-        if (!dilemma || typeof dilemma !== 'object') {
-            console.error("Invalid dilemma format. JSON must represent an object.");
-            return null;
-        }
-        
-        // Handle name vs title consistency
-        if (dilemma.name && !dilemma.title) {
-            dilemma.title = dilemma.name;
-        } else if (!dilemma.title && !dilemma.name) {
-            dilemma.title = "Untitled Dilemma";
+        dilemma = JSON.parse(dilemmaJson);
+    } catch (error) {
+        console.error("Error parsing dilemma:", error.message);
+        return { dilemma: null, errors: [{ path: '$', message: `is not valid JSON: ${error.message}` }], warnings: [], changes: [] };
+    }
+    
+    try {
+        // Validate against the dilemma schema before normalizing anything
+        const report = validateDilemmaDocument(dilemma);
+        formatIssues(report.warnings).forEach(line => console.warn(`Dilemma schema warning: ${line}`));
+        if (!report.valid) {
+            formatIssues(report.errors).forEach(line => console.error(`Dilemma schema error: ${line}`));
+            return { dilemma: null, errors: report.errors, warnings: report.warnings, changes: [] };
         }
         
-        // Set default values and validate fields
+        // Convert legacy shapes into the canonical model
+        const normalized = normalizeDilemma(dilemma);
+        dilemma = normalized.dilemma;
         dilemma.precedent_id = dilemma.precedent_id || "user_input_" + Date.now();
-        dilemma.description = dilemma.description || "";
-        dilemma.parameters = dilemma.parameters || {};
-        dilemma.factors = dilemma.factors || {};
-        dilemma.context = dilemma.context || "";
-        
-        // Ensure actions are properly formatted
-        if (!dilemma.actions) {
-            dilemma.actions = { "default_action": { description: "Default action" } };
-        } else if (Array.isArray(dilemma.actions)) {
-            // Convert array to object format
-            const actionsObj = {};
-            dilemma.actions.forEach(action => {
-                if (typeof action === 'string') {
-                    actionsObj[action] = { description: action };
-                }
-            });
-            dilemma.actions = actionsObj;
-        }
-        
-        // Validate parameters format
-        for (const key in dilemma.parameters) {
-            // Convert simple value format to object format if needed
-            if (typeof dilemma.parameters[key] !== 'object') {
-                const value = dilemma.parameters[key];
-                dilemma.parameters[key] = { 
-                    value: parseFloat(value) || 0.5,
-                    description: `Parameter ${key}`
-                };
-            }
-            
-            // Ensure value field exists and is a number
-            if (typeof dilemma.parameters[key].value !== 'number') {
-                console.warn(`Parameter ${key} value is not a number. Setting to default 0.5`);
-                dilemma.parameters[key].value = 0.5;
-            }
-            
-            // Ensure description field exists
-            if (!dilemma.parameters[key].description) {
-                dilemma.parameters[key].description = `Parameter ${key}`;
-            }
-        }
         
         // Validate frameworks
         if (!dilemma.frameworks || !Array.isArray(dilemma.frameworks) || dilemma.frameworks.length === 0) {
             console.warn("Dilemma has no frameworks defined. Some functionality may be limited.");
         }
         
-        return dilemma;
+        return { dilemma, errors: [], warnings: report.warnings, changes: normalized.changes };
     } catch (error) {
-        console.error("Error parsing dilemma:", error.message);
-        return null;
+        console.error("Error loading dilemma:", error.message);
+        return { dilemma: null, errors: [{ path: '$', message: error.message }], warnings: [], changes: [] };
     }
 }
 
+/**
+ * Loads an ethical dilemma from a JSON file or string.
+ * @param {string} input - Either a file path or JSON string
+ * @returns {Object|null} The loaded dilemma object, or null if loading or validation fails
+ */
+function loadDilemma(input) {
+    return loadDilemmaWithReport(input).dilemma;
+}
+
 /**
  * Creates a directory for dilemmas if it doesn't exist.
  * @param {string} dirPath - Path to the dilemmas directory
@@ -166,6 +142,7 @@ async function listDilemmas(dirPath) {
 
 module.exports = {
     loadDilemma,
+    loadDilemmaWithReport,
     saveDilemma,
     listDilemmas,
     ensureDilemmaDirectory
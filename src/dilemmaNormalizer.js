@@ -0,0 +1,358 @@
+/**
+ * Dilemma Normalizer
+ *
+ * Converts the different dilemma shapes accepted by the REA system into one canonical
+ * internal model and records every change it makes. The canonical model is:
+ *
+ *   {
+ *     id, precedent_id,                 // precedent_id is copied to id when only it is present
+ *     title, description,
+ *     language,                         // configured language code ("es"), when one is set
+ *     situation: {
+ *       type, context: [string], key_factors: [string],
+ *       parameters: { name: { value, description?, weight? } }
+ *     },
+ *     possible_actions: [{ action, description }],
+ *     contextual_factors: [{ factor, value, relevance }],
+ *     frameworks, reasoning_paths, ...  // other fields are kept as they are
+ *   }
+ *
+ * Legacy shapes that are converted: `name` instead of `title`, `actions` as a map or array,
+ * `possible_actions` given as strings, top-level `parameters` and `context`, bare parameter
+ * values, a string `situation`, `contextual_factors` as a flat map or with `name` keys, and
+ * `language` given as a name ("Spanish") or regional code ("es-MX").
+ */
+
+const { deepCopy } = require('./utils');
+const { resolveLanguage } = require('./language');
+
+/**
+ * Records a change made during normalization
+ * @param {Array} changes - The list of changes
+ * @param {string} path - Path of the affected field
+ * @param {string} type - Kind of change: renamed, moved, converted or defaulted
+ * @param {string} message - Description of the change
+ */
+function recordChange(changes, path, type, message) {
+  changes.push({ path, type, message });
+}
+
+/**
+ * Converts one action entry (string or object) to { action, description }
+ * @param {string|Object} entry - The action entry
+ * @param {string} [key] - Key of the entry when it comes from an action map
+ * @returns {Object|null} The canonical action, or null if no identifier can be found
+ */
+function toCanonicalAction(entry, key) {
+  if (typeof entry === 'string') {
+    return key ? { action: key, description: entry } : { action: entry, description: entry };
+  }
+  if (!entry || typeof entry !== 'object') {
+    return key ? { action: key, description: key } : null;
+  }
+
+  const action = entry.action || entry.name || entry.id || key;
+  if (!action) {
+    return null;
+  }
+  return { ...entry, action, description: entry.description || action };
+}
+
+/**
+ * Normalizes the actions of a dilemma into possible_actions
+ * @param {Object} dilemma - The dilemma being normalized (modified in place)
+ * @param {Array} changes - The list of changes
+ */
+function normalizeActions(dilemma, changes) {
+  const actions = [];
+  const seen = new Set();
+  const add = (action) => {
+    if (action && !seen.has(action.action)) {
+      seen.add(action.action);
+      actions.push(action);
+    }
+  };
+
+  if (Array.isArray(dilemma.possible_actions)) {
+    dilemma.possible_actions.forEach((entry, index) => {
+      if (typeof entry === 'string') {
+        recordChange(changes, `$.possible_actions[${index}]`, 'converted', 'converted action string to { action, description }');
+      } else if (entry && typeof entry === 'object' && !entry.action) {
+        recordChange(changes, `$.possible_actions[${index}].action`, 'renamed', 'took the action identifier from name/id');
+      }
+      add(toCanonicalAction(entry));
+    });
+  } else if (dilemma.possible_actions !== undefined) {
+    recordChange(changes, '$.possible_actions', 'converted', 'replaced a non-array value with a list');
+  }
+
+  if (dilemma.actions !== undefined) {
+    const before = actions.length;
+    if (Array.isArray(dilemma.actions)) {
+      dilemma.actions.forEach(entry => add(toCanonicalAction(entry)));
+    } else if (dilemma.actions && typeof dilemma.actions === 'object') {
+      Object.entries(dilemma.actions).forEach(([key, entry]) => add(toCanonicalAction(entry, key)));
+    }
+    recordChange(changes, '$.actions', 'moved', `moved ${actions.length - before} legacy action(s) to $.possible_actions`);
+    delete dilemma.actions;
+  }
+
+  if (dilemma.possible_actions === undefined && actions.length === 0) {
+    recordChange(changes, '$.possible_actions', 'defaulted', 'added an empty action list');
+  }
+  dilemma.possible_actions = actions;
+}
+
+/**
+ * Normalizes situation parameters, moving top-level parameters under situation
+ * @param {Object} dilemma - The dilemma being normalized (modified in place)
+ * @param {Array} changes - The list of changes
+ */
+function normalizeParameters(dilemma, changes) {
+  const parameters = dilemma.situation.parameters && typeof dilemma.situation.parameters === 'object'
+    ? dilemma.situation.parameters
+    : {};
+
+  if (dilemma.situation.parameters === undefined) {
+    recordChange(changes, '$.situation.parameters', 'defaulted', 'added an empty parameter map');
+  }
+
+  if (dilemma.parameters && typeof dilemma.parameters === 'object') {
+    for (const [name, parameter] of Object.entries(dilemma.parameters)) {
+      if (parameters[name] === undefined) {
+        parameters[name] = parameter;
+        recordChange(changes, `$.parameters.${name}`, 'moved', `moved to $.situation.parameters.${name}`);
+      } else {
+        recordChange(changes, `$.parameters.${name}`, 'moved', `dropped in favour of $.situation.parameters.${name}`);
+      }
+    }
+  }
+  delete dilemma.parameters;
+
+  for (const [name, parameter] of Object.entries(parameters)) {
+    if (parameter === null || typeof parameter !== 'object') {
+      parameters[name] = { value: parameter };
+      recordChange(changes, `$.situation.parameters.${name}`, 'converted', 'wrapped bare value as { value }');
+    }
+  }
+
+  dilemma.situation.parameters = parameters;
+}
+
+/**
+ * Normalizes contextual factors into a list of { factor, value, relevance }
+ * @param {Object} dilemma - The dilemma being normalized (modified in place)
+ * @param {Array} changes - The list of changes
+ */
+function normalizeContextualFactors(dilemma, changes) {
+  let factors = dilemma.contextual_factors;
+
+  if (factors === undefined) {
+    recordChange(changes, '$.contextual_factors', 'defaulted', 'added an empty factor list');
+    factors = [];
+  } else if (!Array.isArray(factors)) {
+    if (factors && typeof factors === 'object') {
+      factors = Object.entries(factors).map(([factor, value]) => ({ factor, value }));
+      recordChange(changes, '$.contextual_factors', 'converted', 'converted flat factor map to a list');
+    } else {
+      factors = [];
+      recordChange(changes, '$.contextual_factors', 'converted', 'replaced a non-list value with an empty list');
+    }
+  }
+
+  dilemma.contextual_factors = factors
+    .filter(entry => entry && typeof entry === 'object')
+    .map((entry, index) => {
+      const factor = { ...entry };
+      if (factor.factor === undefined && factor.name !== undefined) {
+        factor.factor = factor.name;
+        delete factor.name;
+        recordChange(changes, `$.contextual_factors[${index}].name`, 'renamed', 'renamed to factor');
+      }
+      if (factor.relevance === undefined) {
+        factor.relevance = 'medium';
+        recordChange(changes, `$.contextual_factors[${index}].relevance`, 'defaulted', 'set to medium');
+      }
+      return factor;
+    });
+}
+
+/**
+ * Converts a dilemma or precedent in any accepted shape into the canonical model.
+ * The input is not modified.
+ * @param {Object} input - The dilemma or precedent to normalize
+ * @returns {Object} { dilemma, changes } where changes lists { path, type, message } for each change made
+ * @throws {TypeError} If the input is not an object
+ */
+function normalizeDilemma(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TypeError('A dilemma must be an object');
+  }
+
+  const dilemma = deepCopy(input);
+  const changes = [];
+
+  if (dilemma.title === undefined && typeof dilemma.name === 'string') {
+    dilemma.title = dilemma.name;
+    delete dilemma.name;
+    recordChange(changes, '$.name', 'renamed', 'renamed to title');
+  }
+
+  if (dilemma.description === undefined) {
+    dilemma.description = '';
+    recordChange(changes, '$.description', 'defaulted', 'set to an empty string');
+  }
+
+  if (typeof dilemma.language === 'string') {
+    const language = resolveLanguage(dilemma.language);
+    if (language && language !== dilemma.language) {
+      recordChange(changes, '$.language', 'converted', `converted ${JSON.stringify(dilemma.language)} to the language code ${language}`);
+      dilemma.language = language;
+    }
+  }
+
+  if (dilemma.id === undefined && dilemma.precedent_id !== undefined) {
+    dilemma.id = dilemma.precedent_id;
+    recordChange(changes, '$.id', 'defaulted', 'copied from precedent_id');
+  }
+
+  if (typeof dilemma.situation === 'string') {
+    dilemma.situation = { context: [dilemma.situation] };
+    recordChange(changes, '$.situation', 'converted', 'moved situation text to $.situation.context');
+  } else if (!dilemma.situation || typeof dilemma.situation !== 'object') {
+    dilemma.situation = {};
+    recordChange(changes, '$.situation', 'defaulted', 'added an empty situation');
+  }
+
+  if (dilemma.situation.type === undefined) {
+    dilemma.situation.type = 'Generic';
+    recordChange(changes, '$.situation.type', 'defaulted', 'set to Generic');
+  }
+
+  if (typeof dilemma.situation.context === 'string') {
+    dilemma.situation.context = dilemma.situation.context ? [dilemma.situation.context] : [];
+    recordChange(changes, '$.situation.context', 'converted', 'converted context text to a list');
+  } else if (!Array.isArray(dilemma.situation.context)) {
+    dilemma.situation.context = [];
+  }
+
+  if (dilemma.context !== undefined) {
+    if (typeof dilemma.context === 'string' && dilemma.context) {
+      dilemma.situation.context.push(dilemma.context);
+    }
+    delete dilemma.context;
+    recordChange(changes, '$.context', 'moved', 'moved to $.situation.context');
+  }
+
+  if (!Array.isArray(dilemma.situation.key_factors)) {
+    dilemma.situation.key_factors = [];
+  }
+
+  normalizeParameters(dilemma, changes);
+  normalizeActions(dilemma, changes);
+  normalizeContextualFactors(dilemma, changes);
+
+  return { dilemma, changes };
+}
+
+// Normalized copies of precedent arrays: source array -> { precedents, entries }, entries mapping
+// each source precedent to its normalized copy
+const normalizedDatabases = new WeakMap();
+
+// The arrays returned by normalizePrecedents
+const normalizedArrays = new WeakSet();
+
+/**
+ * Converts every precedent of a database to the canonical model, returning the same array for
+ * the same source array. Precedent indexes are kept per array (see precedentIndex.getIndexFor), so
+ * a database normalized on every analysis would otherwise be re-indexed every time. When the
+ * source array changed, only the precedents it holds new objects for are normalized again and
+ * the returned array is updated in place. Precedents are not serialized to detect changes, so a
+ * precedent edited in place keeps its normalized copy: replace it instead, as precedent
+ * repositories do on every write. An array returned by this function is returned as it is.
+ * @param {Array} precedents - The precedent database (not modified)
+ * @returns {Array} The normalized precedents
+ */
+function normalizePrecedents(precedents) {
+  if (normalizedArrays.has(precedents)) {
+    return precedents;
+  }
+
+  let cached = normalizedDatabases.get(precedents);
+  if (!cached) {
+    cached = { precedents: [], entries: new Map() };
+    normalizedDatabases.set(precedents, cached);
+    normalizedArrays.add(cached.precedents);
+  }
+
+  const entries = new Map();
+  const normalized = precedents.map(precedent => {
+    const copy = cached.entries.get(precedent) || normalizeDilemma(precedent).dilemma;
+    entries.set(precedent, copy);
+    return copy;
+  });
+
+  cached.entries = entries;
+  cached.precedents.splice(0, cached.precedents.length, ...normalized);
+  return cached.precedents;
+}
+
+/**
+ * Returns the situation parameters of a canonical or legacy dilemma
+ * @param {Object} dilemma - The dilemma
+ * @returns {Object} Map of parameter name to parameter ({} if there are none)
+ */
+function getDilemmaParameters(dilemma) {
+  if (!dilemma) return {};
+  const isMap = value => value && typeof value === 'object' && !Array.isArray(value);
+  return {
+    ...(isMap(dilemma.parameters) ? dilemma.parameters : {}),
+    ...(dilemma.situation && isMap(dilemma.situation.parameters) ? dilemma.situation.parameters : {})
+  };
+}
+
+/**
+ * Returns the context of a canonical or legacy dilemma as text
+ * @param {Object} dilemma - The dilemma
+ * @returns {string} The context, or an empty string
+ */
+function getDilemmaContext(dilemma) {
+  if (!dilemma) return '';
+  const parts = [];
+  if (dilemma.situation && typeof dilemma.situation === 'object') {
+    const context = dilemma.situation.context;
+    parts.push(...(Array.isArray(context) ? context : [context]));
+  }
+  if (typeof dilemma.context === 'string') {
+    parts.push(dilemma.context);
+  }
+  return parts.filter(part => typeof part === 'string' && part).join(', ');
+}
+
+/**
+ * Returns the description of an action of a canonical or legacy dilemma
+ * @param {Object} dilemma - The dilemma
+ * @param {string} action - The action identifier
+ * @returns {string|null} The action description, or null if the action is not described
+ */
+function getActionDescription(dilemma, action) {
+  if (!dilemma) return null;
+  if (Array.isArray(dilemma.possible_actions)) {
+    const match = dilemma.possible_actions.find(entry => entry && entry.action === action);
+    if (match && match.description) {
+      return match.description;
+    }
+  }
+  if (dilemma.actions && dilemma.actions[action] && dilemma.actions[action].description) {
+    return dilemma.actions[action].description;
+  }
+  return null;
+}
+
+module.exports = {
+  normalizeDilemma,
+  normalizePrecedents,
+  getDilemmaParameters,
+  getDilemmaContext,
+  getActionDescription
+};
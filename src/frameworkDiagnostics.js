@@ -191,7 +191,8 @@ function generateFrameworkReport(saveToFile = true) {
                 nameIssues: nameIssues
             },
             patternAnalysis: analyzeFailurePatterns(),
-            frameworkStructureAnalysis: analyzeFrameworkStructures()
+            frameworkStructureAnalysis: analyzeFrameworkStructures(),
+            similarityCache: require('./similarity').similarityCache.getCacheStats()
         };
         
         // Add recommendations based on the analysis
@@ -1079,6 +1080,20 @@ function generateHumanReadableReport() {
         }
         humanReport += '\n';
         
+        // Similarity cache section
+        humanReport += 'SIMILARITY CACHE\n';
+        humanReport += '----------------\n';
+        const cacheStats = report.similarityCache;
+        if (cacheStats) {
+            humanReport += `Entries: ${cacheStats.size} of ${cacheStats.maxEntries}\n`;
+            humanReport += `Hits: ${cacheStats.hits}, Misses: ${cacheStats.misses} (hit rate ${(cacheStats.ratio * 100).toFixed(1)}%)\n`;
+            humanReport += `Evictions: ${cacheStats.evictions}\n`;
+            humanReport += `File: ${cacheStats.file || 'not saved between runs'}\n`;
+        } else {
+            humanReport += 'No similarity cache statistics available\n';
+        }
+        humanReport += '\n';
+        
         // Recommendations section with null checking
         humanReport += 'RECOMMENDATIONS\n';
         humanReport += '---------------\n';
@@ -0,0 +1,199 @@
+/**
+ * Framework Name Migration
+ *
+ * Stored precedents and dilemmas name frameworks in many ways: "Deontology" in a reasoning path
+ * of a precedent that lists "Kantian Deontology", "utilitarian", "care-ethics"... Lookups by
+ * name then fail (frameworkLogger records them, detectFrameworkNameIssues reports them). This
+ * migration resolves every framework reference of a document through getFrameworkByName and
+ * rewrites it to the registered framework:
+ *
+ *   - "frameworks" lists take the canonical names; names resolving to the same framework are
+ *     kept once, and "framework_ids" lists the canonical ids of those that have one, in order
+ *   - reasoning paths take the canonical name in "framework" and the canonical id in
+ *     "framework_id"
+ *
+ * Names the registry cannot resolve are left as they are and reported. Fuzzy matches are applied
+ * but reported as such, so a dry run shows what to check.
+ *
+ * A few names of the built-in corpus are not aliases of a framework in general, only in the way
+ * the corpus uses them. MIGRATION_NAMES maps them for this migration alone, so the registry does
+ * not resolve them elsewhere.
+ */
+
+const { getFrameworkByName, getFramework } = require('./frameworkRegistry');
+const { deepCopy } = require('./utils');
+
+// Names of the built-in corpus (lowercase) and the id of the framework they stand for there
+const MIGRATION_NAMES = {
+  'justice as fairness': 'social_contract_theory',
+  'justice/fairness': 'social_contract_theory',
+  'professional duty ethics': 'professional_ethics'
+};
+
+/**
+ * Resolves a framework name through the framework registry
+ * @param {string} name - The name as written
+ * @returns {Object} { name, id, match } where match is canonical (already the registered name),
+ *   alias (an alias or spelling variant), mapped (named in MIGRATION_NAMES), fuzzy, hybrid (a
+ *   combination of registered frameworks without an id of its own) or unresolved
+ */
+function resolveFrameworkName(name) {
+  const mapped = getFramework(MIGRATION_NAMES[name.toLowerCase()]);
+  if (mapped) {
+    return { name: mapped.name, id: mapped.id, match: 'mapped' };
+  }
+
+  let framework = getFrameworkByName(name, { fuzzyMatch: false, fallbackToUnknown: false });
+  let match = framework && framework.name === name ? 'canonical' : 'alias';
+  if (!framework) {
+    framework = getFrameworkByName(name, { fallbackToUnknown: false });
+    match = 'fuzzy';
+  }
+  if (!framework) {
+    return { name, id: null, match: 'unresolved' };
+  }
+
+  // Hybrids the registry builds on the fly get a throwaway id, so only their name is kept
+  if (getFramework(framework.id) !== framework) {
+    return { name: framework.name, id: null, match: 'hybrid' };
+  }
+  return { name: framework.name, id: framework.id, match };
+}
+
+/**
+ * Creates a resolver that looks each distinct framework name up once
+ * @returns {Function} name -> { name, id, match } (see resolveFrameworkName)
+ */
+function createFrameworkResolver() {
+  const cache = new Map();
+  return name => {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { name, id: null, match: 'unresolved' };
+    }
+    const key = name.trim();
+    if (!cache.has(key)) cache.set(key, resolveFrameworkName(key));
+    return cache.get(key);
+  };
+}
+
+/**
+ * Rewrites the framework references of a precedent or dilemma to the canonical names and ids
+ * @param {Object} document - The precedent or dilemma (not modified)
+ * @param {Function} [resolve] - Resolver from createFrameworkResolver
+ * @returns {Object} { document, changes, unresolved } with the migrated copy, the rewritten references as
+ *   { path, from, to, id, match } (duplicate: true where a "frameworks" entry was dropped as a duplicate)
+ *   and the unresolved references as { path, name }
+ */
+function migrateDocument(document, resolve = createFrameworkResolver()) {
+  const migrated = deepCopy(document);
+  const changes = [];
+  const unresolved = [];
+
+  if (Array.isArray(migrated.frameworks)) {
+    const kept = [];
+    const identified = [];
+    migrated.frameworks.forEach((name, index) => {
+      const path = `frameworks[${index}]`;
+      const resolution = resolve(name);
+      if (resolution.match === 'unresolved') unresolved.push({ path, name });
+
+      const duplicate = kept.includes(resolution.name);
+      if (resolution.name !== name || duplicate) {
+        changes.push({ path, from: name, to: resolution.name, id: resolution.id, match: resolution.match, ...(duplicate ? { duplicate } : {}) });
+      }
+      if (!duplicate) {
+        kept.push(resolution.name);
+        if (resolution.id) identified.push(resolution);
+      }
+    });
+    migrated.frameworks = kept;
+
+    const previousIds = Array.isArray(migrated.framework_ids) ? migrated.framework_ids : [];
+    identified.forEach(({ id, match }, index) => {
+      if (previousIds[index] !== id) {
+        changes.push({ path: `framework_ids[${index}]`, from: previousIds[index] === undefined ? null : previousIds[index], to: id, id, match });
+      }
+    });
+    if (identified.length > 0 || previousIds.length > 0) {
+      migrated.framework_ids = identified.map(resolution => resolution.id);
+    }
+  }
+
+  (Array.isArray(migrated.reasoning_paths) ? migrated.reasoning_paths : []).forEach((reasoningPath, index) => {
+    if (!reasoningPath || reasoningPath.framework === undefined) return;
+
+    const path = `reasoning_paths[${index}]`;
+    const resolution = resolve(reasoningPath.framework);
+    if (resolution.match === 'unresolved') {
+      unresolved.push({ path: `${path}.framework`, name: reasoningPath.framework });
+      return;
+    }
+
+    if (resolution.name !== reasoningPath.framework) {
+      changes.push({ path: `${path}.framework`, from: reasoningPath.framework, to: resolution.name, id: resolution.id, match: resolution.match });
+      reasoningPath.framework = resolution.name;
+    }
+    if (resolution.id && reasoningPath.framework_id !== resolution.id) {
+      changes.push({ path: `${path}.framework_id`, from: reasoningPath.framework_id === undefined ? null : reasoningPath.framework_id, to: resolution.id, id: resolution.id, match: resolution.match });
+      reasoningPath.framework_id = resolution.id;
+    }
+  });
+
+  return { document: migrated, changes, unresolved };
+}
+
+/**
+ * Whether a change sets a framework id rather than rewriting a name
+ * @param {Object} change - A change reported by migrateDocument
+ * @returns {boolean}
+ */
+function isIdChange(change) {
+  return /(\.framework_id|^framework_ids\[\d+\])$/.test(change.path);
+}
+
+/**
+ * Formats a migration report for the terminal
+ * @param {Object} report - { dryRun, sources: [{ source, documents: [{ id, changes, unresolved, error }], written }] }
+ *   listing the documents with changes or unresolved references
+ * @returns {string} Human-readable report
+ */
+function formatMigrationReport(report) {
+  const documents = report.sources.flatMap(source => source.documents);
+  const changes = documents.flatMap(document => document.changes);
+  const renamed = changes.filter(change => !isIdChange(change));
+  const unresolved = documents.flatMap(document => document.unresolved);
+
+  const lines = [`${documents.filter(document => document.changes.length > 0).length} document(s) to migrate: ${renamed.length} framework name(s) rewritten, ${changes.length - renamed.length} framework id(s) set, ${unresolved.length} unresolved reference(s)`];
+
+  for (const source of report.sources) {
+    if (source.documents.length === 0) continue;
+    lines.push('', `${source.source}${source.written ? ' (written)' : ''}`);
+    for (const document of source.documents) {
+      const ids = document.changes.filter(isIdChange).length;
+      lines.push(`  ${document.id}${ids > 0 ? ` (${ids} framework id(s) set)` : ''}`);
+      for (const change of document.changes) {
+        if (isIdChange(change)) continue;
+        const notes = [change.id, change.match, change.duplicate ? 'duplicate, removed' : null].filter(Boolean).join(', ');
+        lines.push(`    ${change.path}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)} (${notes})`);
+      }
+      for (const reference of document.unresolved) {
+        lines.push(`    ${reference.path}: ${JSON.stringify(reference.name)} is not a registered framework`);
+      }
+      if (document.error) {
+        lines.push(`    Not migrated: ${document.error}`);
+      }
+    }
+  }
+
+  if (report.dryRun) {
+    lines.push('', 'Dry run: nothing was changed.');
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  resolveFrameworkName,
+  createFrameworkResolver,
+  migrateDocument,
+  formatMigrationReport
+};
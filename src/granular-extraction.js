@@ -2,6 +2,8 @@
 
 // Dependency on similarity and adaptation functions
 const { calculateSimilarity } = require('./similarity');
+const { getConceptLexicon } = require('./conceptLexicon');
+const { DEFAULT_LANGUAGE, getLanguage, getDilemmaLanguage, detectLanguage, tokenize } = require('./language');
 const { adaptReasoningPaths } = require('./adaptation');
 const frameworkLogger = require('./frameworkLogger'); // Import framework logger
 const frameworkRegistry = require('./frameworkRegistry'); // Import framework registry
@@ -360,7 +362,7 @@ function extractReasoningElements(dilemma, relevantPrecedents) {
         }
         
         // 2. Extract principles
-        const principles = extractPrinciples(path.argument);
+        const principles = extractPrinciples(path.argument, precedent.language ? getDilemmaLanguage(precedent) : undefined);
         principles.forEach((principle, i) => {
           const principleElement = {
             id: `precedent_${precedentTitle}_path_${pathIndex}_principle_${i}`,
@@ -607,20 +609,14 @@ function extractKeywordsFromDilemma(dilemma) {
     });
   }
   
-  // Process text to extract keywords
-  // Remove common stopwords and keep only meaningful terms
-  const stopwords = ['the', 'a', 'an', 'and', 'or', 'but', 'is', 'are', 'was', 'were', 
-                     'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did',
-                     'to', 'from', 'in', 'out', 'on', 'off', 'over', 'under', 'at', 'by', 
-                     'for', 'with', 'about', 'against', 'between', 'into', 'through',
-                     'during', 'before', 'after', 'above', 'below', 'up', 'down', 'of', 
-                     'that', 'this', 'these', 'those', 'it', 'they', 'them', 'we', 'us', 'he', 'she'];
+  // Process text to extract keywords in the dilemma's language (stated, or else detected)
+  // Remove the language's stopwords and keep only meaningful terms
+  const language = dilemma.language ? getDilemmaLanguage(dilemma) : (detectLanguage(text) || DEFAULT_LANGUAGE);
+  const stopwords = getLanguage(language).stopwords;
   
   // Tokenize, filter stopwords, and convert to lowercase
-  const words = text.toLowerCase()
-                   .replace(/[^\w\s]/g, ' ') // Replace punctuation with spaces
-                   .split(/\s+/)             // Split on whitespace
-                   .filter(word => word.length > 2 && !stopwords.includes(word));
+  const words = tokenize(text, language)
+                   .filter(word => word.length > 2 && !stopwords.has(word));
   
   // Count word frequencies
   const wordCounts = {};
@@ -631,8 +627,9 @@ function extractKeywordsFromDilemma(dilemma) {
   // Get unique words sorted by frequency
   const uniqueWords = Object.keys(wordCounts).sort((a, b) => wordCounts[b] - wordCounts[a]);
   
-  // Return top keywords (limited to 15)
-  return uniqueWords.slice(0, 15);
+  // Return top keywords (limited to 15), followed by the lexicon concepts of the dilemma
+  const concepts = getConceptLexicon().findConcepts(text, language).map(match => match.concept);
+  return [...new Set([...uniqueWords.slice(0, 15), ...concepts])];
 }
 
 /**
@@ -646,11 +643,15 @@ function calculateRelevance(text, keywords) {
   if (!text || !keywords || keywords.length === 0) return 0.5; // Default moderate relevance
   
   const lowerText = text.toLowerCase();
+  const lexicon = getConceptLexicon();
+  const textConcepts = lexicon.conceptsOf(text);
   let matchCount = 0;
   
-  // Count how many keywords appear in the text
+  // Count how many keywords appear in the text, directly or as a concept the text expresses
+  // (the keyword "victim" matches a text about patients, "omission" one about refraining)
   keywords.forEach(keyword => {
-    if (lowerText.includes(keyword.toLowerCase())) {
+    const keywordConcepts = lexicon.concepts.has(keyword) ? new Set([keyword]) : lexicon.conceptsOf(keyword);
+    if (lowerText.includes(keyword.toLowerCase()) || [...keywordConcepts].some(concept => textConcepts.has(concept))) {
       matchCount++;
     }
   });
@@ -663,20 +664,17 @@ function calculateRelevance(text, keywords) {
  * Extract principles from argument text
  * 
  * @param {string} text - The text to extract principles from
+ * @param {string} [language] - Language of the text (detected when not given, else English)
  * @returns {Array} Array of extracted principles
  */
-function extractPrinciples(text) {
+function extractPrinciples(text, language) {
   if (!text) return [];
   
   const principles = [];
   
-  // Pattern matching for principles
-  const principlePatterns = [
-    /(?:principle of|the principle that|ethical principle|moral principle)[^.!?]*[.!?]/gi,
-    /(?:rights|duties|obligations|virtues)[^.!?]*(?:require|demand|dictate)[^.!?]*[.!?]/gi,
-    /(?:we should|one should|people should|individuals should|society should)[^.!?]*[.!?]/gi,
-    /it is (?:morally|ethically) (?:right|wrong|obligatory|required|prohibited|permissible)[^.!?]*[.!?]/gi
-  ];
+  // Pattern matching for principles, with the patterns of the text's language
+  const { patterns: principlePatterns, frameworks: frameworkTerms } =
+    getLanguage(language || detectLanguage(text) || DEFAULT_LANGUAGE).principles;
   
   // Apply each pattern
   principlePatterns.forEach(pattern => {
@@ -685,10 +683,6 @@ function extractPrinciples(text) {
   });
   
   // Extract sentences with ethical frameworks mentioned
-  const frameworkTerms = [
-    'utilitarianism', 'consequentialism', 'deontology', 'virtue ethics', 
-    'rights', 'justice', 'care ethics', 'kantian', 'aristotelian'
-  ];
   
   // Split text into sentences
   const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
@@ -0,0 +1,273 @@
+/**
+ * Language Support
+ *
+ * Dilemmas and precedents can be written in any configured language. A dilemma sets its language
+ * with "language" (an ISO 639-1 code such as "es", a regional code such as "de-AT", or a name
+ * such as "Spanish"); without it, English is assumed.
+ *
+ * Each language is a JSON file in config/languages/ named after its code:
+ *
+ *   {
+ *     "name": "Spanish",
+ *     "aliases": ["spanish", "español"],
+ *     "tokenizer": "AggressiveTokenizerEs",      // tokenizer class of the natural package
+ *     "stemmer": "PorterStemmerEs",              // stemmer of the natural package
+ *     "stopwords": ["el", "la", ...],            // words left out of dilemma keywords
+ *     "values": { "autonomy": ["autonomía"] },   // value name -> terms; a list of terms names each value by itself
+ *     "principles": {
+ *       "patterns": ["(?:principio de|...)[^.!?]*[.!?]"],  // regular expressions matching principle statements
+ *       "frameworks": ["utilitarismo", ...]      // terms marking sentences about ethical frameworks
+ *     }
+ *   }
+ *
+ * Value names are shared across languages, so values extracted from a Spanish argument can be
+ * compared with those of an English one. Built-in languages: English (en), Spanish (es) and
+ * German (de).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const natural = require('natural');
+
+const LANGUAGE_DIRECTORY = path.join(__dirname, '..', 'config', 'languages');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Loaded languages by code
+let languageCache = null;
+
+// Unknown language settings already warned about
+const warnedLanguages = new Set();
+
+/**
+ * Lists the problems with a language definition
+ * @param {Object} definition - The language as read from its file
+ * @returns {Array<string>} Problems (empty when the definition is valid)
+ */
+function validateLanguage(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['the language must be an object'];
+  }
+
+  const issues = [];
+  const isTermList = value => Array.isArray(value) && value.every(term => typeof term === 'string');
+
+  if (definition.stemmer !== undefined && !(natural[definition.stemmer] && typeof natural[definition.stemmer].stem === 'function')) {
+    issues.push(`stemmer "${definition.stemmer}" is not a stemmer of the natural package`);
+  }
+  if (definition.tokenizer !== undefined && typeof natural[definition.tokenizer] !== 'function') {
+    issues.push(`tokenizer "${definition.tokenizer}" is not a tokenizer of the natural package`);
+  }
+  for (const list of ['aliases', 'stopwords']) {
+    if (definition[list] !== undefined && !isTermList(definition[list])) {
+      issues.push(`${list} must be a list of strings`);
+    }
+  }
+  const values = definition.values;
+  if (values !== undefined && !isTermList(values) &&
+      !(values && typeof values === 'object' && !Array.isArray(values) && Object.values(values).every(isTermList))) {
+    issues.push('values must be a list of terms or map value names to lists of terms');
+  }
+  const principles = definition.principles || {};
+  if (principles.frameworks !== undefined && !isTermList(principles.frameworks)) {
+    issues.push('principles.frameworks must be a list of strings');
+  }
+  for (const pattern of principles.patterns || []) {
+    try {
+      new RegExp(pattern, 'gi');
+    } catch (error) {
+      issues.push(`principles.patterns: ${error.message}`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Builds the tools of a language from its definition
+ * @param {string} code - The language code
+ * @param {Object} definition - A valid language definition
+ * @returns {Object} { code, name, aliases, tokenizer, stemmer, stopwords, values, principles }
+ */
+function createLanguage(code, definition) {
+  const values = Array.isArray(definition.values)
+    ? Object.fromEntries(definition.values.map(term => [term, [term]]))
+    : { ...definition.values };
+  const principles = definition.principles || {};
+
+  return {
+    code,
+    name: definition.name || code,
+    aliases: (definition.aliases || []).map(alias => alias.toLowerCase()),
+    tokenizer: definition.tokenizer ? new natural[definition.tokenizer]() : new natural.AggressiveTokenizer(),
+    stemmer: natural[definition.stemmer || 'PorterStemmer'],
+    stopwords: new Set((definition.stopwords || []).map(word => word.toLowerCase())),
+    values,
+    principles: {
+      patterns: (principles.patterns || []).map(pattern => new RegExp(pattern, 'gi')),
+      frameworks: (principles.frameworks || []).map(term => term.toLowerCase())
+    }
+  };
+}
+
+/**
+ * Loads the languages of a directory. Invalid files are skipped with a warning.
+ * @param {string} [directory] - Language directory (default: config/languages)
+ * @returns {Map<string, Object>} Languages by code
+ */
+function loadLanguages(directory = LANGUAGE_DIRECTORY) {
+  const languages = new Map();
+  if (!fs.existsSync(directory)) {
+    return languages;
+  }
+
+  for (const file of fs.readdirSync(directory).filter(file => path.extname(file).toLowerCase() === '.json').sort()) {
+    const code = path.basename(file, '.json').toLowerCase();
+    try {
+      const definition = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      const issues = validateLanguage(definition);
+      if (issues.length > 0) {
+        console.warn(`Skipping language ${file}: ${issues.join('; ')}`);
+        continue;
+      }
+      languages.set(code, createLanguage(code, definition));
+    } catch (error) {
+      console.warn(`Skipping language ${file}: ${error.message}`);
+    }
+  }
+
+  return languages;
+}
+
+/**
+ * Returns the configured languages, loading them on first use
+ * @returns {Map<string, Object>} Languages by code
+ */
+function getLanguages() {
+  if (!languageCache) {
+    languageCache = loadLanguages();
+  }
+  return languageCache;
+}
+
+/**
+ * Resolves a language setting to a configured language code
+ * @param {string} value - A code ("es"), regional code ("es-MX") or name ("Spanish", "español")
+ * @returns {string|null} The language code, or null if no configured language matches
+ */
+function resolveLanguage(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const languages = getLanguages();
+  const setting = value.trim().toLowerCase();
+  const code = setting.split(/[-_]/)[0];
+  if (languages.has(code)) return code;
+
+  for (const language of languages.values()) {
+    if (language.aliases.includes(setting) || language.name.toLowerCase() === setting) {
+      return language.code;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns a language by code, falling back to English
+ * @param {string} [code] - The language code
+ * @returns {Object} The language (see createLanguage)
+ */
+function getLanguage(code) {
+  const languages = getLanguages();
+  return languages.get(resolveLanguage(code)) || languages.get(DEFAULT_LANGUAGE) || createLanguage(DEFAULT_LANGUAGE, {});
+}
+
+/**
+ * Returns the language a dilemma or precedent is written in
+ * @param {Object} dilemma - The dilemma or precedent
+ * @returns {string} Its language code (English when it sets none or an unknown one)
+ */
+function getDilemmaLanguage(dilemma) {
+  const setting = dilemma && dilemma.language;
+  if (setting === undefined || setting === null || setting === '') return DEFAULT_LANGUAGE;
+
+  const code = resolveLanguage(setting);
+  if (!code && !warnedLanguages.has(setting)) {
+    warnedLanguages.add(setting);
+    console.warn(`Unknown language ${JSON.stringify(setting)}, using ${DEFAULT_LANGUAGE}. Configured languages: ${Array.from(getLanguages().keys()).join(', ')}`);
+  }
+  return code || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Splits text into lower-cased words with the language's tokenizer
+ * @param {string} text - The text
+ * @param {string} [code] - The language code (default: English)
+ * @returns {Array<string>} The words
+ */
+function tokenize(text, code) {
+  if (typeof text !== 'string' || !text) return [];
+  return getLanguage(code).tokenizer.tokenize(text.toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Stems a word with the language's stemmer
+ * @param {string} word - The word
+ * @param {string} [code] - The language code (default: English)
+ * @returns {string} The stem
+ */
+function stem(word, code) {
+  return getLanguage(code).stemmer.stem(String(word).toLowerCase());
+}
+
+/**
+ * Splits lower-cased text into stems without stop words, using the stemmer's own stop word list
+ * @param {string} text - The text
+ * @param {string} [code] - The language code (default: English)
+ * @returns {Array<string>} The stems
+ */
+function tokenizeAndStem(text, code) {
+  if (typeof text !== 'string' || !text) return [];
+  return getLanguage(code).stemmer.tokenizeAndStem(text.toLowerCase());
+}
+
+/**
+ * Guesses the language of a text from the stop words it uses
+ * @param {string} text - The text
+ * @returns {string|null} The language code, or null if the text has too few stop words to tell
+ */
+function detectLanguage(text) {
+  if (typeof text !== 'string' || !text) return null;
+
+  const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const counts = Array.from(getLanguages().values())
+    .map(language => ({ code: language.code, count: words.filter(word => language.stopwords.has(word)).length }))
+    .sort((a, b) => b.count - a.count);
+
+  if (counts.length === 0 || counts[0].count < 2 || (counts[1] && counts[1].count === counts[0].count)) {
+    return null;
+  }
+  return counts[0].code;
+}
+
+/**
+ * Lists the configured languages
+ * @returns {Array<Object>} { code, name } for each language
+ */
+function listLanguages() {
+  return Array.from(getLanguages().values()).map(language => ({ code: language.code, name: language.name }));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGE_DIRECTORY,
+  validateLanguage,
+  loadLanguages,
+  listLanguages,
+  resolveLanguage,
+  getLanguage,
+  getDilemmaLanguage,
+  detectLanguage,
+  tokenize,
+  stem,
+  tokenizeAndStem
+};
@@ -0,0 +1,316 @@
+/**
+ * Latent Semantic Analysis
+ *
+ * An offline semantic similarity backend trained over the precedent corpus. Each precedent becomes
+ * a TF-IDF weighted document (title, description, context, key factors, actions and the arguments
+ * of its reasoning paths). A truncated singular value decomposition of the term-document matrix
+ * maps every term onto a small number of latent concepts, so terms used in the same precedents
+ * ("kill", "death", "die") end up close together even though they share no letters.
+ *
+ * The decomposition is computed from the eigenvectors of the document-document matrix (Jacobi
+ * method), which stays cheap while the corpus has a few hundred precedents. Texts are compared
+ * by the cosine of the sum of their term vectors. A trained model can be saved with toJSON()
+ * and loaded again with LsaModel.fromJSON().
+ *
+ * Terms are stemmed in the language of their text (see language.js): a precedent's own language,
+ * or the language detected from the stop words of a text compared without one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize, extractFields } = require('./precedentIndex');
+const { DEFAULT_LANGUAGE, getDilemmaLanguage, detectLanguage } = require('./language');
+
+const DEFAULT_DIMENSIONS = 50;
+
+// Larger corpora are truncated to keep the eigen decomposition fast
+const MAX_DOCUMENTS = 500;
+
+/**
+ * Computes the eigenvalues and eigenvectors of a symmetric matrix with the cyclic Jacobi method
+ * @param {Array<Array<number>>} matrix - Symmetric n x n matrix (not modified)
+ * @returns {Object} { values, vectors } where vectors[k] is the eigenvector of values[k]
+ */
+function symmetricEigen(matrix) {
+  const n = matrix.length;
+  const a = matrix.map(row => row.slice());
+  const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let offDiagonal = 0;
+    let diagonal = 0;
+    for (let p = 0; p < n; p++) {
+      diagonal += a[p][p] * a[p][p];
+      for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+    }
+    if (offDiagonal <= 1e-22 * (diagonal || 1)) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return {
+    values: a.map((row, i) => row[i]),
+    vectors: a.map((_, k) => v.map(row => row[k]))
+  };
+}
+
+/**
+ * Guesses the language of a text, falling back to English
+ * @param {string} text - The text
+ * @returns {string} The language code
+ */
+function textLanguage(text) {
+  return detectLanguage(text) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Counts the terms of a text
+ * @param {string} text - The text
+ * @param {string} [language] - Language code of the text (default: detected from the text)
+ * @returns {Map<string, number>} Term frequencies
+ */
+function countTerms(text, language = textLanguage(text)) {
+  const counts = new Map();
+  for (const term of tokenize(text, language)) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Collects the text of a precedent used as an LSA document
+ * @param {Object} precedent - The precedent
+ * @returns {Object} { text, language } of the document
+ */
+function precedentDocument(precedent) {
+  const argumentsText = (Array.isArray(precedent.reasoning_paths) ? precedent.reasoning_paths : [])
+    .map(p => (p && typeof p.argument === 'string' ? p.argument : ''));
+  const text = [...Object.values(extractFields(precedent)), ...argumentsText].join(' ');
+  return { text, language: precedent.language ? getDilemmaLanguage(precedent) : textLanguage(text) };
+}
+
+class LsaModel {
+  /**
+   * @param {Object} [state] - Trained state as produced by toJSON()
+   */
+  constructor(state = {}) {
+    this.dimensions = state.dimensions || 0;
+    this.singularValues = state.singularValues || [];
+    this.terms = new Map(Object.entries(state.terms || {}));   // term -> { idf, vector }
+    this.documentCount = state.documentCount || 0;
+  }
+
+  /**
+   * Trains the model on a corpus
+   * @param {Array<string|Object>} documents - The document texts, or { text, language } objects
+   * @param {Object} [options] - Training options
+   * @param {number} [options.dimensions=50] - Maximum number of latent concepts
+   * @returns {LsaModel} The model
+   */
+  train(documents, options = {}) {
+    const maxDimensions = options.dimensions || DEFAULT_DIMENSIONS;
+    let corpus = documents
+      .map(document => (typeof document === 'string' ? { text: document } : document))
+      .filter(document => document && typeof document.text === 'string' && document.text.trim());
+    if (corpus.length > MAX_DOCUMENTS) {
+      console.warn(`LSA model trained on the first ${MAX_DOCUMENTS} of ${corpus.length} documents`);
+      corpus = corpus.slice(0, MAX_DOCUMENTS);
+    }
+
+    const counts = corpus.map(document => countTerms(document.text, document.language));
+    const documentFrequencies = new Map();
+    counts.forEach(terms => terms.forEach((_, term) => documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1)));
+
+    const idf = new Map();
+    documentFrequencies.forEach((frequency, term) => idf.set(term, Math.log((corpus.length + 1) / (frequency + 1)) + 1));
+
+    // TF-IDF columns of the term-document matrix
+    const columns = counts.map(terms => {
+      const column = new Map();
+      terms.forEach((count, term) => column.set(term, (1 + Math.log(count)) * idf.get(term)));
+      return column;
+    });
+
+    const gram = columns.map(column1 => columns.map(column2 => {
+      let dot = 0;
+      column1.forEach((weight, term) => { dot += weight * (column2.get(term) || 0); });
+      return dot;
+    }));
+
+    const { values, vectors } = symmetricEigen(gram);
+    const order = values.map((value, k) => k).sort((k1, k2) => values[k2] - values[k1]);
+    const largest = values[order[0]] || 0;
+    const kept = order.filter(k => values[k] > 1e-10 * largest && values[k] > 0).slice(0, maxDimensions);
+
+    this.dimensions = kept.length;
+    this.singularValues = kept.map(k => Math.sqrt(values[k]));
+    this.documentCount = corpus.length;
+    this.terms = new Map();
+
+    // Term vectors: U = A V / sigma
+    for (const [term, termIdf] of idf) {
+      const vector = kept.map((k, d) => {
+        let sum = 0;
+        columns.forEach((column, i) => { sum += (column.get(term) || 0) * vectors[k][i]; });
+        return sum / this.singularValues[d];
+      });
+      this.terms.set(term, { idf: termIdf, vector });
+    }
+
+    return this;
+  }
+
+  /**
+   * Maps a text into the latent concept space
+   * @param {string} text - The text
+   * @param {string} [language] - Language code of the text (default: detected from the text)
+   * @returns {Array<number>|null} The concept vector, or null if the text has no known terms
+   */
+  vector(text, language) {
+    if (this.dimensions === 0) return null;
+    const result = new Array(this.dimensions).fill(0);
+    let known = false;
+
+    countTerms(text, language).forEach((count, term) => {
+      const entry = this.terms.get(term);
+      if (!entry) return;
+      known = true;
+      const weight = (1 + Math.log(count)) * entry.idf;
+      entry.vector.forEach((value, d) => { result[d] += weight * value; });
+    });
+
+    return known ? result : null;
+  }
+
+  /**
+   * Compares two texts by the cosine of their concept vectors
+   * @param {string} text1 - First text
+   * @param {string} text2 - Second text
+   * @returns {number|null} Similarity between 0 and 1, or null if either text has no known terms
+   */
+  similarity(text1, text2) {
+    const vector1 = this.vector(text1);
+    const vector2 = this.vector(text2);
+    if (!vector1 || !vector2) return null;
+
+    let dot = 0;
+    let norm1 = 0;
+    let norm2 = 0;
+    vector1.forEach((value, d) => {
+      dot += value * vector2[d];
+      norm1 += value * value;
+      norm2 += vector2[d] * vector2[d];
+    });
+    if (norm1 === 0 || norm2 === 0) return null;
+    return Math.max(0, dot / Math.sqrt(norm1 * norm2));
+  }
+
+  /**
+   * Serializes the trained model
+   * @returns {Object} Plain object accepted by LsaModel.fromJSON
+   */
+  toJSON() {
+    return {
+      dimensions: this.dimensions,
+      singularValues: this.singularValues,
+      documentCount: this.documentCount,
+      terms: Object.fromEntries(this.terms)
+    };
+  }
+
+  /**
+   * Restores a model saved with toJSON()
+   * @param {Object} state - The saved model
+   * @returns {LsaModel} The model
+   */
+  static fromJSON(state) {
+    return new LsaModel(state);
+  }
+}
+
+/**
+ * Creates the "lsa" semantic similarity provider. The model is loaded from modelPath when that
+ * file exists; otherwise it is trained on first use over the precedents (and saved to modelPath
+ * when one is given).
+ * @param {Object} [options] - Provider options
+ * @param {Array|Function} [options.precedents] - Training corpus, or a function returning it (default: the built-in database)
+ * @param {string} [options.modelPath] - JSON file the trained model is stored in
+ * @param {number} [options.dimensions=50] - Maximum number of latent concepts
+ * @param {string} [options.name='lsa'] - Provider name
+ * @returns {Object} The provider, with train(precedents) to retrain it
+ */
+function createLsaProvider(options = {}) {
+  let model = null;
+
+  const provider = {
+    name: options.name || 'lsa',
+    description: 'Latent semantic analysis trained offline over the precedent corpus',
+
+    train(precedents) {
+      model = new LsaModel().train(precedents.map(precedentDocument), { dimensions: options.dimensions });
+      console.log(`Trained LSA model on ${model.documentCount} precedents (${model.terms.size} terms, ${model.dimensions} concepts)`);
+      if (options.modelPath) {
+        fs.mkdirSync(path.dirname(options.modelPath), { recursive: true });
+        fs.writeFileSync(options.modelPath, JSON.stringify(model.toJSON()), 'utf8');
+      }
+      require('./semanticSimilarity').invalidateSemanticProvider();
+      return model;
+    },
+
+    getModel() {
+      if (model) return model;
+      if (options.modelPath && fs.existsSync(options.modelPath)) {
+        try {
+          model = LsaModel.fromJSON(JSON.parse(fs.readFileSync(options.modelPath, 'utf8')));
+          return model;
+        } catch (error) {
+          console.warn(`Could not load LSA model ${options.modelPath}, retraining: ${error.message}`);
+        }
+      }
+      let precedents = typeof options.precedents === 'function' ? options.precedents() : options.precedents;
+      if (!precedents) {
+        precedents = require('./precedents').getPrecedentDatabase();
+      }
+      return provider.train(precedents);
+    },
+
+    similarity(text1, text2) {
+      return provider.getModel().similarity(text1, text2);
+    }
+  };
+
+  return provider;
+}
+
+module.exports = {
+  LsaModel,
+  createLsaProvider,
+  symmetricEigen
+};
@@ -0,0 +1,187 @@
+/**
+ * Precedent Audit
+ *
+ * Checks that the precedent corpus is coherent: two nearly identical precedents should not have
+ * the same framework reach different conclusions unless something sets them apart. The audit
+ * looks for pairs of precedents where a framework (matched through the framework registry, so
+ * "Deontology" and "Kantian Deontology" are the same) reaches no common conclusion, and keeps
+ * the pairs at or above the similarity threshold of calculateDilemmaSimilarity.
+ *
+ * For each such pair it reports what may explain the divergence:
+ *
+ *   - the parameters and contextual factors that differ (identifyKeyDifferences)
+ *   - a link of precedentRelations.js: one precedent distinguishes or overrules the other
+ *
+ * A pair with neither is unexplained, and likely a mistake in one of the precedents.
+ */
+
+const { calculateDilemmaSimilarity } = require('./similarity');
+const { getPrecedentId } = require('./precedentRepository');
+const { getDeclaredRelations } = require('./precedentRelations');
+const { getFrameworkByName } = require('./frameworkRegistry');
+const { identifyKeyDifferences } = require('./reasoningPath');
+
+// Precedents at least this similar are expected to agree
+const DEFAULT_AUDIT_THRESHOLD = 0.7;
+
+// Links that declare a divergence between two precedents intended
+const EXPLAINING_RELATIONS = ['distinguishes', 'overrules'];
+
+/**
+ * Returns the canonical name of a framework
+ * @param {string} name - The framework name as written in a reasoning path
+ * @returns {string} The registered framework's name, or the name itself if it is not registered
+ */
+function canonicalFramework(name) {
+  const framework = getFrameworkByName(name, { fuzzyMatch: false, fallbackToUnknown: false });
+  return framework ? framework.name : String(name).trim();
+}
+
+/**
+ * Groups the conclusions of a precedent's reasoning paths by framework
+ * @param {Object} precedent - The precedent
+ * @returns {Map<string, Set<string>>} Canonical framework name -> its conclusions (lower-cased, snake_case)
+ */
+function getConclusionsByFramework(precedent) {
+  const conclusions = new Map();
+  for (const reasoningPath of precedent.reasoning_paths || []) {
+    if (!reasoningPath || !reasoningPath.framework) continue;
+    const conclusion = reasoningPath.conclusion || reasoningPath.action;
+    if (typeof conclusion !== 'string') continue;
+
+    const framework = canonicalFramework(reasoningPath.framework);
+    if (!conclusions.has(framework)) conclusions.set(framework, new Set());
+    conclusions.get(framework).add(conclusion.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  }
+  return conclusions;
+}
+
+/**
+ * Lists the frameworks reaching no common conclusion in two precedents
+ * @param {Map} first - Conclusions of the first precedent (from getConclusionsByFramework)
+ * @param {Map} second - Conclusions of the second precedent
+ * @returns {Array<Object>} { framework, conclusions: [first, second] } with each precedent's conclusions
+ */
+function findDivergences(first, second) {
+  const divergences = [];
+  for (const [framework, conclusions] of first) {
+    const other = second.get(framework);
+    if (!other || Array.from(conclusions).some(conclusion => other.has(conclusion))) continue;
+    divergences.push({ framework, conclusions: [Array.from(conclusions), Array.from(other)] });
+  }
+  return divergences;
+}
+
+/**
+ * Lists the links by which one precedent of a pair distinguishes or overrules the other
+ * @param {Object} first - The first precedent
+ * @param {Object} second - The second precedent
+ * @returns {Array<Object>} { type, precedent_id, target, reason } for each link
+ */
+function findExplainingLinks(first, second) {
+  const links = [];
+  for (const [from, to] of [[first, second], [second, first]]) {
+    for (const { type, target, reason } of getDeclaredRelations(from)) {
+      if (EXPLAINING_RELATIONS.includes(type) && target === getPrecedentId(to)) {
+        links.push({ type, precedent_id: getPrecedentId(from), target, reason });
+      }
+    }
+  }
+  return links;
+}
+
+/**
+ * Audits a precedent corpus for similar precedents whose frameworks disagree
+ * @param {Array} precedents - The precedents
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Minimum similarity of the audited pairs (default: 0.7)
+ * @param {string|Object} [options.profile] - Similarity profile (default: the default profile)
+ * @returns {Object} { total, threshold, inconsistencies, unexplained } where each inconsistency is
+ *   { precedents: [id, id], similarity, frameworks: [{ framework, conclusions: [{ precedent_id, conclusions }] }],
+ *   differences: [{ type, name, values: [{ precedent_id, value }] }], links, explained }, most similar first
+ */
+function auditPrecedents(precedents, options = {}) {
+  const threshold = options.threshold === undefined ? DEFAULT_AUDIT_THRESHOLD : options.threshold;
+  const list = (precedents || []).filter(getPrecedentId);
+  const conclusions = list.map(getConclusionsByFramework);
+
+  const inconsistencies = [];
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      // Only precedents that disagree are compared, so the audit scores few pairs
+      const divergences = findDivergences(conclusions[i], conclusions[j]);
+      if (divergences.length === 0) continue;
+
+      const similarity = calculateDilemmaSimilarity(list[i], list[j], options.profile);
+      if (similarity < threshold) continue;
+
+      const ids = [getPrecedentId(list[i]), getPrecedentId(list[j])];
+      const differences = identifyKeyDifferences(list[j], list[i]).map(difference => ({
+        type: difference.type,
+        name: difference.name,
+        values: [
+          { precedent_id: ids[0], value: difference.precedent_value },
+          { precedent_id: ids[1], value: difference.new_value }
+        ]
+      }));
+      const links = findExplainingLinks(list[i], list[j]);
+
+      inconsistencies.push({
+        precedents: ids,
+        similarity: Math.round(similarity * 1000) / 1000,
+        frameworks: divergences.map(divergence => ({
+          framework: divergence.framework,
+          conclusions: divergence.conclusions.map((values, index) => ({ precedent_id: ids[index], conclusions: values }))
+        })),
+        differences,
+        links,
+        explained: differences.length > 0 || links.length > 0
+      });
+    }
+  }
+
+  inconsistencies.sort((a, b) => b.similarity - a.similarity);
+  return {
+    total: list.length,
+    threshold,
+    inconsistencies,
+    unexplained: inconsistencies.filter(inconsistency => !inconsistency.explained).length
+  };
+}
+
+/**
+ * Formats an audit report for the terminal
+ * @param {Object} report - The report from auditPrecedents
+ * @returns {string} Human-readable report
+ */
+function formatAuditReport(report) {
+  const lines = [`Audited ${report.total} precedent(s): ${report.inconsistencies.length} inconsistent pair(s) at similarity ${report.threshold} or more, ${report.unexplained} unexplained`];
+
+  for (const inconsistency of report.inconsistencies) {
+    lines.push('', `${inconsistency.precedents.join(' vs ')} (similarity ${inconsistency.similarity.toFixed(2)})`);
+    for (const { framework, conclusions } of inconsistency.frameworks) {
+      lines.push(`  ${framework}: ${conclusions.map(entry => `${entry.precedent_id} -> ${entry.conclusions.join(', ')}`).join('; ')}`);
+    }
+
+    if (!inconsistency.explained) {
+      lines.push('  Unexplained: no parameter or contextual factor differs, and neither precedent distinguishes the other');
+      continue;
+    }
+    lines.push('  Explained by:');
+    for (const difference of inconsistency.differences) {
+      const values = difference.values.map(entry => `${entry.precedent_id} ${JSON.stringify(entry.value)}`).join(', ');
+      lines.push(`    ${difference.type.replace('_', ' ')} ${difference.name}: ${values}`);
+    }
+    for (const link of inconsistency.links) {
+      lines.push(`    ${link.precedent_id} ${link.type} ${link.target}${link.reason ? `: ${link.reason}` : ''}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_AUDIT_THRESHOLD,
+  auditPrecedents,
+  formatAuditReport
+};
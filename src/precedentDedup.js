@@ -0,0 +1,382 @@
+/**
+ * Precedent Deduplication
+ *
+ * Finds likely duplicates in a precedent database - the same scenario imported from several
+ * authors in different wording - and merges them. Precedents are compared pairwise with
+ * calculateDilemmaSimilarity; pairs at or above the threshold are linked, and linked precedents
+ * form a cluster (single linkage), so a cluster can hold more than two precedents.
+ *
+ * Merging a cluster keeps one precedent, the primary, and absorbs the others into it:
+ *
+ *   - fields that differ take the primary's value unless another precedent is chosen for the
+ *     field; a field the primary lacks is filled from the first precedent that has it
+ *   - frameworks, tags and the links of precedentRelations.js are combined
+ *   - reasoning paths are combined; paths from absorbed precedents record them in "merged_from",
+ *     identical paths are kept once, and paths of one framework reaching different conclusions
+ *     are reported as conflicts
+ *   - "merged_from" on the merged precedent lists each absorbed precedent with its provenance
+ *
+ * The primary is chosen by a merge policy (MERGE_POLICIES) or interactively by the CLI.
+ */
+
+const { calculateDilemmaSimilarity } = require('./similarity');
+const { diffPrecedents, getPrecedentId, RepositoryError } = require('./precedentRepository');
+const { getProvenance, getAuthorityRank } = require('./provenance');
+const { RELATION_TYPES, redirectRelations } = require('./precedentRelations');
+const { deepCopy } = require('./utils');
+
+// Precedents at least this similar are treated as likely duplicates
+const DEFAULT_DUPLICATE_THRESHOLD = 0.8;
+
+// How the primary precedent of a cluster is chosen
+const MERGE_POLICIES = [
+  'first',      // the first precedent of the cluster in database order
+  'authority',  // the most authoritative provenance (see provenance.js), then the first
+  'newest'      // the latest provenance date, then the first
+];
+
+// Fields that are not compared: identifiers, and fields the merge combines itself
+const IGNORED_FIELDS = ['precedent_id', 'id', 'reasoning_paths', 'merged_from'];
+
+// List fields whose values are combined rather than chosen
+const COMBINED_FIELDS = ['frameworks', 'tags'];
+
+/**
+ * Checks whether two JSON values are equal, ignoring the order of object keys
+ * @param {*} a - The first value
+ * @param {*} b - The second value
+ * @returns {boolean} True if they are equal
+ */
+function sameValue(a, b) {
+  return diffPrecedents(a, b).length === 0;
+}
+
+/**
+ * Finds the clusters of likely duplicates
+ * @param {Array} precedents - The precedents
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Minimum similarity of a duplicate pair (default: 0.8)
+ * @param {string|Object} [options.profile] - Similarity profile (default: the default profile)
+ * @returns {Array<Object>} { ids, similarity, pairs } for each cluster, in database order; pairs lists
+ *   { ids: [a, b], similarity } for the linked pairs and similarity is the highest of them
+ */
+function findDuplicateClusters(precedents, options = {}) {
+  const threshold = options.threshold === undefined ? DEFAULT_DUPLICATE_THRESHOLD : options.threshold;
+  const list = (precedents || []).filter(getPrecedentId);
+
+  // Union-find over the precedent positions
+  const parent = list.map((precedent, index) => index);
+  const root = index => (parent[index] === index ? index : (parent[index] = root(parent[index])));
+
+  const pairs = [];
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      const similarity = calculateDilemmaSimilarity(list[i], list[j], options.profile);
+      if (similarity < threshold) continue;
+      pairs.push({ ids: [getPrecedentId(list[i]), getPrecedentId(list[j])], similarity, roots: [i, j] });
+      parent[root(j)] = root(i);
+    }
+  }
+
+  const clusters = new Map();
+  list.forEach((precedent, index) => {
+    const key = root(index);
+    if (!clusters.has(key)) clusters.set(key, { ids: [], similarity: 0, pairs: [] });
+    clusters.get(key).ids.push(getPrecedentId(precedent));
+  });
+  for (const { ids, similarity, roots } of pairs) {
+    const cluster = clusters.get(root(roots[0]));
+    cluster.pairs.push({ ids, similarity });
+    cluster.similarity = Math.max(cluster.similarity, similarity);
+  }
+
+  return Array.from(clusters.values()).filter(cluster => cluster.ids.length > 1);
+}
+
+/**
+ * Lists the fields on which duplicates differ
+ * @param {Array} precedents - The precedents of a cluster
+ * @returns {Array<Object>} { field, values: [{ precedent_id, value }] } for each differing field
+ *   (value is null where a precedent lacks the field)
+ */
+function compareDuplicates(precedents) {
+  const fields = [...new Set(precedents.flatMap(precedent => Object.keys(precedent)))]
+    .filter(field => !IGNORED_FIELDS.includes(field));
+
+  return fields
+    .filter(field => precedents.some(precedent => !sameValue(precedent[field], precedents[0][field])))
+    .map(field => ({
+      field,
+      values: precedents.map(precedent => ({
+        precedent_id: getPrecedentId(precedent),
+        value: precedent[field] === undefined ? null : deepCopy(precedent[field])
+      }))
+    }));
+}
+
+/**
+ * Returns the differences a merge takes from one chosen precedent (the others are combined)
+ * @param {Array<Object>} differences - Differences from compareDuplicates
+ * @returns {Array<Object>} The differences whose value can be chosen
+ */
+function getChoiceFields(differences) {
+  return differences.filter(({ field }) => !COMBINED_FIELDS.includes(field) && !(field in RELATION_TYPES));
+}
+
+/**
+ * Chooses the primary precedent of a cluster
+ * @param {Array} precedents - The precedents of the cluster, in database order
+ * @param {string} [policy] - One of MERGE_POLICIES (default: first)
+ * @returns {number} Index of the primary precedent
+ */
+function selectPrimary(precedents, policy = 'first') {
+  let best = 0;
+  precedents.forEach((precedent, index) => {
+    if (policy === 'authority') {
+      if (getAuthorityRank(getProvenance(precedent).authority) < getAuthorityRank(getProvenance(precedents[best]).authority)) {
+        best = index;
+      }
+    } else if (policy === 'newest') {
+      if ((getProvenance(precedent).date || '') > (getProvenance(precedents[best]).date || '')) {
+        best = index;
+      }
+    }
+  });
+  return best;
+}
+
+/**
+ * Returns the conclusion of a reasoning path
+ * @param {Object} reasoningPath - The reasoning path
+ * @returns {string} Its conclusion or action
+ */
+function conclusionOf(reasoningPath) {
+  return reasoningPath.conclusion || reasoningPath.action || '';
+}
+
+/**
+ * Combines the reasoning paths of duplicates
+ * @param {Array} precedents - The precedents, primary first
+ * @returns {Object} { reasoningPaths, conflicts } where conflicts lists
+ *   { framework, conclusions: [{ precedent_id, conclusion }] } for frameworks reaching different conclusions
+ */
+function combineReasoningPaths(precedents) {
+  const primaryId = getPrecedentId(precedents[0]);
+  const normalize = text => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const seen = new Set();
+  const reasoningPaths = [];
+  const byFramework = new Map();
+
+  for (const precedent of precedents) {
+    const id = getPrecedentId(precedent);
+    for (const reasoningPath of precedent.reasoning_paths || []) {
+      const key = [normalize(reasoningPath.framework), normalize(conclusionOf(reasoningPath)), normalize(reasoningPath.argument)].join('|');
+      if (seen.has(key)) continue;
+      seen.add(key);
+      reasoningPaths.push(id === primaryId || reasoningPath.merged_from ? deepCopy(reasoningPath) : { ...deepCopy(reasoningPath), merged_from: id });
+
+      const framework = normalize(reasoningPath.framework);
+      if (!byFramework.has(framework)) byFramework.set(framework, { framework: reasoningPath.framework, conclusions: [] });
+      const entry = byFramework.get(framework);
+      if (!entry.conclusions.some(existing => existing.precedent_id === id && existing.conclusion === conclusionOf(reasoningPath))) {
+        entry.conclusions.push({ precedent_id: id, conclusion: conclusionOf(reasoningPath) });
+      }
+    }
+  }
+
+  const conflicts = Array.from(byFramework.values())
+    .filter(entry => new Set(entry.conclusions.map(item => item.conclusion)).size > 1);
+  return { reasoningPaths, conflicts };
+}
+
+/**
+ * Merges a cluster of duplicates into one precedent
+ * @param {Array} precedents - The precedents of the cluster
+ * @param {Object} [options]
+ * @param {number} [options.primary] - Index of the precedent to keep (default: 0)
+ * @param {Object} [options.choices] - Field name -> precedent_id whose value to keep for that field
+ * @returns {Object} { primary, absorbed, merged, differences, conflicts } where primary is the kept
+ *   precedent_id and absorbed lists the ids merged into it
+ */
+function mergeDuplicates(precedents, options = {}) {
+  const primaryIndex = options.primary || 0;
+  const ordered = [precedents[primaryIndex], ...precedents.filter((precedent, index) => index !== primaryIndex)];
+  const primary = ordered[0];
+  const primaryId = getPrecedentId(primary);
+  const ids = new Set(ordered.map(getPrecedentId));
+  const choices = options.choices || {};
+
+  const merged = deepCopy(primary);
+  const differences = compareDuplicates(ordered);
+  for (const { field } of differences) {
+    if (COMBINED_FIELDS.includes(field)) {
+      merged[field] = [...new Set(ordered.flatMap(precedent => (Array.isArray(precedent[field]) ? precedent[field] : [])))];
+    } else if (field in RELATION_TYPES) {
+      // Links between the merged precedents go away with them
+      const links = ordered.flatMap(precedent => (Array.isArray(precedent[field]) ? precedent[field] : []));
+      const redirected = redirectRelations({ precedent_id: primaryId, [field]: links }, new Map([...ids].map(id => [id, primaryId])));
+      merged[field] = deepCopy((redirected || { [field]: links })[field]);
+    } else {
+      const chosen = ordered.find(precedent => getPrecedentId(precedent) === choices[field]) ||
+        ordered.find(precedent => precedent[field] !== undefined);
+      if (chosen[field] === undefined) {
+        delete merged[field];
+      } else {
+        merged[field] = deepCopy(chosen[field]);
+      }
+    }
+  }
+
+  const { reasoningPaths, conflicts } = combineReasoningPaths(ordered);
+  merged.reasoning_paths = reasoningPaths;
+
+  // Keep the provenance of every source
+  merged.merged_from = [
+    ...(primary.merged_from || []),
+    ...ordered.slice(1).flatMap(precedent => [
+      {
+        precedent_id: getPrecedentId(precedent),
+        title: precedent.title,
+        ...(precedent.provenance ? { provenance: deepCopy(precedent.provenance) } : {})
+      },
+      ...(precedent.merged_from || [])
+    ])
+  ];
+
+  return { primary: primaryId, absorbed: ordered.slice(1).map(getPrecedentId), merged, differences, conflicts };
+}
+
+/**
+ * Finds the duplicates of a database and, with a policy, plans their merges
+ * @param {Array} precedents - The precedents
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Minimum similarity of a duplicate pair (default: 0.8)
+ * @param {string|Object} [options.profile] - Similarity profile
+ * @param {string} [options.policy] - One of MERGE_POLICIES; without it clusters are only compared
+ * @returns {Object} { total, threshold, policy, clusters } where each cluster has its ids, similarity,
+ *   pairs and differences, plus the planned merge (see mergeDuplicates) when a policy is given
+ * @throws {TypeError} If the policy is unknown
+ */
+function planDeduplication(precedents, options = {}) {
+  if (options.policy !== undefined && !MERGE_POLICIES.includes(options.policy)) {
+    throw new TypeError(`Unknown merge policy: ${options.policy}. Use one of: ${MERGE_POLICIES.join(', ')}`);
+  }
+
+  const threshold = options.threshold === undefined ? DEFAULT_DUPLICATE_THRESHOLD : options.threshold;
+  const byId = new Map((precedents || []).map(precedent => [getPrecedentId(precedent), precedent]));
+  const clusters = findDuplicateClusters(precedents, { threshold, profile: options.profile }).map(cluster => {
+    const members = cluster.ids.map(id => byId.get(id));
+    const planned = { ...cluster, differences: compareDuplicates(members) };
+    if (options.policy) {
+      planned.merge = mergeDuplicates(members, { primary: selectPrimary(members, options.policy) });
+    }
+    return planned;
+  });
+
+  console.log(`Found ${clusters.length} cluster(s) of likely duplicates among ${byId.size} precedents`);
+  return { total: byId.size, threshold, policy: options.policy || null, clusters };
+}
+
+/**
+ * Writes planned merges to a precedent repository: each primary is updated with its merged
+ * content, the absorbed precedents are deleted and links to them are redirected to the primary.
+ * Every change is recorded as a revision.
+ * @param {PrecedentRepository} repository - The repository
+ * @param {Array<Object>} merges - Merges from mergeDuplicates
+ * @param {Object} [options] - Revision options ({ author })
+ * @returns {Promise<Object>} { merged: [{ primary, absorbed }], redirected: [ids], failed: [{ id, error }] }
+ */
+async function applyMerges(repository, merges, options = {}) {
+  const result = { merged: [], redirected: [], failed: [] };
+  const renames = new Map();
+
+  for (const { primary, absorbed, merged } of merges) {
+    try {
+      await repository.update(primary, merged, { ...options, message: `Merged ${absorbed.join(', ')} into ${primary}` });
+      for (const id of absorbed) {
+        await repository.delete(id, { ...options, message: `Merged into ${primary}` });
+        renames.set(id, primary);
+      }
+      result.merged.push({ primary, absorbed });
+    } catch (error) {
+      if (!(error instanceof RepositoryError)) throw error;
+      result.failed.push({ id: primary, error: error.message });
+    }
+  }
+
+  if (renames.size > 0) {
+    for (const precedent of await repository.list()) {
+      const redirected = redirectRelations(precedent, renames);
+      if (!redirected) continue;
+      const id = getPrecedentId(precedent);
+      try {
+        await repository.update(id, redirected, { ...options, message: 'Redirected links to merged precedents' });
+        result.redirected.push(id);
+      } catch (error) {
+        if (!(error instanceof RepositoryError)) throw error;
+        result.failed.push({ id, error: error.message });
+      }
+    }
+  }
+
+  console.log(`Merges applied: ${result.merged.length} merged, ${result.redirected.length} redirected, ${result.failed.length} failed`);
+  return result;
+}
+
+/**
+ * Shortens a field value for the terminal
+ * @param {*} value - The value
+ * @returns {string} The value on one line, at most 80 characters
+ */
+function displayValue(value) {
+  const text = value === null ? '(missing)' : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Formats a deduplication report for the terminal
+ * @param {Object} report - The report from planDeduplication (optionally with an applied result)
+ * @returns {string} Human-readable report
+ */
+function formatDedupReport(report) {
+  const lines = [`Compared ${report.total} precedent(s): ${report.clusters.length} cluster(s) of likely duplicates at similarity ${report.threshold} or more`];
+
+  report.clusters.forEach((cluster, index) => {
+    lines.push('', `Cluster ${index + 1}: ${cluster.ids.join(', ')} (similarity ${cluster.similarity.toFixed(2)})`);
+    if (cluster.differences.length === 0) {
+      lines.push('  No differing fields');
+    }
+    for (const difference of cluster.differences) {
+      lines.push(`  ${difference.field}:`);
+      difference.values.forEach(entry => lines.push(`    ${entry.precedent_id}: ${displayValue(entry.value)}`));
+    }
+    if (cluster.merge) {
+      const { primary, absorbed, merged, conflicts } = cluster.merge;
+      lines.push(`  Merge: keep ${primary}, absorb ${absorbed.join(', ')} (${merged.reasoning_paths.length} reasoning paths)`);
+      for (const conflict of conflicts) {
+        lines.push(`  Conflicting ${conflict.framework} paths: ${conflict.conclusions.map(item => `${item.precedent_id} -> ${item.conclusion}`).join(', ')}`);
+      }
+    }
+  });
+
+  if (report.applied) {
+    const { merged, redirected, failed } = report.applied;
+    lines.push('', `Applied: ${merged.length} merged, ${redirected.length} redirected, ${failed.length} failed`);
+    failed.forEach(entry => lines.push(`  ${entry.id}: ${entry.error}`));
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_DUPLICATE_THRESHOLD,
+  MERGE_POLICIES,
+  findDuplicateClusters,
+  compareDuplicates,
+  getChoiceFields,
+  selectPrimary,
+  mergeDuplicates,
+  planDeduplication,
+  applyMerges,
+  formatDedupReport
+};
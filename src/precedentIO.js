@@ -0,0 +1,608 @@
+/**
+ * Precedent import and export
+ *
+ * Reads and writes precedent collections as JSON (an array), JSON Lines (one precedent per
+ * line), YAML (a list) and CSV. CSV files have one row per reasoning path: the precedent
+ * columns are repeated (or left empty) on each row of the same precedent_id, e.g.
+ *
+ *   precedent_id,title,description,...,framework,conclusion,action,strength,argument
+ *   lifeboat,Lifeboat,An overcrowded boat...,...,Utilitarianism,remove_one,remove_one,strong,More survive
+ *   lifeboat,,,...,Kantian Deontology,stay,stay,moderate,No one may be used...
+ *
+ * List cells (frameworks, key_factors, situation_context) take "a; b" or a JSON array, and
+ * possible_actions takes "action: description; action" or a JSON array. The other structured
+ * cells (parameters, contextual_factors and the *_extra columns) take JSON.
+ *
+ * Imports run a validation pass against the precedent schema and produce a merge report that
+ * lists invalid entries and duplicates, detected by precedent_id or by title similarity, both
+ * against the existing precedents and within the imported file.
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+const { JaroWinklerDistance } = require('natural');
+const { validatePrecedent, formatIssues } = require('./schemaValidator');
+const { getPrecedentId, RepositoryError } = require('./precedentRepository');
+const { normalizeText } = require('./similarity');
+
+// Supported file formats
+const FORMATS = ['json', 'jsonl', 'yaml', 'csv'];
+
+// File extensions recognised by detectFormat
+const EXTENSIONS = {
+  '.json': 'json',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.csv': 'csv'
+};
+
+// How duplicates of existing precedents (same precedent_id) are handled
+const DUPLICATE_POLICIES = ['skip', 'update'];
+
+// Titles at least this similar are reported as possible duplicates
+const DEFAULT_TITLE_THRESHOLD = 0.9;
+
+// CSV columns describing the precedent, then the reasoning path of the row
+const PRECEDENT_COLUMNS = ['precedent_id', 'title', 'description', 'situation_type', 'situation_context', 'key_factors',
+  'parameters', 'frameworks', 'possible_actions', 'contextual_factors', 'precedent_extra'];
+const PATH_COLUMNS = ['framework', 'conclusion', 'action', 'strength', 'argument', 'path_extra'];
+const CSV_COLUMNS = [...PRECEDENT_COLUMNS, ...PATH_COLUMNS];
+
+// Fields with their own CSV columns; everything else goes to the *_extra columns
+const PRECEDENT_FIELDS = ['precedent_id', 'title', 'description', 'situation', 'frameworks', 'possible_actions', 'contextual_factors', 'reasoning_paths'];
+const SITUATION_FIELDS = ['type', 'context', 'key_factors', 'parameters'];
+const PATH_FIELDS = ['framework', 'conclusion', 'action', 'strength', 'argument'];
+
+/**
+ * Detects the format of a precedent file from its extension
+ * @param {string} filePath - The file path
+ * @returns {string|null} One of FORMATS, or null if the extension is not recognised
+ */
+function detectFormat(filePath) {
+  return EXTENSIONS[path.extname(filePath || '').toLowerCase()] || null;
+}
+
+// --- CSV ---
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may contain commas, quotes and line breaks)
+ * @param {string} text - The CSV text
+ * @returns {Array<Object>} { line, cells } for each non-empty record, line being 1-based
+ * @throws {Error} If a quoted field is not closed
+ */
+function parseCsv(text) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0] !== '') {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unclosed quoted field starting on line ${recordLine}`);
+  }
+  endRecord();
+  return records;
+}
+
+/**
+ * Quotes a CSV cell when needed
+ * @param {string} value - The cell text
+ * @returns {string} The encoded cell
+ */
+function encodeCsvCell(value) {
+  return /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Parses a list cell given as "a; b" or as a JSON array
+ * @param {string} cell - The cell text
+ * @returns {Array} The list
+ */
+function parseListCell(cell) {
+  return cell.startsWith('[') ? JSON.parse(cell) : cell.split(';').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Encodes a list cell, falling back to JSON when an item contains a separator
+ * @param {Array} list - The list
+ * @returns {string} The cell text
+ */
+function encodeListCell(list) {
+  const simple = list.every(item => typeof item === 'string' && !item.includes(';') && !item.startsWith('['));
+  return simple ? list.join('; ') : JSON.stringify(list);
+}
+
+/**
+ * Parses a possible_actions cell given as "action: description; action" or as a JSON array
+ * @param {string} cell - The cell text
+ * @param {number} line - Line of the record
+ * @returns {Array<Object>} { action, description } entries
+ */
+function parseActionsCell(cell, line) {
+  if (cell.startsWith('[')) {
+    return parseJsonCell(cell, 'possible_actions', line);
+  }
+  return parseListCell(cell).map(item => {
+    const separator = item.indexOf(':');
+    const action = (separator === -1 ? item : item.slice(0, separator)).trim();
+    const description = separator === -1 ? action : item.slice(separator + 1).trim();
+    return { action, description };
+  });
+}
+
+/**
+ * Encodes a possible_actions cell, falling back to JSON for actions that the short form cannot hold
+ * @param {Array} actions - The possible actions
+ * @returns {string} The cell text
+ */
+function encodeActionsCell(actions) {
+  const simple = actions.every(entry => entry && typeof entry === 'object' &&
+    Object.keys(entry).every(key => key === 'action' || key === 'description') &&
+    typeof entry.action === 'string' && typeof entry.description === 'string' &&
+    !/[;:]/.test(entry.action) && !entry.action.startsWith('[') && !entry.description.includes(';'));
+  if (!simple) {
+    return JSON.stringify(actions);
+  }
+  return actions.map(entry => (entry.description === entry.action ? entry.action : `${entry.action}: ${entry.description}`)).join('; ');
+}
+
+/**
+ * Parses a JSON cell, naming the column and line in the error
+ * @param {string} cell - The cell text
+ * @param {string} column - Column name
+ * @param {number} line - Line of the record
+ * @returns {*} The parsed value
+ * @throws {Error} If the cell is not valid JSON
+ */
+function parseJsonCell(cell, column, line) {
+  try {
+    return JSON.parse(cell);
+  } catch (error) {
+    throw new Error(`Invalid JSON in column "${column}" on line ${line}: ${error.message}`);
+  }
+}
+
+/**
+ * Converts CSV rows into precedents, grouping the rows of each precedent_id
+ * @param {string} text - The CSV text
+ * @returns {Object} { entries: [{ precedent, source }], warnings }
+ */
+function parsePrecedentCsv(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    return { entries: [], warnings: [] };
+  }
+
+  const columns = header.cells.map(cell => cell.trim());
+  const unknown = columns.filter(column => column && !CSV_COLUMNS.includes(column));
+  if (!columns.includes('precedent_id') && !columns.includes('title')) {
+    throw new Error('CSV header must include a precedent_id or title column');
+  }
+
+  const warnings = unknown.map(column => `Ignoring unknown CSV column "${column}"`);
+  const groups = new Map();
+
+  for (const record of records) {
+    const row = {};
+    columns.forEach((column, index) => {
+      const value = (record.cells[index] || '').trim();
+      if (CSV_COLUMNS.includes(column) && value !== '') row[column] = value;
+    });
+    if (Object.keys(row).length === 0) continue;
+
+    // Rows without an id belong to the precedent with the same title
+    const key = row.precedent_id || `title:${row.title || ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, { precedent: {}, situation: {}, lines: [] });
+    }
+    const group = groups.get(key);
+    group.lines.push(record.line);
+
+    const setField = (target, field, value, column) => {
+      if (target[field] === undefined) {
+        target[field] = value;
+      } else if (JSON.stringify(target[field]) !== JSON.stringify(value)) {
+        warnings.push(`Line ${record.line}: "${column}" differs from an earlier row of the same precedent; keeping the first value`);
+      }
+    };
+
+    for (const column of PRECEDENT_COLUMNS) {
+      const cell = row[column];
+      if (cell === undefined) continue;
+      switch (column) {
+        case 'situation_type': setField(group.situation, 'type', cell, column); break;
+        case 'situation_context': setField(group.situation, 'context', parseListCell(cell), column); break;
+        case 'key_factors': setField(group.situation, 'key_factors', parseListCell(cell), column); break;
+        case 'parameters': setField(group.situation, 'parameters', parseJsonCell(cell, column, record.line), column); break;
+        case 'frameworks': setField(group.precedent, 'frameworks', parseListCell(cell), column); break;
+        case 'possible_actions': setField(group.precedent, 'possible_actions', parseActionsCell(cell, record.line), column); break;
+        case 'contextual_factors': setField(group.precedent, 'contextual_factors', parseJsonCell(cell, column, record.line), column); break;
+        case 'precedent_extra':
+          for (const [field, value] of Object.entries(parseJsonCell(cell, column, record.line))) {
+            setField(group.precedent, field, value, column);
+          }
+          break;
+        default: setField(group.precedent, column, cell, column);
+      }
+    }
+
+    const reasoningPath = {};
+    PATH_FIELDS.forEach(field => {
+      if (row[field] !== undefined) reasoningPath[field] = row[field];
+    });
+    if (row.path_extra !== undefined) {
+      Object.assign(reasoningPath, parseJsonCell(row.path_extra, 'path_extra', record.line));
+    }
+    if (Object.keys(reasoningPath).length > 0) {
+      group.precedent.reasoning_paths = [...(group.precedent.reasoning_paths || []), reasoningPath];
+    }
+  }
+
+  const entries = Array.from(groups.values()).map(group => {
+    const precedent = { ...group.precedent };
+    if (Object.keys(group.situation).length > 0) {
+      precedent.situation = { ...group.situation, ...(precedent.situation || {}) };
+    }
+    const first = group.lines[0];
+    const last = group.lines[group.lines.length - 1];
+    return { precedent, source: first === last ? `line ${first}` : `lines ${first}-${last}` };
+  });
+  return { entries, warnings };
+}
+
+/**
+ * Writes precedents as CSV with one row per reasoning path
+ * @param {Array} precedents - The precedents
+ * @returns {string} The CSV text
+ */
+function formatPrecedentCsv(precedents) {
+  const rows = [CSV_COLUMNS];
+
+  for (const precedent of precedents) {
+    const situation = precedent.situation;
+    const situationFits = situation && typeof situation === 'object' &&
+      Object.keys(situation).every(field => SITUATION_FIELDS.includes(field));
+
+    const extra = {};
+    for (const [field, value] of Object.entries(precedent)) {
+      if (!PRECEDENT_FIELDS.includes(field) || (field === 'situation' && !situationFits)) {
+        extra[field] = value;
+      }
+    }
+
+    const cells = {
+      precedent_id: getPrecedentId(precedent),
+      title: precedent.title,
+      description: precedent.description,
+      frameworks: Array.isArray(precedent.frameworks) ? encodeListCell(precedent.frameworks) : undefined,
+      possible_actions: Array.isArray(precedent.possible_actions) ? encodeActionsCell(precedent.possible_actions)
+        : precedent.possible_actions !== undefined ? JSON.stringify(precedent.possible_actions) : undefined,
+      contextual_factors: precedent.contextual_factors !== undefined ? JSON.stringify(precedent.contextual_factors) : undefined,
+      precedent_extra: Object.keys(extra).length > 0 ? JSON.stringify(extra) : undefined
+    };
+    if (situationFits) {
+      cells.situation_type = situation.type;
+      cells.situation_context = situation.context === undefined ? undefined
+        : encodeListCell(Array.isArray(situation.context) ? situation.context : [situation.context]);
+      cells.key_factors = Array.isArray(situation.key_factors) ? encodeListCell(situation.key_factors) : undefined;
+      cells.parameters = situation.parameters !== undefined ? JSON.stringify(situation.parameters) : undefined;
+    }
+
+    const paths = Array.isArray(precedent.reasoning_paths) && precedent.reasoning_paths.length > 0
+      ? precedent.reasoning_paths
+      : [{}];
+    paths.forEach((reasoningPath, index) => {
+      const pathExtra = {};
+      for (const [field, value] of Object.entries(reasoningPath)) {
+        if (!PATH_FIELDS.includes(field)) pathExtra[field] = value;
+      }
+      const rowCells = {
+        // The precedent columns are written once; later rows only repeat the id
+        ...(index === 0 ? cells : { precedent_id: cells.precedent_id }),
+        ...Object.fromEntries(PATH_FIELDS.map(field => [field, reasoningPath[field] === undefined ? undefined : String(reasoningPath[field])])),
+        path_extra: Object.keys(pathExtra).length > 0 ? JSON.stringify(pathExtra) : undefined
+      };
+      rows.push(CSV_COLUMNS.map(column => (rowCells[column] === undefined ? '' : String(rowCells[column]))));
+    });
+  }
+
+  return rows.map(row => row.map(encodeCsvCell).join(',')).join('\n') + '\n';
+}
+
+// --- Parsing and formatting ---
+
+/**
+ * Parses a precedent collection
+ * @param {string} text - The file contents
+ * @param {string} format - One of FORMATS
+ * @returns {Object} { entries: [{ precedent, source }], warnings } where source locates the entry in the file
+ * @throws {Error} If the text cannot be parsed or does not contain a list of precedents
+ */
+function parsePrecedents(text, format) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unsupported precedent format: ${format}. Use one of: ${FORMATS.join(', ')}`);
+  }
+
+  if (format === 'csv') {
+    return parsePrecedentCsv(text);
+  }
+
+  if (format === 'jsonl') {
+    const entries = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (line.trim() === '') return;
+      try {
+        entries.push({ precedent: JSON.parse(line), source: `line ${index + 1}` });
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+      }
+    });
+    return { entries, warnings: [] };
+  }
+
+  const data = format === 'yaml' ? yaml.load(text) : JSON.parse(text);
+  if (data === undefined || data === null) {
+    return { entries: [], warnings: [] };
+  }
+  if (!Array.isArray(data)) {
+    throw new Error(`A ${format.toUpperCase()} precedent file must contain a list of precedents`);
+  }
+  return { entries: data.map((precedent, index) => ({ precedent, source: `item ${index + 1}` })), warnings: [] };
+}
+
+/**
+ * Formats precedents in one of the supported formats
+ * @param {Array} precedents - The precedents
+ * @param {string} format - One of FORMATS
+ * @returns {string} The file contents
+ * @throws {Error} If the format is not supported
+ */
+function formatPrecedents(precedents, format) {
+  switch (format) {
+    case 'json': return JSON.stringify(precedents, null, 2) + '\n';
+    case 'jsonl': return precedents.map(precedent => JSON.stringify(precedent)).join('\n') + (precedents.length > 0 ? '\n' : '');
+    case 'yaml': return yaml.dump(precedents, { lineWidth: -1, noRefs: true });
+    case 'csv': return formatPrecedentCsv(precedents);
+    default: throw new Error(`Unsupported precedent format: ${format}. Use one of: ${FORMATS.join(', ')}`);
+  }
+}
+
+// --- Import ---
+
+/**
+ * Compares two titles, ignoring case, punctuation and a leading article. Letters of every
+ * script are kept, as in string similarity.
+ * @param {string} title1 - First title
+ * @param {string} title2 - Second title
+ * @returns {number} Jaro-Winkler similarity between 0 and 1
+ */
+function titleSimilarity(title1, title2) {
+  const normalize = title => normalizeText(title).replace(/^(the|a|an) /, '');
+  const a = normalize(title1);
+  const b = normalize(title2);
+  return a && b ? JaroWinklerDistance(a, b) : 0;
+}
+
+/**
+ * Finds the closest earlier precedent with the same id or a similar title
+ * @param {Object} precedent - The imported precedent
+ * @param {Array<Object>} candidates - { id, title, origin, source } for existing and already imported precedents
+ * @param {number} titleThreshold - Minimum title similarity for a title duplicate
+ * @returns {Object|null} { id, title, origin, source, reason, similarity }, or null if there is no duplicate
+ */
+function findDuplicate(precedent, candidates, titleThreshold) {
+  const id = getPrecedentId(precedent);
+  const sameId = candidates.find(candidate => candidate.id === id);
+  if (sameId) {
+    return { ...sameId, reason: 'precedent_id', similarity: 1 };
+  }
+
+  let best = null;
+  for (const candidate of candidates) {
+    const similarity = titleSimilarity(precedent.title, candidate.title);
+    if (similarity >= titleThreshold && (!best || similarity > best.similarity)) {
+      best = { ...candidate, reason: 'title', similarity: Number(similarity.toFixed(3)) };
+    }
+  }
+  return best;
+}
+
+/**
+ * Validates imported precedents and plans how they merge into an existing collection.
+ *
+ * Each valid precedent gets an action: "create"; "update" when its precedent_id already exists
+ * and onDuplicate is "update"; or "skip" for other id duplicates. Precedents whose title is
+ * similar to another one are still created but listed as possible duplicates.
+ *
+ * @param {string} text - The file contents
+ * @param {Object} options - Import options
+ * @param {string} options.format - One of FORMATS
+ * @param {Array} [options.existing=[]] - Precedents already in the target collection
+ * @param {string} [options.onDuplicate='skip'] - One of DUPLICATE_POLICIES
+ * @param {number} [options.titleThreshold=0.9] - Minimum title similarity reported as a duplicate
+ * @returns {Object} { precedents: [{ precedent, action, source }], report } where report is the merge report:
+ *   { format, total, valid, invalid: [{ source, id, errors }], duplicates: [{ source, id, title, reason,
+ *     similarity, match: { id, title, origin, source } }], planned: { create, update, skip }, warnings }
+ * @throws {Error} If the file cannot be parsed or an option is invalid
+ */
+function importPrecedents(text, options = {}) {
+  const { format, existing = [], onDuplicate = 'skip', titleThreshold = DEFAULT_TITLE_THRESHOLD } = options;
+  if (!DUPLICATE_POLICIES.includes(onDuplicate)) {
+    throw new Error(`Unknown duplicate policy: ${onDuplicate}. Use one of: ${DUPLICATE_POLICIES.join(', ')}`);
+  }
+
+  const { entries, warnings } = parsePrecedents(text, format);
+  const report = {
+    format,
+    total: entries.length,
+    valid: 0,
+    invalid: [],
+    duplicates: [],
+    planned: { create: 0, update: 0, skip: 0 },
+    warnings: [...warnings]
+  };
+
+  const candidates = existing.map(precedent => ({
+    id: getPrecedentId(precedent),
+    title: precedent.title,
+    origin: 'existing'
+  }));
+  const precedents = [];
+
+  for (const { precedent, source } of entries) {
+    const id = getPrecedentId(precedent);
+    const validation = validatePrecedent(precedent);
+    if (!validation.valid) {
+      report.invalid.push({ source, id: id || null, errors: validation.errors });
+      continue;
+    }
+    report.valid++;
+    report.warnings.push(...formatIssues(validation.warnings).map(line => `${source} (${id}): ${line}`));
+
+    const duplicate = findDuplicate(precedent, candidates, titleThreshold);
+    let action = 'create';
+    if (duplicate) {
+      const { reason, similarity, ...match } = duplicate;
+      report.duplicates.push({ source, id, title: precedent.title, reason, similarity, match });
+      if (reason === 'precedent_id') {
+        action = onDuplicate === 'update' && match.origin === 'existing' ? 'update' : 'skip';
+      }
+    }
+
+    report.planned[action]++;
+    precedents.push({ precedent, action, source });
+    if (action === 'create') {
+      candidates.push({ id, title: precedent.title, origin: 'import', source });
+    }
+  }
+
+  return { precedents, report };
+}
+
+/**
+ * Applies a planned import to a precedent repository, recording a revision for each change
+ * @param {PrecedentRepository} repository - The target repository
+ * @param {Array} planned - The precedents returned by importPrecedents
+ * @param {Object} [options] - { author, message }
+ * @returns {Promise<Object>} { created: [ids], updated: [ids], unchanged: [ids], skipped: [ids], failed: [{ id, error }] }
+ */
+async function applyImport(repository, planned, options = {}) {
+  const result = { created: [], updated: [], unchanged: [], skipped: [], failed: [] };
+  const message = options.message || 'Imported precedent';
+
+  for (const { precedent, action } of planned) {
+    const id = getPrecedentId(precedent);
+    try {
+      if (action === 'create') {
+        await repository.create(precedent, { ...options, message });
+        result.created.push(id);
+      } else if (action === 'update') {
+        const revision = await repository.update(id, precedent, { ...options, message });
+        (revision ? result.updated : result.unchanged).push(id);
+      } else {
+        result.skipped.push(id);
+      }
+    } catch (error) {
+      if (!(error instanceof RepositoryError)) throw error;
+      result.failed.push({ id, error: error.message });
+    }
+  }
+
+  console.log(`Import applied: ${result.created.length} created, ${result.updated.length} updated, ${result.skipped.length} skipped, ${result.failed.length} failed`);
+  return result;
+}
+
+/**
+ * Formats a merge report for the terminal
+ * @param {Object} report - The report from importPrecedents (optionally with an applied result)
+ * @returns {string} Human-readable report
+ */
+function formatMergeReport(report) {
+  const lines = [
+    `Read ${report.total} precedent(s) from ${report.format}: ${report.valid} valid, ${report.invalid.length} invalid`,
+    `Planned: ${report.planned.create} to create, ${report.planned.update} to update, ${report.planned.skip} to skip`
+  ];
+
+  if (report.invalid.length > 0) {
+    lines.push('', 'Invalid precedents:');
+    for (const entry of report.invalid) {
+      lines.push(`  ${entry.source} (${entry.id || 'no id'}):`);
+      formatIssues(entry.errors).forEach(line => lines.push(`    ${line}`));
+    }
+  }
+
+  if (report.duplicates.length > 0) {
+    lines.push('', 'Duplicates:');
+    for (const duplicate of report.duplicates) {
+      const target = `${duplicate.match.origin} ${duplicate.match.id}${duplicate.match.source ? ` (${duplicate.match.source})` : ''}`;
+      const how = duplicate.reason === 'precedent_id' ? 'same precedent_id as' : `title ${duplicate.similarity} similar to`;
+      lines.push(`  ${duplicate.source} (${duplicate.id}): ${how} ${target}`);
+    }
+  }
+
+  if (report.warnings.length > 0) {
+    lines.push('', 'Warnings:');
+    report.warnings.forEach(warning => lines.push(`  ${warning}`));
+  }
+
+  if (report.applied) {
+    const { created, updated, unchanged, skipped, failed } = report.applied;
+    lines.push('', `Applied: ${created.length} created, ${updated.length} updated, ${unchanged.length} unchanged, ${skipped.length} skipped, ${failed.length} failed`);
+    failed.forEach(entry => lines.push(`  ${entry.id}: ${entry.error}`));
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  FORMATS,
+  DUPLICATE_POLICIES,
+  CSV_COLUMNS,
+  detectFormat,
+  parseCsv,
+  parsePrecedents,
+  formatPrecedents,
+  importPrecedents,
+  applyImport,
+  formatMergeReport
+};
@@ -0,0 +1,331 @@
+/**
+ * Precedent Index
+ *
+ * A precomputed search index over the precedent database so that similarity search does not
+ * have to compare a dilemma against every precedent. Each precedent is tokenized (stop words
+ * removed, Porter-stemmed) from its title, description, situation context and key factors, and
+ * possible actions. The index keeps:
+ *
+ *   - term frequencies per precedent (the TF part of its TF-IDF vector)
+ *   - document frequencies per term, from which IDF weights are derived
+ *   - an inverted index from each term to the precedents containing it
+ *
+ * search() looks up the precedents sharing at least one term with the dilemma through the
+ * inverted index and ranks them by TF-IDF cosine similarity; the retrieval service then
+ * re-scores only that shortlist with the full similarity measure.
+ *
+ * Precedents are tokenized in their own language (see language.js), and each field also adds a
+ * "concept:<id>" term for every lexicon concept it expresses, so a dilemma finds precedents
+ * written in another language through the concepts they share.
+ *
+ * Changes are applied incrementally: add(), remove() and sync() only touch the precedents that
+ * changed, and IDF weights and vector norms are recomputed lazily on the next search. sync() takes
+ * a precedent as changed when the list holds another object for its id, as after a repository
+ * write, so it never has to serialize the corpus; a precedent edited in place must be add()ed again.
+ */
+
+const { DEFAULT_LANGUAGE, getDilemmaLanguage, detectLanguage, tokenizeAndStem } = require('./language');
+const { findConcepts } = require('./conceptLexicon');
+
+// Relative weight of the terms of each field
+const FIELD_WEIGHTS = {
+  title: 2,
+  description: 1,
+  context: 1,
+  key_factors: 1.5,
+  actions: 1.5
+};
+
+/**
+ * Returns the key a precedent is indexed under
+ * @param {Object} precedent - The precedent
+ * @returns {string|undefined} id, precedent_id or title
+ */
+function getIndexKey(precedent) {
+  return precedent ? precedent.id || precedent.precedent_id || precedent.title : undefined;
+}
+
+/**
+ * Splits text into stemmed terms without stop words
+ * @param {string} text - The text
+ * @param {string} [language] - Language code of the text (default: English)
+ * @returns {Array<string>} The terms
+ */
+function tokenize(text, language = DEFAULT_LANGUAGE) {
+  if (typeof text !== 'string' || !text) return [];
+  return tokenizeAndStem(text.replace(/_/g, ' '), language);
+}
+
+/**
+ * Collects the searchable text of a dilemma or precedent by field
+ * @param {Object} dilemma - The dilemma or precedent (canonical or legacy shape)
+ * @returns {Object} Map of field name to text
+ */
+function extractFields(dilemma) {
+  const situation = dilemma.situation && typeof dilemma.situation === 'object' ? dilemma.situation : {};
+  const asList = value => (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string');
+
+  let actions = [];
+  if (Array.isArray(dilemma.possible_actions)) {
+    actions = dilemma.possible_actions.flatMap(entry => (typeof entry === 'string'
+      ? [entry]
+      : [entry && (entry.action || entry.id), entry && entry.description]));
+  } else if (dilemma.actions && typeof dilemma.actions === 'object') {
+    actions = Object.entries(dilemma.actions).flatMap(([key, entry]) => [key, entry && entry.description]);
+  }
+
+  return {
+    title: dilemma.title || dilemma.name || '',
+    description: dilemma.description || '',
+    context: [...asList(situation.context), ...asList(dilemma.context)].join(' '),
+    key_factors: asList(situation.key_factors).join(' '),
+    actions: actions.filter(item => typeof item === 'string').join(' ')
+  };
+}
+
+/**
+ * Computes the weighted term frequencies of a dilemma or precedent
+ * @param {Object} dilemma - The dilemma or precedent
+ * @returns {Map<string, number>} Term to weighted count
+ */
+function termFrequencies(dilemma) {
+  const frequencies = new Map();
+  const fields = extractFields(dilemma);
+  const language = dilemma.language
+    ? getDilemmaLanguage(dilemma)
+    : detectLanguage(Object.values(fields).join(' ')) || DEFAULT_LANGUAGE;
+
+  for (const [field, text] of Object.entries(fields)) {
+    const concepts = findConcepts(text, language).map(match => `concept:${match.concept}`);
+    for (const term of [...tokenize(text, language), ...concepts]) {
+      frequencies.set(term, (frequencies.get(term) || 0) + FIELD_WEIGHTS[field]);
+    }
+  }
+  return frequencies;
+}
+
+class PrecedentIndex {
+  /**
+   * @param {Array} [precedents] - Precedents to index
+   */
+  constructor(precedents = []) {
+    this.documents = new Map();        // key -> { precedent, terms }
+    this.postings = new Map();         // term -> Set of keys
+    this.norms = new Map();            // key -> vector norm, cleared when weights change
+    this.dirty = true;
+    precedents.forEach(precedent => this.add(precedent));
+  }
+
+  /**
+   * Number of indexed precedents
+   * @returns {number} The size
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Checks whether a precedent is indexed
+   * @param {string} key - The precedent id
+   * @returns {boolean} True if indexed
+   */
+  has(key) {
+    return this.documents.has(key);
+  }
+
+  /**
+   * Adds or replaces a precedent
+   * @param {Object} precedent - The precedent
+   * @returns {boolean} False if the precedent has no id or title to index it by
+   */
+  add(precedent) {
+    const key = getIndexKey(precedent);
+    if (!key) return false;
+
+    this.remove(key);
+    const terms = termFrequencies(precedent);
+    this.documents.set(key, { precedent, terms });
+    for (const term of terms.keys()) {
+      if (!this.postings.has(term)) this.postings.set(term, new Set());
+      this.postings.get(term).add(key);
+    }
+    this.dirty = true;
+    return true;
+  }
+
+  /**
+   * Removes a precedent
+   * @param {string} key - The precedent id
+   * @returns {boolean} True if it was indexed
+   */
+  remove(key) {
+    const document = this.documents.get(key);
+    if (!document) return false;
+
+    for (const term of document.terms.keys()) {
+      const keys = this.postings.get(term);
+      keys.delete(key);
+      if (keys.size === 0) this.postings.delete(term);
+    }
+    this.documents.delete(key);
+    this.dirty = true;
+    return true;
+  }
+
+  /**
+   * Brings the index in line with a precedent list, re-indexing only what changed. A precedent
+   * changed when the list holds another object than the indexed one for its id.
+   * @param {Array} precedents - The current precedents
+   * @returns {Object} { added, updated, removed } counts
+   */
+  sync(precedents) {
+    const stats = { added: 0, updated: 0, removed: 0 };
+    const seen = new Set();
+
+    for (const precedent of precedents) {
+      const key = getIndexKey(precedent);
+      if (!key) continue;
+      seen.add(key);
+
+      const document = this.documents.get(key);
+      if (!document) {
+        this.add(precedent);
+        stats.added++;
+      } else if (document.precedent !== precedent) {
+        this.add(precedent);
+        stats.updated++;
+      }
+    }
+
+    for (const key of Array.from(this.documents.keys())) {
+      if (!seen.has(key)) {
+        this.remove(key);
+        stats.removed++;
+      }
+    }
+
+    if (stats.added + stats.updated + stats.removed > 0) {
+      console.log(`Precedent index updated: ${stats.added} added, ${stats.updated} updated, ${stats.removed} removed (${this.size} indexed)`);
+    }
+    return stats;
+  }
+
+  /**
+   * Keeps the index up to date with a precedent repository's changes
+   * @param {PrecedentRepository} repository - The repository
+   * @returns {Function} Stops following the repository
+   */
+  follow(repository) {
+    const listener = ({ id, precedent }) => {
+      if (precedent) {
+        this.add(precedent);
+      } else {
+        this.remove(id);
+      }
+    };
+    repository.on('change', listener);
+    return () => repository.off('change', listener);
+  }
+
+  /**
+   * Inverse document frequency of a term (smoothed, so it is always positive)
+   * @param {string} term - The term
+   * @returns {number} The IDF weight
+   */
+  idf(term) {
+    const documentFrequency = this.postings.has(term) ? this.postings.get(term).size : 0;
+    return Math.log((this.documents.size + 1) / (documentFrequency + 1)) + 1;
+  }
+
+  /**
+   * Returns the TF-IDF vector norm of an indexed precedent
+   * @param {string} key - The precedent id
+   * @returns {number} The norm
+   */
+  norm(key) {
+    if (this.dirty) {
+      this.norms.clear();
+      this.dirty = false;
+    }
+    if (!this.norms.has(key)) {
+      let sum = 0;
+      for (const [term, frequency] of this.documents.get(key).terms) {
+        sum += (frequency * this.idf(term)) ** 2;
+      }
+      this.norms.set(key, Math.sqrt(sum));
+    }
+    return this.norms.get(key);
+  }
+
+  /**
+   * Finds the precedents most similar to a dilemma by TF-IDF cosine similarity.
+   * Only precedents sharing at least one term with the dilemma are considered.
+   * @param {Object} dilemma - The dilemma
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit=50] - Maximum number of candidates
+   * @param {number} [options.minScore=0] - Minimum cosine similarity
+   * @returns {Array<Object>} { key, precedent, score, matchedTerms } sorted by score
+   */
+  search(dilemma, options = {}) {
+    const { limit = 50, minScore = 0 } = options;
+    const queryTerms = termFrequencies(dilemma || {});
+
+    const dotProducts = new Map();
+    const matched = new Map();
+    let queryNormSquared = 0;
+
+    for (const [term, frequency] of queryTerms) {
+      const idf = this.idf(term);
+      const queryWeight = frequency * idf;
+      queryNormSquared += queryWeight ** 2;
+
+      for (const key of this.postings.get(term) || []) {
+        const documentWeight = this.documents.get(key).terms.get(term) * idf;
+        dotProducts.set(key, (dotProducts.get(key) || 0) + queryWeight * documentWeight);
+        if (!matched.has(key)) matched.set(key, []);
+        matched.get(key).push(term);
+      }
+    }
+
+    const queryNorm = Math.sqrt(queryNormSquared);
+    const results = [];
+    for (const [key, dot] of dotProducts) {
+      const score = queryNorm > 0 ? dot / (queryNorm * this.norm(key)) : 0;
+      if (score >= minScore) {
+        results.push({ key, precedent: this.documents.get(key).precedent, score, matchedTerms: matched.get(key) });
+      }
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, limit);
+  }
+}
+
+// Indexes built for precedent arrays passed to retrievePrecedents, reused across calls
+const sharedIndexes = new WeakMap();
+
+/**
+ * Returns an index for a precedent array, building it on first use and syncing it afterwards
+ * @param {Array} precedents - The precedent array
+ * @returns {PrecedentIndex} The index
+ */
+function getIndexFor(precedents) {
+  let index = sharedIndexes.get(precedents);
+  if (!index) {
+    index = new PrecedentIndex(precedents);
+    sharedIndexes.set(precedents, index);
+    console.log(`Built precedent index for ${index.size} precedents`);
+  } else {
+    index.sync(precedents);
+  }
+  return index;
+}
+
+module.exports = {
+  PrecedentIndex,
+  getIndexFor,
+  getIndexKey,
+  extractFields,
+  tokenize,
+  termFrequencies
+};
@@ -0,0 +1,388 @@
+/**
+ * Precedent Packs
+ *
+ * A precedent pack bundles the precedents of a domain (medical triage, autonomous vehicles,
+ * data privacy, ...) with the settings to match and adapt them, so domains can be added without
+ * editing data/precedent-database.json. A pack is a directory with a pack.json manifest, or an
+ * npm-style package whose package.json has the same fields under "reaPack":
+ *
+ *   {
+ *     "name": "autonomous-vehicles",
+ *     "version": "1.0.0",
+ *     "description": "Collision and right-of-way decisions of self-driving cars",
+ *     "tags": ["autonomous-vehicles"],   // added to the tags of every precedent of the pack
+ *     "precedents": "precedents.json",   // file or directory of JSON, JSON Lines, YAML or CSV files (default: precedents.json)
+ *     "profile": "profile.json",         // optional similarity profile, named after the pack unless it sets "name"
+ *     "rules": "rules.js"                // optional module exporting adaptation rules
+ *   }
+ *
+ * Packs are discovered in packs/, in node_modules packages named rea-pack-* or @scope/rea-pack-*,
+ * and in the directories listed in the REA_PACK_PATH environment variable. Loading a pack registers
+ * its similarity profile and its adaptation rules; composePrecedentDatabase combines the
+ * precedents of several packs with a base database.
+ *
+ * Adaptation rules have the signature of the built-in rules of adaptationRules.js,
+ * (reasoningPath, dilemma, precedent) => reasoningPath, and apply after them to reasoning paths
+ * adapted from the pack's own precedents. Rules are code: only load packs you trust.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validatePrecedentDatabase, formatIssues } = require('./schemaValidator');
+const { normalizeDilemma } = require('./dilemmaNormalizer');
+const { detectFormat, parsePrecedents } = require('./precedentIO');
+const { registerSimilarityProfile } = require('./similarityProfiles');
+
+const PACK_DIRECTORY = path.join(__dirname, '..', 'packs');
+
+const NODE_MODULES_DIRECTORY = path.join(__dirname, '..', 'node_modules');
+
+const MANIFEST_FILE = 'pack.json';
+
+// Prefix of pack packages in node_modules
+const PACKAGE_PREFIX = 'rea-pack-';
+
+const DEFAULT_PRECEDENTS_FILE = 'precedents.json';
+
+// Loaded packs by directory
+const packCache = new Map();
+
+// Adaptation rules of the loaded packs by pack name
+const packRules = new Map();
+
+/**
+ * Returns the directories searched for packs
+ * @returns {Array<string>} packs/, node_modules and the REA_PACK_PATH directories
+ */
+function getPackDirectories() {
+  const extra = (process.env.REA_PACK_PATH || '').split(path.delimiter).filter(Boolean);
+  return [PACK_DIRECTORY, NODE_MODULES_DIRECTORY, ...extra.map(directory => path.resolve(directory))];
+}
+
+/**
+ * Lists the problems with a pack manifest
+ * @param {Object} manifest - The manifest as read from pack.json or the "reaPack" section of package.json
+ * @returns {Array<string>} Problems (empty when the manifest is valid)
+ */
+function validatePackManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return ['the manifest must be an object'];
+  }
+
+  const issues = [];
+  if (typeof manifest.name !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/i.test(manifest.name)) {
+    issues.push('name must be letters, digits, ".", "_" or "-"');
+  }
+  if (manifest.tags !== undefined && !(Array.isArray(manifest.tags) && manifest.tags.every(tag => typeof tag === 'string'))) {
+    issues.push('tags must be a list of strings');
+  }
+  for (const field of ['version', 'description', 'precedents', 'profile', 'rules']) {
+    if (manifest[field] !== undefined && typeof manifest[field] !== 'string') {
+      issues.push(`${field} must be a string`);
+    }
+  }
+  return issues;
+}
+
+/**
+ * Reads the manifest of a pack directory
+ * @param {string} directory - The pack directory
+ * @returns {Object|null} The manifest, or null if the directory is not a pack
+ * @throws {Error} If the manifest cannot be parsed
+ */
+function readPackManifest(directory) {
+  const manifestPath = path.join(directory, MANIFEST_FILE);
+  if (fs.existsSync(manifestPath)) {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  }
+
+  const packagePath = path.join(directory, 'package.json');
+  if (fs.existsSync(packagePath)) {
+    const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+    if (packageJson.reaPack && typeof packageJson.reaPack === 'object') {
+      // A package is named and versioned by its package.json unless the section says otherwise
+      return {
+        name: String(packageJson.name || '').replace(/^@[^/]+\//, '').replace(PACKAGE_PREFIX, ''),
+        version: packageJson.version,
+        description: packageJson.description,
+        ...packageJson.reaPack
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists the candidate pack directories inside a search directory
+ * @param {string} directory - A search directory
+ * @returns {Array<string>} Subdirectories; in node_modules only rea-pack-* packages
+ */
+function listCandidates(directory) {
+  if (!fs.existsSync(directory)) return [];
+
+  const isNodeModules = path.basename(directory) === 'node_modules';
+  const candidates = [];
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    if (!entry.isDirectory() && !entry.isSymbolicLink()) continue;
+    const entryPath = path.join(directory, entry.name);
+    if (!isNodeModules) {
+      candidates.push(entryPath);
+    } else if (entry.name.startsWith(PACKAGE_PREFIX)) {
+      candidates.push(entryPath);
+    } else if (entry.name.startsWith('@')) {
+      candidates.push(...fs.readdirSync(entryPath)
+        .filter(name => name.startsWith(PACKAGE_PREFIX))
+        .sort()
+        .map(name => path.join(entryPath, name)));
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Finds the installed packs. Invalid packs are skipped with a warning; when two packs share a
+ * name, the one found first is used.
+ * @param {Array<string>} [directories] - Directories to search (default: see getPackDirectories)
+ * @returns {Array<Object>} { name, version, description, tags, directory, manifest } for each pack
+ */
+function discoverPacks(directories = getPackDirectories()) {
+  const packs = new Map();
+
+  for (const candidate of directories.flatMap(listCandidates)) {
+    let manifest;
+    try {
+      manifest = readPackManifest(candidate);
+    } catch (error) {
+      console.warn(`Skipping precedent pack ${candidate}: ${error.message}`);
+      continue;
+    }
+    if (!manifest) continue;
+
+    const issues = validatePackManifest(manifest);
+    if (issues.length > 0) {
+      console.warn(`Skipping precedent pack ${candidate}: ${issues.join('; ')}`);
+      continue;
+    }
+    if (packs.has(manifest.name)) {
+      console.warn(`Skipping precedent pack ${candidate}: pack "${manifest.name}" is already installed at ${packs.get(manifest.name).directory}`);
+      continue;
+    }
+
+    packs.set(manifest.name, {
+      name: manifest.name,
+      version: manifest.version || null,
+      description: manifest.description || '',
+      tags: manifest.tags || [],
+      directory: candidate,
+      manifest
+    });
+  }
+
+  return Array.from(packs.values());
+}
+
+/**
+ * Reads the precedents of a pack from a file or a directory of files
+ * @param {string} source - Path of the file or directory
+ * @returns {Array} The precedents as stored
+ */
+function readPackPrecedents(source) {
+  if (!fs.existsSync(source)) {
+    throw new Error(`precedents not found: ${source}`);
+  }
+
+  const files = fs.statSync(source).isDirectory()
+    ? fs.readdirSync(source).filter(file => detectFormat(file)).sort().map(file => path.join(source, file))
+    : [source];
+
+  return files.flatMap(file => parsePrecedents(fs.readFileSync(file, 'utf8'), detectFormat(file) || 'json')
+    .entries.map(entry => entry.precedent));
+}
+
+/**
+ * Reads the adaptation rules a pack module exports
+ * @param {string} modulePath - Path of the module
+ * @returns {Array<Object>} { name, apply } for each rule
+ */
+function readPackRules(modulePath) {
+  const exported = require(modulePath);
+  const entries = typeof exported === 'function'
+    ? [[exported.name || 'rule', exported]]
+    : Object.entries(exported || {});
+
+  return entries
+    .filter(([, rule]) => typeof rule === 'function')
+    .map(([name, rule]) => ({ name, apply: rule }));
+}
+
+/**
+ * Loads a pack: its precedents, similarity profile and adaptation rules. Precedents failing the
+ * precedent schema are left out, and each precedent is tagged with the pack name and tags.
+ * Loaded packs are cached by directory.
+ * @param {Object|string} pack - A pack from discoverPacks, or the path of a pack directory
+ * @returns {Object|null} { name, version, description, tags, directory, precedents, profile, rules },
+ *   or null if the pack cannot be read
+ */
+function loadPrecedentPack(pack) {
+  const directory = path.resolve(typeof pack === 'string' ? pack : pack.directory);
+  if (packCache.has(directory)) {
+    return packCache.get(directory);
+  }
+
+  let manifest;
+  try {
+    manifest = typeof pack === 'string' ? readPackManifest(directory) : pack.manifest;
+    if (!manifest) {
+      console.warn(`Not a precedent pack: ${directory} has no ${MANIFEST_FILE}`);
+      return null;
+    }
+  } catch (error) {
+    console.warn(`Could not load precedent pack ${directory}: ${error.message}`);
+    return null;
+  }
+  const issues = validatePackManifest(manifest);
+  if (issues.length > 0) {
+    console.warn(`Could not load precedent pack ${directory}: ${issues.join('; ')}`);
+    return null;
+  }
+
+  let rawPrecedents;
+  try {
+    rawPrecedents = readPackPrecedents(path.join(directory, manifest.precedents || DEFAULT_PRECEDENTS_FILE));
+  } catch (error) {
+    console.warn(`Could not load precedent pack ${manifest.name}: ${error.message}`);
+    return null;
+  }
+
+  // Same checks as the built-in database: precedents with schema errors are left out
+  const report = validatePrecedentDatabase(rawPrecedents);
+  formatIssues(report.warnings).forEach(line => console.warn(`Precedent pack ${manifest.name}: schema warning: ${line}`));
+  formatIssues(report.errors).forEach(line => console.warn(`Precedent pack ${manifest.name}: schema error: ${line}`));
+
+  const packTags = manifest.tags || [];
+  const precedents = rawPrecedents
+    .filter((precedent, index) => !report.invalidIndexes.includes(index))
+    .map(precedent => ({
+      ...normalizeDilemma(precedent).dilemma,
+      pack: manifest.name,
+      tags: Array.from(new Set([...packTags, ...(Array.isArray(precedent.tags) ? precedent.tags : [])]))
+    }));
+
+  let profile = null;
+  if (manifest.profile) {
+    try {
+      const profilePath = path.join(directory, manifest.profile);
+      const text = fs.readFileSync(profilePath, 'utf8');
+      const definition = path.extname(profilePath).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+      profile = registerSimilarityProfile(definition, manifest.name);
+    } catch (error) {
+      console.warn(`Skipping the similarity profile of precedent pack ${manifest.name}: ${error.message}`);
+    }
+  }
+
+  let rules = [];
+  if (manifest.rules) {
+    try {
+      rules = readPackRules(path.join(directory, manifest.rules));
+      packRules.set(manifest.name, rules);
+    } catch (error) {
+      console.warn(`Skipping the adaptation rules of precedent pack ${manifest.name}: ${error.message}`);
+    }
+  }
+
+  const loaded = {
+    name: manifest.name,
+    version: manifest.version || null,
+    description: manifest.description || '',
+    tags: packTags,
+    directory,
+    precedents,
+    profile,
+    rules
+  };
+  packCache.set(directory, loaded);
+  return loaded;
+}
+
+/**
+ * Finds the packs named in a pack setting
+ * @param {string|Array<string>} names - Pack names, a comma-separated list of them, or "all"
+ * @param {Array<string>} [directories] - Directories to search (default: see getPackDirectories)
+ * @returns {Object} { packs, unknown } where packs are from discoverPacks and unknown lists the names not found
+ */
+function resolvePacks(names, directories) {
+  const installed = discoverPacks(directories);
+  const wanted = (Array.isArray(names) ? names : String(names || '').split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+
+  if (wanted.includes('all')) {
+    return { packs: installed, unknown: [] };
+  }
+  return {
+    packs: wanted.map(name => installed.find(pack => pack.name === name)).filter(Boolean),
+    unknown: wanted.filter(name => !installed.some(pack => pack.name === name))
+  };
+}
+
+/**
+ * Loads the packs named in a pack setting. Unknown packs are skipped with a warning.
+ * @param {string|Array<string>} names - Pack names, a comma-separated list of them, or "all"
+ * @param {Array<string>} [directories] - Directories to search (default: see getPackDirectories)
+ * @returns {Array<Object>} The loaded packs (see loadPrecedentPack), in the order given
+ */
+function loadPrecedentPacks(names, directories) {
+  const { packs, unknown } = resolvePacks(names, directories);
+  if (unknown.length > 0) {
+    console.warn(`Unknown precedent pack(s): ${unknown.join(', ')}`);
+  }
+  return packs.map(loadPrecedentPack).filter(Boolean);
+}
+
+/**
+ * Combines a base database with the precedents of packs. When a precedent id is already taken,
+ * the precedent found first (the base database, then the packs in order) is kept.
+ * @param {Array} base - The base precedents
+ * @param {Array<Object>} packs - Loaded packs (see loadPrecedentPack)
+ * @returns {Array} The combined precedents
+ */
+function composePrecedentDatabase(base, packs) {
+  const combined = [...(base || [])];
+  const owners = new Map(combined.map(precedent => [precedent.id || precedent.precedent_id, precedent.pack ? `pack ${precedent.pack}` : 'the base database']));
+
+  for (const pack of packs || []) {
+    for (const precedent of pack.precedents) {
+      const id = precedent.id || precedent.precedent_id;
+      if (owners.has(id)) {
+        console.warn(`Skipping precedent "${id}" of pack ${pack.name}: already defined by ${owners.get(id)}`);
+        continue;
+      }
+      owners.set(id, `pack ${pack.name}`);
+      combined.push(precedent);
+    }
+  }
+  return combined;
+}
+
+/**
+ * Returns the adaptation rules that apply to reasoning paths adapted from a precedent
+ * @param {Object} precedent - The precedent
+ * @returns {Array<Object>} { name, apply } for each rule of the precedent's pack
+ */
+function getPackAdaptationRules(precedent) {
+  const record = precedent && precedent.precedent && typeof precedent.precedent === 'object' ? precedent.precedent : precedent;
+  return (record && packRules.get(record.pack)) || [];
+}
+
+module.exports = {
+  PACK_DIRECTORY,
+  getPackDirectories,
+  validatePackManifest,
+  discoverPacks,
+  loadPrecedentPack,
+  resolvePacks,
+  loadPrecedentPacks,
+  composePrecedentDatabase,
+  getPackAdaptationRules
+};
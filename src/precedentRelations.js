@@ -0,0 +1,189 @@
+/**
+ * Precedent Relations
+ *
+ * A precedent can declare how it stands to earlier precedents, by precedent id:
+ *
+ *   "overrules": ["trolley_problem"],                                   // the earlier case is no longer followed
+ *   "refines": [{ "id": "medical_triage", "reason": "adds a lottery for equal prognoses" }],
+ *   "distinguishes": ["transplant_dilemma"]                            // looks alike but is decided differently
+ *
+ * Each link is a precedent id or { id, reason }. Retrieval uses the links (see
+ * precedentRetrieval.js): overruled precedents are suppressed by default, or kept and flagged,
+ * and every result lists the relations other precedents declare to it.
+ */
+
+// Relations a precedent can declare, with the name of the inverse relation
+const RELATION_TYPES = {
+  overrules: 'overruled_by',
+  refines: 'refined_by',
+  distinguishes: 'distinguished_by'
+};
+
+// How retrieval treats overruled precedents
+const RELATION_MODES = ['suppress', 'flag', 'ignore'];
+
+const DEFAULT_RELATION_MODE = 'suppress';
+
+/**
+ * Returns the id of a precedent
+ * @param {Object} precedent - The precedent
+ * @returns {string|undefined} id or precedent_id
+ */
+function getPrecedentKey(precedent) {
+  return precedent ? precedent.id || precedent.precedent_id : undefined;
+}
+
+/**
+ * Lists the relations a precedent declares
+ * @param {Object} precedent - The precedent
+ * @returns {Array<Object>} { type, target, reason } for each link (links without an id are skipped)
+ */
+function getDeclaredRelations(precedent) {
+  if (!precedent || typeof precedent !== 'object') return [];
+
+  const relations = [];
+  for (const type of Object.keys(RELATION_TYPES)) {
+    const links = precedent[type] === undefined ? [] : (Array.isArray(precedent[type]) ? precedent[type] : [precedent[type]]);
+    for (const link of links) {
+      const target = typeof link === 'string' ? link : link && link.id;
+      if (typeof target !== 'string' || !target) continue;
+      relations.push({ type, target, reason: link && typeof link.reason === 'string' ? link.reason : null });
+    }
+  }
+  return relations;
+}
+
+/**
+ * Collects the relations declared between the precedents of a database
+ * @param {Array} precedents - The precedents
+ * @returns {Map<string, Array>} Precedent id -> the relations declared to it,
+ *   as { relation, precedent_id, title, reason } where relation is overruled_by, refined_by or distinguished_by
+ */
+function buildRelationIndex(precedents) {
+  const byKey = new Map((precedents || []).filter(getPrecedentKey).map(precedent => [getPrecedentKey(precedent), precedent]));
+  const incoming = new Map();
+
+  for (const [key, precedent] of byKey) {
+    for (const { type, target, reason } of getDeclaredRelations(precedent)) {
+      if (target === key || !byKey.has(target)) continue;
+      if (!incoming.has(target)) incoming.set(target, []);
+      incoming.get(target).push({ relation: RELATION_TYPES[type], precedent_id: key, title: precedent.title, reason });
+    }
+  }
+
+  return incoming;
+}
+
+/**
+ * Explains why a precedent is overruled
+ * @param {Array<Object>} relations - The relations declared to the precedent (see buildRelationIndex)
+ * @returns {string|null} The explanation, or null if no precedent overrules it
+ */
+function describeOverruling(relations) {
+  const overrulings = (relations || []).filter(relation => relation.relation === 'overruled_by');
+  if (overrulings.length === 0) return null;
+
+  return overrulings
+    .map(relation => `overruled by ${relation.title || relation.precedent_id} (${relation.precedent_id})${relation.reason ? `: ${relation.reason}` : ''}`)
+    .join('; ');
+}
+
+/**
+ * Checks the relations of a precedent database: links to unknown precedents, links of a
+ * precedent to itself and precedents that overrule each other
+ * @param {Array} precedents - The precedents
+ * @param {string} [basePath] - Path of the database in reported issues
+ * @returns {Array<Object>} { path, message } for each problem
+ */
+function validateRelations(precedents, basePath = '$') {
+  if (!Array.isArray(precedents)) return [];
+
+  const keys = new Set(precedents.map(getPrecedentKey).filter(Boolean));
+  const overrules = new Map();
+  const issues = [];
+
+  precedents.forEach((precedent, index) => {
+    const key = getPrecedentKey(precedent);
+    const declared = getDeclaredRelations(precedent);
+    declared.forEach(({ type, target }) => {
+      const links = Array.isArray(precedent[type]) ? precedent[type] : [precedent[type]];
+      const linkIndex = links.findIndex(link => (typeof link === 'string' ? link : link && link.id) === target);
+      const linkPath = `${basePath}[${index}].${type}${Array.isArray(precedent[type]) ? `[${linkIndex}]` : ''}`;
+      if (target === key) {
+        issues.push({ path: linkPath, message: 'links the precedent to itself' });
+      } else if (!keys.has(target)) {
+        issues.push({ path: linkPath, message: `refers to unknown precedent "${target}"` });
+      }
+    });
+    if (key) {
+      overrules.set(key, declared.filter(relation => relation.type === 'overrules').map(relation => relation.target));
+    }
+  });
+
+  // Precedents that overrule each other, directly or through other precedents
+  const reported = new Set();
+  for (const start of overrules.keys()) {
+    const stack = [[start, [start]]];
+    while (stack.length > 0) {
+      const [key, chain] = stack.pop();
+      for (const target of overrules.get(key) || []) {
+        if (target === start && chain.length > 1) {
+          const cycle = [...chain].sort().join(',');
+          if (!reported.has(cycle)) {
+            reported.add(cycle);
+            issues.push({ path: basePath, message: `precedents overrule each other: ${[...chain, start].join(' -> ')}` });
+          }
+        } else if (!chain.includes(target)) {
+          stack.push([target, [...chain, target]]);
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Points the links of a precedent at new precedent ids, e.g. after duplicates were merged.
+ * Links that would then point at the precedent itself, or repeat another link, are dropped.
+ * @param {Object} precedent - The precedent
+ * @param {Map<string, string>} renames - Old precedent id -> new precedent id
+ * @returns {Object|null} A copy of the precedent with the links changed, or null if no link changed
+ */
+function redirectRelations(precedent, renames) {
+  if (!precedent || typeof precedent !== 'object') return null;
+
+  const key = getPrecedentKey(precedent);
+  const updated = { ...precedent };
+  let changed = false;
+  for (const type of Object.keys(RELATION_TYPES)) {
+    if (!Array.isArray(precedent[type])) continue;
+
+    const seen = new Set();
+    const links = [];
+    for (const link of precedent[type]) {
+      const target = typeof link === 'string' ? link : link && link.id;
+      const renamed = renames.has(target) ? renames.get(target) : target;
+      if (renamed !== target) changed = true;
+      if (renamed === key || seen.has(renamed)) {
+        changed = true;
+        continue;
+      }
+      seen.add(renamed);
+      links.push(typeof link === 'string' ? renamed : { ...link, id: renamed });
+    }
+    updated[type] = links;
+  }
+  return changed ? updated : null;
+}
+
+module.exports = {
+  RELATION_TYPES,
+  RELATION_MODES,
+  DEFAULT_RELATION_MODE,
+  getDeclaredRelations,
+  buildRelationIndex,
+  describeOverruling,
+  validateRelations,
+  redirectRelations
+};
@@ -0,0 +1,414 @@
+/**
+ * Precedent Repository
+ *
+ * Storage abstraction for the precedent database with create, read, update and delete
+ * operations. Every change is recorded as a revision of the precedent it affects:
+ *
+ *   {
+ *     precedent_id, revision,          // revisions are numbered from 1 per precedent
+ *     operation,                       // import, create, update, delete or rollback
+ *     author, timestamp, message,
+ *     diff: [{ path, op, from, to }],  // op is add, remove or replace
+ *     snapshot                         // the precedent after the change (null once deleted)
+ *   }
+ *
+ * Precedents that were already in the database before the repository was used get an
+ * "import" revision holding their original content the first time they change, so every
+ * state can be restored with rollback().
+ *
+ * Repositories emit a "change" event ({ id, precedent, revision }, precedent being null after a
+ * delete) after every recorded change, which lets a PrecedentIndex follow them incrementally.
+ *
+ * Two implementations share the PrecedentRepository interface:
+ *   FilePrecedentRepository   - the JSON precedent database plus a <name>.history.json file
+ *   SqlitePrecedentRepository - an embedded SQLite database (see sqlitePrecedentRepository.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { deepCopy, writeFileAtomic } = require('./utils');
+const { validatePrecedent, formatIssues } = require('./schemaValidator');
+
+// Location of the built-in precedent database
+const DEFAULT_DATABASE_PATH = path.join(__dirname, '..', 'data', 'precedent-database.json');
+
+// Operations recorded in the revision history
+const OPERATIONS = ['import', 'create', 'update', 'delete', 'rollback'];
+
+/**
+ * Error raised by repository operations
+ * code is one of: not_found, conflict, invalid
+ */
+class RepositoryError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'RepositoryError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Returns the identifier of a precedent
+ * @param {Object} precedent - The precedent
+ * @returns {string|undefined} precedent_id, falling back to id
+ */
+function getPrecedentId(precedent) {
+  return precedent ? precedent.precedent_id || precedent.id : undefined;
+}
+
+/**
+ * Builds the path of an object property or array element, matching the validator's paths
+ * @param {string} base - Path of the parent
+ * @param {string|number} key - Property name or array index
+ * @returns {string} The child path
+ */
+function childPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Lists the differences between two JSON values
+ * @param {*} before - The previous value (undefined if it did not exist)
+ * @param {*} after - The new value (undefined if it was removed)
+ * @param {string} [basePath='$'] - Path of the values
+ * @returns {Array<Object>} { path, op, from, to } entries, op being add, remove or replace
+ */
+function diffPrecedents(before, after, basePath = '$') {
+  if (before === undefined && after === undefined) return [];
+  if (before === undefined) return [{ path: basePath, op: 'add', to: deepCopy(after) }];
+  if (after === undefined) return [{ path: basePath, op: 'remove', from: deepCopy(before) }];
+
+  const bothArrays = Array.isArray(before) && Array.isArray(after);
+  const bothObjects = !Array.isArray(before) && !Array.isArray(after) &&
+    before !== null && after !== null && typeof before === 'object' && typeof after === 'object';
+
+  if (bothArrays) {
+    const diff = [];
+    for (let index = 0; index < Math.max(before.length, after.length); index++) {
+      diff.push(...diffPrecedents(before[index], after[index], childPath(basePath, index)));
+    }
+    return diff;
+  }
+
+  if (bothObjects) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffPrecedents(before[key], after[key], childPath(basePath, key)));
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ path: basePath, op: 'replace', from: deepCopy(before), to: deepCopy(after) }];
+}
+
+/**
+ * Base class for precedent repositories.
+ *
+ * Subclasses provide the storage primitives (readAll, readRevisions, commit); the
+ * CRUD, history and rollback logic is shared. All public methods are async.
+ */
+class PrecedentRepository extends EventEmitter {
+  /**
+   * Returns all current precedents in storage order
+   * @returns {Promise<Array>} The precedents
+   */
+  async list() {
+    return deepCopy(await this.readAll());
+  }
+
+  /**
+   * Returns one precedent
+   * @param {string} id - The precedent id
+   * @returns {Promise<Object|null>} The precedent, or null if it does not exist
+   */
+  async get(id) {
+    const precedent = (await this.readAll()).find(p => getPrecedentId(p) === id);
+    return precedent ? deepCopy(precedent) : null;
+  }
+
+  /**
+   * Adds a precedent
+   * @param {Object} precedent - The precedent (must match the precedent schema)
+   * @param {Object} [options] - { author, message }
+   * @returns {Promise<Object>} The revision that was recorded
+   * @throws {RepositoryError} invalid if the precedent does not validate, conflict if the id is taken
+   */
+  async create(precedent, options = {}) {
+    this.assertValid(precedent);
+    const id = getPrecedentId(precedent);
+    if (await this.get(id)) {
+      throw new RepositoryError('conflict', `Precedent "${id}" already exists`, { id });
+    }
+    return this.record(id, 'create', undefined, precedent, options);
+  }
+
+  /**
+   * Replaces a precedent with a new version
+   * @param {string} id - The precedent id
+   * @param {Object} precedent - The new version (its id must match or be absent)
+   * @param {Object} [options] - { author, message }
+   * @returns {Promise<Object|null>} The revision that was recorded, or null if nothing changed
+   * @throws {RepositoryError} not_found, invalid, or conflict if the new version has another id
+   */
+  async update(id, precedent, options = {}) {
+    const current = await this.requireExisting(id);
+    const updated = deepCopy(precedent);
+    if (getPrecedentId(updated) === undefined) {
+      updated.precedent_id = id;
+    }
+    if (getPrecedentId(updated) !== id) {
+      throw new RepositoryError('conflict', `Cannot change the id of precedent "${id}" to "${getPrecedentId(updated)}"`, { id });
+    }
+    this.assertValid(updated);
+
+    if (diffPrecedents(current, updated).length === 0) {
+      return null;
+    }
+    return this.record(id, 'update', current, updated, options);
+  }
+
+  /**
+   * Deletes a precedent; its history is kept so it can be restored with rollback
+   * @param {string} id - The precedent id
+   * @param {Object} [options] - { author, message }
+   * @returns {Promise<Object>} The revision that was recorded
+   * @throws {RepositoryError} not_found if the precedent does not exist
+   */
+  async delete(id, options = {}) {
+    const current = await this.requireExisting(id);
+    return this.record(id, 'delete', current, undefined, options);
+  }
+
+  /**
+   * Returns the revision history of a precedent, oldest first
+   * @param {string} id - The precedent id
+   * @returns {Promise<Array>} The revisions (empty if the precedent was never changed)
+   */
+  async history(id) {
+    return deepCopy(await this.readRevisions(id));
+  }
+
+  /**
+   * Returns one revision of a precedent
+   * @param {string} id - The precedent id
+   * @param {number} revision - The revision number
+   * @returns {Promise<Object|null>} The revision, or null if it does not exist
+   */
+  async getRevision(id, revision) {
+    const match = (await this.readRevisions(id)).find(r => r.revision === Number(revision));
+    return match ? deepCopy(match) : null;
+  }
+
+  /**
+   * Restores a precedent to the state recorded in an earlier revision. Rolling back to a
+   * delete revision deletes the precedent; rolling back a deleted precedent restores it.
+   * @param {string} id - The precedent id
+   * @param {number} revision - The revision to restore
+   * @param {Object} [options] - { author, message }
+   * @returns {Promise<Object|null>} The revision that was recorded, or null if the state already matches
+   * @throws {RepositoryError} not_found if the revision does not exist
+   */
+  async rollback(id, revision, options = {}) {
+    const target = await this.getRevision(id, revision);
+    if (!target) {
+      throw new RepositoryError('not_found', `Precedent "${id}" has no revision ${revision}`, { id, revision });
+    }
+
+    const current = await this.get(id);
+    const restored = target.snapshot === null ? undefined : target.snapshot;
+    if (diffPrecedents(current || undefined, restored).length === 0) {
+      return null;
+    }
+    return this.record(id, 'rollback', current || undefined, restored, {
+      ...options,
+      message: options.message || `Rolled back to revision ${target.revision}`
+    });
+  }
+
+  /**
+   * Builds a revision and hands it to the storage implementation
+   * @param {string} id - The precedent id
+   * @param {string} operation - One of OPERATIONS
+   * @param {Object|undefined} before - The current version (undefined if there is none)
+   * @param {Object|undefined} after - The new version (undefined when deleting)
+   * @param {Object} options - { author, message }
+   * @returns {Promise<Object>} The recorded revision
+   */
+  async record(id, operation, before, after, options) {
+    const revisions = await this.readRevisions(id);
+    const timestamp = new Date().toISOString();
+    const pending = [];
+
+    // Keep the content the precedent had before the repository first changed it
+    if (revisions.length === 0 && before !== undefined) {
+      pending.push({
+        precedent_id: id,
+        revision: 1,
+        operation: 'import',
+        author: 'system',
+        timestamp,
+        message: 'Existing precedent recorded before its first change',
+        diff: diffPrecedents(undefined, before),
+        snapshot: deepCopy(before)
+      });
+    }
+
+    const last = pending[0] || revisions[revisions.length - 1];
+    pending.push({
+      precedent_id: id,
+      revision: last ? last.revision + 1 : 1,
+      operation,
+      author: options.author || process.env.USER || 'unknown',
+      timestamp,
+      message: options.message || '',
+      diff: diffPrecedents(before, after),
+      snapshot: after === undefined ? null : deepCopy(after)
+    });
+
+    await this.commit(id, after === undefined ? null : deepCopy(after), pending);
+    const revision = pending[pending.length - 1];
+    console.log(`Recorded ${operation} of precedent ${id} as revision ${revision.revision}`);
+    this.emit('change', { id, precedent: after === undefined ? null : deepCopy(after), revision: deepCopy(revision) });
+    return deepCopy(revision);
+  }
+
+  /**
+   * Returns a precedent or throws if it does not exist
+   * @param {string} id - The precedent id
+   * @returns {Promise<Object>} The precedent
+   * @throws {RepositoryError} not_found
+   */
+  async requireExisting(id) {
+    const precedent = await this.get(id);
+    if (!precedent) {
+      throw new RepositoryError('not_found', `Precedent "${id}" not found`, { id });
+    }
+    return precedent;
+  }
+
+  /**
+   * Validates a precedent against the precedent schema
+   * @param {Object} precedent - The precedent
+   * @throws {RepositoryError} invalid, with the schema errors as details
+   */
+  assertValid(precedent) {
+    const report = validatePrecedent(precedent);
+    formatIssues(report.warnings).forEach(line => console.warn(`Precedent schema warning: ${line}`));
+    if (!report.valid) {
+      throw new RepositoryError('invalid', `Invalid precedent: ${formatIssues(report.errors).join('; ')}`, report.errors);
+    }
+  }
+
+  // --- Storage primitives implemented by subclasses ---
+
+  /** @returns {Promise<Array>} All current precedents */
+  async readAll() {
+    throw new Error(`${this.constructor.name} does not implement readAll`);
+  }
+
+  /**
+   * @param {string} id - The precedent id
+   * @returns {Promise<Array>} The stored revisions of the precedent, oldest first
+   */
+  async readRevisions(id) {
+    throw new Error(`${this.constructor.name} does not implement readRevisions`);
+  }
+
+  /**
+   * Stores a new version of a precedent together with its revisions, atomically
+   * @param {string} id - The precedent id
+   * @param {Object|null} precedent - The new version, or null to delete it
+   * @param {Array} revisions - Revisions to append
+   */
+  async commit(id, precedent, revisions) {
+    throw new Error(`${this.constructor.name} does not implement commit`);
+  }
+}
+
+/**
+ * Repository backed by a JSON precedent database file (the format of data/precedent-database.json).
+ * Revisions are kept in a separate history file mapping precedent ids to their revisions.
+ */
+class FilePrecedentRepository extends PrecedentRepository {
+  /**
+   * @param {string} [databasePath] - Path of the precedent database (defaults to the built-in database)
+   * @param {Object} [options] - { historyPath } (defaults to <database>.history.json next to the database)
+   */
+  constructor(databasePath = DEFAULT_DATABASE_PATH, options = {}) {
+    super();
+    this.databasePath = path.resolve(databasePath);
+    this.historyPath = options.historyPath
+      ? path.resolve(options.historyPath)
+      : this.databasePath.replace(/(\.json)?$/, '.history.json');
+  }
+
+  async readAll() {
+    if (!fs.existsSync(this.databasePath)) {
+      return [];
+    }
+    const precedents = JSON.parse(fs.readFileSync(this.databasePath, 'utf8'));
+    if (!Array.isArray(precedents)) {
+      throw new RepositoryError('invalid', `Precedent database ${this.databasePath} is not an array`);
+    }
+    return precedents;
+  }
+
+  readHistory() {
+    return fs.existsSync(this.historyPath) ? JSON.parse(fs.readFileSync(this.historyPath, 'utf8')) : {};
+  }
+
+  async readRevisions(id) {
+    return this.readHistory()[id] || [];
+  }
+
+  async commit(id, precedent, revisions) {
+    const precedents = await this.readAll();
+    const index = precedents.findIndex(p => getPrecedentId(p) === id);
+    if (precedent === null) {
+      precedents.splice(index, 1);
+    } else if (index === -1) {
+      precedents.push(precedent);
+    } else {
+      precedents[index] = precedent;
+    }
+
+    const history = this.readHistory();
+    history[id] = [...(history[id] || []), ...revisions];
+
+    // The database is written first so a failure never leaves a revision of a change that was not saved
+    writeFileAtomic(this.databasePath, JSON.stringify(precedents, null, 2));
+    writeFileAtomic(this.historyPath, JSON.stringify(history, null, 2));
+  }
+}
+
+/**
+ * Opens a precedent repository
+ * @param {Object} [options] - Repository options
+ * @param {string} [options.type='file'] - "file" or "sqlite"
+ * @param {string} [options.path] - Database path (the built-in JSON database for "file"; required for "sqlite")
+ * @param {string} [options.historyPath] - History file for the "file" repository
+ * @returns {Promise<PrecedentRepository>} The repository
+ */
+async function openPrecedentRepository(options = {}) {
+  const type = options.type || 'file';
+  if (type === 'file') {
+    return new FilePrecedentRepository(options.path, { historyPath: options.historyPath });
+  }
+  if (type === 'sqlite') {
+    const { SqlitePrecedentRepository } = require('./sqlitePrecedentRepository');
+    return SqlitePrecedentRepository.open(options.path);
+  }
+  throw new RepositoryError('invalid', `Unknown precedent repository type: ${type}. Use file or sqlite`);
+}
+
+module.exports = {
+  DEFAULT_DATABASE_PATH,
+  OPERATIONS,
+  RepositoryError,
+  PrecedentRepository,
+  FilePrecedentRepository,
+  openPrecedentRepository,
+  diffPrecedents,
+  getPrecedentId
+};
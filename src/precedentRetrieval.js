@@ -0,0 +1,392 @@
+/**
+ * Precedent Retrieval Service
+ *
+ * The single way precedents are retrieved for a dilemma. The CLI, the HTTP API, analyzeDilemma
+ * and generateReasoningPaths all describe what they want with a retrieval query and get back
+ * the same ranking and the same result shape, so a dilemma matches the same precedents
+ * whichever entry point analyzes it.
+ *
+ * A query has the form:
+ *
+ *   {
+ *     threshold: 0.3,                      // minimum total similarity (0-1)
+ *     maxResults: 5,                       // maximum number of results
+ *     profile: 'default',                  // similarity profile name or definition (see similarityProfiles.js)
+ *     weights: { description: 0.4, title: 0.2, actions: 0.4, structure: 0 },
+ *     useMaxActionScore: false,            // score actions by their best relevance instead of the average
+ *     filters: {
+ *       frameworks: ['Utilitarianism'],    // only precedents reasoning with one of these frameworks
+ *       tags: ['medical'],                 // only precedents with one of these tags (see precedentPacks.js)
+ *       ids: ['trolley_problem'],          // only these precedents
+ *       excludeIds: ['lifeboat'],          // never these precedents
+ *       requireReasoningPaths: true        // skip precedents without reasoning paths
+ *     },
+ *     relations: 'suppress',               // overruled precedents: 'suppress', 'flag' or 'ignore' (see precedentRelations.js)
+ *     index: undefined,                    // PrecedentIndex to shortlist with (false disables the index)
+ *                                          // (ignored when structure is at least the other weights together)
+ *     candidateLimit: 50                   // size of the index shortlist
+ *   }
+ *
+ * The profile supplies the weights the query does not set. The "structure" weight scores the
+ * precedent with calculateDilemmaSimilarity under the profile, which is how profiles that care
+ * about parameters rather than wording (such as "medical") change the ranking. It is the only
+ * way the profile's component weights and parameter settings reach the ranking, so with a
+ * structure weight of 0, as in the default profile, they have no effect here.
+ *
+ * Every result is the precedent itself with totalSimilarityScore, descriptionSimilarity,
+ * titleSimilarity, actionRelevance and similarityBreakdown added, sorted by totalSimilarityScore.
+ * similarity repeats totalSimilarityScore under the name the results had before the service existed.
+ * A dilemma or precedent without a description is described by its situation context, key
+ * factors and actions instead.
+ * Unless relations is 'ignore', a result that other precedents overrule, refine or distinguish
+ * also lists those links under precedentRelations, and a flagged overruled result has
+ * overruled: true. retrieveWithExclusions also reports the overruled precedents that would
+ * have matched but were suppressed.
+ */
+
+const { calculateSimilarity, explainDilemmaSimilarity } = require('./similarity');
+const { DEFAULT_PROFILE_NAME, resolveSimilarityProfile } = require('./similarityProfiles');
+const { actionRelevanceScore } = require('./utils');
+const { getIndexFor, getIndexKey, extractFields } = require('./precedentIndex');
+const { getFrameworkByName } = require('./frameworkRegistry');
+const { RELATION_MODES, DEFAULT_RELATION_MODE, buildRelationIndex, describeOverruling } = require('./precedentRelations');
+
+// Databases with at least this many precedents are shortlisted through the precedent index
+const INDEX_MIN_PRECEDENTS = 100;
+
+const DEFAULT_QUERY = {
+  threshold: 0.3,
+  maxResults: 5,
+  profile: DEFAULT_PROFILE_NAME,
+  useMaxActionScore: false,
+  filters: {},
+  relations: DEFAULT_RELATION_MODE
+};
+
+/**
+ * Returns a number between 0 and 1, or the fallback (with a warning) for anything else
+ * @param {*} value - The value
+ * @param {number} fallback - The default
+ * @param {string} name - Name used in the warning
+ * @returns {number} The value or the fallback
+ */
+function unitInterval(value, fallback, name) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value !== 'number' || Number.isNaN(value) || value < 0 || value > 1) {
+    console.warn(`Ignoring invalid retrieval ${name} ${JSON.stringify(value)}, using ${fallback}`);
+    return fallback;
+  }
+  return value;
+}
+
+/**
+ * Turns a single value or a list into a list of strings
+ * @param {*} value - A string, an array or nothing
+ * @returns {Array<string>} The list
+ */
+function asList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string' && item);
+}
+
+/**
+ * Completes a retrieval query with the defaults and the weights of its similarity profile.
+ * The flat option names used before the service existed (descriptionWeight, titleWeight,
+ * actionWeight) are still accepted.
+ * @param {Object} [query] - A partial query
+ * @returns {Object} The complete query, with profile resolved to a complete profile
+ */
+function createRetrievalQuery(query = {}) {
+  let profile = resolveSimilarityProfile(query.profile);
+  if (!profile) {
+    console.warn(`Unknown similarity profile ${JSON.stringify(query.profile)}, using the default profile`);
+    profile = resolveSimilarityProfile(DEFAULT_PROFILE_NAME);
+  }
+
+  const weights = { ...profile.retrieval, ...query.weights };
+  const legacyWeights = { description: query.descriptionWeight, title: query.titleWeight, actions: query.actionWeight };
+  for (const [name, weight] of Object.entries(legacyWeights)) {
+    if (weight !== undefined) weights[name] = weight;
+  }
+  for (const name of Object.keys(profile.retrieval)) {
+    weights[name] = unitInterval(weights[name], profile.retrieval[name], `${name} weight`);
+  }
+
+  const maxResults = Number.isInteger(query.maxResults) && query.maxResults > 0 ? query.maxResults : DEFAULT_QUERY.maxResults;
+  const filters = query.filters || {};
+
+  let relations = query.relations === undefined ? DEFAULT_QUERY.relations : query.relations;
+  if (!RELATION_MODES.includes(relations)) {
+    console.warn(`Ignoring invalid retrieval relations mode ${JSON.stringify(relations)}, using ${DEFAULT_QUERY.relations}`);
+    relations = DEFAULT_QUERY.relations;
+  }
+
+  return {
+    threshold: unitInterval(query.threshold, DEFAULT_QUERY.threshold, 'threshold'),
+    maxResults,
+    profile,
+    weights,
+    useMaxActionScore: Boolean(query.useMaxActionScore),
+    filters: {
+      frameworks: asList(filters.frameworks),
+      tags: asList(filters.tags),
+      ids: asList(filters.ids),
+      excludeIds: asList(filters.excludeIds),
+      requireReasoningPaths: filters.requireReasoningPaths !== false
+    },
+    relations,
+    index: query.index,
+    candidateLimit: Number.isInteger(query.candidateLimit) && query.candidateLimit > 0
+      ? query.candidateLimit
+      : Math.max(50, 10 * maxResults)
+  };
+}
+
+/**
+ * Returns a comparable key for a framework name (the registry id when the framework is known)
+ * @param {string} name - The framework name
+ * @returns {string} The key
+ */
+function frameworkKey(name) {
+  const framework = getFrameworkByName(name, { fuzzyMatch: false, fallbackToUnknown: false });
+  return framework ? framework.id : String(name).trim().toLowerCase();
+}
+
+/**
+ * Checks a precedent against the query filters
+ * @param {Object} precedent - The precedent
+ * @param {Object} filters - The filters of a complete query
+ * @param {Set<string>} [frameworkKeys] - Keys of filters.frameworks (computed once per query)
+ * @returns {boolean} True if the precedent passes every filter
+ */
+function matchesFilters(precedent, filters, frameworkKeys) {
+  if (!precedent || typeof precedent !== 'object' || !precedent.title) return false;
+
+  const hasReasoningPaths = Array.isArray(precedent.reasoning_paths) && precedent.reasoning_paths.length > 0;
+  if (filters.requireReasoningPaths && !hasReasoningPaths) return false;
+
+  const id = precedent.id || precedent.precedent_id;
+  if (filters.ids.length > 0 && !filters.ids.includes(id)) return false;
+  if (filters.excludeIds.includes(id)) return false;
+
+  if (filters.tags.length > 0 && !asList(precedent.tags).some(tag => filters.tags.includes(tag))) return false;
+
+  if (filters.frameworks.length > 0) {
+    const wanted = frameworkKeys || new Set(filters.frameworks.map(frameworkKey));
+    const used = [
+      ...(hasReasoningPaths ? precedent.reasoning_paths.map(p => p && p.framework) : []),
+      ...asList(precedent.frameworks)
+    ].filter(Boolean);
+    if (!used.some(name => wanted.has(frameworkKey(name)))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Returns the text a dilemma or precedent is described by: its description, or when it has
+ * none, its situation context, key factors and actions
+ * @param {Object} dilemma - The dilemma or precedent
+ * @returns {string} The text (empty if there is none)
+ */
+function describeDilemma(dilemma) {
+  if (typeof dilemma.description === 'string' && dilemma.description.trim()) {
+    return dilemma.description;
+  }
+  const { context, key_factors, actions } = extractFields(dilemma);
+  return [context, key_factors, actions].filter(Boolean).join(' ');
+}
+
+/**
+ * Scores how relevant each dilemma action is to a precedent
+ * @param {Object} dilemma - The dilemma
+ * @param {Object} precedent - The precedent
+ * @returns {Promise<Array>} { action, relevance } for each action with an id
+ */
+async function scoreActions(dilemma, precedent) {
+  const scores = [];
+  for (const action of dilemma.possible_actions || []) {
+    const actionId = action && (action.id || action.action);
+    if (!actionId) continue;
+
+    try {
+      const actionResult = await actionRelevanceScore(describeDilemma(dilemma), actionId, describeDilemma(precedent));
+
+      // Handle both object result and direct score result
+      const relevance = typeof actionResult === 'object'
+        ? (actionResult.boostedScore || actionResult.baseScore || 0.5)
+        : (actionResult || 0.5);
+      scores.push({ action: actionId, relevance });
+    } catch (error) {
+      scores.push({ action: actionId, relevance: 0.5 }); // Default on error
+    }
+  }
+  return scores;
+}
+
+/**
+ * Scores a precedent against a dilemma
+ * @param {Object} dilemma - The dilemma
+ * @param {Object} precedent - The precedent
+ * @param {Object} query - A complete query
+ * @returns {Promise<Object>} { totalSimilarityScore, descriptionSimilarity, titleSimilarity, actionRelevance,
+ *   actionScores, structure } where structure is the explainDilemmaSimilarity breakdown when the structure weight is used
+ */
+async function scorePrecedent(dilemma, precedent, query) {
+  const { weights } = query;
+  const descriptionSimilarity = calculateSimilarity(describeDilemma(dilemma), describeDilemma(precedent));
+  const titleSimilarity = calculateSimilarity(dilemma.title, precedent.title);
+
+  // Use either max or average action relevance
+  const actionScores = await scoreActions(dilemma, precedent);
+  const relevances = actionScores.map(entry => entry.relevance);
+  let actionRelevance = 0.5;
+  if (relevances.length > 0) {
+    actionRelevance = query.useMaxActionScore
+      ? Math.max(...relevances)
+      : relevances.reduce((sum, relevance) => sum + relevance, 0) / relevances.length;
+  }
+
+  const structure = weights.structure > 0 ? explainDilemmaSimilarity(dilemma, precedent, query.profile) : null;
+
+  const totalSimilarityScore = weights.description * descriptionSimilarity
+    + weights.title * titleSimilarity
+    + weights.actions * actionRelevance
+    + (structure ? weights.structure * structure.score : 0);
+
+  return { totalSimilarityScore, descriptionSimilarity, titleSimilarity, actionRelevance, actionScores, structure };
+}
+
+/**
+ * Explains a score, adding the factor, parameter and action pairs the precedent shares with the dilemma
+ * @param {Object} dilemma - The dilemma
+ * @param {Object} precedent - The precedent
+ * @param {Object} scores - The result of scorePrecedent
+ * @param {Object} query - A complete query
+ * @returns {Object} The similarity breakdown
+ */
+function buildBreakdown(dilemma, precedent, scores, query) {
+  const { weights } = query;
+  const structure = scores.structure || explainDilemmaSimilarity(dilemma, precedent, query.profile);
+  const component = (name, score, weight) => ({ name, score, weight, contribution: weight * score });
+
+  const components = [
+    component('description', scores.descriptionSimilarity, weights.description),
+    component('title', scores.titleSimilarity, weights.title),
+    component('actions', scores.actionRelevance, weights.actions)
+  ];
+  if (scores.structure) {
+    components.push(component('structure', scores.structure.score, weights.structure));
+  }
+
+  return {
+    score: scores.totalSimilarityScore,
+    profile: query.profile.name,
+    components,
+    matchedActions: scores.actionScores.map(entry => {
+      const pair = structure.matchedActions.find(match => match.action === entry.action);
+      return { ...entry, matchedAction: pair ? pair.matchedAction : null, nameSimilarity: pair ? pair.score : 0 };
+    }),
+    matchedFactors: structure.matchedFactors,
+    matchedParameters: structure.matchedParameters
+  };
+}
+
+/**
+ * Whether the structure weight outweighs the text weights together, so that the text index
+ * cannot be trusted to shortlist the best matches
+ * @param {Object} weights - The complete retrieval weights
+ * @returns {boolean}
+ */
+function isStructureLed(weights) {
+  return weights.structure > 0 && weights.structure >= weights.description + weights.title + weights.actions;
+}
+
+/**
+ * Retrieves the precedents relevant to a dilemma, explaining which matching precedents were
+ * suppressed because other precedents overrule them
+ * @param {Object} dilemma - The dilemma (needs a title or something to describe it by, see describeDilemma)
+ * @param {Array} precedents - The precedents to search
+ * @param {Object} [query] - Retrieval query (see createRetrievalQuery); missing fields use the defaults
+ * @returns {Promise<Object>} { results, excluded } where results are as for retrievePrecedents and
+ *   excluded lists { precedent_id, title, totalSimilarityScore, reason, relations } for each suppressed precedent
+ */
+async function retrieveWithExclusions(dilemma, precedents, query = {}) {
+  if (!dilemma || !Array.isArray(precedents) || (!dilemma.title && !describeDilemma(dilemma))) {
+    return { results: [], excluded: [] };
+  }
+
+  const complete = createRetrievalQuery(query);
+  const frameworkKeys = new Set(complete.filters.frameworks.map(frameworkKey));
+  let candidates = precedents.filter(precedent => matchesFilters(precedent, complete.filters, frameworkKeys));
+
+  // Large databases are shortlisted by TF-IDF before the full similarity is computed, unless the
+  // ranking rests mostly on structure, which matches precedents that share no wording with the dilemma
+  let index = complete.index !== undefined
+    ? complete.index
+    : (precedents.length >= INDEX_MIN_PRECEDENTS ? getIndexFor(precedents) : null);
+  if (isStructureLed(complete.weights)) index = null;
+  if (index) {
+    const shortlist = new Set(index.search(dilemma, { limit: complete.candidateLimit }).map(candidate => candidate.key));
+    candidates = candidates.filter(precedent => shortlist.has(getIndexKey(precedent)));
+  }
+
+  // Links are declared across the whole database, so a filtered-out precedent still overrules
+  const relationIndex = complete.relations === 'ignore' ? new Map() : buildRelationIndex(precedents);
+
+  const results = [];
+  const excluded = [];
+  for (const precedent of candidates) {
+    const scores = await scorePrecedent(dilemma, precedent, complete);
+    if (scores.totalSimilarityScore < complete.threshold) continue;
+
+    const relations = relationIndex.get(getIndexKey(precedent)) || [];
+    const overruling = describeOverruling(relations);
+    if (overruling && complete.relations === 'suppress') {
+      excluded.push({
+        precedent_id: precedent.id || precedent.precedent_id,
+        title: precedent.title,
+        totalSimilarityScore: scores.totalSimilarityScore,
+        reason: overruling,
+        relations
+      });
+      continue;
+    }
+
+    results.push({
+      ...precedent,
+      totalSimilarityScore: scores.totalSimilarityScore,
+      similarity: scores.totalSimilarityScore,
+      descriptionSimilarity: scores.descriptionSimilarity,
+      titleSimilarity: scores.titleSimilarity,
+      actionRelevance: scores.actionRelevance,
+      similarityBreakdown: buildBreakdown(dilemma, precedent, scores, complete),
+      ...(relations.length > 0 ? { precedentRelations: relations } : {}),
+      ...(overruling ? { overruled: true } : {})
+    });
+  }
+
+  results.sort((a, b) => b.totalSimilarityScore - a.totalSimilarityScore);
+  excluded.sort((a, b) => b.totalSimilarityScore - a.totalSimilarityScore);
+  return { results: results.slice(0, complete.maxResults), excluded };
+}
+
+/**
+ * Retrieves the precedents relevant to a dilemma
+ * @param {Object} dilemma - The dilemma (needs a title or something to describe it by, see describeDilemma)
+ * @param {Array} precedents - The precedents to search
+ * @param {Object} [query] - Retrieval query (see createRetrievalQuery); missing fields use the defaults
+ * @returns {Promise<Array>} Matching precedents with their scores and similarityBreakdown, best first
+ */
+async function retrievePrecedents(dilemma, precedents, query = {}) {
+  return (await retrieveWithExclusions(dilemma, precedents, query)).results;
+}
+
+module.exports = {
+  DEFAULT_QUERY,
+  INDEX_MIN_PRECEDENTS,
+  createRetrievalQuery,
+  matchesFilters,
+  retrievePrecedents,
+  retrieveWithExclusions
+};
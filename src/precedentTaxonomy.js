@@ -0,0 +1,315 @@
+/**
+ * Precedent Taxonomy
+ *
+ * Shows the shape of a precedent corpus by grouping precedents into a tree of clusters.
+ * Precedents are compared pairwise with calculateDilemmaSimilarity and merged bottom-up
+ * (agglomerative clustering): the two most similar groups are merged until none is similar
+ * enough. How similar two groups are depends on the linkage (LINKAGES): the average, highest or
+ * lowest similarity between their precedents.
+ *
+ * Groups merged at the threshold or above form the clusters of the taxonomy, and the merges
+ * inside a cluster form its subclusters. Precedents that no cluster covers are outliers.
+ *
+ * Each cluster is labelled with the words of its precedents' situation type, context, key
+ * factors and tags that most of its precedents share and few precedents outside it use.
+ */
+
+const { calculateDilemmaSimilarity } = require('./similarity');
+const { getPrecedentId } = require('./precedentRepository');
+const { getDilemmaLanguage, tokenize, tokenizeAndStem } = require('./language');
+
+// Groups at least this similar are clustered together
+const DEFAULT_CLUSTER_THRESHOLD = 0.5;
+
+// How the similarity of two groups is derived from the similarities of their precedents: the
+// average, highest or lowest one. Each is given as its Lance-Williams update, the similarity of
+// another group to the merge of groups a and b, from its similarities to a and b and their sizes.
+const LINKAGES = {
+  average: (similarityA, similarityB, sizeA, sizeB) => (similarityA * sizeA + similarityB * sizeB) / (sizeA + sizeB),
+  single: (similarityA, similarityB) => Math.max(similarityA, similarityB),
+  complete: (similarityA, similarityB) => Math.min(similarityA, similarityB)
+};
+
+// Number of words in a cluster label
+const LABEL_TERMS = 3;
+
+/**
+ * Returns the situation phrases a precedent is labelled from
+ * @param {Object} precedent - The precedent
+ * @returns {Array<string>} Its situation type, context, key factors and tags
+ */
+function getLabelPhrases(precedent) {
+  const situation = precedent.situation && typeof precedent.situation === 'object' ? precedent.situation : {};
+  const asList = value => (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string');
+
+  // "ResourceAllocationDilemma" -> "Resource Allocation Dilemma"
+  const type = asList(situation.type).map(value => value.replace(/([a-z])([A-Z])/g, '$1 $2'));
+  return [...type, ...asList(situation.context), ...asList(situation.key_factors), ...asList(precedent.tags)];
+}
+
+/**
+ * Collects the label terms of a precedent
+ * @param {Object} precedent - The precedent
+ * @returns {Map<string, string>} Stem to the first word it was found as
+ */
+function getLabelTerms(precedent) {
+  const language = getDilemmaLanguage(precedent);
+  const terms = new Map();
+
+  for (const phrase of getLabelPhrases(precedent)) {
+    for (const word of tokenize(phrase.replace(/[_-]/g, ' '), language)) {
+      const [term] = tokenizeAndStem(word, language);
+      if (term && !/^\d+$/.test(term) && !terms.has(term)) {
+        terms.set(term, word);
+      }
+    }
+  }
+  return terms;
+}
+
+/**
+ * Labels a group of precedents with the terms that set it apart from the rest of the corpus
+ * @param {Array<number>} members - Positions of the group's precedents
+ * @param {Array<Map>} termsByPrecedent - Label terms of every precedent (from getLabelTerms)
+ * @returns {Array<Object>} { term, coverage, score } for the best terms, best first; coverage is the
+ *   share of the group using the term and score subtracts the share of the other precedents using it
+ */
+function rankLabelTerms(members, termsByPrecedent) {
+  const inside = new Set(members);
+  const outsideCount = termsByPrecedent.length - inside.size;
+  const counts = new Map();
+
+  termsByPrecedent.forEach((terms, index) => {
+    for (const [term, word] of terms) {
+      if (!counts.has(term)) counts.set(term, { word, inside: 0, outside: 0 });
+      counts.get(term)[inside.has(index) ? 'inside' : 'outside']++;
+    }
+  });
+
+  return Array.from(counts.values())
+    // A term describes the group if at least half of it, and at least two precedents, use it
+    .filter(count => count.inside >= Math.min(2, inside.size) && count.inside / inside.size >= 0.5)
+    .map(count => {
+      const coverage = count.inside / inside.size;
+      const score = coverage - (outsideCount > 0 ? count.outside / outsideCount : 0);
+      return { term: count.word, coverage: Math.round(coverage * 100) / 100, score: Math.round(score * 100) / 100 };
+    })
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || b.coverage - a.coverage || a.term.localeCompare(b.term))
+    .slice(0, LABEL_TERMS * 2);
+}
+
+/**
+ * Merges the precedents bottom-up into a binary tree
+ *
+ * The similarities between groups are updated with the linkage on each merge, and each group
+ * keeps its most similar group, so a merge only rescans the groups whose nearest group it took.
+ * @param {Array<Array<number>>} matrix - Pairwise similarities of the precedents
+ * @param {Function} linkage - One of LINKAGES
+ * @returns {Array<Object>} The remaining top-level groups: leaves { index } or merges
+ *   { similarity, members, children: [group, group] }, in the order of their first precedent
+ */
+function mergeGroups(matrix, linkage) {
+  // Each group keeps the slot of its first precedent's row of the similarity matrix
+  const similarity = matrix.map(row => row.slice());
+  const groups = matrix.map((row, index) => ({ index, members: [index] }));
+  let active = groups.map((group, slot) => slot);
+  const first = slot => groups[slot].members[0];
+
+  // Ties go to the group with the earliest precedent, so the tree does not depend on the merge order
+  const nearest = [];
+  const isNearer = (slot, other, current) => !current
+    || similarity[slot][other] > current.similarity
+    || (similarity[slot][other] === current.similarity && first(other) < first(current.slot));
+  const findNearest = slot => {
+    nearest[slot] = null;
+    for (const other of active) {
+      if (other !== slot && isNearer(slot, other, nearest[slot])) {
+        nearest[slot] = { slot: other, similarity: similarity[slot][other] };
+      }
+    }
+  };
+  active.forEach(findNearest);
+
+  while (active.length > 1) {
+    // The most similar pair, ties going to the pair with the earliest precedents
+    let best = null;
+    for (const slot of active) {
+      const pair = [slot, nearest[slot].slot].sort((a, b) => first(a) - first(b));
+      const { similarity: value } = nearest[slot];
+      if (!best || value > best.similarity || (value === best.similarity
+        && (first(pair[0]) < first(best.a) || (first(pair[0]) === first(best.a) && first(pair[1]) < first(best.b))))) {
+        best = { a: pair[0], b: pair[1], similarity: value };
+      }
+    }
+    if (best.similarity <= 0) break;
+
+    const { a, b } = best;
+    const sizeA = groups[a].members.length;
+    const sizeB = groups[b].members.length;
+    active = active.filter(slot => slot !== b);
+    for (const slot of active) {
+      if (slot === a) continue;
+      similarity[a][slot] = similarity[slot][a] = linkage(similarity[a][slot], similarity[b][slot], sizeA, sizeB);
+    }
+    groups[a] = {
+      similarity: best.similarity,
+      members: [...groups[a].members, ...groups[b].members].sort((x, y) => x - y),
+      children: [groups[a], groups[b]]
+    };
+
+    for (const slot of active) {
+      if (slot === a || nearest[slot].slot === a || nearest[slot].slot === b) {
+        findNearest(slot);
+      } else if (isNearer(slot, a, nearest[slot])) {
+        nearest[slot] = { slot: a, similarity: similarity[slot][a] };
+      }
+    }
+  }
+
+  return active.map(slot => groups[slot]).sort((x, y) => x.members[0] - y.members[0]);
+}
+
+/**
+ * Builds the taxonomy of a precedent corpus
+ * @param {Array} precedents - The precedents
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Minimum similarity of a cluster's groups (default: 0.5)
+ * @param {string} [options.linkage] - One of LINKAGES (default: average)
+ * @param {string|Object} [options.profile] - Similarity profile (default: the default profile)
+ * @returns {Object} { total, threshold, linkage, clusters, outliers, tree } where the tree's root lists
+ *   the clusters and outliers; a cluster is { type: 'cluster', id, label, terms, similarity, size,
+ *   precedents, children } and a precedent { type: 'precedent', precedent_id, title }. Outliers also
+ *   name their most similar precedent as nearest: { precedent_id, similarity }.
+ * @throws {TypeError} If the linkage is unknown
+ */
+function buildTaxonomy(precedents, options = {}) {
+  const threshold = options.threshold === undefined ? DEFAULT_CLUSTER_THRESHOLD : options.threshold;
+  const linkageName = options.linkage || 'average';
+  if (!LINKAGES[linkageName]) {
+    throw new TypeError(`Unknown linkage "${linkageName}"; expected one of: ${Object.keys(LINKAGES).join(', ')}`);
+  }
+
+  const list = (precedents || []).filter(getPrecedentId);
+  const matrix = list.map(() => list.map(() => 1));
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      matrix[i][j] = matrix[j][i] = calculateDilemmaSimilarity(list[i], list[j], options.profile);
+    }
+  }
+  const termsByPrecedent = list.map(getLabelTerms);
+
+  const leaf = index => ({ type: 'precedent', precedent_id: getPrecedentId(list[index]), title: list[index].title || '' });
+
+  // Turns a merge at or above the threshold into a labelled cluster node
+  const toCluster = (group, id) => {
+    const terms = rankLabelTerms(group.members, termsByPrecedent);
+    let subclusters = 0;
+    return {
+      type: 'cluster',
+      id,
+      label: terms.slice(0, LABEL_TERMS).map(entry => entry.term).join(', ') || leaf(group.members[0]).title,
+      terms,
+      similarity: Math.round(group.similarity * 1000) / 1000,
+      size: group.members.length,
+      precedents: group.members.map(index => getPrecedentId(list[index])),
+      children: group.children.map(child => (child.children ? toCluster(child, `${id}.${++subclusters}`) : leaf(child.index)))
+    };
+  };
+
+  // The clusters are the highest merges at or above the threshold
+  const clusters = [];
+  const outliers = [];
+  const collect = group => {
+    if (group.children && group.similarity >= threshold) {
+      clusters.push(toCluster(group, String(clusters.length + 1)));
+    } else if (group.children) {
+      group.children.forEach(collect);
+    } else {
+      const nearest = matrix[group.index]
+        .map((similarity, index) => ({ index, similarity }))
+        .filter(entry => entry.index !== group.index)
+        .sort((a, b) => b.similarity - a.similarity)[0];
+      outliers.push({
+        ...leaf(group.index),
+        nearest: nearest ? { precedent_id: getPrecedentId(list[nearest.index]), similarity: Math.round(nearest.similarity * 1000) / 1000 } : null
+      });
+    }
+  };
+  mergeGroups(matrix, LINKAGES[linkageName]).forEach(collect);
+
+  return {
+    total: list.length,
+    threshold,
+    linkage: linkageName,
+    clusters,
+    outliers,
+    tree: { type: 'root', label: 'All precedents', size: list.length, children: [...clusters, ...outliers] }
+  };
+}
+
+/**
+ * Finds the clusters and outliers of a taxonomy matching a search, e.g. "triage" for all
+ * triage-like cases
+ * @param {Object} taxonomy - The taxonomy from buildTaxonomy
+ * @param {string} query - Words matched against cluster labels and terms, and precedent ids and titles
+ * @returns {Object} { query, clusters, outliers }: the largest matching clusters (a cluster matches when
+ *   its label or one of its precedents matches) and the matching outliers
+ */
+function browseTaxonomy(taxonomy, query) {
+  const words = String(query || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+  const matches = text => words.length > 0 && words.every(word => String(text).toLowerCase().includes(word));
+  const precedentMatches = node => matches(`${node.precedent_id} ${node.title}`.replace(/_/g, ' '));
+
+  const clusterMatches = node => matches(`${node.label} ${node.terms.map(entry => entry.term).join(' ')}`)
+    || node.children.some(child => (child.type === 'cluster' ? clusterMatches(child) : precedentMatches(child)));
+
+  return {
+    query: String(query || ''),
+    clusters: taxonomy.clusters.filter(clusterMatches),
+    outliers: taxonomy.outliers.filter(precedentMatches)
+  };
+}
+
+/**
+ * Formats the clusters and outliers of a taxonomy (or of a browseTaxonomy result) for the terminal
+ * @param {Object} taxonomy - The taxonomy from buildTaxonomy or browseTaxonomy
+ * @returns {string} Human-readable tree
+ */
+function formatTaxonomy(taxonomy) {
+  const lines = taxonomy.query !== undefined
+    ? [`Matching "${taxonomy.query}": ${taxonomy.clusters.length} cluster(s), ${taxonomy.outliers.length} outlier(s)`]
+    : [`${taxonomy.total} precedent(s): ${taxonomy.clusters.length} cluster(s) at similarity ${taxonomy.threshold} or more (${taxonomy.linkage} linkage), ${taxonomy.outliers.length} outlier(s)`];
+
+  const addNode = (node, depth) => {
+    const indent = '  '.repeat(depth);
+    if (node.type === 'cluster') {
+      lines.push(`${indent}${node.id}. ${node.label} (${node.size} precedents, similarity ${node.similarity.toFixed(2)})`);
+      node.children.forEach(child => addNode(child, depth + 1));
+    } else {
+      lines.push(`${indent}- ${node.precedent_id}: ${node.title}`);
+    }
+  };
+
+  if (taxonomy.clusters.length > 0) lines.push('');
+  taxonomy.clusters.forEach(cluster => addNode(cluster, 0));
+
+  if (taxonomy.outliers.length > 0) {
+    lines.push('', 'Outliers:');
+    for (const outlier of taxonomy.outliers) {
+      const nearest = outlier.nearest ? ` (nearest: ${outlier.nearest.precedent_id}, ${outlier.nearest.similarity.toFixed(2)})` : '';
+      lines.push(`- ${outlier.precedent_id}: ${outlier.title}${nearest}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_CLUSTER_THRESHOLD,
+  LINKAGES,
+  getLabelTerms,
+  buildTaxonomy,
+  browseTaxonomy,
+  formatTaxonomy
+};
@@ -5,28 +5,66 @@
 
 const fs = require('fs');
 const path = require('path');
-const similarity = require('./similarity');
+const { validatePrecedentDatabase, formatIssues } = require('./schemaValidator');
+const { normalizeDilemma } = require('./dilemmaNormalizer');
+const { DEFAULT_DATABASE_PATH, FilePrecedentRepository } = require('./precedentRepository');
+const { detectFormat, parsePrecedents } = require('./precedentIO');
+const { retrievePrecedents } = require('./precedentRetrieval');
+const { loadPrecedentPacks, composePrecedentDatabase } = require('./precedentPacks');
+
+// Databases whose normalization was already reported, so repeated loads stay quiet
+const reportedNormalizations = new Set();
 
 /**
  * Returns the precedent database
+ * @param {string} [filePath] Optional path to a precedent database file (defaults to the built-in database).
+ *   YAML, CSV and JSON Lines files are read according to their extension; anything else is read as a JSON array.
+ * @param {Object} [options]
+ * @param {string|Array<string>} [options.packs] - Precedent packs to add to the database: names, a comma-separated
+ *   list of names or "all" (see precedentPacks.js)
  * @returns {Array} Array of precedent dilemmas
  */
-function getPrecedentDatabase() {
+function getPrecedentDatabase(filePath, options = {}) {
   try {
-    const databasePath = path.join(__dirname, '..', 'data', 'precedent-database.json');
+    const databasePath = filePath ? path.resolve(filePath) : DEFAULT_DATABASE_PATH;
     console.log(`Loading precedents from: ${databasePath}`);
     
     const data = fs.readFileSync(databasePath, 'utf8');
-    const rawPrecedents = JSON.parse(data);
+    const format = detectFormat(databasePath);
+    const rawPrecedents = format && format !== 'json'
+      ? parsePrecedents(data, format).entries.map(entry => entry.precedent)
+      : JSON.parse(data);
+    
+    // Validate against the precedent schema; precedents with errors are left out
+    const report = validatePrecedentDatabase(rawPrecedents);
+    formatIssues(report.warnings).forEach(line => console.warn(`Precedent schema warning: ${line}`));
+    if (!Array.isArray(rawPrecedents)) {
+      formatIssues(report.errors).forEach(line => console.error(`Precedent schema error: ${line}`));
+      return [];
+    }
+    if (!report.valid) {
+      formatIssues(report.errors).forEach(line => console.error(`Precedent schema error: ${line}`));
+      console.error(`Skipping ${report.invalidIndexes.length} invalid precedent(s) at index ${report.invalidIndexes.join(', ')}`);
+    }
+    const validPrecedents = rawPrecedents.filter((p, index) => !report.invalidIndexes.includes(index));
     
-    // Normalize precedent objects to ensure they all have 'id' field
-    const precedents = rawPrecedents.map(p => {
-      // If a precedent has precedent_id but no id, map it
-      if (p.precedent_id && !p.id) {
-        return { ...p, id: p.precedent_id };
-      }
-      return p;
+    // Convert every precedent to the canonical model (this also sets id from precedent_id)
+    let changeCount = 0;
+    let precedents = validPrecedents.map(p => {
+      const { dilemma, changes } = normalizeDilemma(p);
+      changeCount += changes.length;
+      return dilemma;
     });
+    if (changeCount > 0 && !reportedNormalizations.has(databasePath)) {
+      reportedNormalizations.add(databasePath);
+      console.log(`Normalized precedents to the canonical model (${changeCount} changes)`);
+    }
+    
+    if (options.packs) {
+      const packs = loadPrecedentPacks(options.packs);
+      precedents = composePrecedentDatabase(precedents, packs);
+      console.log(`Added precedent packs: ${packs.map(pack => pack.name).join(', ') || '(none)'}`);
+    }
     
     console.log(`Loaded ${precedents.length} precedents from database`);
     console.log("Precedent IDs:", precedents.map(p => p.id || p.precedent_id || "MISSING_ID"));
@@ -53,67 +91,38 @@ function getPrecedentDatabase() {
 }
 
 /**
- * Adds a new precedent to the database
+ * Adds a new precedent to the database, recording a revision in its history.
+ * Use FilePrecedentRepository (src/precedentRepository.js) for updates, deletes and rollbacks.
+ * Unlike the synchronous function it replaced, this must be awaited: the Promise itself is always truthy.
  * @param {Object} precedent The precedent dilemma to add
- * @returns {boolean} Success status
+ * @param {Object} [options] { author, message, databasePath }
+ * @returns {Promise<boolean>} Success status (false if the precedent is invalid or its id is taken)
  */
-function addPrecedentToDatabase(precedent) {
+async function addPrecedentToDatabase(precedent, options = {}) {
   try {
-    const precedentDatabase = getPrecedentDatabase();
-    precedentDatabase.push(precedent);
-    
-    // Save the updated database
-    const dbPath = path.join(__dirname, '..', 'data', 'precedent-database.json');
-    fs.writeFileSync(dbPath, JSON.stringify(precedentDatabase, null, 2));
+    const repository = new FilePrecedentRepository(options.databasePath || DEFAULT_DATABASE_PATH);
+    await repository.create(precedent, options);
     return true;
   } catch (error) {
-    console.error('Error adding precedent to database:', error);
+    console.error(`Error adding precedent to database: ${error.message}`);
     return false;
   }
 }
 
 /**
- * Find relevant precedents from the database based on similarity threshold
+ * Find relevant precedents from the database based on similarity threshold.
+ * Kept for existing callers; the ranking is done by the precedent retrieval service.
  * @param {Object} currentDilemma The current dilemma to find precedents for
  * @param {Array} precedentDatabase Array of precedent dilemmas to search through
  * @param {number} threshold Minimum similarity threshold (0-1)
- * @returns {Array} Array of relevant precedents with similarity scores
+ * @returns {Promise<Array>} Array of relevant precedents, each with its score as similarity and totalSimilarityScore
  */
 function findRelevantPrecedents(currentDilemma, precedentDatabase, threshold = 0.3) {
-  if (!currentDilemma || !precedentDatabase || !Array.isArray(precedentDatabase)) {
-    console.warn('Invalid inputs to findRelevantPrecedents');
-    return [];
-  }
-  
-  // First make sure all precedents have reasoning_paths property
-  const validatedPrecedents = precedentDatabase.map(precedent => {
-    // Create a copy to avoid modifying the original
-    const validatedPrecedent = { ...precedent };
-    
-    // Ensure reasoning_paths exists
-    if (!validatedPrecedent.reasoning_paths) {
-      validatedPrecedent.reasoning_paths = [];
-    }
-    
-    return validatedPrecedent;
-  });
-  
-  const relevantPrecedents = validatedPrecedents
-    .map(precedent => {
-      // Calculate similarity between current dilemma and this precedent
-      const similarityValue = similarity.calculateSimilarity(currentDilemma, precedent);
-      return {
-        ...precedent,  // Include the precedent properties directly
-        similarity: similarityValue  // Use 'similarity' instead of 'similarityScore'
-      };
-    })
-    .filter(item => item.similarity >= threshold)
-    .sort((a, b) => b.similarity - a.similarity);
-  
-  return relevantPrecedents;
+  return retrievePrecedents(currentDilemma, precedentDatabase, { threshold });
 }
 
 module.exports = {
+  DEFAULT_DATABASE_PATH,
   getPrecedentDatabase,
   addPrecedentToDatabase,
   findRelevantPrecedents
@@ -0,0 +1,143 @@
+/**
+ * Precedent Provenance
+ *
+ * Precedents record where they come from under "provenance":
+ *
+ *   "provenance": {
+ *     "source": "The Problem of Abortion and the Doctrine of the Double Effect",
+ *     "author": "Philippa Foot",
+ *     "publication": "Oxford Review, 5",
+ *     "date": "1967",
+ *     "jurisdiction": "United Kingdom",    // where the case applies; omitted for thought experiments
+ *     "authority": "scholarly",
+ *     "url": "https://..."
+ *   }
+ *
+ * The authority level says how much weight the case carries, from most to least
+ * authoritative (see AUTHORITY_LEVELS). Reasoning paths adapted from a precedent carry a
+ * citation of it, and reports list the citations of the paths they show.
+ */
+
+// Authority levels, from most to least authoritative
+const AUTHORITY_LEVELS = [
+  'binding',       // decided by a body whose rulings apply to the case, e.g. a court or an ethics committee
+  'guidance',      // official guidance of a professional or public body
+  'scholarly',     // published in the academic literature
+  'illustrative',  // a teaching or hypothetical example
+  'unverified'     // origin not established
+];
+
+const DEFAULT_AUTHORITY = 'unverified';
+
+// Provenance fields, in the order they are cited
+const PROVENANCE_FIELDS = ['source', 'author', 'publication', 'date', 'jurisdiction', 'authority', 'url'];
+
+/**
+ * Returns the precedent of a retrieval result that wraps it in "precedent"
+ * @param {Object} precedent - The precedent or the wrapping result
+ * @returns {Object} The precedent
+ */
+function unwrapPrecedent(precedent) {
+  return precedent && precedent.precedent && typeof precedent.precedent === 'object' ? precedent.precedent : precedent;
+}
+
+/**
+ * Returns the provenance of a precedent with its authority level filled in
+ * @param {Object} precedent - The precedent (or a retrieval result wrapping it in "precedent")
+ * @returns {Object} The provenance fields that are set, with authority defaulting to "unverified"
+ */
+function getProvenance(precedent) {
+  const record = unwrapPrecedent(precedent);
+  const stored = record && record.provenance && typeof record.provenance === 'object' ? record.provenance : {};
+
+  const provenance = {};
+  for (const field of PROVENANCE_FIELDS) {
+    if (typeof stored[field] === 'string' && stored[field].trim()) {
+      provenance[field] = stored[field].trim();
+    }
+  }
+  if (!AUTHORITY_LEVELS.includes(provenance.authority)) {
+    provenance.authority = DEFAULT_AUTHORITY;
+  }
+  return provenance;
+}
+
+/**
+ * Ranks an authority level, 0 being the most authoritative
+ * @param {string} authority - The authority level
+ * @returns {number} Its rank (unknown levels rank as "unverified")
+ */
+function getAuthorityRank(authority) {
+  const rank = AUTHORITY_LEVELS.indexOf(authority);
+  return rank === -1 ? AUTHORITY_LEVELS.indexOf(DEFAULT_AUTHORITY) : rank;
+}
+
+/**
+ * Formats the provenance of a precedent as a citation, e.g.
+ * "Philippa Foot (1967). The Problem of Abortion and the Doctrine of the Double Effect. Oxford Review, 5. Authority: scholarly."
+ * @param {Object} precedent - The precedent
+ * @returns {string} The citation text
+ */
+function formatCitation(precedent) {
+  const provenance = getProvenance(precedent);
+  const sentences = [];
+
+  if (provenance.author || provenance.date) {
+    sentences.push([provenance.author, provenance.date && `(${provenance.date})`].filter(Boolean).join(' '));
+  }
+  if (provenance.source) sentences.push(provenance.source);
+  if (provenance.publication) sentences.push(provenance.publication);
+  if (provenance.jurisdiction) sentences.push(`Jurisdiction: ${provenance.jurisdiction}`);
+  if (sentences.length === 0) sentences.push('No provenance recorded');
+  sentences.push(`Authority: ${provenance.authority}`);
+  if (provenance.url) sentences.push(provenance.url);
+
+  return sentences.map(sentence => (/[.!?]$/.test(sentence) ? sentence : `${sentence}.`)).join(' ');
+}
+
+/**
+ * Creates the citation an adapted reasoning path carries for its precedent
+ * @param {Object} precedent - The precedent (or a retrieval result wrapping it in "precedent")
+ * @returns {Object|null} { precedent_id, title, authority, text, provenance }, or null without a precedent
+ */
+function createCitation(precedent) {
+  const record = unwrapPrecedent(precedent);
+  if (!record || typeof record !== 'object') return null;
+
+  const provenance = getProvenance(record);
+  return {
+    precedent_id: record.precedent_id || record.id || null,
+    title: record.title || record.name || 'Untitled precedent',
+    authority: provenance.authority,
+    text: formatCitation(record),
+    provenance
+  };
+}
+
+/**
+ * Collects the citations of reasoning paths, one per precedent, in order of first use
+ * @param {Array} reasoningPaths - Reasoning paths, some of which carry a citation
+ * @returns {Array<Object>} The citations, each with its number ("index", from 1)
+ */
+function collectCitations(reasoningPaths) {
+  const citations = new Map();
+  for (const reasoningPath of reasoningPaths || []) {
+    const citation = reasoningPath && reasoningPath.citation;
+    if (!citation || typeof citation !== 'object') continue;
+
+    const key = citation.precedent_id || citation.title;
+    if (!citations.has(key)) {
+      citations.set(key, { ...citation, index: citations.size + 1 });
+    }
+  }
+  return Array.from(citations.values());
+}
+
+module.exports = {
+  AUTHORITY_LEVELS,
+  getProvenance,
+  getAuthorityRank,
+  formatCitation,
+  createCitation,
+  collectCitations
+};
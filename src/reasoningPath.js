@@ -8,6 +8,8 @@ const { resolveConflicts } = require('./conflictResolution'); // Import conflict
 const { extractAndCombineReasoningElements } = require('./granular-extraction');
 const frameworkLogger = require('./frameworkLogger'); // Import framework logger
 const { getFrameworkByName } = require('./frameworkRegistry'); // Import framework registry
+const { createRetrievalQuery, retrievePrecedents } = require('./precedentRetrieval');
+const { createCitation } = require('./provenance');
 
 /**
  * Extracts reasoning elements (core and sub-arguments) from a framework.
@@ -200,6 +202,9 @@ async function handleNoMatchCase(dilemma, precedents) {
  * @param {Object} dilemma - The dilemma to generate reasoning paths for
  * @param {Array} precedentStore - The precedent database
  * @param {Object} options - Optional options for generating reasoning paths
+ * @param {Object} options.query - Retrieval query for the precedents (see precedentRetrieval.js);
+ *   options.similarityThreshold and options.maxPrecedents are read as its threshold and maxResults
+ * @param {Array} options.relevantPrecedents - Precedents already retrieved with the same query, so they are not retrieved twice
  * @returns {Object} Object containing matchCase and reasoningPaths arrays
  */
 async function generateReasoningPaths(dilemma, precedentStore, options = {}) {
@@ -243,16 +248,20 @@ async function generateReasoningPaths(dilemma, precedentStore, options = {}) {
   }
   
   // Gather options with defaults
-  const similarityThreshold = options.similarityThreshold || 0.5;
-  const maxPrecedents = options.maxPrecedents || 5;
+  const query = createRetrievalQuery({
+    ...options.query,
+    ...(options.similarityThreshold !== undefined ? { threshold: options.similarityThreshold } : {}),
+    ...(options.maxPrecedents !== undefined ? { maxResults: options.maxPrecedents } : {})
+  });
+  const similarityThreshold = query.threshold;
   const returnAllPaths = options.returnAllPaths || false;
   
-  console.log(`- Options: threshold=${similarityThreshold}, maxPrecedents=${maxPrecedents}, returnAllPaths=${returnAllPaths}`);
+  console.log(`- Options: threshold=${similarityThreshold}, maxPrecedents=${query.maxResults}, returnAllPaths=${returnAllPaths}`);
   
   try {
     // Find relevant precedents based on similarity
     console.log("\nFinding relevant precedents...");
-    const relevantPrecedents = await findRelevantPrecedents(dilemma, precedentStore, similarityThreshold, maxPrecedents);
+    const relevantPrecedents = options.relevantPrecedents || await retrievePrecedents(dilemma, precedentStore, query);
     
     console.log(`Found ${relevantPrecedents.length} relevant precedents`);
     
@@ -265,8 +274,8 @@ async function generateReasoningPaths(dilemma, precedentStore, options = {}) {
           return;
         }
         
-        const precedent = relevantPrecedent.precedent || relevantPrecedent;
-        const similarity = relevantPrecedent.similarity || 'N/A';
+        const precedent = relevantPrecedent;
+        const similarity = relevantPrecedent.totalSimilarityScore;
         const id = precedent.id || 'No ID';
         const title = precedent.title || 'Untitled';
         
@@ -276,7 +285,7 @@ async function generateReasoningPaths(dilemma, precedentStore, options = {}) {
         // Log precedent lookup success
         frameworkLogger.logFrameworkLookup(
           `precedent:${id}`, 
-          "generateReasoningPaths.findRelevantPrecedents", 
+          "generateReasoningPaths.retrievePrecedents", 
           true, 
           { 
             precedentTitle: title,
@@ -295,7 +304,7 @@ async function generateReasoningPaths(dilemma, precedentStore, options = {}) {
       // Log framework lookup failure
       frameworkLogger.logFrameworkLookup(
         "relevant_precedents", 
-        "generateReasoningPaths.findRelevantPrecedents", 
+        "generateReasoningPaths.retrievePrecedents", 
         false, 
         { 
           dilemmaTitle: dilemma.title || "Untitled",
@@ -333,8 +342,8 @@ async function generateReasoningPaths(dilemma, precedentStore, options = {}) {
         continue;
       }
       
-      const precedent = relevantPrecedent.precedent || relevantPrecedent;
-      const similarity = relevantPrecedent.similarity || 0;
+      const precedent = relevantPrecedent;
+      const similarity = relevantPrecedent.totalSimilarityScore;
       
       console.log(`Processing precedent "${precedent.title || 'Untitled'}" (similarity: ${similarity})`);
       
@@ -389,6 +398,7 @@ async function generateReasoningPaths(dilemma, precedentStore, options = {}) {
           
           const adaptedPath = applyAdaptationRules(path, dilemma, precedent, similarity);
           if (adaptedPath) {
+            adaptedPath.citation = createCitation(precedent);
             adaptedPaths.push(adaptedPath);
             console.log(`Added adapted path for framework "${adaptedPath.framework}"`);
             
@@ -533,8 +543,11 @@ async function adaptReasoningPath(precedent, basePath, dilemma) {
         adaptedPath.adapted_from = {
             precedent_id: precedent.id,
             precedent_title: precedent.title,
-            original_path_id: basePath.id
+            original_path_id: basePath.id,
+            // Kept so the interactive CLI can highlight what the adaptation changed
+            original_argument: basePath.argument
         };
+        adaptedPath.citation = createCitation(precedent);
         
         // Look up the framework in the registry if it exists
         let frameworkName = basePath.framework;
@@ -620,236 +633,66 @@ async function adaptReasoningPath(precedent, basePath, dilemma) {
 }
 
 /**
- * Find precedents relevant to a dilemma
- * @param {Object} dilemma - The dilemma to find precedents for
- * @param {Array} precedentDatabase - The precedent database
- * @returns {Array} Array of relevant precedents
+ * Identifies the parameters and contextual factors that differ between a dilemma and a precedent
+ * @param {Object} dilemma - The dilemma being analyzed
+ * @param {Object} precedent - The precedent to compare against
+ * @returns {Array} Array of differences ({ type, name, precedent_value, new_value })
  */
-function findRelevantPrecedents(dilemma, precedentDatabase, similarityThreshold = 0.5, maxResults = 5) {
-  console.log("\n====== ENTERING findRelevantPrecedents ======");
-  
-  // Validation logging
-  console.log("Validating inputs to findRelevantPrecedents:");
-  console.log(`- Dilemma provided: ${Boolean(dilemma)}`);
-  if (dilemma) {
-    console.log(`- Dilemma title: ${dilemma.title || 'Untitled'}`);
-  } else {
-    console.error("ERROR: No dilemma provided");
-    
-    // Log framework failure
-    frameworkLogger.logFrameworkFailure(
-      "dilemma",
-      "findRelevantPrecedents",
-      "No dilemma provided",
-      { dilemma: null },
-      { function: "findRelevantPrecedents" }
-    );
-    
-    console.log("====== EXITING findRelevantPrecedents with ERROR ======");
-    return [];
-  }
-  
-  console.log(`- Precedent store provided: ${Boolean(precedentDatabase)}`);
-  if (!precedentDatabase) {
-    console.warn("WARNING: No precedent store provided");
-    
-    // Log framework warning
-    frameworkLogger.logFrameworkLookup(
-      "precedent_database",
-      "findRelevantPrecedents",
-      false,
-      {
-        dilemmaTitle: dilemma.title || "Untitled",
-        dilemmaId: dilemma.id || "Unknown"
-      }
-    );
-    
-    console.log("====== EXITING findRelevantPrecedents with empty array ======");
-    return [];
-  }
-  
-  console.log(`- Precedent store is array: ${Array.isArray(precedentDatabase)}`);
-  if (!Array.isArray(precedentDatabase)) {
-    console.error("ERROR: Precedent store is not an array");
-    
-    // Log framework failure
-    frameworkLogger.logFrameworkFailure(
-      "precedent_database",
-      "findRelevantPrecedents",
-      "Precedent store is not an array",
-      { precedentDatabase: typeof precedentDatabase },
-      { function: "findRelevantPrecedents" }
-    );
-    
-    console.log("====== EXITING findRelevantPrecedents with ERROR ======");
-    return [];
-  }
-  
-  console.log(`- Precedent store length: ${precedentDatabase.length}`);
-  console.log(`- Similarity threshold: ${similarityThreshold}`);
-  console.log(`- Max results: ${maxResults}`);
-  
-  // If no precedents are in the store, return empty array
-  if (precedentDatabase.length === 0) {
-    console.log("No precedents in store, returning empty array");
-    console.log("====== EXITING findRelevantPrecedents with empty array ======");
-    return [];
-  }
-  
-  try {
-    // Create dilemma text for comparison
-    console.log("Creating dilemma text for comparison...");
-    const dilemmaText = createDilemmaText(dilemma);
-    console.log(`Dilemma text length: ${dilemmaText.length} characters`);
-    
-    // Calculate similarity scores for each precedent
-    console.log("Calculating similarity for each precedent...");
-    
-    const scoredPrecedents = [];
-    
-    for (let i = 0; i < precedentDatabase.length; i++) {
-      const precedent = precedentDatabase[i];
-      
-      // Skip null or undefined precedents
-      if (!precedent) {
-        console.log(`Precedent [${i}] is null or undefined, skipping`);
-        continue;
-      }
-      
-      console.log(`\nProcessing precedent [${i}]:`);
-      console.log(`- Type: ${typeof precedent}`);
-      
-      if (typeof precedent !== 'object') {
-        console.log(`- Not an object, skipping`);
-        continue;
-      }
-      
-      // Log precedent details
-      const id = precedent.id || 'No ID';
-      const title = precedent.title || 'Untitled';
-      console.log(`- ID: ${id}`);
-      console.log(`- Title: ${title}`);
-      
-      // Create precedent text
-      let precedentText = "";
-      
-      if (precedent.description) {
-        precedentText += precedent.description + " ";
-      }
-      
-      if (precedent.title) {
-        precedentText += precedent.title + " ";
-      }
-      
-      if (precedent.context) {
-        precedentText += precedent.context + " ";
-      }
-      
-      // Include reasoning paths if available
-      if (precedent.reasoning_paths && Array.isArray(precedent.reasoning_paths)) {
-        console.log(`- Has ${precedent.reasoning_paths.length} reasoning paths`);
-        
-        precedent.reasoning_paths.forEach(path => {
-          if (path.argument) precedentText += path.argument + " ";
-          if (path.conclusion) precedentText += path.conclusion + " ";
-          
-          // Log framework reference
-          if (path.framework) {
-            frameworkLogger.logFrameworkReference(
-              path.framework,
-              "findRelevantPrecedents.precedentPath",
-              {
-                precedentId: id,
-                precedentTitle: title,
-                pathId: path.id || 'unknown',
-                frameworkId: path.framework_id || 'unknown'
-              }
-            );
-          }
-        });
-      }
-      
-      // Calculate similarity
-      console.log(`- Calculating similarity between dilemma and precedent...`);
-      const similarity = calculateSimilarity(dilemmaText, precedentText);
-      console.log(`- Similarity score: ${similarity.toFixed(4)}`);
-      
-      // Add to scored precedents if it meets threshold
-      if (similarity >= similarityThreshold) {
-        console.log(`- Above threshold (${similarityThreshold}), adding to results`);
-        scoredPrecedents.push({
-          precedent,
-          similarity
-        });
-      } else {
-        console.log(`- Below threshold (${similarityThreshold}), skipping`);
-      }
+function identifyKeyDifferences(dilemma, precedent) {
+  if (!dilemma || !precedent) return [];
+
+  const differences = [];
+
+  // Unwrap { value } parameter objects so both shapes compare the same way
+  const unwrap = (entry) => (entry && typeof entry === 'object' && 'value' in entry) ? entry.value : entry;
+  const getParameters = (d) => (d.situation && d.situation.parameters) || d.parameters || {};
+
+  const dilemmaParams = getParameters(dilemma);
+  const precedentParams = getParameters(precedent);
+  const paramNames = new Set([...Object.keys(dilemmaParams), ...Object.keys(precedentParams)]);
+
+  for (const name of paramNames) {
+    const newValue = unwrap(dilemmaParams[name]);
+    const precedentValue = unwrap(precedentParams[name]);
+
+    if (JSON.stringify(newValue) !== JSON.stringify(precedentValue)) {
+      differences.push({
+        type: 'parameter',
+        name,
+        precedent_value: precedentValue === undefined ? 'not specified' : precedentValue,
+        new_value: newValue === undefined ? 'not specified' : newValue
+      });
     }
-    
-    // Sort by similarity (highest first)
-    console.log(`\nSorting ${scoredPrecedents.length} precedents by similarity...`);
-    scoredPrecedents.sort((a, b) => b.similarity - a.similarity);
-    
-    // Limit to max results
-    const result = scoredPrecedents.slice(0, maxResults);
-    console.log(`Returning top ${result.length} precedents from ${scoredPrecedents.length} matches`);
-    
-    console.log("====== EXITING findRelevantPrecedents ======");
-    return result;
-  } catch (error) {
-    console.error(`Error in findRelevantPrecedents: ${error.message}`);
-    console.error(error.stack);
-    
-    // Log the error
-    frameworkLogger.logFrameworkFailure(
-      "findRelevantPrecedents",
-      "findRelevantPrecedents",
-      `Exception: ${error.message}`,
-      { dilemma: dilemma.title || "Unknown" },
-      { error: error.stack }
-    );
-    
-    console.log("====== EXITING findRelevantPrecedents with ERROR ======");
-    return [];
   }
-}
 
-/**
- * Creates a text representation of a dilemma for similarity comparison
- * @param {Object} dilemma - The dilemma object
- * @returns {string} Text representation of the dilemma
- */
-function createDilemmaText(dilemma) {
-  if (!dilemma) return "";
-  
-  let dilemmaText = "";
-  
-  // Add title
-  if (dilemma.title) {
-    dilemmaText += dilemma.title + " ";
-  }
-  
-  // Add description
-  if (dilemma.description) {
-    dilemmaText += dilemma.description + " ";
-  }
-  
-  // Add context
-  if (dilemma.context) {
-    dilemmaText += dilemma.context + " ";
-  }
-  
-  // Add possible actions
-  if (dilemma.possible_actions && Array.isArray(dilemma.possible_actions)) {
-    dilemmaText += dilemma.possible_actions.join(" ") + " ";
-  }
-  
-  // Add contextual factors
-  if (dilemma.contextual_factors && Array.isArray(dilemma.contextual_factors)) {
-    dilemmaText += dilemma.contextual_factors.join(" ");
+  // Contextual factors may be keyed by 'factor' or 'name'
+  const toFactorMap = (factors) => {
+    const map = {};
+    if (Array.isArray(factors)) {
+      factors.forEach(f => {
+        const name = f && (f.factor || f.name);
+        if (name) map[name] = f.value;
+      });
+    }
+    return map;
+  };
+
+  const dilemmaFactors = toFactorMap(dilemma.contextual_factors);
+  const precedentFactors = toFactorMap(precedent.contextual_factors);
+  const factorNames = new Set([...Object.keys(dilemmaFactors), ...Object.keys(precedentFactors)]);
+
+  for (const name of factorNames) {
+    if (JSON.stringify(dilemmaFactors[name]) !== JSON.stringify(precedentFactors[name])) {
+      differences.push({
+        type: 'contextual_factor',
+        name,
+        precedent_value: precedentFactors[name] === undefined ? 'not specified' : precedentFactors[name],
+        new_value: dilemmaFactors[name] === undefined ? 'not specified' : dilemmaFactors[name]
+      });
+    }
   }
-  
-  return dilemmaText;
+
+  return differences;
 }
 
 // Export functions
@@ -859,6 +702,5 @@ module.exports = {
   handleNoMatchCase,
   generateReasoningPaths,
   adaptReasoningPath,
-  findRelevantPrecedents,
-  createDilemmaText
+  identifyKeyDifferences
 };
@@ -0,0 +1,499 @@
+/**
+ * Report Generator for the REA system
+ *
+ * Renders an analyzeDilemma result as a standalone Markdown or HTML document that can be
+ * handed to a review board: the dilemma, the best matching precedent with its similarity
+ * breakdown and key differences, the reasoning paths grouped by framework, detected
+ * conflicts with their severity, the reconciled paths with the strategy that produced them,
+ * and the precedents the analysis cites with their provenance.
+ */
+
+const { createCitation, collectCitations } = require('./provenance');
+
+const REPORT_FORMATS = ['markdown', 'html'];
+
+// Order used when summarizing conflicts by severity
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * Formats a value from the analysis for display
+ * @param {*} value - The value
+ * @returns {string} Display text
+ */
+function displayValue(value) {
+  if (value === undefined || value === null || value === '') return 'not specified';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Lists the frameworks involved in a conflict
+ * @param {Object} conflict - A detected conflict
+ * @returns {string} Framework names joined with "vs"
+ */
+function conflictFrameworks(conflict) {
+  const frameworks = conflict.frameworks || [conflict.framework1, conflict.framework2].filter(Boolean);
+  return frameworks.length > 0 ? frameworks.join(' vs ') : 'unknown frameworks';
+}
+
+/**
+ * Lists the actions involved in a conflict
+ * @param {Object} conflict - A detected conflict
+ * @returns {string} The action, or both actions joined with "vs"
+ */
+function conflictActions(conflict) {
+  if (conflict.action1 && conflict.action2 && conflict.action1 !== conflict.action2) {
+    return `${conflict.action1} vs ${conflict.action2}`;
+  }
+  return conflict.action || conflict.action1 || 'unknown action';
+}
+
+/**
+ * Lists the matched pairs of a similarity breakdown
+ * @param {Object} breakdown - A similarityBreakdown from retrievePrecedents
+ * @returns {Array<Array>} [match, this dilemma, precedent, score] rows
+ */
+function matchedPairRows(breakdown) {
+  return [
+    ...(breakdown.matchedActions || []).map(pair => ['action', pair.action, pair.matchedAction, pair.relevance]),
+    ...(breakdown.matchedFactors || []).map(pair => [`factor ${pair.factor}`, pair.value1, pair.value2, pair.score]),
+    ...(breakdown.matchedParameters || []).map(pair => [`parameter ${pair.parameter}`, pair.value1, pair.value2, pair.score])
+  ];
+}
+
+/**
+ * Collects the report content from an analysis result
+ * @param {Object} results - The analyzeDilemma result
+ * @param {Object} options - Report options
+ * @returns {Object} The data shared by the Markdown and HTML renderers
+ */
+function buildReportModel(results, options) {
+  const dilemma = results.dilemma || {};
+  const reasoningPaths = results.reasoningPaths || [];
+  const conflicts = results.conflicts || [];
+
+  // Group reasoning paths by framework, keeping the order in which frameworks first appear
+  const frameworks = new Map();
+  for (const reasoningPath of reasoningPaths) {
+    const name = reasoningPath.framework || 'Unknown framework';
+    if (!frameworks.has(name)) {
+      frameworks.set(name, []);
+    }
+    frameworks.get(name).push(reasoningPath);
+  }
+
+  const severityCounts = {};
+  for (const conflict of conflicts) {
+    const severity = String(conflict.severity || 'unknown').toLowerCase();
+    severityCounts[severity] = (severityCounts[severity] || 0) + 1;
+  }
+  const severities = Object.keys(severityCounts).sort((a, b) => {
+    const indexA = SEVERITY_ORDER.includes(a) ? SEVERITY_ORDER.indexOf(a) : SEVERITY_ORDER.length;
+    const indexB = SEVERITY_ORDER.includes(b) ? SEVERITY_ORDER.indexOf(b) : SEVERITY_ORDER.length;
+    return indexA - indexB;
+  });
+
+  // Number the cited precedents: the best match when its provenance is known, then the
+  // precedents the reasoning paths were adapted from
+  const bestMatch = results.bestMatch || null;
+  const bestMatchCitation = bestMatch && bestMatch.precedent && bestMatch.precedent.provenance
+    ? createCitation(bestMatch.precedent)
+    : null;
+  const citations = collectCitations([
+    { citation: bestMatchCitation },
+    ...reasoningPaths,
+    ...(results.resolvedPaths || [])
+  ]);
+
+  return {
+    title: options.title || `Ethical Analysis: ${dilemma.title || 'Untitled Dilemma'}`,
+    generatedAt: options.generatedAt || new Date().toISOString(),
+    dilemma,
+    bestMatch,
+    bestMatchCitation: bestMatchCitation ? citations[0] : null,
+    similarityBreakdown: (results.bestMatch && results.bestMatch.precedent.similarityBreakdown) || null,
+    keyDifferences: results.keyDifferences || [],
+    matchCase: results.matchCase,
+    pathCount: reasoningPaths.length,
+    frameworks: Array.from(frameworks.entries()).map(([name, paths]) => ({ name, paths })),
+    conflicts,
+    severitySummary: severities.map(severity => ({ severity, count: severityCounts[severity] })),
+    resolvedPaths: results.resolvedPaths || [],
+    excludedPrecedents: results.excludedPrecedents || [],
+    citations
+  };
+}
+
+/**
+ * Returns the number under which a reasoning path's precedent is cited
+ * @param {Object} model - The report model
+ * @param {Object} reasoningPath - The reasoning path
+ * @returns {number|null} The citation number, or null if the path cites no precedent
+ */
+function citationIndex(model, reasoningPath) {
+  const citation = reasoningPath.citation;
+  if (!citation || typeof citation !== 'object') return null;
+  const key = citation.precedent_id || citation.title;
+  const cited = model.citations.find(entry => (entry.precedent_id || entry.title) === key);
+  return cited ? cited.index : null;
+}
+
+/**
+ * Escapes text for use inside a Markdown table cell
+ * @param {*} value - The value
+ * @returns {string} Escaped text on a single line
+ */
+function markdownCell(value) {
+  return displayValue(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Renders an argument as a Markdown block quote
+ * @param {string} argument - The argument text
+ * @returns {string} The quoted argument
+ */
+function markdownQuote(argument) {
+  if (!argument) return '> (no argument)';
+  return String(argument).split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+}
+
+/**
+ * Renders an analyzeDilemma result as a standalone Markdown document
+ * @param {Object} results - The analyzeDilemma result
+ * @param {Object} [options] - Report options
+ * @param {string} [options.title] - Document title (defaults to the dilemma title)
+ * @param {string} [options.generatedAt] - Timestamp shown in the report (defaults to now)
+ * @returns {string} The Markdown report
+ */
+function generateMarkdownReport(results, options = {}) {
+  const model = buildReportModel(results, options);
+  const lines = [];
+
+  lines.push(`# ${model.title}`, '');
+  lines.push(`_Generated ${model.generatedAt} by the REA system_`, '');
+
+  lines.push('## Dilemma', '');
+  lines.push(`**${model.dilemma.title || 'Untitled Dilemma'}**`, '');
+  lines.push(model.dilemma.description || 'No description available.', '');
+  if (Array.isArray(model.dilemma.possible_actions) && model.dilemma.possible_actions.length > 0) {
+    lines.push('Possible actions:', '');
+    for (const action of model.dilemma.possible_actions) {
+      lines.push(`- \`${action.action}\`: ${action.description || action.action}`);
+    }
+    lines.push('');
+  }
+
+  lines.push('## Best Matching Precedent', '');
+  if (model.bestMatch) {
+    lines.push(`**${model.bestMatch.precedent.title}** (similarity: ${model.bestMatch.similarity.toFixed(2)})`, '');
+    if (model.bestMatchCitation) {
+      lines.push(`Source [${model.bestMatchCitation.index}]: ${model.bestMatchCitation.text}`, '');
+    }
+    if (model.similarityBreakdown) {
+      lines.push('### Similarity Breakdown', '');
+      lines.push('| Component | Score | Weight | Contribution |');
+      lines.push('|-----------|-------|--------|--------------|');
+      for (const component of model.similarityBreakdown.components) {
+        lines.push(`| ${markdownCell(component.name)} | ${component.score.toFixed(2)} | ${component.weight.toFixed(2)} | ${component.contribution.toFixed(2)} |`);
+      }
+      lines.push('');
+      const pairs = matchedPairRows(model.similarityBreakdown);
+      if (pairs.length > 0) {
+        lines.push('| Match | This dilemma | Precedent | Score |');
+        lines.push('|-------|--------------|-----------|-------|');
+        for (const [match, value1, value2, score] of pairs) {
+          lines.push(`| ${markdownCell(match)} | ${markdownCell(value1)} | ${markdownCell(value2)} | ${score.toFixed(2)} |`);
+        }
+        lines.push('');
+      }
+    }
+    if (model.keyDifferences.length > 0) {
+      lines.push('### Key Differences', '');
+      lines.push('| Type | Name | Precedent | This dilemma |');
+      lines.push('|------|------|-----------|--------------|');
+      for (const diff of model.keyDifferences) {
+        lines.push(`| ${markdownCell(diff.type)} | ${markdownCell(diff.name)} | ${markdownCell(diff.precedent_value)} | ${markdownCell(diff.new_value)} |`);
+      }
+      lines.push('');
+    } else {
+      lines.push('No key differences were identified.', '');
+    }
+  } else {
+    lines.push('No relevant precedent was found; the analysis uses synthetic reasoning.', '');
+  }
+  if (model.excludedPrecedents.length > 0) {
+    lines.push('### Excluded Precedents', '');
+    for (const excluded of model.excludedPrecedents) {
+      lines.push(`- **${excluded.title || excluded.precedent_id}** (${excluded.precedent_id}, similarity: ${excluded.totalSimilarityScore.toFixed(2)}): ${excluded.reason}`);
+    }
+    lines.push('');
+  }
+
+  lines.push('## Reasoning Paths', '');
+  if (model.frameworks.length === 0) {
+    lines.push('No reasoning paths were generated.', '');
+  }
+  for (const framework of model.frameworks) {
+    lines.push(`### ${framework.name}`, '');
+    for (const reasoningPath of framework.paths) {
+      const details = [`strength: ${displayValue(reasoningPath.strength)}`];
+      if (reasoningPath.source) details.push(`source: ${reasoningPath.source}`);
+      if (citationIndex(model, reasoningPath)) details.push(`cites [${citationIndex(model, reasoningPath)}]`);
+      lines.push(`**Action: \`${reasoningPath.action || reasoningPath.conclusion}\`** (${details.join(', ')})`, '');
+      lines.push(markdownQuote(reasoningPath.argument), '');
+    }
+  }
+
+  lines.push('## Detected Conflicts', '');
+  if (model.conflicts.length === 0) {
+    lines.push('No conflicts were detected.', '');
+  } else {
+    lines.push(model.severitySummary.map(s => `${s.count} ${s.severity}`).join(', ') + ` (${model.conflicts.length} total)`, '');
+    lines.push('| # | Frameworks | Actions | Type | Severity |');
+    lines.push('|---|------------|---------|------|----------|');
+    model.conflicts.forEach((conflict, index) => {
+      lines.push(`| ${index + 1} | ${markdownCell(conflictFrameworks(conflict))} | ${markdownCell(conflictActions(conflict))} | ${markdownCell(conflict.type)} | ${markdownCell(conflict.severity)} |`);
+    });
+    lines.push('');
+  }
+
+  lines.push('## Reconciled Paths', '');
+  if (model.resolvedPaths.length === 0) {
+    lines.push('No reconciled paths were produced.', '');
+  }
+  model.resolvedPaths.forEach((resolvedPath, index) => {
+    lines.push(`### ${index + 1}. ${resolvedPath.framework || 'Reconciled path'}`, '');
+    lines.push(`Strategy: **${displayValue(resolvedPath.resolutionStrategy || resolvedPath.strategy)}**, action: \`${displayValue(resolvedPath.action)}\``, '');
+    lines.push(markdownQuote(resolvedPath.argument), '');
+  });
+
+  lines.push('## Citations', '');
+  if (model.citations.length === 0) {
+    lines.push('No precedents were cited.', '');
+  }
+  for (const citation of model.citations) {
+    lines.push(`${citation.index}. **${citation.title}**${citation.precedent_id ? ` (\`${citation.precedent_id}\`)` : ''}: ${citation.text}`);
+  }
+  if (model.citations.length > 0) lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Escapes text for HTML
+ * @param {*} value - The value
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders an argument as HTML paragraphs
+ * @param {string} argument - The argument text
+ * @returns {string} The argument markup
+ */
+function htmlArgument(argument) {
+  if (!argument) return '<p class="argument">(no argument)</p>';
+  const paragraphs = String(argument).split(/\n\s*\n/).filter(p => p.trim());
+  return `<div class="argument">${paragraphs.map(p => `<p>${escapeHtml(p.trim()).replace(/\n/g, '<br>')}</p>`).join('')}</div>`;
+}
+
+/**
+ * Names the row class of a conflict severity; severities outside SEVERITY_ORDER are "unknown"
+ * @param {*} severity - The severity as given in the analysis
+ * @returns {string} One of SEVERITY_ORDER or "unknown"
+ */
+function severityClass(severity) {
+  const name = String(severity || '').toLowerCase();
+  return SEVERITY_ORDER.includes(name) ? name : 'unknown';
+}
+
+/**
+ * Renders a table
+ * @param {Array<string>} headers - Column headings
+ * @param {Array<Array>} rows - Cell values
+ * @param {Function} [rowClass] - Returns a class name for each row
+ * @returns {string} The table markup
+ */
+function htmlTable(headers, rows, rowClass = () => '') {
+  const head = headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = rows.map((row, index) => {
+    const className = rowClass(index);
+    const cells = row.map(cell => `<td>${escapeHtml(displayValue(cell))}</td>`).join('');
+    return `<tr${className ? ` class="${escapeHtml(className)}"` : ''}>${cells}</tr>`;
+  }).join('\n');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+const HTML_STYLE = `
+body { font-family: Georgia, serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #222; line-height: 1.5; }
+h1, h2, h3 { font-family: Helvetica, Arial, sans-serif; }
+h2 { border-bottom: 1px solid #ccc; padding-bottom: 0.2em; margin-top: 2em; }
+.meta { color: #666; font-style: italic; }
+table { border-collapse: collapse; width: 100%; margin: 1em 0; font-size: 0.9em; }
+th, td { border: 1px solid #ccc; padding: 0.4em 0.6em; text-align: left; vertical-align: top; }
+th { background: #f3f3f3; }
+.argument { border-left: 4px solid #ccc; padding-left: 1em; color: #444; }
+.severity-critical td, .severity-high td { background: #fbe9e9; }
+.severity-medium td { background: #fdf6e3; }
+code { background: #f3f3f3; padding: 0 0.2em; }
+.citation, .citations { font-size: 0.9em; color: #444; }
+`;
+
+/**
+ * Renders an analyzeDilemma result as a standalone HTML document
+ * @param {Object} results - The analyzeDilemma result
+ * @param {Object} [options] - Report options
+ * @param {string} [options.title] - Document title (defaults to the dilemma title)
+ * @param {string} [options.generatedAt] - Timestamp shown in the report (defaults to now)
+ * @returns {string} The HTML report
+ */
+function generateHtmlReport(results, options = {}) {
+  const model = buildReportModel(results, options);
+  const parts = [];
+
+  parts.push(`<h1>${escapeHtml(model.title)}</h1>`);
+  parts.push(`<p class="meta">Generated ${escapeHtml(model.generatedAt)} by the REA system</p>`);
+
+  parts.push('<h2>Dilemma</h2>');
+  parts.push(`<p><strong>${escapeHtml(model.dilemma.title || 'Untitled Dilemma')}</strong></p>`);
+  parts.push(`<p>${escapeHtml(model.dilemma.description || 'No description available.')}</p>`);
+  if (Array.isArray(model.dilemma.possible_actions) && model.dilemma.possible_actions.length > 0) {
+    const items = model.dilemma.possible_actions
+      .map(action => `<li><code>${escapeHtml(action.action)}</code>: ${escapeHtml(action.description || action.action)}</li>`)
+      .join('');
+    parts.push(`<p>Possible actions:</p><ul>${items}</ul>`);
+  }
+
+  parts.push('<h2>Best Matching Precedent</h2>');
+  if (model.bestMatch) {
+    parts.push(`<p><strong>${escapeHtml(model.bestMatch.precedent.title)}</strong> (similarity: ${model.bestMatch.similarity.toFixed(2)})</p>`);
+    if (model.bestMatchCitation) {
+      parts.push(`<p class="citation">Source [${model.bestMatchCitation.index}]: ${escapeHtml(model.bestMatchCitation.text)}</p>`);
+    }
+    if (model.similarityBreakdown) {
+      parts.push('<h3>Similarity Breakdown</h3>');
+      parts.push(htmlTable(
+        ['Component', 'Score', 'Weight', 'Contribution'],
+        model.similarityBreakdown.components.map(c => [c.name, c.score.toFixed(2), c.weight.toFixed(2), c.contribution.toFixed(2)])
+      ));
+      const pairs = matchedPairRows(model.similarityBreakdown);
+      if (pairs.length > 0) {
+        parts.push(htmlTable(
+          ['Match', 'This dilemma', 'Precedent', 'Score'],
+          pairs.map(([match, value1, value2, score]) => [match, value1, value2, score.toFixed(2)])
+        ));
+      }
+    }
+    if (model.keyDifferences.length > 0) {
+      parts.push('<h3>Key Differences</h3>');
+      parts.push(htmlTable(
+        ['Type', 'Name', 'Precedent', 'This dilemma'],
+        model.keyDifferences.map(diff => [diff.type, diff.name, diff.precedent_value, diff.new_value])
+      ));
+    } else {
+      parts.push('<p>No key differences were identified.</p>');
+    }
+  } else {
+    parts.push('<p>No relevant precedent was found; the analysis uses synthetic reasoning.</p>');
+  }
+  if (model.excludedPrecedents.length > 0) {
+    parts.push('<h3>Excluded Precedents</h3>');
+    const items = model.excludedPrecedents
+      .map(excluded => `<li><strong>${escapeHtml(excluded.title || excluded.precedent_id)}</strong> (${escapeHtml(excluded.precedent_id)}, similarity: ${excluded.totalSimilarityScore.toFixed(2)}): ${escapeHtml(excluded.reason)}</li>`)
+      .join('');
+    parts.push(`<ul class="excluded-precedents">${items}</ul>`);
+  }
+
+  parts.push('<h2>Reasoning Paths</h2>');
+  if (model.frameworks.length === 0) {
+    parts.push('<p>No reasoning paths were generated.</p>');
+  }
+  for (const framework of model.frameworks) {
+    parts.push(`<h3>${escapeHtml(framework.name)}</h3>`);
+    for (const reasoningPath of framework.paths) {
+      const details = [`strength: ${displayValue(reasoningPath.strength)}`];
+      if (reasoningPath.source) details.push(`source: ${reasoningPath.source}`);
+      if (citationIndex(model, reasoningPath)) details.push(`cites [${citationIndex(model, reasoningPath)}]`);
+      parts.push(`<p><strong>Action: <code>${escapeHtml(reasoningPath.action || reasoningPath.conclusion)}</code></strong> (${escapeHtml(details.join(', '))})</p>`);
+      parts.push(htmlArgument(reasoningPath.argument));
+    }
+  }
+
+  parts.push('<h2>Detected Conflicts</h2>');
+  if (model.conflicts.length === 0) {
+    parts.push('<p>No conflicts were detected.</p>');
+  } else {
+    const summary = model.severitySummary.map(s => `${s.count} ${s.severity}`).join(', ');
+    parts.push(`<p>${escapeHtml(summary)} (${model.conflicts.length} total)</p>`);
+    parts.push(htmlTable(
+      ['#', 'Frameworks', 'Actions', 'Type', 'Severity'],
+      model.conflicts.map((conflict, index) => [index + 1, conflictFrameworks(conflict), conflictActions(conflict), conflict.type, conflict.severity]),
+      index => `severity-${severityClass(model.conflicts[index].severity)}`
+    ));
+  }
+
+  parts.push('<h2>Reconciled Paths</h2>');
+  if (model.resolvedPaths.length === 0) {
+    parts.push('<p>No reconciled paths were produced.</p>');
+  }
+  model.resolvedPaths.forEach((resolvedPath, index) => {
+    parts.push(`<h3>${index + 1}. ${escapeHtml(resolvedPath.framework || 'Reconciled path')}</h3>`);
+    parts.push(`<p>Strategy: <strong>${escapeHtml(displayValue(resolvedPath.resolutionStrategy || resolvedPath.strategy))}</strong>, action: <code>${escapeHtml(displayValue(resolvedPath.action))}</code></p>`);
+    parts.push(htmlArgument(resolvedPath.argument));
+  });
+
+  parts.push('<h2>Citations</h2>');
+  if (model.citations.length === 0) {
+    parts.push('<p>No precedents were cited.</p>');
+  } else {
+    const items = model.citations
+      .map(citation => `<li id="citation-${citation.index}"><strong>${escapeHtml(citation.title)}</strong>${citation.precedent_id ? ` (<code>${escapeHtml(citation.precedent_id)}</code>)` : ''}: ${escapeHtml(citation.text)}</li>`)
+      .join('');
+    parts.push(`<ol class="citations">${items}</ol>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(model.title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+${parts.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders an analyzeDilemma result in the requested format
+ * @param {Object} results - The analyzeDilemma result
+ * @param {string} [format='markdown'] - "markdown" or "html"
+ * @param {Object} [options] - Report options passed to the renderer
+ * @returns {string} The report
+ * @throws {Error} If the format is not supported
+ */
+function generateReport(results, format = 'markdown', options = {}) {
+  if (format === 'markdown') {
+    return generateMarkdownReport(results, options);
+  }
+  if (format === 'html') {
+    return generateHtmlReport(results, options);
+  }
+  throw new Error(`Unsupported report format: ${format}. Use one of: ${REPORT_FORMATS.join(', ')}`);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  generateReport,
+  generateMarkdownReport,
+  generateHtmlReport
+};
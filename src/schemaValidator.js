@@ -0,0 +1,319 @@
+/**
+ * Schema validation for dilemmas, precedents and reasoning paths
+ *
+ * Validates documents against the JSON Schemas in the schemas/ directory and
+ * returns a report of path-level errors and warnings, e.g.
+ *   { path: '$.reasoning_paths[0].framework', message: 'is required' }
+ *
+ * Only the subset of JSON Schema (draft-07) used by those schemas is supported:
+ * $ref, type, enum, minLength, pattern, minimum, maximum, required, properties,
+ * additionalProperties, items, minItems, allOf and anyOf. A pattern may carry an
+ * "x-pattern-description" used in its error message. Two annotations
+ * produce warnings instead of errors:
+ *   deprecated      - the value is accepted but should be migrated (see its description)
+ *   x-recommended   - properties that should be present but are not required
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateRelations } = require('./precedentRelations');
+
+// Directory containing the published schema files
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+// Loaded schemas, keyed by file name
+const schemaCache = {};
+
+/**
+ * Loads a schema from the schemas directory
+ * @param {string} name - Schema name ("dilemma") or file name ("dilemma.schema.json")
+ * @returns {Object} The parsed schema
+ */
+function loadSchema(name) {
+  const fileName = name.endsWith('.json') ? name : `${name}.schema.json`;
+  if (!schemaCache[fileName]) {
+    schemaCache[fileName] = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, fileName), 'utf8'));
+  }
+  return schemaCache[fileName];
+}
+
+/**
+ * Resolves a $ref such as "#/definitions/action" or "reasoning-path.schema.json"
+ * @param {string} ref - The reference
+ * @param {string} currentFile - File name of the schema containing the reference
+ * @returns {Object} { schema, file } for the referenced schema
+ */
+function resolveRef(ref, currentFile) {
+  const [filePart, pointer] = ref.split('#');
+  const file = filePart || currentFile;
+  let schema = loadSchema(file);
+
+  if (pointer) {
+    for (const segment of pointer.split('/').filter(Boolean)) {
+      schema = schema[segment];
+      if (schema === undefined) {
+        throw new Error(`Unresolvable schema reference: ${ref}`);
+      }
+    }
+  }
+
+  return { schema, file };
+}
+
+/**
+ * Returns the JSON Schema type name of a value
+ * @param {*} value - The value
+ * @returns {string} One of null, array, object, number, string, boolean
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Checks a value against a JSON Schema type name
+ * @param {*} value - The value
+ * @param {string} type - The schema type (integer is accepted as well)
+ * @returns {boolean} True if the value has the type
+ */
+function matchesType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  return typeOf(value) === type;
+}
+
+/**
+ * Builds the path of an object property
+ * @param {string} base - Path of the parent
+ * @param {string} key - Property name
+ * @returns {string} The child path
+ */
+function childPath(base, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Validates anyOf branches, keeping the errors of the closest branch when none match
+ * @param {*} value - The value being validated
+ * @param {Array} branches - The anyOf schemas
+ * @param {string} valuePath - Path of the value
+ * @param {string} file - Current schema file
+ * @param {Object} report - Report to add issues to
+ */
+function validateAnyOf(value, branches, valuePath, file, report) {
+  const results = branches.map(branch => {
+    const branchReport = { errors: [], warnings: [] };
+    validateNode(value, branch, valuePath, file, branchReport);
+    return branchReport;
+  });
+
+  const match = results.find(result => result.errors.length === 0);
+  if (match) {
+    report.warnings.push(...match.warnings);
+    return;
+  }
+
+  // Branches that only list alternative required properties get one combined message
+  const requiredOnly = branches.every(branch => Object.keys(branch).length === 1 && Array.isArray(branch.required));
+  if (requiredOnly) {
+    const names = branches.map(branch => `"${branch.required.join('" and "')}"`);
+    report.errors.push({ path: valuePath, message: `must have ${names.join(' or ')}` });
+    return;
+  }
+
+  const closest = results.reduce((best, result) => (result.errors.length < best.errors.length ? result : best));
+  report.errors.push(...closest.errors);
+}
+
+/**
+ * Validates a value against a schema node
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The schema node
+ * @param {string} valuePath - Path of the value, e.g. "$.situation.parameters"
+ * @param {string} file - File name of the schema the node belongs to (for $ref resolution)
+ * @param {Object} report - Report with errors and warnings arrays to add issues to
+ */
+function validateNode(value, schema, valuePath, file, report) {
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+
+  if (schema.$ref) {
+    const resolved = resolveRef(schema.$ref, file);
+    validateNode(value, resolved.schema, valuePath, resolved.file, report);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      report.errors.push({ path: valuePath, message: `must be ${types.join(' or ')} (got ${typeOf(value)})` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(allowed => allowed === value)) {
+    report.errors.push({ path: valuePath, message: `must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    report.errors.push({ path: valuePath, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+  }
+
+  if (typeof value === 'string' && schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+    report.errors.push({ path: valuePath, message: schema['x-pattern-description'] ? `must be ${schema['x-pattern-description']}` : `must match ${schema.pattern}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report.errors.push({ path: valuePath, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report.errors.push({ path: valuePath, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (schema.deprecated) {
+    report.warnings.push({ path: valuePath, message: `is deprecated${schema.description ? `: ${schema.description}` : ''}` });
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach(branch => validateNode(value, branch, valuePath, file, report));
+  }
+
+  if (Array.isArray(schema.anyOf)) {
+    validateAnyOf(value, schema.anyOf, valuePath, file, report);
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        report.errors.push({ path: childPath(valuePath, key), message: 'is required' });
+      }
+    }
+
+    for (const key of schema['x-recommended'] || []) {
+      if (value[key] === undefined) {
+        report.warnings.push({ path: childPath(valuePath, key), message: 'is recommended but missing' });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(child, properties[key], childPath(valuePath, key), file, report);
+      } else if (schema.additionalProperties === false) {
+        report.errors.push({ path: childPath(valuePath, key), message: 'is not an allowed property' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, childPath(valuePath, key), file, report);
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report.errors.push({ path: valuePath, message: `must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${valuePath}[${index}]`, file, report));
+    }
+  }
+}
+
+/**
+ * Validates a document against one of the published schemas
+ * @param {*} data - The document to validate
+ * @param {string} schemaName - Schema name: "dilemma", "precedent" or "reasoning-path"
+ * @param {string} [basePath='$'] - Path prefix used in the reported issues
+ * @returns {Object} Report with valid flag, errors and warnings ({ path, message } objects)
+ */
+function validate(data, schemaName, basePath = '$') {
+  const file = schemaName.endsWith('.json') ? schemaName : `${schemaName}.schema.json`;
+  const report = { errors: [], warnings: [] };
+  validateNode(data, loadSchema(file), basePath, file, report);
+
+  // A missing property can be both required and recommended; report it once
+  const errorPaths = new Set(report.errors.map(error => error.path));
+  report.warnings = report.warnings.filter(warning => !errorPaths.has(warning.path));
+
+  return { valid: report.errors.length === 0, ...report };
+}
+
+/**
+ * Validates a dilemma against the dilemma schema
+ * @param {Object} dilemma - The dilemma to validate
+ * @returns {Object} Validation report
+ */
+function validateDilemmaDocument(dilemma) {
+  return validate(dilemma, 'dilemma');
+}
+
+/**
+ * Validates a precedent against the precedent schema
+ * @param {Object} precedent - The precedent to validate
+ * @param {string} [basePath='$'] - Path prefix used in the reported issues
+ * @returns {Object} Validation report
+ */
+function validatePrecedent(precedent, basePath = '$') {
+  return validate(precedent, 'precedent', basePath);
+}
+
+/**
+ * Validates a reasoning path against the reasoning path schema
+ * @param {Object} reasoningPath - The reasoning path to validate
+ * @returns {Object} Validation report
+ */
+function validateReasoningPath(reasoningPath) {
+  return validate(reasoningPath, 'reasoning-path');
+}
+
+/**
+ * Validates every precedent in a precedent database. Problems with the links between
+ * precedents (see precedentRelations.js) are reported as warnings.
+ * @param {Array} precedents - The precedent database
+ * @returns {Object} Validation report, plus invalidIndexes listing the precedents with errors
+ */
+function validatePrecedentDatabase(precedents) {
+  if (!Array.isArray(precedents)) {
+    return {
+      valid: false,
+      errors: [{ path: '$', message: `must be array (got ${typeOf(precedents)})` }],
+      warnings: [],
+      invalidIndexes: []
+    };
+  }
+
+  const report = { errors: [], warnings: [], invalidIndexes: [] };
+  precedents.forEach((precedent, index) => {
+    const result = validatePrecedent(precedent, `$[${index}]`);
+    report.errors.push(...result.errors);
+    report.warnings.push(...result.warnings);
+    if (!result.valid) {
+      report.invalidIndexes.push(index);
+    }
+  });
+  report.warnings.push(...validateRelations(precedents));
+
+  return { valid: report.errors.length === 0, ...report };
+}
+
+/**
+ * Formats validation issues as "path: message" lines
+ * @param {Array<Object>} issues - Errors or warnings from a validation report
+ * @returns {Array<string>} One line per issue
+ */
+function formatIssues(issues) {
+  return issues.map(issue => `${issue.path}: ${issue.message}`);
+}
+
+module.exports = {
+  SCHEMA_DIR,
+  loadSchema,
+  validate,
+  validateDilemmaDocument,
+  validatePrecedent,
+  validateReasoningPath,
+  validatePrecedentDatabase,
+  formatIssues
+};
@@ -0,0 +1,222 @@
+/**
+ * Semantic Similarity Providers
+ *
+ * calculateStringSimilarity combines an edit distance with a semantic score. The semantic score
+ * comes from the configured provider, so the word-overlap heuristic (which sees "kill" and
+ * "cause the death of" as unrelated) can be replaced without touching the similarity code.
+ *
+ * A provider is an object:
+ *
+ *   {
+ *     name: 'my-embeddings',
+ *     description: 'Sentence embeddings from a local model',
+ *     similarity(text1, text2) { return 0.8; }   // 0-1, or null if the provider cannot compare the texts
+ *   }
+ *
+ * similarity() receives lower-cased texts without punctuation. Returning null (or throwing) falls
+ * back to the word-overlap heuristic for that pair.
+ *
+ * Built-in providers:
+ *
+ *   word-overlap - Jaccard, containment and bigram overlap of the words (the default)
+ *   lsa          - latent semantic analysis trained offline over the precedent corpus (see lsaModel.js)
+ */
+
+const DEFAULT_PROVIDER_NAME = 'word-overlap';
+
+// Registered providers by name
+const providers = new Map();
+
+let activeProvider = null;
+
+// Incremented whenever the active provider or its model changes, so cached scores can be told apart
+let generation = 0;
+
+/**
+ * Calculate semantic similarity approximation based on word overlap and position
+ * @param {string[]} words1 Words from first string
+ * @param {string[]} words2 Words from second string
+ * @returns {number} Semantic similarity score between 0 and 1
+ */
+function calculateSemanticSimilarityApproximation(words1, words2) {
+  if (!words1.length || !words2.length) {
+    return 0;
+  }
+
+  // Simple terms for both strings
+  const terms1 = new Set(words1);
+  const terms2 = new Set(words2);
+
+  // Find common words (exact matches only)
+  let commonWords = 0;
+  for (const word of terms1) {
+    if (terms2.has(word)) {
+      commonWords++;
+    }
+  }
+
+  // Jaccard similarity (intersection / union)
+  const union = terms1.size + terms2.size - commonWords;
+  const jaccardScore = commonWords / union;
+
+  // Containment score (what percentage of the smaller set is contained in the larger)
+  const smallerSetSize = Math.min(terms1.size, terms2.size);
+  const containmentScore = commonWords / smallerSetSize;
+
+  // Word sequence similarity (approximate n-gram similarity)
+  let sequenceSimilarity = 0;
+  if (words1.length > 1 && words2.length > 1) {
+    const bigrams1 = [];
+    const bigrams2 = [];
+
+    for (let i = 0; i < words1.length - 1; i++) {
+      bigrams1.push(`${words1[i]}_${words1[i + 1]}`);
+    }
+
+    for (let i = 0; i < words2.length - 1; i++) {
+      bigrams2.push(`${words2[i]}_${words2[i + 1]}`);
+    }
+
+    let commonBigrams = 0;
+    for (const bigram of bigrams1) {
+      if (bigrams2.includes(bigram)) {
+        commonBigrams++;
+      }
+    }
+
+    const bigramUnion = bigrams1.length + bigrams2.length - commonBigrams;
+    sequenceSimilarity = commonBigrams / (bigramUnion || 1);
+  }
+
+  // Combined semantic score
+  const semanticScore = 0.5 * jaccardScore + 0.3 * containmentScore + 0.2 * sequenceSimilarity;
+
+  return semanticScore;
+}
+
+/**
+ * Splits normalized text into the words compared by the word-overlap heuristic
+ * @param {string} text - Lower-cased text without punctuation
+ * @returns {Array<string>} Words longer than one character
+ */
+function splitWords(text) {
+  return text.split(/\s+/).filter(w => w.length > 1);
+}
+
+const wordOverlapProvider = {
+  name: DEFAULT_PROVIDER_NAME,
+  description: 'Overlap of words and word pairs (no notion of synonyms)',
+  similarity(text1, text2) {
+    return calculateSemanticSimilarityApproximation(splitWords(text1), splitWords(text2));
+  }
+};
+
+/**
+ * Registers a semantic similarity provider, replacing any provider of the same name
+ * @param {Object} provider - { name, description, similarity(text1, text2) }
+ * @returns {Object} The provider
+ * @throws {TypeError} If the provider has no name or similarity function
+ */
+function registerSemanticProvider(provider) {
+  if (!provider || typeof provider.name !== 'string' || !provider.name || typeof provider.similarity !== 'function') {
+    throw new TypeError('A semantic similarity provider needs a name and a similarity(text1, text2) function');
+  }
+
+  providers.set(provider.name, provider);
+  if (activeProvider && activeProvider.name === provider.name) {
+    activeProvider = provider;
+    generation++;
+  }
+  return provider;
+}
+
+/**
+ * Lists the registered providers
+ * @returns {Array<Object>} { name, description, active } for each provider
+ */
+function listSemanticProviders() {
+  const active = getSemanticProvider();
+  return Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    description: provider.description || '',
+    active: provider === active
+  }));
+}
+
+/**
+ * Selects the provider used by calculateStringSimilarity
+ * @param {string} [name] - A registered provider name (default: word-overlap)
+ * @returns {Object} The provider
+ * @throws {Error} If no provider of that name is registered
+ */
+function setSemanticProvider(name = DEFAULT_PROVIDER_NAME) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown semantic similarity provider "${name}". Registered providers: ${Array.from(providers.keys()).join(', ')}`);
+  }
+  if (provider !== activeProvider) {
+    activeProvider = provider;
+    generation++;
+  }
+  return provider;
+}
+
+/**
+ * Returns the provider used by calculateStringSimilarity
+ * @returns {Object} The provider
+ */
+function getSemanticProvider() {
+  return activeProvider || providers.get(DEFAULT_PROVIDER_NAME);
+}
+
+/**
+ * Identifies the active provider and its model for caching
+ * @returns {string} A key that changes whenever scores may change
+ */
+function getSemanticProviderKey() {
+  return `${getSemanticProvider().name}#${generation}`;
+}
+
+/**
+ * Marks the active provider's scores as changed, e.g. after retraining its model
+ */
+function invalidateSemanticProvider() {
+  generation++;
+}
+
+/**
+ * Scores the semantic similarity of two texts with the active provider
+ * @param {string} text1 - Lower-cased text without punctuation
+ * @param {string} text2 - Lower-cased text without punctuation
+ * @param {boolean} [fallback=true] - Use word overlap when the provider cannot compare the texts
+ * @returns {number|null} Similarity between 0 and 1, or null without a provider score and fallback
+ */
+function semanticSimilarity(text1, text2, fallback = true) {
+  const provider = getSemanticProvider();
+  if (provider !== wordOverlapProvider) {
+    try {
+      const score = provider.similarity(text1, text2);
+      if (typeof score === 'number' && !Number.isNaN(score)) {
+        return Math.min(Math.max(score, 0), 1);
+      }
+    } catch (error) {
+      console.warn(`Semantic similarity provider "${provider.name}" failed, using word overlap: ${error.message}`);
+    }
+  }
+  return fallback ? wordOverlapProvider.similarity(text1, text2) : null;
+}
+
+registerSemanticProvider(wordOverlapProvider);
+registerSemanticProvider(require('./lsaModel').createLsaProvider());
+
+module.exports = {
+  DEFAULT_PROVIDER_NAME,
+  calculateSemanticSimilarityApproximation,
+  registerSemanticProvider,
+  listSemanticProviders,
+  setSemanticProvider,
+  getSemanticProvider,
+  getSemanticProviderKey,
+  invalidateSemanticProvider,
+  semanticSimilarity
+};
@@ -0,0 +1,461 @@
+/**
+ * HTTP API Server for the REA system
+ *
+ * This module exposes the analysis pipeline over a small JSON HTTP API so that
+ * other services can use the REA system without embedding the library.
+ *
+ * Routes:
+ *   GET  /health              - Service health and precedent database status
+ *   GET  /similarity-profiles - Available similarity profiles
+ *   POST /analyze             - Full analysis (analyzeDilemma)
+ *   POST /precedents/search   - Precedent search (retrievePrecedents)
+ *   POST /precedents/taxonomy - Clusters and outliers of the precedent corpus (buildTaxonomy)
+ *   POST /conflicts/detect    - Conflict detection (detectAllConflicts)
+ *   POST /conflicts/resolve   - Conflict resolution (resolveConflicts)
+ *   POST /reports             - Markdown or HTML analysis report (generateReport)
+ *
+ * Responses are JSON except for /reports, which returns the document itself.
+ * Every error is returned as { error: { code, message, details } } with a matching HTTP status.
+ */
+
+const http = require('http');
+
+const { analyzeDilemma, getPrecedentDatabase } = require('../index');
+const { retrievePrecedents } = require('./precedentRetrieval');
+const { detectAllConflicts } = require('./conflictDetection');
+const { resolveConflicts } = require('./conflictResolution');
+const { normalizeDilemma, normalizePrecedents } = require('./dilemmaNormalizer');
+const { getSimilarityProfiles, resolveSimilarityProfile } = require('./similarityProfiles');
+const { generateReport, REPORT_FORMATS } = require('./reportGenerator');
+const { DEFAULT_CLUSTER_THRESHOLD, LINKAGES, buildTaxonomy, browseTaxonomy } = require('./precedentTaxonomy');
+const { version } = require('../package.json');
+
+// Requests larger than this are rejected before parsing
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Clustering compares every pair of precedents, so a taxonomy request may send at most this many
+const MAX_TAXONOMY_PRECEDENTS = 100;
+
+// Taxonomies of the server's own database kept for repeated requests
+const TAXONOMY_CACHE_SIZE = 16;
+
+/**
+ * Error carrying an HTTP status and a machine-readable code for the response body
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Machine-readable error code (e.g., "invalid_request")
+   * @param {string} message - Human-readable description
+   * @param {Object} [details] - Optional extra information about the error
+   */
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Content types of the report formats
+const REPORT_CONTENT_TYPES = {
+  markdown: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8'
+};
+
+/**
+ * A non-JSON response body returned by a route handler
+ */
+class TextResponse {
+  /**
+   * @param {string} contentType - Content-Type header value
+   * @param {string} body - Response body
+   */
+  constructor(contentType, body) {
+    this.contentType = contentType;
+    this.body = body;
+  }
+}
+
+/**
+ * Writes a JSON response
+ * @param {http.ServerResponse} res - The response object
+ * @param {number} status - HTTP status code
+ * @param {Object} payload - Response body
+ * @param {Object} [headers] - Extra response headers
+ */
+function sendJson(res, status, payload, headers = {}) {
+  const body = JSON.stringify(payload);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    ...headers
+  });
+  res.end(body);
+}
+
+/**
+ * Writes a structured error response
+ * @param {http.ServerResponse} res - The response object
+ * @param {Error} error - The error to report
+ */
+function sendError(res, error) {
+  const apiError = error instanceof ApiError
+    ? error
+    : new ApiError(500, 'internal_error', 'An unexpected error occurred', { reason: error.message });
+
+  // The rest of an oversized body is not read, so the connection cannot be reused
+  const headers = apiError.status === 413 ? { Connection: 'close' } : {};
+  sendJson(res, apiError.status, {
+    error: {
+      code: apiError.code,
+      message: apiError.message,
+      details: apiError.details
+    }
+  }, headers);
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req - The request object
+ * @returns {Promise<Object>} The parsed body ({} when the body is empty)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop collecting but keep draining, so the client can read the 413 response
+        req.removeAllListeners('data');
+        req.resume();
+        reject(new ApiError(413, 'payload_too_large', `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8').trim();
+      if (!raw) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(raw);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          reject(new ApiError(400, 'invalid_request', 'Request body must be a JSON object'));
+          return;
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new ApiError(400, 'invalid_json', 'Request body is not valid JSON', { reason: error.message }));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Throws an invalid_request error when a required body field is missing or of the wrong type
+ * @param {Object} body - The parsed request body
+ * @param {string} field - The field name
+ * @param {string} type - Expected type ('object' or 'array')
+ */
+function requireField(body, field, type) {
+  const value = body[field];
+  const valid = type === 'array'
+    ? Array.isArray(value)
+    : (value !== null && typeof value === 'object' && !Array.isArray(value));
+
+  if (!valid) {
+    throw new ApiError(400, 'invalid_request', `"${field}" must be ${type === 'array' ? 'an array' : 'an object'}`, { field });
+  }
+}
+
+/**
+ * Throws an invalid_request error when an array body field contains values that are not objects
+ * @param {Object} body - The parsed request body
+ * @param {string} field - The field name
+ * @param {boolean} [optional=false] - Whether the field may be left out
+ */
+function requireObjectArray(body, field, optional = false) {
+  if (optional && body[field] === undefined) {
+    return;
+  }
+  requireField(body, field, 'array');
+  const index = body[field].findIndex(item => item === null || typeof item !== 'object' || Array.isArray(item));
+  if (index !== -1) {
+    throw new ApiError(400, 'invalid_request', `"${field}" must contain objects (item ${index} is not)`, { field: `${field}[${index}]` });
+  }
+}
+
+/**
+ * Converts a dilemma or precedent from a request body to the canonical model
+ * @param {Object} value - The dilemma or precedent
+ * @param {string} field - Body field the value came from (for the error details)
+ * @returns {Object} The normalized dilemma
+ */
+function normalizeField(value, field) {
+  try {
+    return normalizeDilemma(value).dilemma;
+  } catch (error) {
+    throw new ApiError(400, 'invalid_request', `"${field}" must contain dilemma objects`, { field });
+  }
+}
+
+/**
+ * Resolves the precedent database for a request: an inline array, or the server default
+ * @param {Object} body - The parsed request body
+ * @param {Array} defaultDatabase - The database loaded at server start
+ * @returns {Array} The precedent database to use
+ */
+function resolvePrecedents(body, defaultDatabase) {
+  if (body.precedents === undefined) {
+    return defaultDatabase;
+  }
+  requireField(body, 'precedents', 'array');
+  return body.precedents.map(precedent => normalizeField(precedent, 'precedents'));
+}
+
+/**
+ * Returns the optional dilemma of a conflict request in the canonical model
+ * @param {Object} body - The parsed request body
+ * @returns {Object|null} The normalized dilemma, or null when none was given
+ */
+function optionalDilemma(body) {
+  if (body.dilemma === undefined || body.dilemma === null) {
+    return null;
+  }
+  requireField(body, 'dilemma', 'object');
+  return normalizeField(body.dilemma, 'dilemma');
+}
+
+/**
+ * Returns the options of a request, checking the similarity threshold and profiles they select.
+ * Every route reads its threshold from "options.threshold".
+ * @param {Object} body - The parsed request body
+ * @returns {Object} The options (empty when none were given)
+ */
+function requestOptions(body) {
+  const options = body.options === undefined ? {} : body.options;
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new ApiError(400, 'invalid_request', '"options" must be an object', { field: 'options' });
+  }
+
+  if (body.threshold !== undefined) {
+    throw new ApiError(400, 'invalid_request', 'Pass the threshold as "options.threshold"', { field: 'threshold' });
+  }
+  if (options.query !== undefined && (options.query === null || typeof options.query !== 'object' || Array.isArray(options.query))) {
+    throw new ApiError(400, 'invalid_request', '"options.query" must be an object', { field: 'options.query' });
+  }
+  const thresholds = [['options.threshold', options.threshold], ['options.query.threshold', options.query && options.query.threshold]];
+  for (const [field, threshold] of thresholds) {
+    if (threshold !== undefined && (typeof threshold !== 'number' || Number.isNaN(threshold) || threshold < 0 || threshold > 1)) {
+      throw new ApiError(400, 'invalid_request', `"${field}" must be a number between 0 and 1`, { field });
+    }
+  }
+
+  const selections = [['options.profile', options.profile], ['options.query.profile', options.query && options.query.profile]];
+  for (const [field, profile] of selections) {
+    if (profile !== undefined && !resolveSimilarityProfile(profile)) {
+      const available = Array.from(getSimilarityProfiles().keys()).join(', ');
+      throw new ApiError(400, 'invalid_request', `Unknown or invalid similarity profile in "${field}" (available: ${available})`, { field });
+    }
+  }
+  return options;
+}
+
+/**
+ * Builds the route table for the server
+ * @param {Object} context - Shared server context
+ * @param {Array} context.precedents - Default precedent database
+ * @param {number} context.startedAt - Server start timestamp
+ * @param {Map} context.taxonomies - Taxonomies of the default database by their options
+ * @returns {Object} Map of "METHOD /path" to handler functions
+ */
+function createRoutes(context) {
+  return {
+    'GET /health': async () => ({
+      status: 'ok',
+      version,
+      uptime: (Date.now() - context.startedAt) / 1000,
+      precedents: context.precedents.length
+    }),
+
+    'GET /similarity-profiles': async () => Array.from(getSimilarityProfiles().values()),
+
+    'POST /analyze': async (body) => {
+      requireField(body, 'dilemma', 'object');
+      return analyzeDilemma(body.dilemma, resolvePrecedents(body, context.precedents), requestOptions(body));
+    },
+
+    'POST /precedents/search': async (body) => {
+      requireField(body, 'dilemma', 'object');
+      const options = requestOptions(body);
+      const results = await retrievePrecedents(
+        normalizeField(body.dilemma, 'dilemma'),
+        resolvePrecedents(body, context.precedents),
+        { ...options, threshold: options.threshold !== undefined ? options.threshold : 0.3 }
+      );
+      return { count: results.length, results };
+    },
+
+    'POST /precedents/taxonomy': async (body) => {
+      const options = requestOptions(body);
+      if (body.linkage !== undefined && !LINKAGES[body.linkage]) {
+        throw new ApiError(400, 'invalid_request', `"linkage" must be one of: ${Object.keys(LINKAGES).join(', ')}`, { field: 'linkage' });
+      }
+      if (Array.isArray(body.precedents) && body.precedents.length > MAX_TAXONOMY_PRECEDENTS) {
+        throw new ApiError(413, 'payload_too_large', `"precedents" may list at most ${MAX_TAXONOMY_PRECEDENTS} precedents for a taxonomy`, {
+          field: 'precedents',
+          limit: MAX_TAXONOMY_PRECEDENTS
+        });
+      }
+
+      const taxonomyOptions = {
+        threshold: options.threshold !== undefined ? options.threshold : DEFAULT_CLUSTER_THRESHOLD,
+        linkage: body.linkage,
+        profile: options.profile
+      };
+      let taxonomy;
+      if (body.precedents !== undefined) {
+        taxonomy = buildTaxonomy(resolvePrecedents(body, context.precedents), taxonomyOptions);
+      } else {
+        // The server's own database does not change, so its taxonomy is built once per set of options
+        const key = JSON.stringify(taxonomyOptions);
+        taxonomy = context.taxonomies.get(key);
+        if (!taxonomy) {
+          taxonomy = buildTaxonomy(context.precedents, taxonomyOptions);
+          if (context.taxonomies.size >= TAXONOMY_CACHE_SIZE) {
+            context.taxonomies.delete(context.taxonomies.keys().next().value);
+          }
+          context.taxonomies.set(key, taxonomy);
+        }
+      }
+      return body.query !== undefined ? browseTaxonomy(taxonomy, body.query) : taxonomy;
+    },
+
+    'POST /conflicts/detect': async (body) => {
+      requireObjectArray(body, 'reasoningPaths');
+      requireObjectArray(body, 'granularElements', true);
+      return detectAllConflicts(body.reasoningPaths, optionalDilemma(body), body.granularElements || []);
+    },
+
+    'POST /conflicts/resolve': async (body) => {
+      requireObjectArray(body, 'reasoningPaths');
+      requireObjectArray(body, 'conflicts');
+      requireObjectArray(body, 'granularElements', true);
+      return resolveConflicts(
+        body.reasoningPaths,
+        body.conflicts,
+        optionalDilemma(body),
+        body.granularElements || [],
+        requestOptions(body)
+      );
+    },
+
+    'POST /reports': async (body) => {
+      const format = body.format || 'markdown';
+      if (!REPORT_FORMATS.includes(format)) {
+        throw new ApiError(400, 'invalid_request', `"format" must be one of: ${REPORT_FORMATS.join(', ')}`, { field: 'format' });
+      }
+
+      // Either render an existing /analyze result or run the analysis first
+      let results;
+      if (body.results !== undefined) {
+        requireField(body, 'results', 'object');
+        results = body.results;
+      } else {
+        requireField(body, 'dilemma', 'object');
+        results = await analyzeDilemma(body.dilemma, resolvePrecedents(body, context.precedents), requestOptions(body));
+      }
+
+      return new TextResponse(REPORT_CONTENT_TYPES[format], generateReport(results, format, { title: body.title }));
+    }
+  };
+}
+
+/**
+ * Creates (but does not start) the REA HTTP server
+ * @param {Object} options - Server options
+ * @param {Array} [options.precedents] - Precedent database to serve (defaults to the built-in database)
+ * @returns {http.Server} The HTTP server
+ */
+function createServer(options = {}) {
+  const context = {
+    precedents: normalizePrecedents(options.precedents || getPrecedentDatabase() || []),
+    startedAt: Date.now(),
+    taxonomies: new Map()
+  };
+  const routes = createRoutes(context);
+  const knownPaths = new Set(Object.keys(routes).map(key => key.split(' ')[1]));
+
+  return http.createServer(async (req, res) => {
+    let pathname = req.url;
+
+    try {
+      try {
+        pathname = new URL(req.url, 'http://localhost').pathname;
+      } catch (error) {
+        throw new ApiError(400, 'invalid_request', `Invalid request URL ${req.url}`);
+      }
+
+      const handler = routes[`${req.method} ${pathname}`];
+      if (!handler) {
+        if (knownPaths.has(pathname)) {
+          throw new ApiError(405, 'method_not_allowed', `Method ${req.method} is not allowed for ${pathname}`);
+        }
+        throw new ApiError(404, 'not_found', `No route for ${req.method} ${pathname}`);
+      }
+
+      const body = req.method === 'POST' ? await readJsonBody(req) : {};
+      const result = await handler(body);
+      if (result instanceof TextResponse) {
+        res.writeHead(200, { 'Content-Type': result.contentType, 'Content-Length': Buffer.byteLength(result.body) });
+        res.end(result.body);
+      } else {
+        sendJson(res, 200, result);
+      }
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        console.error(`Error handling ${req.method} ${pathname}: ${error.message}`);
+      }
+      sendError(res, error);
+    }
+  });
+}
+
+/**
+ * Creates and starts the REA HTTP server
+ * @param {Object} options - Server options
+ * @param {number} [options.port=3000] - Port to listen on (0 picks a free port)
+ * @param {string} [options.host='127.0.0.1'] - Host interface to bind
+ * @param {Array} [options.precedents] - Precedent database to serve
+ * @returns {Promise<http.Server>} The listening server
+ */
+function startServer(options = {}) {
+  const port = options.port !== undefined ? options.port : 3000;
+  const host = options.host || '127.0.0.1';
+  const server = createServer(options);
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      const address = server.address();
+      console.log(`REA API server listening on http://${address.address}:${address.port}`);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  createServer,
+  startServer,
+  ApiError
+};
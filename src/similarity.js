@@ -7,38 +7,68 @@
 const natural = require('natural');
 const { JaroWinklerDistance } = natural;
 const { 
-    actionRelevanceScore, 
     calculateCosineSimilarity,
     extractDilemmaText 
 } = require('./utils');
+const { resolveSimilarityProfile } = require('./similarityProfiles');
+const {
+    calculateSemanticSimilarityApproximation,
+    getSemanticProviderKey,
+    semanticSimilarity
+} = require('./semanticSimilarity');
+const { getConceptLexicon } = require('./conceptLexicon');
+const { SimilarityCache, hashCacheKey } = require('./similarityCache');
 
-// Initialize a cache for similarity calculations to improve performance
-// This is especially useful for string similarity which can be expensive
-const similarityCache = {
-    stringCache: {},
-    hits: 0,
-    misses: 0,
-    
-    clearCache() {
-        this.stringCache = {};
-        this.hits = 0;
-        this.misses = 0;
-    },
-    
-    getCacheStats() {
-        return {
-            hits: this.hits,
-            misses: this.misses,
-            ratio: this.hits / (this.hits + this.misses || 1)
-        };
-    }
-};
+// How far shared lexicon concepts ("do nothing" and "refrain") close the gap to a perfect match
+const CONCEPT_MATCH_WEIGHT = 0.5;
+
+// Incremented when calculateStringSimilarity scores the same strings differently, so saved caches are not reused
+const STRING_SIMILARITY_VERSION = 2;
+
+// Bounded cache of string similarity scores, optionally saved between runs (see similarityCache.js)
+const similarityCache = new SimilarityCache();
+
+/**
+ * Identifies what string similarity scores depend on: the scoring itself, the semantic provider and the concept lexicon
+ * @returns {string} The fingerprint
+ */
+function getSimilarityFingerprint() {
+    const lexicon = getConceptLexicon();
+    const concepts = Array.from(lexicon.concepts.values()).map(concept => [concept.id, concept.terms]);
+    return `v${STRING_SIMILARITY_VERSION}|${getSemanticProviderKey()}|${hashCacheKey(JSON.stringify(concepts))}`;
+}
 
 // Helper function to get a cache key for strings
 function getStringCacheKey(str1, str2) {
     // Sort strings to ensure consistent key regardless of argument order
     const sortedStrings = [str1, str2].sort();
-    return `${sortedStrings[0]}::${sortedStrings[1]}`;
+    return hashCacheKey(getSemanticProviderKey(), getConceptLexicon().version, sortedStrings[0], sortedStrings[1]);
+}
+
+/**
+ * Sets the size of the similarity cache and where it is saved between runs
+ * @param {Object} options
+ * @param {number} [options.maxEntries] - Maximum number of cached scores
+ * @param {string} [options.file] - Cache file to load now and save to with saveSimilarityCache
+ * @returns {Object} The cache statistics (see SimilarityCache.getCacheStats)
+ * @throws {TypeError} If maxEntries is not a positive integer
+ */
+function configureSimilarityCache({ maxEntries, file } = {}) {
+    if (maxEntries !== undefined) {
+        similarityCache.resize(maxEntries);
+    }
+    if (file) {
+        similarityCache.load(file, getSimilarityFingerprint());
+    }
+    return similarityCache.getCacheStats();
+}
+
+/**
+ * Saves the similarity cache to the file given to configureSimilarityCache
+ * @returns {boolean} Whether the cache was saved
+ */
+function saveSimilarityCache() {
+    return similarityCache.save(getSimilarityFingerprint());
 }
 
 /**
@@ -89,16 +119,17 @@ function calculateSimilarity(value1, value2) {
  * Calculate similarity between two numeric values
  * @param {number} num1 First number
  * @param {number} num2 Second number
+ * @param {number} [scale] Difference at which the values count as unrelated (default: the larger magnitude)
  * @returns {number} Similarity score between 0 and 1
  */
-function calculateNumericSimilarity(num1, num2) {
+function calculateNumericSimilarity(num1, num2, scale) {
     // Check if either value isn't actually a number
     if (isNaN(num1) || isNaN(num2)) {
         return 0;
     }
     
     // For numeric values, we determine similarity based on relative difference
-    const max = Math.max(Math.abs(num1), Math.abs(num2));
+    const max = scale > 0 ? scale : Math.max(Math.abs(num1), Math.abs(num2));
     
     // Avoid division by zero
     if (max === 0) {
@@ -119,6 +150,19 @@ function calculateNumericSimilarity(num1, num2) {
     return similarity;
 }
 
+/**
+ * Normalize a string for comparison: lower case, with anything but letters (in any script)
+ * and digits replaced by single spaces
+ * @param {string} str The string
+ * @returns {string} The normalized string
+ */
+function normalizeText(str) {
+    return String(str || '').toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ') // Replace anything but letters and digits with spaces
+        .replace(/\s+/g, ' ')     // Replace multiple spaces with a single space
+        .trim();
+}
+
 /**
  * Calculate similarity between two strings
  * @param {string} str1 First string
@@ -136,48 +180,47 @@ function calculateStringSimilarity(str1, str2) {
         return 1;
     }
     
-    // Look up in cache first
+    // Look up in cache first (scores depend on the semantic similarity provider and the concept lexicon)
+    const lexicon = getConceptLexicon();
     const cacheKey = getStringCacheKey(str1, str2);
-    if (similarityCache.stringCache[cacheKey] !== undefined) {
-        similarityCache.hits++;
-        return similarityCache.stringCache[cacheKey];
+    const cachedScore = similarityCache.get(cacheKey);
+    if (cachedScore !== undefined) {
+        return cachedScore;
     }
     
-    similarityCache.misses++;
-    
     // Normalize strings to improve matching
-    const normalize = (str) => {
-        return str.toLowerCase()
-            .replace(/[^\w\s]/g, ' ') // Replace non-alphanumeric with spaces
-            .replace(/\s+/g, ' ')     // Replace multiple spaces with a single space
-            .trim();
-    };
-    
-    const normalizedStr1 = normalize(str1);
-    const normalizedStr2 = normalize(str2);
+    const normalizedStr1 = normalizeText(str1);
+    const normalizedStr2 = normalizeText(str2);
     
-    // For very short strings, use Jaro-Winkler distance which is good for names
+    let score;
     if (normalizedStr1.length < 10 || normalizedStr2.length < 10) {
-        const score = JaroWinklerDistance(normalizedStr1, normalizedStr2);
-        similarityCache.stringCache[cacheKey] = score;
-        return score;
+        // For very short strings, use Jaro-Winkler distance which is good for names
+        score = JaroWinklerDistance(normalizedStr1, normalizedStr2);
+        // A semantic provider can still recognise short synonyms ("kill" and "cause the death of")
+        const semanticScore = semanticSimilarity(normalizedStr1, normalizedStr2, false);
+        if (semanticScore !== null) {
+            score = Math.max(score, semanticScore);
+        }
+    } else {
+        // For longer strings, use a combination of Levenshtein distance and semantic similarity
+        const levenshteinScore = 1 - calculateLevenshteinDistance(normalizedStr1, normalizedStr2);
+        
+        // Semantic similarity from the configured provider (word overlap by default)
+        const semanticScore = semanticSimilarity(normalizedStr1, normalizedStr2);
+        
+        // Combine scores with higher weight to semantic similarity for longer texts
+        score = 0.3 * levenshteinScore + 0.7 * semanticScore;
     }
     
-    // For longer strings, use a combination of Levenshtein distance and semantic similarity
-    const levenshteinScore = 1 - calculateLevenshteinDistance(normalizedStr1, normalizedStr2);
-    
-    // Calculate word overlap for semantic similarity approximation
-    const words1 = normalizedStr1.split(/\s+/).filter(w => w.length > 1);
-    const words2 = normalizedStr2.split(/\s+/).filter(w => w.length > 1);
-    
-    const semanticScore = calculateSemanticSimilarityApproximation(words1, words2);
-    
-    // Combine scores with higher weight to semantic similarity for longer texts
-    const combinedScore = 0.3 * levenshteinScore + 0.7 * semanticScore;
+    // Texts expressing the same concepts in different words move closer together
+    const conceptScore = lexicon.conceptSimilarity(str1, str2);
+    if (conceptScore !== null) {
+        score += (1 - score) * CONCEPT_MATCH_WEIGHT * conceptScore;
+    }
     
     // Cache and return result
-    similarityCache.stringCache[cacheKey] = combinedScore;
-    return combinedScore;
+    similarityCache.set(cacheKey, score);
+    return score;
 }
 
 /**
@@ -235,68 +278,6 @@ function calculateLevenshteinDistance(str1, str2) {
     return dp[m][n] / Math.max(m, n);
 }
 
-/**
- * Calculate semantic similarity approximation based on word overlap and position
- * @param {string[]} words1 Words from first string
- * @param {string[]} words2 Words from second string
- * @returns {number} Semantic similarity score between 0 and 1
- */
-function calculateSemanticSimilarityApproximation(words1, words2) {
-    if (!words1.length || !words2.length) {
-        return 0;
-    }
-    
-    // Simple terms for both strings
-    const terms1 = new Set(words1);
-    const terms2 = new Set(words2);
-    
-    // Find common words (exact matches only)
-    let commonWords = 0;
-    for (const word of terms1) {
-        if (terms2.has(word)) {
-            commonWords++;
-        }
-    }
-    
-    // Jaccard similarity (intersection / union)
-    const union = terms1.size + terms2.size - commonWords;
-    const jaccardScore = commonWords / union;
-    
-    // Containment score (what percentage of the smaller set is contained in the larger)
-    const smallerSetSize = Math.min(terms1.size, terms2.size);
-    const containmentScore = commonWords / smallerSetSize;
-    
-    // Word sequence similarity (approximate n-gram similarity)
-    let sequenceSimilarity = 0;
-    if (words1.length > 1 && words2.length > 1) {
-        const bigrams1 = [];
-        const bigrams2 = [];
-        
-        for (let i = 0; i < words1.length - 1; i++) {
-            bigrams1.push(`${words1[i]}_${words1[i + 1]}`);
-        }
-        
-        for (let i = 0; i < words2.length - 1; i++) {
-            bigrams2.push(`${words2[i]}_${words2[i + 1]}`);
-        }
-        
-        let commonBigrams = 0;
-        for (const bigram of bigrams1) {
-            if (bigrams2.includes(bigram)) {
-                commonBigrams++;
-            }
-        }
-        
-        const bigramUnion = bigrams1.length + bigrams2.length - commonBigrams;
-        sequenceSimilarity = commonBigrams / (bigramUnion || 1);
-    }
-    
-    // Combined semantic score
-    const semanticScore = 0.5 * jaccardScore + 0.3 * containmentScore + 0.2 * sequenceSimilarity;
-    
-    return semanticScore;
-}
-
 /**
  * Calculate similarity between two arrays
  * @param {Array} arr1 First array
@@ -369,43 +350,122 @@ function calculateObjectSimilarity(obj1, obj2) {
 }
 
 /**
- * Calculate similarity between two dilemmas
+ * Returns the display value of a parameter ({ value } objects are unwrapped)
+ * @param {*} parameter The parameter
+ * @returns {*} The value
+ */
+function parameterValue(parameter) {
+    return parameter && typeof parameter === 'object' && 'value' in parameter ? parameter.value : parameter;
+}
+
+/**
+ * Calculate similarity between two sets of situation parameters, using the importance and
+ * numeric scale a similarity profile gives each parameter. Without profile settings this is
+ * the same as calculateObjectSimilarity.
+ * @param {Object} parameters1 First parameters
+ * @param {Object} parameters2 Second parameters
+ * @param {Object} [profile] A complete similarity profile (see similarityProfiles.js)
+ * @returns {Object} { score, pairs: [{ parameter, value1, value2, score, importance }] } with a pair per common parameter
+ */
+function calculateParameterSimilarity(parameters1, parameters2, profile) {
+    const settings = (profile && profile.parameters) || {};
+    const importance = key => (settings[key] && settings[key].importance !== undefined ? settings[key].importance : 1);
+    const keys1 = Object.keys(parameters1 || {});
+    const keys2 = Object.keys(parameters2 || {});
+    const pairs = [];
+    
+    if (keys1.length === 0 && keys2.length === 0) {
+        return { score: 1, pairs }; // Two empty objects are identical
+    }
+    if (keys1.length === 0 || keys2.length === 0) {
+        return { score: 0, pairs };
+    }
+    
+    let weightedSum = 0;
+    for (const key of keys1) {
+        if (!(key in parameters2)) continue;
+        
+        const value1 = parameterValue(parameters1[key]);
+        const value2 = parameterValue(parameters2[key]);
+        const scale = settings[key] && settings[key].scale;
+        const score = scale && typeof value1 === 'number' && typeof value2 === 'number'
+            ? calculateNumericSimilarity(value1, value2, scale)
+            : calculateSimilarity(parameters1[key], parameters2[key]);
+        
+        pairs.push({ parameter: key, value1, value2, score, importance: importance(key) });
+        weightedSum += score * importance(key);
+    }
+    
+    // Handle case of no common keys
+    if (pairs.length === 0) {
+        return { score: 0.1, pairs }; // Some minimal similarity
+    }
+    
+    // Average over all parameters of either side, so missing parameters lower the score
+    const totalImportance = Array.from(new Set([...keys1, ...keys2])).reduce((sum, key) => sum + importance(key), 0);
+    return { score: totalImportance > 0 ? weightedSum / totalImportance : 0.1, pairs };
+}
+
+/**
+ * Explain the similarity between two dilemmas component by component
  * @param {Object} dilemma1 First dilemma
- * @param {Object} dilemma2 Second dilemma
- * @returns {number} Similarity score between 0 and 1
+ * @param {Object} dilemma2 Second dilemma (usually the precedent)
+ * @param {string|Object} [profile] Similarity profile name or definition (default: the "default" profile)
+ * @returns {Object} Breakdown with:
+ *   score - the overall similarity (the value returned by calculateDilemmaSimilarity)
+ *   components - [{ name, score, weight, contribution }] for title, description, situation or
+ *     parameters, contextual_factors, actions and roles; contribution is the component's share of the score
+ *   profile - name of the similarity profile used
+ *   matchedParameters - [{ parameter, value1, value2, score, importance }] for parameters present in both
+ *   matchedFactors - [{ factor, value1, value2, score }] for contextual factors with the same name
+ *   matchedActions - [{ action, matchedAction, score }] pairing each action of dilemma1 with its closest action in dilemma2
+ *   roleMapping - [{ role, source, target, targetRole, score }] mapping the roles of dilemma1 onto dilemma2
+ *     (see structureMapping.js), present when the roles component is scored
  */
-function calculateDilemmaSimilarity(dilemma1, dilemma2) {
+function explainDilemmaSimilarity(dilemma1, dilemma2, profile) {
+    const resolvedProfile = resolveSimilarityProfile(profile);
+    if (!resolvedProfile) {
+        console.warn(`Unknown similarity profile ${JSON.stringify(profile)}, using the default profile`);
+        return explainDilemmaSimilarity(dilemma1, dilemma2);
+    }
+    
+    const weights = resolvedProfile.weights;
+    const breakdown = { score: 0, profile: resolvedProfile.name, components: [], matchedParameters: [], matchedFactors: [], matchedActions: [] };
+
     // Check for valid inputs
     if (!dilemma1 || !dilemma2) {
-        return 0;
+        return breakdown;
     }
     
-    // Calculate similarity scores for different aspects of the dilemmas
-    let scores = [];
-    let weights = [];
+    // Components the profile gives no weight are left out
+    const addComponent = (name, score) => {
+        if (weights[name] > 0) {
+            breakdown.components.push({ name, score, weight: weights[name] });
+        }
+    };
     
     // Title similarity (if available)
     if (dilemma1.title && dilemma2.title) {
-        scores.push(calculateStringSimilarity(dilemma1.title, dilemma2.title));
-        weights.push(0.1);
+        addComponent('title', calculateStringSimilarity(dilemma1.title, dilemma2.title));
     }
     
     // Description similarity (highest weight)
     if (dilemma1.description && dilemma2.description) {
-        scores.push(calculateStringSimilarity(dilemma1.description, dilemma2.description));
-        weights.push(0.4);
+        addComponent('description', calculateStringSimilarity(dilemma1.description, dilemma2.description));
     }
     
     // Situation similarity (if available)
     if (dilemma1.situation && dilemma2.situation) {
         if (typeof dilemma1.situation === 'string' && typeof dilemma2.situation === 'string') {
-            scores.push(calculateStringSimilarity(dilemma1.situation, dilemma2.situation));
-            weights.push(0.2);
+            addComponent('situation', calculateStringSimilarity(dilemma1.situation, dilemma2.situation));
         } else if (typeof dilemma1.situation === 'object' && typeof dilemma2.situation === 'object') {
             // Handle situation objects
-            if (dilemma1.situation.parameters && dilemma2.situation.parameters) {
-                scores.push(calculateObjectSimilarity(dilemma1.situation.parameters, dilemma2.situation.parameters));
-                weights.push(0.2);
+            const parameters1 = dilemma1.situation.parameters;
+            const parameters2 = dilemma2.situation.parameters;
+            if (parameters1 && parameters2) {
+                const parameterSimilarity = calculateParameterSimilarity(parameters1, parameters2, resolvedProfile);
+                addComponent('parameters', parameterSimilarity.score);
+                breakdown.matchedParameters = parameterSimilarity.pairs;
             }
         }
     }
@@ -437,7 +497,9 @@ function calculateDilemmaSimilarity(dilemma1, dilemma2) {
                 );
                 
                 if (matchingFactor) {
-                    factorSimilaritySum += calculateSimilarity(f1.value, matchingFactor.value);
+                    const score = calculateSimilarity(f1.value, matchingFactor.value);
+                    breakdown.matchedFactors.push({ factor: f1.factor, value1: f1.value, value2: matchingFactor.value, score });
+                    factorSimilaritySum += score;
                     factorCount++;
                 }
             }
@@ -451,9 +513,7 @@ function calculateDilemmaSimilarity(dilemma1, dilemma2) {
             const factorCoverage = factorCount / (uniqueFactorCount || 1);
             
             if (factorCount > 0) {
-                const factorSimilarity = (factorSimilaritySum / factorCount) * factorCoverage;
-                scores.push(factorSimilarity);
-                weights.push(0.2);
+                addComponent('contextual_factors', (factorSimilaritySum / factorCount) * factorCoverage);
             }
         }
     }
@@ -469,149 +529,75 @@ function calculateDilemmaSimilarity(dilemma1, dilemma2) {
             const action1Name = typeof action1 === 'string' ? action1 : (action1.name || action1.action || action1.id);
             
             let bestMatch = 0;
+            let bestAction = null;
             for (const action2 of actions2) {
                 const action2Name = typeof action2 === 'string' ? action2 : (action2.name || action2.action || action2.id);
                 const similarity = calculateStringSimilarity(String(action1Name), String(action2Name));
-                bestMatch = Math.max(bestMatch, similarity);
+                if (bestAction === null || similarity > bestMatch) {
+                    bestMatch = similarity;
+                    bestAction = action2Name;
+                }
             }
             
+            breakdown.matchedActions.push({ action: action1Name, matchedAction: bestAction, score: bestMatch });
             actionSimilaritySum += bestMatch;
         }
         
-        const actionSimilarity = actionSimilaritySum / actions1.length;
-        scores.push(actionSimilarity);
-        weights.push(0.1);
+        addComponent('actions', actionSimilaritySum / actions1.length);
+    }
+    
+    // Role structure similarity: how well the participants of one dilemma map onto the other's
+    if (weights.roles > 0) {
+        // Required here because structure mapping itself builds on this module
+        const { mapDilemmaRoles, describeRoleMapping } = require('./structureMapping');
+        const mapping = mapDilemmaRoles(dilemma1, dilemma2);
+        if (mapping.score !== null) {
+            addComponent('roles', mapping.score);
+            breakdown.roleMapping = describeRoleMapping(mapping);
+        }
     }
     
     // If no scores could be calculated, return low similarity
-    if (scores.length === 0) {
-        return 0.1;
+    if (breakdown.components.length === 0) {
+        breakdown.score = 0.1;
+        return breakdown;
     }
     
     // Calculate weighted average
-    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-    const weightedSum = scores.reduce((sum, score, i) => sum + score * weights[i], 0);
+    const totalWeight = breakdown.components.reduce((sum, c) => sum + c.weight, 0);
+    for (const component of breakdown.components) {
+        component.contribution = component.score * component.weight / totalWeight;
+        breakdown.score += component.contribution;
+    }
     
-    return weightedSum / totalWeight;
+    return breakdown;
 }
 
 /**
- * Find precedents relevant to a given dilemma
+ * Calculate similarity between two dilemmas (see explainDilemmaSimilarity for the breakdown)
+ * @param {Object} dilemma1 First dilemma
+ * @param {Object} dilemma2 Second dilemma
+ * @param {string|Object} [profile] Similarity profile name or definition (default: the "default" profile)
+ * @returns {number} Similarity score between 0 and 1
+ */
+function calculateDilemmaSimilarity(dilemma1, dilemma2, profile) {
+    return explainDilemmaSimilarity(dilemma1, dilemma2, profile).score;
+}
+
+/**
+ * Find precedents relevant to a given dilemma.
+ * Kept for existing callers; the ranking is done by the precedent retrieval service.
  * @param {Object} dilemma - The dilemma to find precedents for
  * @param {Array} precedentDatabase - Database of precedents to search
  * @param {number} threshold - Minimum similarity score (0-1) for relevance
- * @param {Object} options - Optional configuration parameters
- * @param {number} options.maxResults - Maximum number of precedents to return (default: 5)
- * @param {number} options.descriptionWeight - Weight for description similarity (default: 0.4)
- * @param {number} options.titleWeight - Weight for title similarity (default: 0.2)
- * @param {number} options.actionWeight - Weight for action similarity (default: 0.4)
- * @param {boolean} options.useMaxActionScore - Use max action score or average (default: false)
- * @returns {Array} Array of relevant precedents with similarity scores
+ * @param {Object} options - Any other retrieval query fields (see precedentRetrieval.js), e.g. maxResults,
+ *   weights or the flat descriptionWeight, titleWeight and actionWeight, useMaxActionScore, filters, index
+ * @returns {Promise<Array>} Array of relevant precedents, each with its score as similarity and totalSimilarityScore, and a similarityBreakdown
  */
-async function findRelevantPrecedents(
-  dilemma, 
-  precedentDatabase, 
-  threshold = 0.3,
-  options = {}
-) {
-  // Set default options
-  const {
-    maxResults = 5,
-    descriptionWeight = 0.4,
-    titleWeight = 0.2,
-    actionWeight = 0.4,
-    useMaxActionScore = false
-  } = options;
-
-  // Validate inputs
-  if (!dilemma || !precedentDatabase || !Array.isArray(precedentDatabase)) {
-    return [];
-  }
-
-  // Basic validation of dilemma structure
-  if (!dilemma.description || !dilemma.title) {
-    return [];
-  }
-
-  // Filter precedents to only include those with reasoning paths
-  const filteredPrecedents = precedentDatabase.filter(
-    p => p.reasoning_paths && Array.isArray(p.reasoning_paths) && p.reasoning_paths.length > 0
-  );
-
-  // Create an array to store relevance scores for each precedent
-  const relevantPrecedents = [];
-
-  // Iterate through each precedent in the database
-  for (const precedent of filteredPrecedents) {
-    // Skip precedents without a title
-    if (!precedent.title) continue;
-
-    // Calculate similarity score for each precedent based on the dilemma's description
-    const descriptionSimilarity = calculateSimilarity(dilemma.description, precedent.description);
-
-    // Calculate action relevance for each possible action against the precedent
-    let maxActionRelevance = 0;
-    let totalActionRelevance = 0;
-    let actionCount = 0;
-    
-    if (dilemma.possible_actions && dilemma.possible_actions.length > 0) {
-      for (const action of dilemma.possible_actions) {
-        const actionId = action.id || action.action;
-        if (!actionId) continue;
-        
-        try {
-          const actionResult = await actionRelevanceScore(dilemma.description, actionId, precedent.description);
-          
-          // Handle both object result and direct score result
-          const score = typeof actionResult === 'object' ? 
-            (actionResult.boostedScore || actionResult.baseScore || 0.5) : 
-            (actionResult || 0.5);
-            
-          maxActionRelevance = Math.max(maxActionRelevance, score);
-          totalActionRelevance += score;
-          actionCount++;
-        } catch (error) {
-          maxActionRelevance = Math.max(maxActionRelevance, 0.5); // Default on error
-          totalActionRelevance += 0.5;
-          actionCount++;
-        }
-      }
-    }
-    
-    // Use either max or average action relevance
-    const actionRelevance = useMaxActionScore ? 
-      maxActionRelevance : 
-      (actionCount > 0 ? totalActionRelevance / actionCount : 0.5);
-
-    // Calculate title similarity
-    const titleSimilarity = calculateSimilarity(dilemma.title, precedent.title);
-    
-    // Calculate total similarity score with the weighted formula
-    const totalSimilarityScore = (
-      descriptionWeight * descriptionSimilarity + 
-      titleWeight * titleSimilarity +
-      actionWeight * actionRelevance
-    );
-
-    // Only include precedents with similarity above the threshold
-    if (totalSimilarityScore >= threshold) {
-      // Add the full precedent object with similarity scores
-      const precedentWithScore = {
-        ...precedent,  // Include all properties from the original precedent
-        totalSimilarityScore,
-        descriptionSimilarity,
-        titleSimilarity,
-        actionRelevance
-      };
-      relevantPrecedents.push(precedentWithScore);
-    }
-  }
-
-  // Sort precedents by similarity score (highest first)
-  relevantPrecedents.sort((a, b) => b.totalSimilarityScore - a.totalSimilarityScore);
-
-  // Return top N results
-  return relevantPrecedents.slice(0, maxResults);
+async function findRelevantPrecedents(dilemma, precedentDatabase, threshold = 0.3, options = {}) {
+  // Required here because the retrieval service itself builds on this module
+  const { retrievePrecedents } = require('./precedentRetrieval');
+  return retrievePrecedents(dilemma, precedentDatabase, { ...options, threshold });
 }
 
 /**
@@ -651,15 +637,20 @@ function findBestContextualFactorMatch(factor, contextualFactors) {
 module.exports = {
     calculateSimilarity,
     calculateStringSimilarity,
+    normalizeText,
     calculateNumericSimilarity,
     calculateArraySimilarity,
     calculateObjectSimilarity,
+    calculateParameterSimilarity,
     calculateDilemmaSimilarity,
+    explainDilemmaSimilarity,
     findRelevantPrecedents,
     findBestContextualFactorMatch,
     
     // Expose cache management functions
     similarityCache,
+    configureSimilarityCache,
+    saveSimilarityCache,
     
     // Expose new functions for testing
     calculateLevenshteinDistance,
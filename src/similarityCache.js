@@ -0,0 +1,211 @@
+/**
+ * Similarity Cache
+ *
+ * Least-recently-used cache of string similarity scores. Entries are keyed by a hash of the
+ * compared texts, so long descriptions do not make long keys, and the cache holds at most
+ * maxEntries scores, evicting the least recently used one when full.
+ *
+ * The cache can be saved to a JSON file and loaded by later runs:
+ *
+ *   {
+ *     "version": 1,
+ *     "fingerprint": "word-overlap#1|...",
+ *     "stats": { "hits": 120, "misses": 40, "evictions": 0 },
+ *     "entries": [["<key>", 0.42], ...]
+ *   }
+ *
+ * Entries are stored from least to most recently used. The fingerprint identifies what the scores
+ * depend on (the scoring version, the semantic provider and the concept lexicon); a file saved with another
+ * fingerprint is ignored. Hit, miss and eviction counts carry over from the file, so the
+ * statistics cover every run that used it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./utils');
+
+const DEFAULT_MAX_ENTRIES = 10000;
+
+// Incremented when the file layout changes
+const CACHE_FILE_VERSION = 1;
+
+/**
+ * Hashes the parts of a cache key
+ * @param {...string} parts - The key parts, e.g. the compared texts
+ * @returns {string} A fixed-length key
+ */
+function hashCacheKey(...parts) {
+  const hash = crypto.createHash('sha1');
+  parts.forEach((part, i) => {
+    if (i > 0) hash.update('\u0000');
+    hash.update(String(part));
+  });
+  return hash.digest('base64');
+}
+
+class SimilarityCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries] - Maximum number of scores kept (default: 10000)
+   */
+  constructor(options = {}) {
+    this.entries = new Map();
+    this.maxEntries = DEFAULT_MAX_ENTRIES;
+    this.file = null;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    if (options.maxEntries !== undefined) this.resize(options.maxEntries);
+  }
+
+  /**
+   * Looks up a score, marking it as the most recently used
+   * @param {string} key - The cache key
+   * @returns {number|undefined} The score, or undefined on a miss
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      this.misses++;
+      return undefined;
+    }
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    this.hits++;
+    return value;
+  }
+
+  /**
+   * Stores a score, evicting the least recently used scores when the cache is full
+   * @param {string} key - The cache key
+   * @param {number} value - The score
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    this.evict();
+  }
+
+  /**
+   * Changes the maximum number of scores kept
+   * @param {number} maxEntries - A positive integer
+   * @throws {TypeError} If maxEntries is not a positive integer
+   */
+  resize(maxEntries) {
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+      throw new TypeError('The similarity cache size must be a positive integer');
+    }
+    this.maxEntries = maxEntries;
+    this.evict();
+  }
+
+  /**
+   * Drops the least recently used scores beyond maxEntries
+   */
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Empties the cache and resets its statistics
+   */
+  clearCache() {
+    this.entries.clear();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Returns the cache statistics
+   * @returns {Object} { hits, misses, ratio, size, maxEntries, evictions, file }
+   */
+  getCacheStats() {
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      ratio: this.hits / (this.hits + this.misses || 1),
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      evictions: this.evictions,
+      file: this.file
+    };
+  }
+
+  /**
+   * Loads the scores and statistics saved in a file and saves to that file from now on.
+   * A missing file starts an empty cache; an unreadable file or one saved with another
+   * fingerprint is ignored with a warning.
+   * @param {string} file - Path of the cache file
+   * @param {string} [fingerprint] - What the scores depend on
+   * @returns {boolean} Whether scores were loaded
+   */
+  load(file, fingerprint = '') {
+    this.file = path.resolve(file);
+    if (!fs.existsSync(this.file)) {
+      return false;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (!data || data.version !== CACHE_FILE_VERSION || !Array.isArray(data.entries)) {
+        console.warn(`Ignoring similarity cache ${this.file}: unsupported file format`);
+        return false;
+      }
+      if (data.fingerprint !== fingerprint) {
+        console.warn(`Ignoring similarity cache ${this.file}: it was saved with other similarity settings`);
+        return false;
+      }
+
+      for (const entry of data.entries) {
+        if (Array.isArray(entry) && typeof entry[0] === 'string' && typeof entry[1] === 'number') {
+          this.set(entry[0], entry[1]);
+        }
+      }
+      const stats = data.stats || {};
+      this.hits += Number(stats.hits) || 0;
+      this.misses += Number(stats.misses) || 0;
+      this.evictions += Number(stats.evictions) || 0;
+      return true;
+    } catch (error) {
+      console.warn(`Ignoring similarity cache ${this.file}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Saves the scores and statistics to the cache file
+   * @param {string} [fingerprint] - What the scores depend on
+   * @param {string} [file] - Path of the cache file (default: the file given to load)
+   * @returns {boolean} Whether the cache was saved
+   */
+  save(fingerprint = '', file = this.file) {
+    if (!file) return false;
+
+    const data = {
+      version: CACHE_FILE_VERSION,
+      fingerprint,
+      stats: { hits: this.hits, misses: this.misses, evictions: this.evictions },
+      entries: Array.from(this.entries.entries())
+    };
+
+    try {
+      // Written atomically so an interrupted run cannot leave a truncated cache
+      writeFileAtomic(path.resolve(file), JSON.stringify(data));
+      return true;
+    } catch (error) {
+      console.warn(`Could not save similarity cache ${file}: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_ENTRIES,
+  SimilarityCache,
+  hashCacheKey
+};
@@ -0,0 +1,234 @@
+/**
+ * Similarity Profiles
+ *
+ * Named sets of similarity weights for different domains. A medical triage case should be
+ * matched on its parameters (patients, survival chances, resources) far more than on its wording,
+ * while the default profile keeps the general-purpose weights.
+ *
+ * Profiles are JSON or YAML files in config/similarity-profiles/, one per profile, named after
+ * the file unless they set "name":
+ *
+ *   {
+ *     "description": "Medical triage and treatment decisions",
+ *     "weights": { "title": 0.05, "description": 0.15, "situation": 0.1, "parameters": 0.5,
+ *                  "contextual_factors": 0.2, "actions": 0.05 },
+ *     "parameters": { "num_patients": { "importance": 3, "scale": 20 } },
+ *     "retrieval": { "description": 0.2, "title": 0.05, "actions": 0.15, "structure": 0.6 }
+ *   }
+ *
+ *   weights     - component weights of calculateDilemmaSimilarity
+ *   parameters  - per situation parameter: importance (relative weight, 0 ignores the parameter)
+ *                 and scale (numeric difference at which two values count as unrelated)
+ *   retrieval   - weights of the precedent retrieval ranking; "structure" is the profile-weighted
+ *                 calculateDilemmaSimilarity score
+ *
+ * Anything a profile leaves out is taken from the built-in default profile. "weights" and
+ * "parameters" only reach the retrieval ranking through "structure", which is 0 in the default
+ * profile: a profile that sets them without a retrieval.structure above 0 changes
+ * calculateDilemmaSimilarity but not which precedents are retrieved, and is loaded with a warning.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const PROFILES_DIRECTORY = path.join(__dirname, '..', 'config', 'similarity-profiles');
+
+const DEFAULT_PROFILE_NAME = 'default';
+
+// The weights calculateDilemmaSimilarity and the retrieval service used before profiles existed,
+// plus "roles", the role correspondence of structureMapping.js.
+// "situation" scores situations given as text; situation objects are scored by their parameters.
+const DEFAULT_PROFILE = {
+  name: DEFAULT_PROFILE_NAME,
+  description: 'General-purpose weights',
+  weights: { title: 0.1, description: 0.4, situation: 0.2, parameters: 0.2, contextual_factors: 0.2, actions: 0.1, roles: 0.2 },
+  parameters: {},
+  retrieval: { description: 0.4, title: 0.2, actions: 0.4, structure: 0 }
+};
+
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Loaded profiles by directory
+const profileCache = new Map();
+
+/**
+ * Lists the problems with a profile definition
+ * @param {Object} profile - The profile as read from its file
+ * @returns {Array<string>} Problems (empty when the profile is valid)
+ */
+function validateSimilarityProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['profile must be an object'];
+  }
+
+  const issues = [];
+  const isWeight = value => typeof value === 'number' && value >= 0 && Number.isFinite(value);
+
+  for (const section of ['weights', 'retrieval']) {
+    if (profile[section] === undefined) continue;
+    if (typeof profile[section] !== 'object' || profile[section] === null) {
+      issues.push(`${section} must be an object`);
+      continue;
+    }
+    for (const [name, value] of Object.entries(profile[section])) {
+      if (!(name in DEFAULT_PROFILE[section])) {
+        issues.push(`${section}.${name} is not a known component (${Object.keys(DEFAULT_PROFILE[section]).join(', ')})`);
+      } else if (!isWeight(value)) {
+        issues.push(`${section}.${name} must be a non-negative number`);
+      }
+    }
+  }
+
+  if (profile.parameters !== undefined) {
+    if (typeof profile.parameters !== 'object' || profile.parameters === null) {
+      issues.push('parameters must be an object');
+    } else {
+      for (const [name, settings] of Object.entries(profile.parameters)) {
+        if (!settings || typeof settings !== 'object') {
+          issues.push(`parameters.${name} must be an object`);
+          continue;
+        }
+        if (settings.importance !== undefined && !isWeight(settings.importance)) {
+          issues.push(`parameters.${name}.importance must be a non-negative number`);
+        }
+        if (settings.scale !== undefined && !(isWeight(settings.scale) && settings.scale > 0)) {
+          issues.push(`parameters.${name}.scale must be a positive number`);
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Fills in a profile with the default profile
+ * @param {Object} profile - A valid profile definition
+ * @param {string} [name] - Name used when the profile does not set one
+ * @returns {Object} The complete profile
+ */
+function completeSimilarityProfile(profile, name) {
+  return {
+    name: profile.name || name || 'custom',
+    description: profile.description || '',
+    weights: { ...DEFAULT_PROFILE.weights, ...profile.weights },
+    parameters: { ...profile.parameters },
+    retrieval: { ...DEFAULT_PROFILE.retrieval, ...profile.retrieval }
+  };
+}
+
+/**
+ * Warns when a profile sets component weights or parameter settings that the retrieval ranking ignores
+ * @param {Object} definition - The profile definition
+ * @param {Object} profile - The complete profile
+ */
+function warnIgnoredWeights(definition, profile) {
+  if ((definition.weights || definition.parameters) && !(profile.retrieval.structure > 0)) {
+    console.warn(`Similarity profile ${profile.name} sets weights or parameters, which only affect retrieval when retrieval.structure is above 0`);
+  }
+}
+
+/**
+ * Loads the profiles of a directory. Invalid files are skipped with a warning.
+ * @param {string} [directory] - Profile directory (default: config/similarity-profiles)
+ * @returns {Map<string, Object>} Complete profiles by name, always including "default"
+ */
+function loadSimilarityProfiles(directory = PROFILES_DIRECTORY) {
+  const profiles = new Map([[DEFAULT_PROFILE_NAME, DEFAULT_PROFILE]]);
+  if (!fs.existsSync(directory)) {
+    return profiles;
+  }
+
+  const files = fs.readdirSync(directory)
+    .filter(file => PROFILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort();
+
+  for (const file of files) {
+    try {
+      const text = fs.readFileSync(path.join(directory, file), 'utf8');
+      const definition = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+      const issues = validateSimilarityProfile(definition);
+      if (issues.length > 0) {
+        console.warn(`Skipping similarity profile ${file}: ${issues.join('; ')}`);
+        continue;
+      }
+      const profile = completeSimilarityProfile(definition, path.basename(file, path.extname(file)));
+      warnIgnoredWeights(definition, profile);
+      profiles.set(profile.name, profile);
+    } catch (error) {
+      console.warn(`Skipping similarity profile ${file}: ${error.message}`);
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * Returns the profiles of a directory, loading them on first use
+ * @param {string} [directory] - Profile directory (default: config/similarity-profiles)
+ * @returns {Map<string, Object>} Complete profiles by name
+ */
+function getSimilarityProfiles(directory = PROFILES_DIRECTORY) {
+  if (!profileCache.has(directory)) {
+    profileCache.set(directory, loadSimilarityProfiles(directory));
+  }
+  return profileCache.get(directory);
+}
+
+/**
+ * Adds a profile to the configured profiles, replacing any profile of the same name.
+ * Precedent packs register their profiles this way (see precedentPacks.js).
+ * @param {Object} profile - The profile definition
+ * @param {string} [name] - Name used when the profile does not set one
+ * @returns {Object} The complete profile
+ * @throws {TypeError} If the profile is invalid
+ */
+function registerSimilarityProfile(profile, name) {
+  const issues = validateSimilarityProfile(profile);
+  if (issues.length > 0) {
+    throw new TypeError(`Invalid similarity profile: ${issues.join('; ')}`);
+  }
+
+  const complete = completeSimilarityProfile(profile, name);
+  warnIgnoredWeights(profile, complete);
+  getSimilarityProfiles().set(complete.name, complete);
+  return complete;
+}
+
+/**
+ * Looks up a profile by name
+ * @param {string} name - The profile name
+ * @param {string} [directory] - Profile directory (default: config/similarity-profiles)
+ * @returns {Object|null} The complete profile, or null if there is no such profile
+ */
+function getSimilarityProfile(name, directory) {
+  return getSimilarityProfiles(directory).get(name) || null;
+}
+
+/**
+ * Resolves the profile argument accepted by the similarity functions and retrieval queries
+ * @param {string|Object} [profile] - A profile name, a profile definition, or nothing for the default profile
+ * @returns {Object|null} The complete profile, or null if the name is unknown or the definition is invalid
+ */
+function resolveSimilarityProfile(profile) {
+  if (profile === undefined || profile === null) {
+    return getSimilarityProfile(DEFAULT_PROFILE_NAME);
+  }
+  if (typeof profile === 'string') {
+    return getSimilarityProfile(profile);
+  }
+  return validateSimilarityProfile(profile).length === 0 ? completeSimilarityProfile(profile) : null;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  DEFAULT_PROFILE_NAME,
+  PROFILES_DIRECTORY,
+  validateSimilarityProfile,
+  loadSimilarityProfiles,
+  getSimilarityProfiles,
+  getSimilarityProfile,
+  registerSimilarityProfile,
+  resolveSimilarityProfile
+};
@@ -0,0 +1,151 @@
+/**
+ * SQLite Precedent Repository
+ *
+ * Embedded SQLite implementation of the PrecedentRepository interface, using sql.js
+ * (SQLite compiled to WebAssembly, so no native build is needed). The database is held
+ * in memory and written back to its file after every change.
+ *
+ * Tables:
+ *   precedents (id, position, data)                 - current precedents as JSON
+ *   revisions  (precedent_id, revision, operation,   - history, see precedentRepository.js
+ *               author, timestamp, message, diff, snapshot)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { PrecedentRepository } = require('./precedentRepository');
+const { writeFileAtomic } = require('./utils');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS precedents (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS revisions (
+    precedent_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    operation TEXT NOT NULL,
+    author TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    message TEXT NOT NULL,
+    diff TEXT NOT NULL,
+    snapshot TEXT,
+    PRIMARY KEY (precedent_id, revision)
+  );
+`;
+
+// The sql.js module is loaded once and shared by all repositories
+let sqlJsPromise = null;
+
+class SqlitePrecedentRepository extends PrecedentRepository {
+  /**
+   * Use SqlitePrecedentRepository.open() instead of calling the constructor directly
+   * @param {Object} db - An open sql.js Database
+   * @param {string|null} filePath - File the database is saved to (null keeps it in memory)
+   */
+  constructor(db, filePath) {
+    super();
+    this.db = db;
+    this.filePath = filePath;
+  }
+
+  /**
+   * Opens (or creates) a SQLite precedent database
+   * @param {string} [filePath] - Database file; omit or pass ":memory:" for an in-memory database
+   * @returns {Promise<SqlitePrecedentRepository>} The repository
+   */
+  static async open(filePath) {
+    sqlJsPromise = sqlJsPromise || initSqlJs();
+    const SQL = await sqlJsPromise;
+
+    const resolvedPath = filePath && filePath !== ':memory:' ? path.resolve(filePath) : null;
+    const db = resolvedPath && fs.existsSync(resolvedPath)
+      ? new SQL.Database(fs.readFileSync(resolvedPath))
+      : new SQL.Database();
+    db.run(SCHEMA);
+
+    console.log(`Opened SQLite precedent repository: ${resolvedPath || ':memory:'}`);
+    return new SqlitePrecedentRepository(db, resolvedPath);
+  }
+
+  /**
+   * Runs a query and returns its rows as objects
+   * @param {string} sql - The query
+   * @param {Array} [params] - Bound parameters
+   * @returns {Array<Object>} The rows
+   */
+  query(sql, params = []) {
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  async readAll() {
+    return this.query('SELECT data FROM precedents ORDER BY position').map(row => JSON.parse(row.data));
+  }
+
+  async get(id) {
+    const [row] = this.query('SELECT data FROM precedents WHERE id = ?', [id]);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async readRevisions(id) {
+    return this.query('SELECT * FROM revisions WHERE precedent_id = ? ORDER BY revision', [id]).map(row => ({
+      ...row,
+      diff: JSON.parse(row.diff),
+      snapshot: row.snapshot === null ? null : JSON.parse(row.snapshot)
+    }));
+  }
+
+  async commit(id, precedent, revisions) {
+    this.db.run('BEGIN');
+    try {
+      if (precedent === null) {
+        this.db.run('DELETE FROM precedents WHERE id = ?', [id]);
+      } else {
+        // Updates keep their position; new and restored precedents go to the end
+        const [existing] = this.query('SELECT position FROM precedents WHERE id = ?', [id]);
+        const [{ next }] = this.query('SELECT COALESCE(MAX(position), 0) + 1 AS next FROM precedents');
+        this.db.run('INSERT OR REPLACE INTO precedents (id, position, data) VALUES (?, ?, ?)',
+          [id, existing ? existing.position : next, JSON.stringify(precedent)]);
+      }
+
+      for (const revision of revisions) {
+        this.db.run(
+          'INSERT INTO revisions (precedent_id, revision, operation, author, timestamp, message, diff, snapshot) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          [id, revision.revision, revision.operation, revision.author, revision.timestamp, revision.message,
+            JSON.stringify(revision.diff), revision.snapshot === null ? null : JSON.stringify(revision.snapshot)]
+        );
+      }
+      this.db.run('COMMIT');
+    } catch (error) {
+      this.db.run('ROLLBACK');
+      throw error;
+    }
+
+    if (this.filePath) {
+      writeFileAtomic(this.filePath, Buffer.from(this.db.export()));
+    }
+  }
+
+  /**
+   * Closes the database
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = {
+  SqlitePrecedentRepository
+};
@@ -0,0 +1,405 @@
+/**
+ * Structure Mapping
+ *
+ * Represents a dilemma as the roles its participants play and maps the roles of one dilemma
+ * onto another, so that a precedent's reasoning can be carried over by analogy rather than by
+ * shared wording. In the Trolley Problem the one person on the side track is the potential
+ * victim of pulling the lever and the five on the main track its beneficiaries; in the
+ * Transplant Dilemma the healthy traveler and the five patients play the same roles.
+ *
+ * Roles:
+ *
+ *   agent              - who decides ("doctor", "you")
+ *   potential_victims  - who may be harmed by the decision
+ *   beneficiaries      - who the decision is meant to help
+ *   instrument         - the means of acting ("lever", "surgery")
+ *   resource           - what is at stake or divided ("organs", "ventilator")
+ *
+ * A dilemma can state its roles explicitly:
+ *
+ *   "roles": {
+ *     "agent": "triage nurse",
+ *     "potential_victims": { "label": "late arrivals", "terms": ["latecomers"], "attributes": { "count": 2 } },
+ *     "resource": { "label": "ventilator", "attributes": { "divisible": false } }
+ *   }
+ *
+ * Roles that are not stated are inferred from the description and the situation parameters.
+ * The best one-to-one correspondence between the roles of two dilemmas is found by exhaustive
+ * search, scoring each pair on role compatibility, label similarity and shared attributes.
+ */
+
+const { findConcepts } = require('./conceptLexicon');
+const { getDilemmaParameters } = require('./dilemmaNormalizer');
+const { calculateSimilarity, calculateStringSimilarity } = require('./similarity');
+
+const ROLE_TYPES = ['agent', 'potential_victims', 'beneficiaries', 'instrument', 'resource'];
+
+// How well a filler of one role can stand in for a filler of another (missing pairs cannot)
+const ROLE_COMPATIBILITY = {
+  agent: { agent: 1 },
+  potential_victims: { potential_victims: 1, beneficiaries: 0.4 },
+  beneficiaries: { beneficiaries: 1, potential_victims: 0.4 },
+  instrument: { instrument: 1, resource: 0.4 },
+  resource: { resource: 1, instrument: 0.4 }
+};
+
+// Deciders, most specific first; "you" is only used when none of them appears
+const AGENT_TERMS = [
+  'doctor', 'doctors', 'physician', 'physicians', 'surgeon', 'surgeons', 'nurse', 'nurses', 'paramedic', 'paramedics',
+  'driver', 'pilot', 'captain', 'engineer', 'engineers', 'judge', 'official', 'officials', 'government',
+  'manager', 'bystander', 'programmer', 'company', 'hospital'
+];
+
+// Nouns naming the people a decision affects
+const PEOPLE_TERMS = [
+  'people', 'person', 'persons', 'patient', 'patients', 'worker', 'workers', 'passenger', 'passengers',
+  'pedestrian', 'pedestrians', 'traveler', 'travelers', 'traveller', 'travellers', 'child', 'children',
+  'baby', 'infant', 'victim', 'victims', 'others', 'lives', 'villagers', 'residents', 'citizens',
+  'hostages', 'survivors', 'everyone', 'individual', 'individuals', 'employees', 'customers', 'users'
+];
+
+const INSTRUMENT_TERMS = [
+  'lever', 'switch', 'button', 'surgery', 'operation', 'scalpel', 'weapon', 'gun', 'bomb', 'algorithm', 'software', 'drone'
+];
+
+const RESOURCE_TERMS = [
+  'organ', 'organs', 'ventilator', 'ventilators', 'medicine', 'medication', 'drug', 'drugs', 'vaccine', 'vaccines',
+  'bed', 'beds', 'blood', 'kidney', 'heart', 'oxygen', 'food', 'water', 'money', 'funds', 'budget',
+  'treatment', 'resources', 'resource', 'lifeboat', 'seats'
+];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, twenty: 20, fifty: 50, hundred: 100, thousand: 1000
+};
+
+// Quantifiers without a number, ranked against counts to tell small groups from large ones
+const QUANTIFIER_SIZES = { a: 1, an: 1, single: 1, some: 3, few: 3, several: 3, many: 10, all: 10, group: 10, everyone: 10 };
+
+// Words that refer back to a group already mentioned ("the traveler", "this person")
+const REFERRING_WORDS = ['the', 'this', 'that', 'these', 'those', 'his', 'her', 'their', 'your', 'its'];
+
+const ARTICLES = /^(?:a|an|the)\s+/;
+
+/**
+ * Returns the value of a situation parameter
+ * @param {*} parameter - A parameter ({ value } or a bare value)
+ * @returns {*} The value
+ */
+function parameterValue(parameter) {
+  return parameter && typeof parameter === 'object' ? parameter.value : parameter;
+}
+
+/**
+ * Creates a role filler
+ * @param {string} role - One of ROLE_TYPES
+ * @param {string} label - How the dilemma names the filler
+ * @param {Array<string>} [terms] - Phrases the dilemma's arguments use for it
+ * @param {Object} [attributes] - Attributes compared when mapping (count, vulnerable, concepts, ...)
+ * @returns {Object} { role, label, terms, attributes }
+ */
+function createEntity(role, label, terms = [], attributes = {}) {
+  const cleanLabel = String(label).trim().replace(ARTICLES, '');
+  const concepts = findConcepts(cleanLabel).map(match => match.concept);
+  return {
+    role,
+    label: cleanLabel,
+    terms: Array.from(new Set(terms.map(term => String(term).trim().replace(ARTICLES, '')).filter(Boolean))),
+    attributes: {
+      ...(concepts.length > 0 ? { concepts } : {}),
+      ...(concepts.includes('vulnerability') ? { vulnerable: true } : {}),
+      ...attributes
+    }
+  };
+}
+
+/**
+ * Reads the roles a dilemma states explicitly
+ * @param {Object} roles - The dilemma's roles map
+ * @returns {Object} Role fillers by role
+ */
+function explicitRoles(roles) {
+  const entities = {};
+  if (!roles || typeof roles !== 'object' || Array.isArray(roles)) return entities;
+
+  for (const role of ROLE_TYPES) {
+    const filler = roles[role];
+    if (typeof filler === 'string' && filler.trim()) {
+      entities[role] = createEntity(role, filler, [filler]);
+    } else if (filler && typeof filler === 'object' && typeof filler.label === 'string' && filler.label.trim()) {
+      const terms = Array.isArray(filler.terms) ? filler.terms.filter(term => typeof term === 'string') : [];
+      entities[role] = createEntity(role, filler.label, [filler.label, ...terms], filler.attributes || {});
+    }
+  }
+  return entities;
+}
+
+/**
+ * Finds the groups of people a text mentions, e.g. "five people" or "a healthy traveler"
+ * @param {Array<string>} words - The lower-cased words of the text
+ * @returns {Array<Object>} { phrase, noun, adjective, count, size } in order of first mention
+ */
+function findPeopleGroups(words) {
+  const groups = [];
+
+  words.forEach((noun, i) => {
+    if (!PEOPLE_TERMS.includes(noun)) return;
+
+    let quantifier = words[i - 1];
+    let adjective = null;
+    let start = i - 1;
+    if (quantifier === 'of' && words[i - 2] === 'group') {
+      quantifier = 'group';
+      start = words[i - 3] === 'a' ? i - 3 : i - 2;
+    } else if (quantifier && !(quantifier in NUMBER_WORDS) && !(quantifier in QUANTIFIER_SIZES) &&
+        !/^\d+$/.test(quantifier) && !REFERRING_WORDS.includes(quantifier) && words[i - 2] &&
+        (words[i - 2] in NUMBER_WORDS || words[i - 2] in QUANTIFIER_SIZES)) {
+      adjective = quantifier;
+      quantifier = words[i - 2];
+      start = i - 2;
+    }
+
+    if (REFERRING_WORDS.includes(quantifier)) return;
+
+    let count = null;
+    if (/^\d+$/.test(quantifier)) count = Number(quantifier);
+    else if (quantifier in NUMBER_WORDS) count = NUMBER_WORDS[quantifier];
+    else if (quantifier === 'a' || quantifier === 'an' || quantifier === 'single') count = 1;
+
+    const quantified = count !== null || quantifier in QUANTIFIER_SIZES;
+    if (!quantified) start = i;
+    const plural = noun !== 'everyone' && /s$|people|children|lives/.test(noun);
+    const size = count !== null ? count : (QUANTIFIER_SIZES[quantifier] || (plural || noun === 'everyone' ? 10 : 1));
+    const phrase = words.slice(start, i + 1).join(' ');
+
+    if (!groups.some(group => group.phrase.replace(ARTICLES, '') === phrase.replace(ARTICLES, ''))) {
+      groups.push({ phrase, noun, adjective, count, size });
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Infers the roles a dilemma does not state from its description and situation parameters
+ * @param {Object} dilemma - The dilemma
+ * @returns {Object} Role fillers by role
+ */
+function inferRoles(dilemma) {
+  const entities = {};
+  const situation = dilemma.situation && typeof dilemma.situation === 'object' ? dilemma.situation : {};
+  const text = [dilemma.description, situation.description, typeof dilemma.situation === 'string' ? dilemma.situation : null]
+    .filter(part => typeof part === 'string')
+    .join(' ');
+  const words = text.toLowerCase().replace(/['’]s\b/g, '').split(/[^a-z0-9]+/).filter(Boolean);
+
+  // The first cue to appear names the role
+  const firstOf = terms => words.find(word => terms.includes(word));
+
+  const agent = firstOf(AGENT_TERMS);
+  if (agent) {
+    entities.agent = createEntity('agent', agent, [agent]);
+  } else if (words.includes('you')) {
+    entities.agent = createEntity('agent', 'you');
+  }
+
+  // The smallest group is put at risk for the largest one
+  const groups = findPeopleGroups(words);
+  const groupEntity = (role, group) => createEntity(
+    role,
+    group.phrase,
+    [group.phrase, ...(group.adjective ? [group.noun] : [])],
+    group.count !== null ? { count: group.count } : {}
+  );
+  if (groups.length > 1) {
+    // The first mentioned group wins ties
+    const smallest = groups.reduce((min, group) => (group.size < min.size ? group : min));
+    const largest = groups.reduce((max, group) => (group.size > max.size ? group : max));
+    if (smallest.size < largest.size) {
+      entities.potential_victims = groupEntity('potential_victims', smallest);
+      entities.beneficiaries = groupEntity('beneficiaries', largest);
+    } else {
+      entities.beneficiaries = groupEntity('beneficiaries', groups[0]);
+    }
+  } else if (groups.length === 1) {
+    entities.beneficiaries = groupEntity('beneficiaries', groups[0]);
+  }
+
+  // Counts stated as parameters override those read from the text
+  const parameters = getDilemmaParameters(dilemma);
+  const setCount = (role, value, label) => {
+    const count = Number(parameterValue(value));
+    if (!Number.isFinite(count) || count < 0) return;
+    if (!entities[role]) entities[role] = createEntity(role, label || `${count} ${count === 1 ? 'person' : 'people'}`);
+    entities[role].attributes.count = count;
+  };
+  if (parameters.num_people_side_track !== undefined) setCount('potential_victims', parameters.num_people_side_track);
+  if (parameters.num_people_main_track !== undefined) setCount('beneficiaries', parameters.num_people_main_track);
+  const saved = parameters.num_can_be_saved !== undefined ? parameters.num_can_be_saved : parameters.num_people_affected;
+  if (saved !== undefined && parameters.num_people_main_track === undefined) setCount('beneficiaries', saved);
+
+  const instrument = firstOf(INSTRUMENT_TERMS);
+  if (instrument) {
+    entities.instrument = createEntity('instrument', instrument, [instrument]);
+  }
+
+  const resourceType = parameterValue(parameters.resource_type);
+  const resource = typeof resourceType === 'string' && resourceType ? resourceType.replace(/_/g, ' ') : firstOf(RESOURCE_TERMS);
+  if (resource) {
+    entities.resource = createEntity('resource', resource, [resource]);
+  }
+
+  return entities;
+}
+
+/**
+ * Represents a dilemma as the roles its participants play. Roles stated in dilemma.roles take
+ * precedence over inferred ones.
+ * @param {Object} dilemma - The dilemma or precedent
+ * @returns {Array<Object>} { role, label, terms, attributes } for each role filled, in ROLE_TYPES order
+ */
+function extractRoles(dilemma) {
+  if (!dilemma || typeof dilemma !== 'object') return [];
+
+  const entities = { ...inferRoles(dilemma), ...explicitRoles(dilemma.roles) };
+  return ROLE_TYPES.filter(role => entities[role]).map(role => entities[role]);
+}
+
+/**
+ * Scores how well one role filler corresponds to another
+ * @param {Object} entity1 - A role filler
+ * @param {Object} entity2 - A role filler
+ * @returns {number} Score between 0 and 1 (0 for incompatible roles)
+ */
+function scoreRolePair(entity1, entity2) {
+  const compatibility = (ROLE_COMPATIBILITY[entity1.role] || {})[entity2.role] || 0;
+  if (compatibility === 0) return 0;
+
+  const similarities = [calculateStringSimilarity(entity1.label, entity2.label)];
+  for (const [name, value] of Object.entries(entity1.attributes)) {
+    if (entity2.attributes[name] !== undefined) {
+      similarities.push(calculateSimilarity(value, entity2.attributes[name]));
+    }
+  }
+  const featureSimilarity = similarities.reduce((sum, score) => sum + score, 0) / similarities.length;
+
+  // Filling the same role is itself half the analogy
+  return compatibility * (0.5 + 0.5 * featureSimilarity);
+}
+
+/**
+ * Finds the best one-to-one correspondence between the roles of two dilemmas
+ * @param {Array<Object>} roles1 - Role fillers of the first dilemma (see extractRoles)
+ * @param {Array<Object>} roles2 - Role fillers of the second dilemma
+ * @returns {Object} Mapping with:
+ *   score - the summed pair scores divided by the larger number of roles, so unmatched roles
+ *     count against it (null if either dilemma has no roles)
+ *   pairs - [{ role, source, target, targetRole, score }] mapping roles1 fillers to roles2 fillers
+ *   unmatched - { source, target } labels of the fillers left without a counterpart
+ */
+function mapRoles(roles1, roles2) {
+  const mapping = { score: null, pairs: [], unmatched: { source: [], target: [] } };
+  if (!Array.isArray(roles1) || !Array.isArray(roles2) || roles1.length === 0 || roles2.length === 0) {
+    mapping.unmatched.source = (roles1 || []).map(entity => entity.label);
+    mapping.unmatched.target = (roles2 || []).map(entity => entity.label);
+    return mapping;
+  }
+
+  const scores = roles1.map(entity1 => roles2.map(entity2 => scoreRolePair(entity1, entity2)));
+
+  // Exhaustive search over assignments; there are at most five roles on each side
+  let best = { total: -1, assignment: [] };
+  const search = (i, used, total, assignment) => {
+    if (i === roles1.length) {
+      if (total > best.total) best = { total, assignment: [...assignment] };
+      return;
+    }
+    search(i + 1, used, total, [...assignment, -1]);
+    for (let j = 0; j < roles2.length; j++) {
+      if (!used.has(j) && scores[i][j] > 0) {
+        used.add(j);
+        search(i + 1, used, total + scores[i][j], [...assignment, j]);
+        used.delete(j);
+      }
+    }
+  };
+  search(0, new Set(), 0, []);
+
+  const matchedTargets = new Set();
+  best.assignment.forEach((j, i) => {
+    if (j === -1) {
+      mapping.unmatched.source.push(roles1[i].label);
+      return;
+    }
+    matchedTargets.add(j);
+    mapping.pairs.push({
+      role: roles1[i].role,
+      source: roles1[i],
+      target: roles2[j],
+      targetRole: roles2[j].role,
+      score: scores[i][j]
+    });
+  });
+  mapping.unmatched.target = roles2.filter((_, j) => !matchedTargets.has(j)).map(entity => entity.label);
+  mapping.score = best.total / Math.max(roles1.length, roles2.length);
+
+  return mapping;
+}
+
+/**
+ * Maps the roles of one dilemma onto another
+ * @param {Object} source - The dilemma whose roles are mapped (usually the precedent)
+ * @param {Object} target - The dilemma they are mapped onto
+ * @returns {Object} The mapping (see mapRoles)
+ */
+function mapDilemmaRoles(source, target) {
+  return mapRoles(extractRoles(source), extractRoles(target));
+}
+
+/**
+ * Lists the phrase substitutions a role mapping implies for carrying arguments over. Only
+ * fillers of the same role are substituted, longest phrase first, and not where only the
+ * number differs ("doctor" and "doctors").
+ * @param {Object} mapping - A mapping from precedent roles to dilemma roles (see mapRoles)
+ * @returns {Array<Array<string>>} [phrase, replacement] pairs
+ */
+function getRoleSubstitutions(mapping) {
+  const substitutions = [];
+  for (const pair of (mapping && mapping.pairs) || []) {
+    if (pair.role !== pair.targetRole) continue;
+    const singular = text => text.toLowerCase().replace(/s$/, '');
+    // "some patients" reads as "patients" in place of "the traveler"
+    const replacement = pair.target.label.replace(/^(?:some|several|few|many|all)\s+/i, '');
+    for (const term of pair.source.terms) {
+      if (singular(term) !== singular(replacement)) {
+        substitutions.push([term, replacement]);
+      }
+    }
+  }
+  return substitutions.sort((a, b) => b[0].length - a[0].length);
+}
+
+/**
+ * Summarizes a role mapping for reports and breakdowns
+ * @param {Object} mapping - A mapping (see mapRoles)
+ * @returns {Array<Object>} { role, source, target, targetRole, score } with filler labels
+ */
+function describeRoleMapping(mapping) {
+  return ((mapping && mapping.pairs) || []).map(pair => ({
+    role: pair.role,
+    source: pair.source.label,
+    target: pair.target.label,
+    targetRole: pair.targetRole,
+    score: pair.score
+  }));
+}
+
+module.exports = {
+  ROLE_TYPES,
+  extractRoles,
+  scoreRolePair,
+  mapRoles,
+  mapDilemmaRoles,
+  getRoleSubstitutions,
+  describeRoleMapping
+};
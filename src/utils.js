@@ -2,6 +2,8 @@
  * Utility functions for the REA system
  */
 
+const fs = require('fs');
+const path = require('path');
 const natural = require('natural');
 const { JaroWinklerDistance } = natural;
 
@@ -16,9 +18,9 @@ function diffText(original, modified) {
     return modified || '';
   }
   
-  // Simple diffing by sentence
-  const originalSentences = original.split(/(?<=[.!?])\s+/);
-  const modifiedSentences = modified.split(/(?<=[.!?])\s+/);
+  // Simple diffing by sentence (a line break also ends one, as after an "[ADAPTED: ...]" note)
+  const originalSentences = original.split(/(?<=[.!?])\s+|\n+/).filter(Boolean);
+  const modifiedSentences = modified.split(/(?<=[.!?])\s+|\n+/).filter(Boolean);
   
   // Find added sentences
   const addedSentences = modifiedSentences.filter(s => !originalSentences.includes(s));
@@ -53,9 +55,9 @@ function highlightChangesCLI(original, modified) {
     return modified || '';
   }
   
-  // Simple diffing by sentence
-  const originalSentences = original.split(/(?<=[.!?])\s+/);
-  const modifiedSentences = modified.split(/(?<=[.!?])\s+/);
+  // Simple diffing by sentence (a line break also ends one, as after an "[ADAPTED: ...]" note)
+  const originalSentences = original.split(/(?<=[.!?])\s+|\n+/).filter(Boolean);
+  const modifiedSentences = modified.split(/(?<=[.!?])\s+|\n+/).filter(Boolean);
   
   // Find added sentences
   const addedSentences = modifiedSentences.filter(s => !originalSentences.includes(s));
@@ -984,6 +986,18 @@ function determineFrameworkType(framework) {
     return 'pure';
 }
 
+/**
+ * Writes a file by renaming a temporary file over it, so readers never see a partial write
+ * @param {string} filePath - The file to write
+ * @param {string|Buffer} contents - The contents
+ */
+function writeFileAtomic(filePath, contents) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, contents);
+    fs.renameSync(tempPath, filePath);
+}
+
 // Export all utility functions
 module.exports = {
     highlightChanges,
@@ -1016,5 +1030,6 @@ module.exports = {
     convertSeverityToScore,
     convertStrengthToScore,
     createGranularElements,
-    determineFrameworkType
+    determineFrameworkType,
+    writeFileAtomic
 };
@@ -0,0 +1,451 @@
+/**
+ * Similarity Weight Learning
+ *
+ * Fits similarity weights to the judgement of reviewers instead of hand-tuning them. Reviewers
+ * label pairs of dilemmas as analogous or not:
+ *
+ *   [
+ *     { "dilemma": { "title": "...", "description": "..." }, "precedent": "trolley_problem", "analogous": true },
+ *     { "dilemma": { ... }, "precedent": { "title": "...", ... }, "analogous": false }
+ *   ]
+ *
+ * (JSON, JSON Lines or YAML; either side may be a dilemma object or the id of a precedent in the
+ * database). Training fits two logistic regressions by gradient descent:
+ *
+ *   1. over the calculateDilemmaSimilarity component scores, giving the profile's "weights"
+ *   2. over the retrieval component scores (description, title, actions and the "structure"
+ *      score under the weights from step 1), giving the profile's "retrieval" weights
+ *
+ * The coefficients are turned into weights by dropping the negative ones and normalizing the
+ * rest to sum to 1. The report measures the weights, not the regressions: pairs are scored with
+ * calculateDilemmaSimilarity (and the retrieval ranking) under the learned weights, the decision
+ * threshold is the score that best separates the training pairs, and the accuracy is the share
+ * of pairs classified correctly at that threshold. A stratified share of the pairs is held out
+ * of training to report how well the weights classify pairs they were not fitted to.
+ */
+
+const yaml = require('js-yaml');
+const { calculateDilemmaSimilarity, explainDilemmaSimilarity } = require('./similarity');
+const { DEFAULT_PROFILE } = require('./similarityProfiles');
+const { retrievePrecedents } = require('./precedentRetrieval');
+const { normalizeDilemma } = require('./dilemmaNormalizer');
+
+// Components learned for each weight set of a profile
+const SIMILARITY_COMPONENTS = Object.keys(DEFAULT_PROFILE.weights);
+const RETRIEVAL_COMPONENTS = Object.keys(DEFAULT_PROFILE.retrieval);
+
+const DEFAULT_TRAINING_OPTIONS = {
+  name: 'learned',
+  holdout: 0.25,       // share of the pairs held out of training
+  seed: 42,            // seed of the train/held-out split
+  iterations: 3000,
+  learningRate: 0.5,
+  l2: 0.001            // ridge penalty, keeps coefficients finite on separable data
+};
+
+/**
+ * Parses a file of labelled pairs
+ * @param {string} text - The file contents
+ * @param {string} format - json, jsonl or yaml
+ * @returns {Array<Object>} { dilemma, precedent, analogous, source } for each pair
+ * @throws {Error} If the text cannot be parsed or a pair is malformed
+ */
+function parseLabelledPairs(text, format) {
+  let items;
+  if (format === 'jsonl') {
+    items = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (line.trim() === '') return;
+      try {
+        items.push({ item: JSON.parse(line), source: `line ${index + 1}` });
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+      }
+    });
+  } else if (format === 'json' || format === 'yaml') {
+    const data = format === 'yaml' ? yaml.load(text) : JSON.parse(text);
+    if (!Array.isArray(data)) {
+      throw new Error(`A ${format.toUpperCase()} pair file must contain a list of labelled pairs`);
+    }
+    items = data.map((item, index) => ({ item, source: `item ${index + 1}` }));
+  } else {
+    throw new Error(`Unsupported pair format: ${format}. Use one of: json, jsonl, yaml`);
+  }
+
+  return items.map(({ item, source }) => {
+    if (!item || typeof item !== 'object') {
+      throw new Error(`${source}: a labelled pair must be an object`);
+    }
+    for (const side of ['dilemma', 'precedent']) {
+      const value = item[side];
+      if (!(typeof value === 'string' && value) && !(value && typeof value === 'object')) {
+        throw new Error(`${source}: ${side} must be a dilemma object or a precedent id`);
+      }
+    }
+    if (typeof item.analogous !== 'boolean') {
+      throw new Error(`${source}: analogous must be true or false`);
+    }
+    return { dilemma: item.dilemma, precedent: item.precedent, analogous: item.analogous, source };
+  });
+}
+
+/**
+ * Resolves one side of a pair to a canonical dilemma
+ * @param {string|Object} value - A dilemma object or a precedent id
+ * @param {Array} precedents - The precedent database
+ * @param {string} source - Location of the pair, for error messages
+ * @returns {Object} The dilemma
+ * @throws {Error} If the id is not in the database
+ */
+function resolvePairSide(value, precedents, source) {
+  if (typeof value === 'string') {
+    const precedent = precedents.find(p => (p.id || p.precedent_id) === value);
+    if (!precedent) {
+      throw new Error(`${source}: unknown precedent "${value}"`);
+    }
+    return precedent;
+  }
+  return normalizeDilemma(value).dilemma;
+}
+
+/**
+ * Returns a deterministic pseudo-random number generator (mulberry32)
+ * @param {number} seed - The seed
+ * @returns {Function} Generator of numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Splits samples into a training and a held-out set, keeping the share of each label
+ * @param {Array<Object>} samples - Samples with a label of 0 or 1
+ * @param {number} holdout - Share of each label to hold out (0-1)
+ * @param {number} seed - Seed of the shuffle
+ * @returns {Object} { training, heldOut }
+ */
+function splitSamples(samples, holdout, seed) {
+  const random = seededRandom(seed);
+  const training = [];
+  const heldOut = [];
+
+  for (const label of [0, 1]) {
+    const group = samples.filter(sample => sample.label === label);
+    for (let i = group.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [group[i], group[j]] = [group[j], group[i]];
+    }
+    // Always leave at least one pair of each label to train on
+    const heldOutCount = Math.min(Math.round(group.length * holdout), Math.max(group.length - 1, 0));
+    heldOut.push(...group.slice(0, heldOutCount));
+    training.push(...group.slice(heldOutCount));
+  }
+
+  return { training, heldOut };
+}
+
+/**
+ * Returns the probability a model assigns to a sample being analogous
+ * @param {Object} model - { coefficients, intercept }
+ * @param {Array<number>} features - The component scores
+ * @returns {number} The probability
+ */
+function predictProbability(model, features) {
+  const z = features.reduce((sum, value, i) => sum + value * model.coefficients[i], model.intercept);
+  return 1 / (1 + Math.exp(-z));
+}
+
+/**
+ * Fits a logistic regression by batch gradient descent
+ * @param {Array<Object>} samples - { features, label } with labels 0 or 1
+ * @param {Object} [options] - iterations, learningRate and l2 (see DEFAULT_TRAINING_OPTIONS)
+ * @returns {Object} { coefficients, intercept }
+ */
+function fitLogisticRegression(samples, options = {}) {
+  const { iterations, learningRate, l2 } = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+  const featureCount = samples.length > 0 ? samples[0].features.length : 0;
+  const model = { coefficients: new Array(featureCount).fill(0), intercept: 0 };
+  if (samples.length === 0) return model;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const gradient = new Array(featureCount).fill(0);
+    let interceptGradient = 0;
+
+    for (const sample of samples) {
+      const error = predictProbability(model, sample.features) - sample.label;
+      sample.features.forEach((value, i) => { gradient[i] += error * value; });
+      interceptGradient += error;
+    }
+
+    for (let i = 0; i < featureCount; i++) {
+      model.coefficients[i] -= learningRate * (gradient[i] / samples.length + l2 * model.coefficients[i]);
+    }
+    model.intercept -= learningRate * interceptGradient / samples.length;
+  }
+
+  return model;
+}
+
+/**
+ * Share of samples a model classifies correctly at probability 0.5
+ * @param {Object} model - { coefficients, intercept }
+ * @param {Array<Object>} samples - { features, label }
+ * @returns {number|null} The accuracy, or null without samples
+ */
+function classificationAccuracy(model, samples) {
+  if (samples.length === 0) return null;
+  const correct = samples.filter(sample => (predictProbability(model, sample.features) >= 0.5 ? 1 : 0) === sample.label);
+  return correct.length / samples.length;
+}
+
+/**
+ * Turns regression coefficients into profile weights
+ * @param {Object} model - { coefficients, intercept }
+ * @param {Array<string>} components - Component name of each coefficient
+ * @returns {Object|null} The weights by component name, or null if no coefficient is positive
+ */
+function modelToWeights(model, components) {
+  const positive = model.coefficients.map(coefficient => Math.max(coefficient, 0));
+  const total = positive.reduce((sum, value) => sum + value, 0);
+  if (total === 0) return null;
+
+  const weights = {};
+  components.forEach((name, i) => { weights[name] = roundWeight(positive[i] / total); });
+  return weights;
+}
+
+/**
+ * Rounds a weight or threshold for the saved profile and the report
+ * @param {number} value - The value
+ * @returns {number} The value rounded to 4 decimals
+ */
+function roundWeight(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Share of scored samples on the right side of a threshold
+ * @param {Array<Object>} scored - { score, label }
+ * @param {number} threshold - Scores at or above it count as analogous
+ * @returns {number|null} The accuracy, or null without samples
+ */
+function thresholdAccuracy(scored, threshold) {
+  if (scored.length === 0) return null;
+  return scored.filter(sample => (sample.score >= threshold ? 1 : 0) === sample.label).length / scored.length;
+}
+
+/**
+ * Finds the threshold that classifies the most scored samples correctly, halfway between the
+ * scores it separates
+ * @param {Array<Object>} scored - { score, label }
+ * @returns {number} The threshold (0-1)
+ */
+function bestThreshold(scored) {
+  const scores = Array.from(new Set(scored.map(sample => sample.score))).sort((a, b) => a - b);
+  const candidates = [0, ...scores.slice(1).map((score, i) => (scores[i] + score) / 2)];
+  let best = { threshold: 0, accuracy: -1 };
+  for (const threshold of candidates) {
+    const accuracy = thresholdAccuracy(scored, threshold);
+    if (accuracy > best.accuracy) best = { threshold, accuracy };
+  }
+  return Math.min(Math.max(best.threshold, 0), 1);
+}
+
+/**
+ * Scores of the calculateDilemmaSimilarity components, 0 for components a pair does not have
+ * @param {Object} dilemma - The dilemma
+ * @param {Object} precedent - The precedent
+ * @returns {Array<number>} One score per SIMILARITY_COMPONENTS entry
+ */
+function similarityFeatures(dilemma, precedent) {
+  const { components } = explainDilemmaSimilarity(dilemma, precedent, { weights: Object.fromEntries(SIMILARITY_COMPONENTS.map(name => [name, 1])) });
+  return SIMILARITY_COMPONENTS.map(name => {
+    const component = components.find(entry => entry.name === name);
+    return component ? component.score : 0;
+  });
+}
+
+/**
+ * Scores of the retrieval components under a similarity profile
+ * @param {Object} dilemma - The dilemma
+ * @param {Object} precedent - The precedent
+ * @param {Object} profile - Profile definition whose weights score the structure component
+ * @returns {Promise<Array<number>>} One score per RETRIEVAL_COMPONENTS entry
+ */
+async function retrievalFeatures(dilemma, precedent, profile) {
+  const [result] = await retrievePrecedents(dilemma, [precedent], {
+    threshold: 0,
+    profile,
+    weights: { structure: 1 },
+    filters: { requireReasoningPaths: false },
+    index: false
+  });
+  const components = result ? result.similarityBreakdown.components : [];
+  return RETRIEVAL_COMPONENTS.map(name => {
+    const component = components.find(entry => entry.name === name);
+    return component ? component.score : 0;
+  });
+}
+
+/**
+ * Fits one weight set on the training samples
+ * @param {Array<Object>} training - Training samples
+ * @param {Array<string>} components - Component names of the features
+ * @param {Object} options - Regression options
+ * @returns {Object} The weights by component name
+ * @throws {Error} If no component is positively related to the labels
+ */
+function fitWeights(training, components, options) {
+  const weights = modelToWeights(fitLogisticRegression(training, options), components);
+  if (!weights) {
+    throw new Error(`No ${components.join(', ')} score separates analogous from non-analogous pairs; add more labelled pairs`);
+  }
+  return weights;
+}
+
+/**
+ * Evaluates learned weights by the scores they give the pairs
+ * @param {Object} weights - The learned weights
+ * @param {Array<Object>} training - Training pairs
+ * @param {Array<Object>} heldOut - Held-out pairs
+ * @param {Function} score - Scores a pair under the weights (may return a Promise)
+ * @returns {Promise<Object>} { weights, threshold, trainingAccuracy, heldOutAccuracy } where the threshold
+ *   is the score that best separates the training pairs
+ */
+async function evaluateWeights(weights, training, heldOut, score) {
+  const scoreAll = async samples => {
+    const scored = [];
+    for (const sample of samples) scored.push({ score: await score(sample), label: sample.label });
+    return scored;
+  };
+  const trainingScores = await scoreAll(training);
+  const threshold = bestThreshold(trainingScores);
+  return {
+    weights,
+    threshold: roundWeight(threshold),
+    trainingAccuracy: thresholdAccuracy(trainingScores, threshold),
+    heldOutAccuracy: thresholdAccuracy(await scoreAll(heldOut), threshold)
+  };
+}
+
+/**
+ * Scores a pair with the retrieval ranking
+ * @param {Object} pair - { dilemma, precedent }
+ * @param {Object} profile - Profile definition with the weights and retrieval weights to rank with
+ * @returns {Promise<number>} The total retrieval score
+ */
+async function retrievalScore(pair, profile) {
+  const [result] = await retrievePrecedents(pair.dilemma, [pair.precedent], {
+    threshold: 0,
+    profile,
+    filters: { requireReasoningPaths: false },
+    index: false
+  });
+  return result ? result.totalSimilarityScore : 0;
+}
+
+/**
+ * Learns a similarity profile from labelled pairs
+ * @param {Array<Object>} pairs - Labelled pairs (see parseLabelledPairs)
+ * @param {Object} [options] - Training options
+ * @param {Array} [options.precedents] - Precedent database that pair ids refer to
+ * @param {string} [options.name='learned'] - Name of the profile
+ * @param {number} [options.holdout=0.25] - Share of the pairs held out of training (0 trains on every pair)
+ * @param {number} [options.seed=42] - Seed of the train/held-out split
+ * @returns {Promise<Object>} { profile, report } where profile is a profile definition ready to be saved
+ * @throws {Error} If a pair cannot be resolved or the pairs do not include both labels
+ */
+async function trainSimilarityProfile(pairs, options = {}) {
+  const settings = { ...DEFAULT_TRAINING_OPTIONS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) settings[key] = value;
+  }
+  const precedents = options.precedents || [];
+
+  const analogous = pairs.filter(pair => pair.analogous).length;
+  if (analogous === 0 || analogous === pairs.length) {
+    throw new Error('Training needs both analogous and non-analogous pairs');
+  }
+
+  const resolved = pairs.map(pair => ({
+    dilemma: resolvePairSide(pair.dilemma, precedents, pair.source || 'pair'),
+    precedent: resolvePairSide(pair.precedent, precedents, pair.source || 'pair'),
+    label: pair.analogous ? 1 : 0
+  }));
+
+  const { training, heldOut } = splitSamples(resolved, settings.holdout, settings.seed);
+
+  const withSimilarityFeatures = pair => ({ ...pair, features: similarityFeatures(pair.dilemma, pair.precedent) });
+  const similarityWeights = fitWeights(training.map(withSimilarityFeatures), SIMILARITY_COMPONENTS, settings);
+  const structureProfile = { weights: similarityWeights };
+  const similarity = await evaluateWeights(similarityWeights, training, heldOut,
+    pair => calculateDilemmaSimilarity(pair.dilemma, pair.precedent, structureProfile));
+
+  const retrievalTraining = [];
+  for (const pair of training) {
+    retrievalTraining.push({ ...pair, features: await retrievalFeatures(pair.dilemma, pair.precedent, structureProfile) });
+  }
+  const retrievalWeights = fitWeights(retrievalTraining, RETRIEVAL_COMPONENTS, settings);
+  const retrieval = await evaluateWeights(retrievalWeights, training, heldOut,
+    pair => retrievalScore(pair, { weights: similarityWeights, retrieval: retrievalWeights }));
+
+  const profile = {
+    name: settings.name,
+    description: `Learned from ${resolved.length} labelled pairs`,
+    weights: similarity.weights,
+    retrieval: retrieval.weights
+  };
+
+  return {
+    profile,
+    report: {
+      name: settings.name,
+      pairs: resolved.length,
+      analogous,
+      training: training.length,
+      heldOut: heldOut.length,
+      similarity,
+      retrieval
+    }
+  };
+}
+
+/**
+ * Formats a training report for the terminal
+ * @param {Object} report - The report of trainSimilarityProfile
+ * @returns {string} The formatted report
+ */
+function formatTrainingReport(report) {
+  const percent = value => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+  const weightList = weights => Object.entries(weights).map(([name, weight]) => `${name} ${weight.toFixed(2)}`).join(', ');
+  const lines = [
+    `Trained similarity profile "${report.name}" on ${report.pairs} labelled pairs (${report.analogous} analogous): ` +
+      `${report.training} for training, ${report.heldOut} held out`
+  ];
+
+  for (const [label, result] of [['Similarity weights', report.similarity], ['Retrieval weights', report.retrieval]]) {
+    lines.push(`${label}: ${weightList(result.weights)}`);
+    lines.push(`  training accuracy ${percent(result.trainingAccuracy)}, held-out accuracy ${percent(result.heldOutAccuracy)}, ` +
+      `decision threshold ${result.threshold.toFixed(2)}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  SIMILARITY_COMPONENTS,
+  RETRIEVAL_COMPONENTS,
+  parseLabelledPairs,
+  fitLogisticRegression,
+  classificationAccuracy,
+  splitSamples,
+  trainSimilarityProfile,
+  formatTrainingReport
+};
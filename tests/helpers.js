@@ -0,0 +1,87 @@
+/**
+ * Shared helpers for the mocha suites
+ *
+ * Keeps the framework logs that a suite writes out of the repository's logs/ directory, builds
+ * trolley problem variants for the precedent tests and captures the output of CLI commands.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const frameworkLogger = require('../src/frameworkLogger');
+const { runCommand } = require('../src/cliCommands');
+
+const DATABASE_FILE = path.join(__dirname, '..', 'data', 'precedent-database.json');
+
+/**
+ * Points the framework logger at a temporary directory for the enclosing describe block
+ * and restores the previous directory afterwards
+ */
+function useTemporaryLogDirectory() {
+  let previous;
+  let logDir;
+
+  before(() => {
+    previous = frameworkLogger.getLogDirectory();
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-logs-'));
+    frameworkLogger.setLogDirectory(logDir);
+  });
+
+  after(() => {
+    frameworkLogger.setLogDirectory(previous);
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+}
+
+/**
+ * Reads the built-in precedent database as stored, without normalizing it
+ * @returns {Array<Object>} A fresh copy of the precedents
+ */
+function loadDatabase() {
+  return JSON.parse(fs.readFileSync(DATABASE_FILE, 'utf8'));
+}
+
+/**
+ * Copies the trolley problem with other reasoning paths
+ * @param {string} id - precedent_id of the copy
+ * @param {Array} reasoningPaths - Its reasoning paths
+ * @param {Object} [fields] - Other fields to set, e.g. a title or provenance
+ * @returns {Object} The copy
+ */
+function trolleyVariant(id, reasoningPaths, fields = {}) {
+  const trolley = loadDatabase().find(p => p.precedent_id === 'trolley_problem');
+  return { ...trolley, precedent_id: id, title: `Trolley ${id}`, reasoning_paths: reasoningPaths, ...fields };
+}
+
+/**
+ * Creates the io object of runCommand, collecting what is written to stdout and stderr
+ * @param {Object} [options]
+ * @param {Object} [options.stdin] - Stream to read answers from (interactive commands)
+ * @returns {Object} { out, err, stdout, stderr, stdin }
+ */
+function createIO(options = {}) {
+  const io = { out: '', err: '', stdin: options.stdin };
+  io.stdout = { write: chunk => { io.out += chunk; } };
+  io.stderr = { write: chunk => { io.err += chunk; } };
+  return io;
+}
+
+/**
+ * Runs a CLI command and collects its output
+ * @param {Array<string>} argv - The arguments
+ * @param {Object} [options] - As for createIO
+ * @returns {Promise<Object>} The io object with the exit code as code
+ */
+async function runCli(argv, options = {}) {
+  const io = createIO(options);
+  io.code = await runCommand(argv, io);
+  return io;
+}
+
+module.exports = {
+  useTemporaryLogDirectory,
+  loadDatabase,
+  trolleyVariant,
+  createIO,
+  runCli
+};
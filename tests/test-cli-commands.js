@@ -0,0 +1,242 @@
+/**
+ * Tests for the non-interactive CLI commands
+ *
+ * Covers argument parsing, output formats and exit codes of runCommand.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, runCommand, formatAnalysisText, EXIT_CODES, UsageError } = require('../src/cliCommands');
+const { useTemporaryLogDirectory, createIO } = require('./helpers');
+
+describe('CLI Commands', () => {
+  useTemporaryLogDirectory();
+
+  describe('parseArgs', () => {
+    it('separates positionals from typed flags', () => {
+      const { positionals, flags } = parseArgs(['analyze', 'case.json', '--threshold', '0.4', '--format=json', '--quiet']);
+      assert.deepStrictEqual(positionals, ['analyze', 'case.json']);
+      assert.strictEqual(flags.threshold, 0.4);
+      assert.strictEqual(flags.format, 'json');
+      assert.strictEqual(flags.quiet, true);
+    });
+
+    it('rejects unknown flags and non-numeric values', () => {
+      assert.throws(() => parseArgs(['analyze', '--colour']), UsageError);
+      assert.throws(() => parseArgs(['analyze', '--threshold', 'high']), UsageError);
+      assert.throws(() => parseArgs(['analyze', '--db']), UsageError);
+    });
+  });
+
+  describe('runCommand', () => {
+    let tmpDir;
+
+    before(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-cli-'));
+      fs.writeFileSync(path.join(tmpDir, 'db.json'), JSON.stringify([
+        {
+          precedent_id: 'case_a',
+          title: 'Case A',
+          description: 'A test case',
+          reasoning_paths: [{ framework: 'Utilitarianism', conclusion: 'act', argument: 'Acting helps most people.', strength: 'moderate' }]
+        }
+      ]));
+      fs.writeFileSync(path.join(tmpDir, 'invalid.json'), JSON.stringify({ title: 'Invalid', possible_actions: [{ description: 'No id' }] }));
+    });
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('prints usage for help', async () => {
+      const io = createIO();
+      const code = await runCommand(['help'], io);
+      assert.strictEqual(code, EXIT_CODES.SUCCESS);
+      assert.ok(io.out.includes('Usage:'));
+    });
+
+    it('lists frameworks as JSON', async () => {
+      const io = createIO();
+      const code = await runCommand(['frameworks', 'list', '--format', 'json', '--quiet'], io);
+      assert.strictEqual(code, EXIT_CODES.SUCCESS);
+      const frameworks = JSON.parse(io.out);
+      assert.ok(frameworks.some(f => f.id === 'utilitarianism'));
+    });
+
+    it('lists precedents from a custom database', async () => {
+      const io = createIO();
+      const code = await runCommand(['precedents', 'list', '--db', path.join(tmpDir, 'db.json'), '--format', 'json', '--quiet'], io);
+      assert.strictEqual(code, EXIT_CODES.SUCCESS);
+      assert.deepStrictEqual(JSON.parse(io.out).map(p => p.id), ['case_a']);
+    });
+
+    it('searches precedents with a framework filter', async () => {
+      const dilemmaPath = path.join(tmpDir, 'search.json');
+      fs.writeFileSync(dilemmaPath, JSON.stringify({ title: 'Case B', description: 'A test case' }));
+      const search = framework => {
+        const io = createIO();
+        return runCommand(['precedents', 'search', dilemmaPath, '--db', path.join(tmpDir, 'db.json'), '--framework', framework, '--format', 'json', '--quiet'], io)
+          .then(code => ({ code, results: JSON.parse(io.out) }));
+      };
+
+      const utilitarian = await search('Utilitarianism');
+      assert.strictEqual(utilitarian.code, EXIT_CODES.SUCCESS);
+      assert.deepStrictEqual(utilitarian.results.map(p => p.id), ['case_a']);
+      assert.ok(utilitarian.results[0].similarityBreakdown);
+      assert.deepStrictEqual((await search('Care Ethics')).results, []);
+    });
+
+    it('accepts the similarity profile of a --packs pack once the command loads it', async () => {
+      const { getSimilarityProfiles } = require('../src/similarityProfiles');
+      const packPath = process.env.REA_PACK_PATH;
+      const pack = path.join(tmpDir, 'packs', 'cli-pack');
+      fs.mkdirSync(pack, { recursive: true });
+      fs.writeFileSync(path.join(pack, 'pack.json'), JSON.stringify({ name: 'cli-pack', profile: 'profile.json' }));
+      fs.writeFileSync(path.join(pack, 'precedents.json'), '[]');
+      fs.writeFileSync(path.join(pack, 'profile.json'), JSON.stringify({ description: 'CLI test profile', weights: { description: 0.6 } }));
+      const dilemmaPath = path.join(tmpDir, 'search.json');
+      fs.writeFileSync(dilemmaPath, JSON.stringify({ title: 'Case B', description: 'A test case' }));
+      const search = profile => runCommand(['precedents', 'search', dilemmaPath, '--db', path.join(tmpDir, 'db.json'), '--packs', 'cli-pack', '--profile', profile, '--quiet'], createIO());
+
+      try {
+        process.env.REA_PACK_PATH = path.dirname(pack);
+        assert.strictEqual(await search('astrology'), EXIT_CODES.USAGE);
+        assert.strictEqual(await search('cli-pack'), EXIT_CODES.SUCCESS);
+      } finally {
+        if (packPath === undefined) delete process.env.REA_PACK_PATH;
+        else process.env.REA_PACK_PATH = packPath;
+        getSimilarityProfiles().delete('cli-pack');
+      }
+    });
+
+    it('returns the usage exit code for unknown commands and bad flag values', async () => {
+      assert.strictEqual(await runCommand(['explode'], createIO()), EXIT_CODES.USAGE);
+      assert.strictEqual(await runCommand(['analyze', 'x.json', '--format', 'xml'], createIO()), EXIT_CODES.USAGE);
+      assert.strictEqual(await runCommand(['conflicts', 'x.json', '--strategy', 'coin_flip'], createIO()), EXIT_CODES.USAGE);
+      assert.strictEqual(await runCommand(['analyze', 'x.json', '--threshold', '2'], createIO()), EXIT_CODES.USAGE);
+      assert.strictEqual(await runCommand(['analyze', 'x.json', '--profile', 'astrology'], createIO()), EXIT_CODES.USAGE);
+      assert.strictEqual(await runCommand(['analyze', 'x.json', '--semantic', 'telepathy'], createIO()), EXIT_CODES.USAGE);
+      assert.strictEqual(await runCommand(['analyze', 'x.json', '--cache-size', '0'], createIO()), EXIT_CODES.USAGE);
+    });
+
+    it('validates files against the schemas', async () => {
+      const valid = createIO();
+      assert.strictEqual(await runCommand(['validate', path.join(tmpDir, 'db.json')], valid), EXIT_CODES.SUCCESS);
+      assert.ok(valid.out.includes('valid precedent-database'));
+
+      const invalid = createIO();
+      assert.strictEqual(await runCommand(['validate', path.join(tmpDir, 'invalid.json'), '--format', 'json'], invalid), EXIT_CODES.INPUT);
+      assert.deepStrictEqual(JSON.parse(invalid.out).errors.map(e => e.path), ['$.possible_actions[0].action']);
+    });
+
+    it('writes analysis reports to a file', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'trolley.json'), JSON.stringify(require('../src/createDilemma').createDilemma('trolley')));
+      const io = createIO();
+      const output = path.join(tmpDir, 'reports', 'trolley.html');
+      const code = await runCommand(['report', path.join(tmpDir, 'trolley.json'), '--db', path.join(tmpDir, 'db.json'), '--format', 'html', '--output', output, '--quiet'], io);
+      assert.strictEqual(code, EXIT_CODES.SUCCESS);
+      assert.ok(io.out.includes('Report written to'));
+      assert.ok(fs.readFileSync(output, 'utf8').includes('<!DOCTYPE html>'));
+
+      assert.strictEqual(await runCommand(['report', path.join(tmpDir, 'trolley.json'), '--format', 'json'], createIO()), EXIT_CODES.USAGE);
+    });
+
+    it('imports and exports precedents with a merge report', async () => {
+      const csvPath = path.join(tmpDir, 'import.csv');
+      fs.writeFileSync(csvPath, [
+        'precedent_id,title,description,framework,conclusion,strength',
+        'case_a,Case A,Duplicate id,Utilitarianism,act,strong',
+        'case_b,Case B,A new case,Care Ethics,wait,moderate'
+      ].join('\n'));
+      const dbPath = path.join(tmpDir, 'import-db.json');
+      fs.copyFileSync(path.join(tmpDir, 'db.json'), dbPath);
+
+      const dryRun = createIO();
+      assert.strictEqual(await runCommand(['precedents', 'import', csvPath, '--db', dbPath, '--dry-run', '--format', 'json', '--quiet'], dryRun), EXIT_CODES.SUCCESS);
+      assert.deepStrictEqual(JSON.parse(dryRun.out).planned, { create: 1, update: 0, skip: 1 });
+      assert.strictEqual(JSON.parse(fs.readFileSync(dbPath, 'utf8')).length, 1);
+
+      assert.strictEqual(await runCommand(['precedents', 'import', csvPath, '--db', dbPath, '--quiet'], createIO()), EXIT_CODES.SUCCESS);
+      const exported = createIO();
+      assert.strictEqual(await runCommand(['precedents', 'export', '--db', dbPath, '--file-format', 'jsonl', '--quiet'], exported), EXIT_CODES.SUCCESS);
+      assert.deepStrictEqual(exported.out.trim().split('\n').map(line => JSON.parse(line).precedent_id), ['case_a', 'case_b']);
+    });
+
+    it('trains a similarity profile from labelled pairs', async () => {
+      const dilemma = { title: 'Case A Again', description: 'A test case' };
+      const pairsPath = path.join(tmpDir, 'pairs.jsonl');
+      fs.writeFileSync(pairsPath, [
+        { dilemma, precedent: 'case_a', analogous: true },
+        { dilemma: { title: 'Unrelated', description: 'Something else entirely' }, precedent: 'case_a', analogous: false }
+      ].map(pair => JSON.stringify(pair)).join('\n'));
+      const profilePath = path.join(tmpDir, 'profiles', 'learned.json');
+
+      const io = createIO();
+      const args = ['profiles', 'train', pairsPath, '--db', path.join(tmpDir, 'db.json'), '--output', profilePath, '--holdout', '0', '--quiet'];
+      assert.strictEqual(await runCommand(args, io), EXIT_CODES.SUCCESS);
+      assert.ok(io.out.includes('Trained similarity profile "learned" on 2 labelled pairs'));
+      assert.strictEqual(JSON.parse(fs.readFileSync(profilePath, 'utf8')).name, 'learned');
+
+      assert.strictEqual(await runCommand(['profiles', 'train', pairsPath, '--name', 'medical', '--quiet'], createIO()), EXIT_CODES.USAGE);
+    });
+
+    it('saves similarity scores to a cache file between commands', async () => {
+      const { similarityCache } = require('../src/similarity');
+      const cacheFile = path.join(tmpDir, 'similarity-cache.json');
+      fs.writeFileSync(path.join(tmpDir, 'cached.json'), JSON.stringify({ title: 'Case C', description: 'Another test case' }));
+      const search = () => runCommand(['precedents', 'search', path.join(tmpDir, 'cached.json'), '--db', path.join(tmpDir, 'db.json'), '--cache-file', cacheFile, '--quiet'], createIO());
+
+      try {
+        similarityCache.clearCache();
+        assert.strictEqual(await search(), EXIT_CODES.SUCCESS);
+        const saved = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        assert.ok(saved.entries.length > 0);
+
+        similarityCache.clearCache();
+        assert.strictEqual(await search(), EXIT_CODES.SUCCESS);
+        const diagnostics = createIO();
+        assert.strictEqual(await runCommand(['diagnose', '--format', 'json', '--quiet'], diagnostics), EXIT_CODES.SUCCESS);
+        const stats = JSON.parse(diagnostics.out).similarityCache;
+        assert.strictEqual(stats.file, cacheFile);
+        assert.ok(stats.hits >= saved.entries.length);
+      } finally {
+        similarityCache.clearCache();
+        similarityCache.file = null;
+      }
+    });
+
+    it('returns the input exit code for missing files', async () => {
+      const io = createIO();
+      const code = await runCommand(['analyze', path.join(tmpDir, 'missing.json'), '--quiet'], io);
+      assert.strictEqual(code, EXIT_CODES.INPUT);
+      assert.ok(io.err.includes('not found'));
+
+      const dbCode = await runCommand(['precedents', 'list', '--db', path.join(tmpDir, 'missing-db.json')], createIO());
+      assert.strictEqual(dbCode, EXIT_CODES.INPUT);
+    });
+  });
+
+  describe('formatAnalysisText', () => {
+    const results = {
+      dilemma: { title: 'Case B', description: 'Another case' },
+      reasoningPaths: [{
+        source: 'adapted',
+        framework: 'Utilitarianism',
+        action: 'act',
+        argument: '[ADAPTED: from Case A.]\nActing helps most people.',
+        adapted_from: { precedent_id: 'case_a', original_argument: 'Acting helps most people.' }
+      }]
+    };
+
+    it('highlights adapted arguments only when asked to', () => {
+      const highlighted = formatAnalysisText(results, { highlight: true });
+      assert.ok(highlighted.includes('\x1b[32m[ADDED: [ADAPTED: from Case A.]]\x1b[0m\nActing helps most people.'));
+
+      const plain = formatAnalysisText(results);
+      assert.ok(!plain.includes('\x1b['));
+      assert.ok(plain.includes('[ADAPTED: from Case A.]\nActing helps most people....'));
+    });
+  });
+});
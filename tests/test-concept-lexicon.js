@@ -0,0 +1,69 @@
+/**
+ * Tests for the concept lexicon
+ *
+ * Covers matching surface terms to concepts, extending the lexicon with extra files, and the
+ * lexicon's use in string similarity, key term extraction and granular element relevance.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findConcepts, conceptSimilarity, loadConceptLexicon } = require('../src/conceptLexicon');
+const { calculateStringSimilarity } = require('../src/similarity');
+const { extractKeywordsFromDilemma, calculateRelevance } = require('../src/granular-extraction');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Concept Lexicon', () => {
+  useTemporaryLogDirectory();
+
+  const concepts = text => findConcepts(text).map(match => match.concept);
+
+  it('maps equivalent phrasings onto shared concepts', () => {
+    assert.deepStrictEqual(concepts('do nothing'), ['omission']);
+    assert.deepStrictEqual(concepts('dont_pull'), ['omission']);
+    assert.deepStrictEqual(concepts('They refrained'), ['omission']);
+    assert.deepStrictEqual(concepts('pull_lever'), ['intervention']);
+    assert.deepStrictEqual(concepts('The patients and the victims'), ['beneficiary']);
+    assert.deepStrictEqual(concepts("Don't lie about what caused the death of the child"), ['deception', 'harm', 'vulnerability']);
+
+    assert.strictEqual(conceptSimilarity('patient', 'victim'), 1);
+    assert.strictEqual(conceptSimilarity('pull_lever', 'dont_pull'), 0);
+    assert.strictEqual(conceptSimilarity('lever', 'track'), null);
+  });
+
+  it('merges extra lexicon files and skips invalid entries', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-lexicon-'));
+    try {
+      fs.writeFileSync(path.join(directory, 'a-core.json'), JSON.stringify({ omission: { terms: ['do nothing'] } }));
+      fs.writeFileSync(path.join(directory, 'b-maritime.yaml'), 'omission:\n  terms: [stay the course]\nbroken:\n  terms: oops\n');
+      const lexicon = loadConceptLexicon(directory);
+
+      assert.deepStrictEqual(lexicon.concepts.get('omission').terms, ['do nothing', 'stay the course']);
+      assert.ok(!lexicon.concepts.has('broken'));
+      assert.deepStrictEqual(lexicon.findConcepts('The captain stays the course').map(m => m.concept), ['omission']);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('raises the string similarity of texts expressing the same concepts', () => {
+    assert.ok(calculateStringSimilarity('refrain', 'dont_pull') >= 0.5);
+    assert.ok(calculateStringSimilarity('patient', 'victim') > calculateStringSimilarity('patient', 'lever'));
+    assert.ok(calculateStringSimilarity('do nothing', 'dont_pull') > calculateStringSimilarity('pull_lever', 'dont_pull'));
+  });
+
+  it('adds concepts to keywords and relevance', () => {
+    const dilemma = {
+      title: 'Ward Triage',
+      description: 'Doctors may refrain from treating one patient to save five others.',
+      possible_actions: [{ action: 'dont_treat' }, { action: 'treat_all' }]
+    };
+
+    const keywords = extractKeywordsFromDilemma(dilemma);
+    assert.ok(keywords.includes('beneficiary') && keywords.includes('rescue') && keywords.includes('omission'));
+
+    const argument = 'Letting the victims die would be wrong.';
+    assert.ok(calculateRelevance(argument, ['patient']) > calculateRelevance(argument, ['ventilator']));
+  });
+});
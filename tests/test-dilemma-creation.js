@@ -6,7 +6,7 @@
  */
 
 const assert = require('assert');
-const { createDilemma, validateDilemma } = require('../src/createDilemma');
+const { createDilemma, validateDilemma, buildCustomDilemma, parseParameterValue, toIdentifier } = require('../src/createDilemma');
 
 describe('Dilemma Creation', function() {
   it('should create a valid trolley dilemma with all required parameters', function() {
@@ -96,4 +96,41 @@ describe('Dilemma Creation', function() {
     assert.strictEqual(validation.success, false);
     assert.ok(validation.missingParameters.length > 0);
   });
+
+  it('should build a valid custom dilemma from interview answers', function() {
+    const dilemma = buildCustomDilemma({
+      title: 'Lifeboat',
+      description: 'A lifeboat will sink unless someone leaves.',
+      contextType: 'Survival',
+      actions: ['Ask for a volunteer', { action: 'draw_lots', description: 'Draw lots' }],
+      parameters: { num_people_affected: 8, weather: 'stormy' },
+      contextualFactors: [{ factor: 'voluntary', value: 'no' }]
+    });
+    const validation = validateDilemma(dilemma);
+
+    assert.strictEqual(validation.success, true, `Missing parameters: ${validation.missingParameters.join(', ')}`);
+    assert.strictEqual(dilemma.title, 'Lifeboat');
+    assert.strictEqual(dilemma.situation.type, 'Survival');
+    assert.deepStrictEqual(dilemma.possible_actions.map(a => a.action), ['ask_for_a_volunteer', 'draw_lots']);
+    assert.strictEqual(dilemma.situation.parameters.num_people_affected.value, 8);
+    assert.strictEqual(dilemma.situation.parameters.certainty_of_outcome.value, 0.7);
+    assert.strictEqual(dilemma.situation.parameters.weather.value, 'stormy');
+    assert.deepStrictEqual(dilemma.contextual_factors, [{ factor: 'voluntary', value: 'no', relevance: 'medium' }]);
+  });
+
+  it('should keep non-English letters in identifiers and number actions without any', function() {
+    assert.strictEqual(toIdentifier('Über die Würde des Patienten'), 'über_die_würde_des_patienten');
+    assert.strictEqual(toIdentifier('Privacidad del niño'), 'privacidad_del_niño');
+    assert.strictEqual(toIdentifier('患者の同意'), '患者の同意');
+    assert.strictEqual(toIdentifier('?!'), '');
+
+    const dilemma = buildCustomDilemma({ title: 'Würde', description: 'Ein Dilemma', actions: ['Schweigen', '...'] });
+    assert.deepStrictEqual(dilemma.possible_actions.map(a => a.action), ['schweigen', 'action_2']);
+  });
+
+  it('should parse entered parameter values into numbers, booleans and strings', function() {
+    assert.strictEqual(parseParameterValue('0.4'), 0.4);
+    assert.strictEqual(parseParameterValue('true'), true);
+    assert.strictEqual(parseParameterValue(' high '), 'high');
+  });
 }); 
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * Tests for the dilemma normalizer
+ *
+ * Checks that each accepted legacy shape is converted to the canonical model,
+ * that the changes are recorded, and that canonical dilemmas are left untouched.
+ */
+
+const assert = require('assert');
+const {
+  normalizeDilemma,
+  normalizePrecedents,
+  getDilemmaParameters,
+  getDilemmaContext,
+  getActionDescription
+} = require('../src/dilemmaNormalizer');
+const { createDilemma } = require('../src/createDilemma');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Dilemma Normalizer', function() {
+  useTemporaryLogDirectory();
+
+  const legacyDilemma = {
+    name: 'Legacy Dilemma',
+    description: 'Uses every legacy shape',
+    context: 'hospital',
+    parameters: { urgency: 0.9, certainty_of_outcome: { value: 0.4 } },
+    actions: { treat_first: { description: 'Treat the first patient' }, wait: { description: 'Wait' } },
+    contextual_factors: [{ name: 'consent', value: 'given' }]
+  };
+
+  it('converts legacy shapes to the canonical model', function() {
+    const { dilemma } = normalizeDilemma(legacyDilemma);
+
+    assert.strictEqual(dilemma.title, 'Legacy Dilemma');
+    assert.strictEqual(dilemma.name, undefined);
+    assert.deepStrictEqual(dilemma.situation.context, ['hospital']);
+    assert.deepStrictEqual(dilemma.situation.parameters, {
+      urgency: { value: 0.9 },
+      certainty_of_outcome: { value: 0.4 }
+    });
+    assert.strictEqual(dilemma.parameters, undefined);
+    assert.deepStrictEqual(dilemma.possible_actions, [
+      { action: 'treat_first', description: 'Treat the first patient' },
+      { action: 'wait', description: 'Wait' }
+    ]);
+    assert.strictEqual(dilemma.actions, undefined);
+    assert.deepStrictEqual(dilemma.contextual_factors, [{ factor: 'consent', value: 'given', relevance: 'medium' }]);
+  });
+
+  it('records every change and leaves the input unmodified', function() {
+    const { changes } = normalizeDilemma(legacyDilemma);
+    const paths = changes.map(change => change.path);
+
+    assert.ok(paths.includes('$.name'));
+    assert.ok(paths.includes('$.context'));
+    assert.ok(paths.includes('$.parameters.urgency'));
+    assert.ok(paths.includes('$.situation.parameters.urgency'));
+    assert.ok(paths.includes('$.actions'));
+    assert.ok(paths.includes('$.contextual_factors[0].name'));
+    assert.strictEqual(legacyDilemma.name, 'Legacy Dilemma');
+    assert.ok(legacyDilemma.actions.wait);
+  });
+
+  it('converts string actions and flat contextual factor maps', function() {
+    const { dilemma } = normalizeDilemma({
+      title: 'Strings',
+      description: 'Shorthand shapes',
+      possible_actions: ['act', { name: 'refrain' }],
+      contextual_factors: { time_pressure: 'high' }
+    });
+
+    assert.deepStrictEqual(dilemma.possible_actions.map(a => a.action), ['act', 'refrain']);
+    assert.deepStrictEqual(dilemma.contextual_factors, [{ factor: 'time_pressure', value: 'high', relevance: 'medium' }]);
+  });
+
+  it('prefers situation parameters over conflicting top-level parameters', function() {
+    const { dilemma, changes } = normalizeDilemma({
+      title: 'Conflict',
+      description: 'Same parameter twice',
+      parameters: { urgency: { value: 0.1 } },
+      situation: { parameters: { urgency: { value: 0.8 } } }
+    });
+
+    assert.strictEqual(dilemma.situation.parameters.urgency.value, 0.8);
+    assert.ok(changes.some(change => change.path === '$.parameters.urgency' && change.message.startsWith('dropped')));
+  });
+
+  it('is idempotent for canonical dilemmas', function() {
+    const { dilemma } = normalizeDilemma(createDilemma('trolley'));
+    const second = normalizeDilemma(dilemma);
+
+    assert.deepStrictEqual(second.changes, []);
+    assert.deepStrictEqual(second.dilemma, dilemma);
+  });
+
+  it('rejects values that are not objects', function() {
+    assert.throws(() => normalizeDilemma('trolley'), TypeError);
+    assert.throws(() => normalizeDilemma([]), TypeError);
+  });
+
+  it('normalizes a precedent database into the same array on every call', function() {
+    const database = [legacyDilemma, createDilemma('trolley')];
+    const normalized = normalizePrecedents(database);
+    assert.strictEqual(normalized[0].title, 'Legacy Dilemma');
+    assert.strictEqual(normalizePrecedents(database), normalized);
+    assert.strictEqual(normalizePrecedents(normalized), normalized);
+
+    const first = normalized[0];
+    database.push({ name: 'Added' });
+    assert.strictEqual(normalizePrecedents(database), normalized);
+    assert.strictEqual(normalized[0], first);
+    assert.strictEqual(normalized[2].title, 'Added');
+  });
+
+  it('reads parameters, context and action descriptions from either shape', function() {
+    const { dilemma } = normalizeDilemma(legacyDilemma);
+
+    for (const shape of [legacyDilemma, dilemma]) {
+      assert.strictEqual(getDilemmaParameters(shape).certainty_of_outcome.value, 0.4);
+      assert.strictEqual(getDilemmaContext(shape), 'hospital');
+      assert.strictEqual(getActionDescription(shape, 'wait'), 'Wait');
+    }
+  });
+});
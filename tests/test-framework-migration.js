@@ -0,0 +1,122 @@
+/**
+ * Tests for the framework name migration
+ *
+ * Covers resolving framework names through the registry, rewriting the references of precedents
+ * and dilemmas, and migrating databases and files from the CLI with and without --dry-run.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveFrameworkName, migrateDocument } = require('../src/frameworkMigration');
+const { getFrameworkByName } = require('../src/frameworkRegistry');
+const { FilePrecedentRepository } = require('../src/precedentRepository');
+const { EXIT_CODES } = require('../src/cliCommands');
+const { useTemporaryLogDirectory, loadDatabase, trolleyVariant, runCli } = require('./helpers');
+
+describe('Framework Migration', () => {
+  useTemporaryLogDirectory();
+
+  const database = loadDatabase();
+  const trolley = database.find(p => p.precedent_id === 'trolley_problem');
+  const dilemma = {
+    title: 'Whistleblower',
+    description: 'An engineer finds a safety defect the company wants to hide.',
+    frameworks: ['utilitarian', 'care-ethics', 'Ethics of Care', 'Ubuntu Ethics'],
+    reasoning_paths: [{ framework: 'Kantian Ethics', conclusion: 'report_defect' }]
+  };
+  let tmpDir;
+
+  const run = argv => runCli([...argv, '--quiet']);
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-migrate-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('resolves framework names through the registry', () => {
+    assert.deepStrictEqual(resolveFrameworkName('Utilitarianism'), { name: 'Utilitarianism', id: 'utilitarianism', match: 'canonical' });
+    assert.deepStrictEqual(resolveFrameworkName('Deontology'), { name: 'Kantian Deontology', id: 'kantian_deontology', match: 'alias' });
+    assert.deepStrictEqual(resolveFrameworkName('Virtue Ethic'), { name: 'Virtue Ethics', id: 'virtue_ethics', match: 'fuzzy' });
+    assert.deepStrictEqual(resolveFrameworkName('Utilitarianism + Care Ethics'), { name: 'Hybrid: Utilitarianism + Care Ethics', id: null, match: 'hybrid' });
+    assert.deepStrictEqual(resolveFrameworkName('Justice/Fairness'), { name: 'Social Contract Theory', id: 'social_contract_theory', match: 'mapped' });
+    assert.deepStrictEqual(resolveFrameworkName('Professional Duty Ethics'), { name: 'Professional Ethics', id: 'professional_ethics', match: 'mapped' });
+    // The corpus names are known to the migration only
+    assert.strictEqual(getFrameworkByName('Justice/Fairness', { fuzzyMatch: false, fallbackToUnknown: false }), null);
+    assert.deepStrictEqual(resolveFrameworkName('Ubuntu Ethics'), { name: 'Ubuntu Ethics', id: null, match: 'unresolved' });
+  });
+
+  it('rewrites the framework references of precedents and dilemmas', () => {
+    const { document, changes, unresolved } = migrateDocument(trolley);
+    assert.deepStrictEqual(document.reasoning_paths.map(p => [p.framework, p.framework_id]), [
+      ['Utilitarianism', 'utilitarianism'],
+      ['Kantian Deontology', 'kantian_deontology']
+    ]);
+    assert.deepStrictEqual(changes.filter(change => change.path.endsWith('.framework')), [
+      { path: 'reasoning_paths[1].framework', from: 'Deontology', to: 'Kantian Deontology', id: 'kantian_deontology', match: 'alias' }
+    ]);
+    assert.deepStrictEqual(unresolved, []);
+    assert.strictEqual(trolley.reasoning_paths[1].framework, 'Deontology');
+
+    const migrated = migrateDocument(dilemma);
+    assert.deepStrictEqual(migrated.document.frameworks, ['Utilitarianism', 'Care Ethics', 'Ubuntu Ethics']);
+    assert.deepStrictEqual(migrated.document.framework_ids, ['utilitarianism', 'care_ethics']);
+    assert.deepStrictEqual(migrated.changes.find(change => change.path === 'framework_ids[1]'), {
+      path: 'framework_ids[1]', from: null, to: 'care_ethics', id: 'care_ethics', match: 'alias'
+    });
+    assert.strictEqual(migrated.changes.find(change => change.path === 'frameworks[2]').duplicate, true);
+    assert.deepStrictEqual(migrated.unresolved, [{ path: 'frameworks[3]', name: 'Ubuntu Ethics' }]);
+
+    // Migrating again changes nothing
+    assert.deepStrictEqual(migrateDocument(migrated.document).changes, []);
+  });
+
+  it('migrates the precedent database through the repository', async () => {
+    const file = path.join(tmpDir, 'precedents.json');
+    const ubuntu = trolleyVariant('ubuntu_trolley', [{ ...trolley.reasoning_paths[0], framework: 'Ubuntu Ethics' }]);
+    const precedents = [...database, ubuntu];
+    fs.writeFileSync(file, JSON.stringify(precedents));
+
+    const dryRun = await run(['frameworks', 'migrate', '--db', file, '--dry-run']);
+    assert.strictEqual(dryRun.code, EXIT_CODES.SUCCESS);
+    assert.ok(dryRun.out.includes('reasoning_paths[1].framework: "Deontology" -> "Kantian Deontology" (kantian_deontology, alias)'));
+    assert.ok(dryRun.out.includes('reasoning_paths[0].framework: "Professional Duty Ethics" -> "Professional Ethics" (professional_ethics, mapped)'));
+    assert.ok(dryRun.out.includes('reasoning_paths[0].framework: "Ubuntu Ethics" is not a registered framework'));
+    assert.ok(dryRun.out.endsWith('Dry run: nothing was changed.\n'));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), precedents);
+
+    const applied = await run(['frameworks', 'migrate', '--db', file, '--author', 'tester', '--format', 'json']);
+    assert.strictEqual(applied.code, EXIT_CODES.SUCCESS);
+    assert.strictEqual(JSON.parse(applied.out).sources[0].written, true);
+
+    const repository = new FilePrecedentRepository(file);
+    assert.strictEqual((await repository.get('trolley_problem')).reasoning_paths[1].framework, 'Kantian Deontology');
+    assert.strictEqual((await repository.get('medical_triage')).frameworks[1], 'Social Contract Theory');
+    const [, revision] = await repository.history('trolley_problem');
+    assert.strictEqual(revision.message, 'Canonicalized framework names');
+  });
+
+  it('rewrites precedent database files with a revision per precedent and dilemma files in place', async () => {
+    const dilemmaFile = path.join(tmpDir, 'dilemma.json');
+    const precedentFile = path.join(tmpDir, 'precedents.json');
+    fs.writeFileSync(dilemmaFile, JSON.stringify(dilemma));
+    fs.writeFileSync(precedentFile, JSON.stringify([trolley]));
+
+    const result = await run(['frameworks', 'migrate', dilemmaFile, precedentFile]);
+    assert.strictEqual(result.code, EXIT_CODES.SUCCESS);
+    assert.ok(result.out.startsWith('2 document(s) to migrate: 5 framework name(s) rewritten, 7 framework id(s) set, 1 unresolved reference(s)'));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(dilemmaFile, 'utf8')).reasoning_paths[0], {
+      framework: 'Kantian Deontology', conclusion: 'report_defect', framework_id: 'kantian_deontology'
+    });
+    assert.strictEqual(JSON.parse(fs.readFileSync(precedentFile, 'utf8'))[0].reasoning_paths[1].framework, 'Kantian Deontology');
+    const history = await new FilePrecedentRepository(precedentFile).history('trolley_problem');
+    assert.deepStrictEqual(history.map(revision => revision.operation), ['import', 'update']);
+    assert.strictEqual(history[1].message, 'Canonicalized framework names');
+
+    assert.strictEqual((await run(['frameworks', 'migrate', path.join(tmpDir, 'missing.json')])).code, EXIT_CODES.INPUT);
+  });
+});
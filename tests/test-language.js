@@ -0,0 +1,88 @@
+/**
+ * Tests for multilingual dilemma analysis
+ *
+ * Covers resolving and detecting languages, language-specific keyword, value and principle
+ * extraction, and similarity and retrieval across languages through the concept lexicon.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { resolveLanguage, getDilemmaLanguage, detectLanguage, tokenize, tokenizeAndStem } = require('../src/language');
+const { findConcepts } = require('../src/conceptLexicon');
+const { extractKeywordsFromDilemma, extractPrinciples } = require('../src/granular-extraction');
+const { extractValues } = require('../src/conflictDetection');
+const { calculateStringSimilarity } = require('../src/similarity');
+const { PrecedentIndex } = require('../src/precedentIndex');
+const { normalizeDilemma } = require('../src/dilemmaNormalizer');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Languages', () => {
+  useTemporaryLogDirectory();
+
+  const trolleyEs = {
+    title: 'Tranvía sin control',
+    language: 'es',
+    description: 'Un tranvía sin control se dirige hacia cinco personas. Puedes tirar de la palanca para desviarlo a una vía donde matará a una persona.'
+  };
+
+  it('resolves language settings and detects the language of a text', () => {
+    assert.strictEqual(resolveLanguage('Spanish'), 'es');
+    assert.strictEqual(resolveLanguage('de-AT'), 'de');
+    assert.strictEqual(resolveLanguage('klingon'), null);
+    assert.strictEqual(getDilemmaLanguage({ title: 'x' }), 'en');
+    assert.strictEqual(getDilemmaLanguage(trolleyEs), 'es');
+
+    assert.strictEqual(detectLanguage(trolleyEs.description), 'es');
+    assert.strictEqual(detectLanguage('Der Arzt muss entscheiden, ob er die Wahrheit sagt und die Patienten schützt.'), 'de');
+    assert.strictEqual(detectLanguage('The doctor has to decide about the patient.'), 'en');
+    assert.strictEqual(detectLanguage('Triage'), null);
+
+    const { dilemma, changes } = normalizeDilemma({ title: 'Dilema', language: 'Español' });
+    assert.strictEqual(dilemma.language, 'es');
+    assert.ok(changes.some(change => change.path === '$.language' && change.type === 'converted'));
+  });
+
+  it('extracts keywords with the tokenizer and stop words of the dilemma language', () => {
+    assert.deepStrictEqual(tokenize('Vía única', 'es'), ['vía', 'única']);
+    // Capitalized words keep their first letter and capitalized stop words are dropped
+    assert.deepStrictEqual(tokenizeAndStem('Die Ärztin schützt Öl', 'de'), ['arztin', 'schutzt', 'ol']);
+
+    const keywords = extractKeywordsFromDilemma(trolleyEs);
+    assert.ok(keywords.includes('tranvía') && keywords.includes('palanca'));
+    assert.ok(!keywords.includes('hacia') && !keywords.includes('para'));
+    assert.ok(keywords.includes('intervention') && keywords.includes('harm'));
+  });
+
+  it('extracts values and principles with the vocabulary of the text language', () => {
+    assert.deepStrictEqual(extractValues('Debemos proteger la vida y la autonomía de cada paciente.'), ['life', 'autonomy']);
+    assert.deepStrictEqual(extractValues('Die Würde und die Selbstbestimmung des Patienten sind zu achten.', 'de'), ['autonomy', 'dignity']);
+    assert.deepStrictEqual(extractValues('We must protect life and autonomy.'), ['life', 'autonomy']);
+
+    const principles = extractPrinciples('El utilitarismo exige maximizar el bienestar. Deberíamos salvar a los cinco.', 'es');
+    assert.ok(principles.includes('Deberíamos salvar a los cinco.'));
+    assert.ok(principles.includes('El utilitarismo exige maximizar el bienestar.'));
+  });
+
+  it('compares texts in any script by their letters', () => {
+    assert.strictEqual(calculateStringSimilarity('Αθήνα', 'Σπάρτη'), 0);
+    assert.strictEqual(calculateStringSimilarity('医生', '病人'), 0);
+
+    const shortage = 'нехватка аппаратов ИВЛ в больнице';
+    assert.ok(calculateStringSimilarity(shortage, `${shortage} сегодня`) > 0.8);
+    assert.ok(calculateStringSimilarity(shortage, 'пожар на складе химической фабрики') < 0.2);
+  });
+
+  it('compares and retrieves dilemmas across languages through the concept lexicon', () => {
+    assert.deepStrictEqual(findConcepts('no hacer nada', 'es').map(match => match.concept), ['omission']);
+
+    const trolleyEn = 'A runaway trolley is heading toward five people. You can pull a lever to divert it to a track where it will kill one person instead.';
+    const truthEs = 'Un médico debe decidir si dice la verdad al paciente sobre su diagnóstico.';
+    assert.ok(calculateStringSimilarity(trolleyEn, trolleyEs.description) > calculateStringSimilarity(trolleyEn, truthEs));
+
+    const precedents = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'precedent-database.json'), 'utf8'));
+    const results = new PrecedentIndex(precedents).search(trolleyEs);
+    assert.ok(results.length > 0);
+    assert.strictEqual(results[0].precedent.precedent_id, 'trolley_problem');
+  });
+});
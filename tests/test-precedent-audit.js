@@ -0,0 +1,93 @@
+/**
+ * Tests for the precedent consistency audit
+ *
+ * Covers finding similar precedents whose frameworks disagree, matching framework names through
+ * the registry, explaining divergences by differing factors or relation links, and the CLI.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { auditPrecedents, formatAuditReport } = require('../src/precedentAudit');
+const { EXIT_CODES } = require('../src/cliCommands');
+const { useTemporaryLogDirectory, loadDatabase, trolleyVariant, runCli } = require('./helpers');
+
+describe('Precedent Audit', () => {
+  useTemporaryLogDirectory();
+
+  const database = loadDatabase();
+  const trolley = database.find(p => p.precedent_id === 'trolley_problem');
+
+  const dissent = trolleyVariant('trolley_dissent', [
+    { framework: 'Utilitarianism', conclusion: 'do nothing', strength: 'weak', argument: 'The diverted trolley might derail.' },
+    { framework: 'Deontology', conclusion: 'dont_pull', strength: 'strong', argument: 'Diverting the trolley uses the one as a means.' }
+  ]);
+
+  it('finds similar precedents whose frameworks reach different conclusions', () => {
+    const report = auditPrecedents([...database, dissent]);
+    assert.strictEqual(report.total, 5);
+    assert.strictEqual(report.inconsistencies.length, 1);
+
+    const [inconsistency] = report.inconsistencies;
+    assert.deepStrictEqual(inconsistency.precedents, ['trolley_problem', 'trolley_dissent']);
+    assert.ok(inconsistency.similarity >= 0.7);
+    // "Deontology" is the registry's "Kantian Deontology" and agrees; only Utilitarianism diverges
+    assert.deepStrictEqual(inconsistency.frameworks, [{
+      framework: 'Utilitarianism',
+      conclusions: [{ precedent_id: 'trolley_problem', conclusions: ['pull_lever'] }, { precedent_id: 'trolley_dissent', conclusions: ['do_nothing'] }]
+    }]);
+    assert.strictEqual(inconsistency.explained, false);
+    assert.strictEqual(report.unexplained, 1);
+  });
+
+  it('ignores agreeing or dissimilar precedents', () => {
+    const agreeing = trolleyVariant('trolley_agreeing', [
+      { framework: 'utilitarianism', conclusion: 'pull_lever', strength: 'strong', argument: 'Five lives outweigh one.' },
+      { framework: 'Utilitarianism', conclusion: 'do_nothing', strength: 'weak', argument: 'The outcome is uncertain.' }
+    ]);
+    assert.strictEqual(auditPrecedents([trolley, agreeing]).inconsistencies.length, 0);
+    assert.strictEqual(auditPrecedents(database).inconsistencies.length, 0);
+    assert.ok(auditPrecedents(database, { threshold: 0.3 }).inconsistencies.length > 0);
+  });
+
+  it('skips empty reasoning paths', () => {
+    const withGap = trolleyVariant('trolley_gap', [null, ...dissent.reasoning_paths]);
+    assert.deepStrictEqual(auditPrecedents([trolley, withGap]).inconsistencies.map(i => i.precedents), [['trolley_problem', 'trolley_gap']]);
+  });
+
+  it('explains divergences by differing parameters, contextual factors and links', () => {
+    const fewer = trolleyVariant('trolley_fewer', dissent.reasoning_paths);
+    fewer.situation.parameters = { num_people_affected: { value: 2 } };
+    fewer.contextual_factors = [{ factor: 'certainty', value: 'low' }];
+    fewer.distinguishes = [{ id: 'trolley_problem', reason: 'only one person is on the main track' }];
+
+    const [inconsistency] = auditPrecedents([trolley, fewer]).inconsistencies;
+    assert.strictEqual(inconsistency.explained, true);
+    assert.deepStrictEqual(inconsistency.differences, [
+      { type: 'parameter', name: 'num_people_affected', values: [{ precedent_id: 'trolley_problem', value: 'not specified' }, { precedent_id: 'trolley_fewer', value: 2 }] },
+      { type: 'contextual_factor', name: 'certainty', values: [{ precedent_id: 'trolley_problem', value: 'not specified' }, { precedent_id: 'trolley_fewer', value: 'low' }] }
+    ]);
+    assert.deepStrictEqual(inconsistency.links, [
+      { type: 'distinguishes', precedent_id: 'trolley_fewer', target: 'trolley_problem', reason: 'only one person is on the main track' }
+    ]);
+
+    const text = formatAuditReport(auditPrecedents([trolley, fewer]));
+    assert.ok(text.includes('parameter num_people_affected: trolley_problem "not specified", trolley_fewer 2'));
+    assert.ok(text.includes('trolley_fewer distinguishes trolley_problem: only one person is on the main track'));
+  });
+
+  it('audits a database from the CLI', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-audit-'));
+    try {
+      const file = path.join(dir, 'db.json');
+      fs.writeFileSync(file, JSON.stringify([trolley, dissent]));
+      const io = await runCli(['precedents', 'audit', '--db', file, '--quiet']);
+      assert.strictEqual(io.code, EXIT_CODES.SUCCESS);
+      assert.ok(io.out.startsWith('Audited 2 precedent(s): 1 inconsistent pair(s) at similarity 0.7 or more, 1 unexplained'));
+      assert.ok(io.out.includes('Utilitarianism: trolley_problem -> pull_lever; trolley_dissent -> do_nothing'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for precedent deduplication
+ *
+ * Covers clustering likely duplicates, comparing their fields, merging them by policy or by
+ * field choices, applying merges to a repository and the interactive dedup command.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+  findDuplicateClusters,
+  compareDuplicates,
+  selectPrimary,
+  mergeDuplicates,
+  planDeduplication,
+  applyMerges
+} = require('../src/precedentDedup');
+const { FilePrecedentRepository } = require('../src/precedentRepository');
+const { runCommand, EXIT_CODES } = require('../src/cliCommands');
+const { useTemporaryLogDirectory, loadDatabase, trolleyVariant, createIO, runCli } = require('./helpers');
+
+describe('Precedent Deduplication', () => {
+  useTemporaryLogDirectory();
+
+  const database = loadDatabase();
+  const trolley = database.find(p => p.precedent_id === 'trolley_problem');
+
+  // The trolley problem again, from another author, with a dissenting utilitarian path
+  const copy = trolleyVariant('trolley_copy', [
+    JSON.parse(JSON.stringify(trolley.reasoning_paths[0])),
+    { framework: 'Utilitarianism', conclusion: 'do_nothing', strength: 'weak', argument: 'The diverted trolley might derail and harm more people.' }
+  ], {
+    title: 'The Trolley Dilemma',
+    description: trolley.description.replace('runaway trolley', 'runaway tram'),
+    provenance: { source: 'Workshop notes', date: '2021', authority: 'unverified' },
+    tags: ['workshop']
+  });
+  const precedents = [...database, copy];
+
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-dedup-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('clusters likely duplicates and lists the fields they differ on', () => {
+    const clusters = findDuplicateClusters(precedents);
+    assert.deepStrictEqual(clusters.map(cluster => cluster.ids), [['trolley_problem', 'trolley_copy']]);
+    assert.ok(clusters[0].similarity >= 0.8);
+    assert.strictEqual(findDuplicateClusters(database).length, 0);
+
+    const differences = compareDuplicates([trolley, copy]);
+    assert.deepStrictEqual(differences.map(difference => difference.field), ['title', 'description', 'provenance', 'tags']);
+    assert.deepStrictEqual(differences[3].values, [
+      { precedent_id: 'trolley_problem', value: null },
+      { precedent_id: 'trolley_copy', value: ['workshop'] }
+    ]);
+  });
+
+  it('merges duplicates, combining reasoning paths and keeping both provenances', () => {
+    assert.strictEqual(selectPrimary([copy, trolley], 'authority'), 1);
+    assert.strictEqual(selectPrimary([trolley, copy], 'newest'), 1);
+    assert.strictEqual(selectPrimary([copy, trolley], 'first'), 0);
+
+    const merge = mergeDuplicates([trolley, copy], { choices: { title: 'trolley_copy' } });
+    assert.strictEqual(merge.primary, 'trolley_problem');
+    assert.deepStrictEqual(merge.absorbed, ['trolley_copy']);
+    assert.strictEqual(merge.merged.title, 'The Trolley Dilemma');
+    assert.strictEqual(merge.merged.description, trolley.description);
+    assert.deepStrictEqual(merge.merged.provenance, trolley.provenance);
+    assert.deepStrictEqual(merge.merged.tags, ['workshop']);
+    assert.deepStrictEqual(merge.merged.merged_from, [
+      { precedent_id: 'trolley_copy', title: 'The Trolley Dilemma', provenance: copy.provenance }
+    ]);
+
+    // The identical path is kept once, the dissenting one is added and reported
+    assert.deepStrictEqual(
+      merge.merged.reasoning_paths.map(p => [p.framework, p.conclusion, p.merged_from]),
+      [...trolley.reasoning_paths.map(p => [p.framework, p.conclusion, undefined]), ['Utilitarianism', 'do_nothing', 'trolley_copy']]
+    );
+    assert.deepStrictEqual(merge.conflicts, [{
+      framework: 'Utilitarianism',
+      conclusions: [{ precedent_id: 'trolley_problem', conclusion: 'pull_lever' }, { precedent_id: 'trolley_copy', conclusion: 'do_nothing' }]
+    }]);
+    assert.throws(() => planDeduplication(precedents, { policy: 'longest' }), TypeError);
+  });
+
+  it('applies merges to a repository and redirects links to the absorbed precedents', async () => {
+    const file = path.join(tmpDir, 'precedents.json');
+    const citing = { ...database[1], refines: ['trolley_copy'] };
+    fs.writeFileSync(file, JSON.stringify([trolley, citing, copy]));
+    const repository = new FilePrecedentRepository(file);
+
+    const plan = planDeduplication(await repository.list(), { policy: 'authority' });
+    const applied = await applyMerges(repository, plan.clusters.map(cluster => cluster.merge), { author: 'tester' });
+    assert.deepStrictEqual(applied, {
+      merged: [{ primary: 'trolley_problem', absorbed: ['trolley_copy'] }],
+      redirected: ['crying_baby_dilemma'],
+      failed: []
+    });
+
+    const stored = await repository.list();
+    assert.deepStrictEqual(stored.map(p => p.precedent_id), ['trolley_problem', 'crying_baby_dilemma']);
+    assert.deepStrictEqual(stored[1].refines, ['trolley_problem']);
+    assert.strictEqual((await repository.history('trolley_copy')).pop().message, 'Merged into trolley_problem');
+  });
+
+  it('asks how to merge each cluster with --merge interactive', async () => {
+    const file = path.join(tmpDir, 'db.json');
+    fs.writeFileSync(file, JSON.stringify([trolley, copy]));
+    const io = await runCli(['precedents', 'dedup', '--db', file, '--merge', 'interactive', '--format', 'json', '--quiet'], {
+      stdin: Readable.from(['2\n', '\n', '1\n', '\n'])
+    });
+    assert.strictEqual(io.code, EXIT_CODES.SUCCESS);
+    assert.ok(io.err.includes('Keep which precedent? [1-2, s to skip]'));
+
+    const report = JSON.parse(io.out);
+    assert.strictEqual(report.policy, 'interactive');
+    assert.strictEqual(report.clusters[0].merge.primary, 'trolley_copy');
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepStrictEqual(stored.map(p => [p.precedent_id, p.title, p.description]), [['trolley_copy', 'The Trolley Dilemma', trolley.description]]);
+    assert.strictEqual(stored[0].merged_from[0].precedent_id, 'trolley_problem');
+
+    assert.strictEqual(await runCommand(['precedents', 'dedup', '--merge', 'random'], createIO()), EXIT_CODES.USAGE);
+  });
+});
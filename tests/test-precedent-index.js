@@ -0,0 +1,129 @@
+/**
+ * Tests for the precedent index
+ *
+ * Covers TF-IDF candidate search, incremental updates and the shortlist used by
+ * findRelevantPrecedents.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PrecedentIndex, tokenize } = require('../src/precedentIndex');
+const { FilePrecedentRepository } = require('../src/precedentRepository');
+const { findRelevantPrecedents } = require('../src/similarity');
+const { createDilemma } = require('../src/createDilemma');
+const { normalizePrecedents } = require('../src/dilemmaNormalizer');
+const { INDEX_MIN_PRECEDENTS } = require('../src/precedentRetrieval');
+const { analyzeDilemma } = require('../index');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Precedent Index', () => {
+  useTemporaryLogDirectory();
+
+  const precedents = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'precedent-database.json'), 'utf8'));
+  const lifeboat = {
+    precedent_id: 'lifeboat',
+    title: 'Lifeboat',
+    description: 'An overcrowded lifeboat will sink in the storm unless one passenger leaves.',
+    reasoning_paths: [{ framework: 'Utilitarianism', conclusion: 'remove_one' }]
+  };
+
+  it('tokenizes into stemmed terms without stop words', () => {
+    assert.deepStrictEqual(tokenize('The patients are waiting for ventilators'), ['patient', 'wait', 'ventil']);
+    assert.deepStrictEqual(tokenize('pull_lever'), ['pull', 'lever']);
+  });
+
+  it('returns candidates sharing terms with the dilemma, best first', () => {
+    const index = new PrecedentIndex(precedents);
+    const results = index.search(createDilemma('trolley'));
+    assert.strictEqual(results[0].key, 'trolley_problem');
+    assert.ok(results[0].matchedTerms.includes('trollei'));
+    assert.ok(results.every((result, i) => i === 0 || results[i - 1].score >= result.score));
+    assert.deepStrictEqual(index.search({ title: 'Zebra', description: 'Quantum origami' }), []);
+  });
+
+  it('updates incrementally', () => {
+    const index = new PrecedentIndex(precedents);
+    const storm = { title: 'Storm at sea', description: 'A passenger must leave' };
+    assert.strictEqual(index.search(storm).length, 0);
+
+    assert.deepStrictEqual(index.sync([...precedents, lifeboat]), { added: 1, updated: 0, removed: 0 });
+    assert.strictEqual(index.search(storm)[0].key, 'lifeboat');
+
+    const changed = { ...lifeboat, description: 'A raft with too many people' };
+    assert.deepStrictEqual(index.sync([...precedents, changed]), { added: 0, updated: 1, removed: 0 });
+    assert.strictEqual(index.search(storm).length, 0);
+
+    assert.deepStrictEqual(index.sync(precedents), { added: 0, updated: 0, removed: 1 });
+    assert.strictEqual(index.size, precedents.length);
+  });
+
+  it('syncs and normalizes an unchanged database without serializing it', () => {
+    const database = [...precedents, lifeboat];
+    const normalized = normalizePrecedents(database);
+    const index = new PrecedentIndex(normalized);
+    const stringify = JSON.stringify;
+    let serialized = 0;
+    JSON.stringify = (...args) => {
+      serialized++;
+      return stringify(...args);
+    };
+    try {
+      assert.strictEqual(normalizePrecedents(database), normalized);
+      assert.deepStrictEqual(index.sync(normalized), { added: 0, updated: 0, removed: 0 });
+    } finally {
+      JSON.stringify = stringify;
+    }
+    assert.strictEqual(serialized, 0);
+  });
+
+  it('follows changes made through a precedent repository', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-index-'));
+    try {
+      const repository = new FilePrecedentRepository(path.join(dir, 'precedents.json'));
+      const index = new PrecedentIndex(await repository.list());
+      const stop = index.follow(repository);
+
+      await repository.create(lifeboat);
+      assert.ok(index.has('lifeboat'));
+      await repository.delete('lifeboat');
+      assert.ok(!index.has('lifeboat'));
+
+      stop();
+      await repository.rollback('lifeboat', 1);
+      assert.ok(!index.has('lifeboat'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('builds the index once for consecutive analyses of the same database', async () => {
+    const database = Array.from({ length: INDEX_MIN_PRECEDENTS }, (_, i) => ({
+      ...lifeboat,
+      precedent_id: `lifeboat_${i}`,
+      situation: `Storm number ${i}`
+    }));
+    const log = console.log;
+    const builds = [];
+    console.log = (...args) => {
+      if (String(args[0]).startsWith('Built precedent index')) builds.push(args[0]);
+    };
+    try {
+      await analyzeDilemma(lifeboat, database, { threshold: 0.9 });
+      await analyzeDilemma(lifeboat, database, { threshold: 0.9 });
+    } finally {
+      console.log = log;
+    }
+    assert.deepStrictEqual(builds, [`Built precedent index for ${INDEX_MIN_PRECEDENTS} precedents`]);
+  });
+
+  it('shortlists candidates for findRelevantPrecedents', async () => {
+    const dilemma = createDilemma('trolley');
+    const index = new PrecedentIndex(precedents);
+    const full = await findRelevantPrecedents(dilemma, precedents, 0.1, { index: false });
+    const indexed = await findRelevantPrecedents(dilemma, precedents, 0.1, { index, candidateLimit: 1 });
+    assert.strictEqual(indexed.length, 1);
+    assert.strictEqual(indexed[0].id || indexed[0].precedent_id, full[0].id || full[0].precedent_id);
+  });
+});
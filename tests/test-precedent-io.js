@@ -0,0 +1,106 @@
+/**
+ * Tests for precedent import and export
+ *
+ * Covers the CSV, YAML and JSON Lines round trips, the validation pass and the merge
+ * report for duplicates, and applying an import to a repository.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FORMATS, parseCsv, parsePrecedents, formatPrecedents, importPrecedents, applyImport } = require('../src/precedentIO');
+const { FilePrecedentRepository } = require('../src/precedentRepository');
+const { useTemporaryLogDirectory, loadDatabase } = require('./helpers');
+
+describe('Precedent Import/Export', () => {
+  useTemporaryLogDirectory();
+
+  const database = loadDatabase();
+
+  it('round-trips the precedent database through every format', () => {
+    for (const format of FORMATS) {
+      const text = formatPrecedents(database, format);
+      const parsed = parsePrecedents(text, format).entries.map(entry => entry.precedent);
+      assert.deepStrictEqual(parsed, database, `${format} round trip changed the precedents`);
+    }
+  });
+
+  it('parses quoted CSV cells with commas, quotes and line breaks', () => {
+    const records = parseCsv('a,b\n"x, y","say ""hi""\nthere"\n');
+    assert.deepStrictEqual(records, [
+      { line: 1, cells: ['a', 'b'] },
+      { line: 2, cells: ['x, y', 'say "hi"\nthere'] }
+    ]);
+    assert.throws(() => parseCsv('a\n"open'), /Unclosed quoted field/);
+  });
+
+  it('groups CSV rows into one precedent per precedent_id', () => {
+    const csv = [
+      'precedent_id,title,description,frameworks,possible_actions,framework,conclusion,strength,argument',
+      'lifeboat,Lifeboat,An overcrowded lifeboat,Utilitarianism; Care Ethics,remove_one: Remove one passenger; stay,Utilitarianism,remove_one,strong,More survive',
+      'lifeboat,,,,,Care Ethics,stay,moderate,Care for each person'
+    ].join('\n');
+    const { entries } = parsePrecedents(csv, 'csv');
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].source, 'lines 2-3');
+    assert.deepStrictEqual(entries[0].precedent.frameworks, ['Utilitarianism', 'Care Ethics']);
+    assert.deepStrictEqual(entries[0].precedent.possible_actions, [
+      { action: 'remove_one', description: 'Remove one passenger' },
+      { action: 'stay', description: 'stay' }
+    ]);
+    assert.deepStrictEqual(entries[0].precedent.reasoning_paths.map(p => p.framework), ['Utilitarianism', 'Care Ethics']);
+  });
+
+  it('reports invalid entries and duplicates by precedent_id and title', () => {
+    const jsonl = [
+      JSON.stringify({ precedent_id: 'trolley_problem', title: 'Trolley Problem', description: 'Same id', reasoning_paths: [{ framework: 'Utilitarianism', conclusion: 'pull_lever' }] }),
+      JSON.stringify({ precedent_id: 'trolley_2', title: 'The Trolley Problem', description: 'Similar title', reasoning_paths: [{ framework: 'Utilitarianism', conclusion: 'pull_lever' }] }),
+      JSON.stringify({ precedent_id: 'broken', title: 'Broken' })
+    ].join('\n');
+
+    const { precedents, report } = importPrecedents(jsonl, { format: 'jsonl', existing: database });
+    assert.strictEqual(report.total, 3);
+    assert.strictEqual(report.valid, 2);
+    assert.deepStrictEqual(report.invalid.map(entry => entry.source), ['line 3']);
+    assert.deepStrictEqual(report.duplicates.map(d => [d.id, d.reason, d.match.id]), [
+      ['trolley_problem', 'precedent_id', 'trolley_problem'],
+      ['trolley_2', 'title', 'trolley_problem']
+    ]);
+    assert.deepStrictEqual(precedents.map(p => p.action), ['skip', 'create']);
+    assert.deepStrictEqual(report.planned, { create: 1, update: 0, skip: 1 });
+
+    const updating = importPrecedents(jsonl, { format: 'jsonl', existing: database, onDuplicate: 'update' });
+    assert.deepStrictEqual(updating.precedents.map(p => p.action), ['update', 'create']);
+  });
+
+  it('matches duplicate titles written in other scripts', () => {
+    const entry = (id, title) => JSON.stringify({ precedent_id: id, title, description: title, reasoning_paths: [{ framework: 'Utilitarianism', conclusion: 'pull_lever' }] });
+    const jsonl = [
+      entry('vagonetka', 'Проблема вагонетки'),
+      entry('vagonetka_2', 'Проблема вагонетки!'),
+      entry('shlyupka', 'Дилемма спасательной шлюпки')
+    ].join('\n');
+
+    const { report } = importPrecedents(jsonl, { format: 'jsonl', existing: [] });
+    assert.deepStrictEqual(report.duplicates.map(d => [d.id, d.reason, d.match.id]), [['vagonetka_2', 'title', 'vagonetka']]);
+  });
+
+  it('applies an import to a repository', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-import-'));
+    try {
+      const repository = new FilePrecedentRepository(path.join(dir, 'precedents.json'));
+      const yamlText = formatPrecedents(database.slice(0, 2), 'yaml');
+
+      const first = importPrecedents(yamlText, { format: 'yaml', existing: await repository.list() });
+      const applied = await applyImport(repository, first.precedents, { author: 'importer' });
+      assert.strictEqual(applied.created.length, 2);
+      assert.strictEqual((await repository.history(applied.created[0]))[0].author, 'importer');
+
+      const second = importPrecedents(yamlText, { format: 'yaml', existing: await repository.list() });
+      assert.deepStrictEqual((await applyImport(repository, second.precedents)).skipped, applied.created);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Tests for precedent packs
+ *
+ * Covers discovering packs in pack directories and node_modules, loading their precedents,
+ * similarity profiles and adaptation rules, composing them with a base database and filtering
+ * retrieval by tags.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PACK_DIRECTORY,
+  validatePackManifest,
+  discoverPacks,
+  loadPrecedentPack,
+  loadPrecedentPacks,
+  composePrecedentDatabase
+} = require('../src/precedentPacks');
+const { getSimilarityProfile, getSimilarityProfiles } = require('../src/similarityProfiles');
+const { adaptReasoningPaths } = require('../src/adaptation');
+const { retrievePrecedents } = require('../src/precedentRetrieval');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Precedent Packs', () => {
+  useTemporaryLogDirectory();
+
+  const database = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'precedent-database.json'), 'utf8'));
+  let tmpDir;
+
+  const privacyPrecedent = {
+    precedent_id: 'data_breach_disclosure',
+    title: 'Data Breach Disclosure',
+    description: 'A company discovers that customer records were exposed. Disclosing the breach now may cause panic before the cause is known.',
+    tags: ['disclosure'],
+    reasoning_paths: [
+      { framework: 'Kantian Deontology', conclusion: 'disclose', strength: 'strong', argument: 'Customers have a right to know.' }
+    ]
+  };
+
+  /**
+   * Writes a pack directory
+   * @param {string} directory - Where to create the pack
+   * @param {Object} files - File name -> contents (objects are written as JSON)
+   * @returns {string} The pack directory
+   */
+  function writePack(directory, files) {
+    fs.mkdirSync(directory, { recursive: true });
+    for (const [name, contents] of Object.entries(files)) {
+      fs.writeFileSync(path.join(directory, name), typeof contents === 'string' ? contents : JSON.stringify(contents));
+    }
+    return directory;
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-packs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Loading a pack registers its profile; leave the configured profiles as they were
+  after(() => {
+    ['data-privacy', 'autonomous-vehicles'].forEach(name => getSimilarityProfiles().delete(name));
+  });
+
+  it('discovers packs in pack directories and node_modules', () => {
+    const packs = path.join(tmpDir, 'packs');
+    writePack(path.join(packs, 'data-privacy'), { 'pack.json': { name: 'data-privacy', version: '0.1.0', tags: ['privacy'] } });
+    writePack(path.join(packs, 'broken'), { 'pack.json': { name: 'no spaces allowed' } });
+    writePack(path.join(packs, 'notes'), { 'README.md': 'not a pack' });
+    const modules = path.join(tmpDir, 'node_modules');
+    writePack(path.join(modules, '@hospital', 'rea-pack-triage'), {
+      'package.json': { name: '@hospital/rea-pack-triage', version: '2.0.0', description: 'Triage cases', reaPack: { tags: ['medical'] } }
+    });
+    writePack(path.join(modules, 'lodash'), { 'package.json': { name: 'lodash', reaPack: {} } });
+
+    const found = discoverPacks([packs, modules]);
+    assert.deepStrictEqual(found.map(pack => [pack.name, pack.version, pack.tags]), [
+      ['data-privacy', '0.1.0', ['privacy']],
+      ['triage', '2.0.0', ['medical']]
+    ]);
+    assert.deepStrictEqual(validatePackManifest({ name: 'x', tags: 'medical', rules: 3 }), ['tags must be a list of strings', 'rules must be a string']);
+  });
+
+  it('loads the precedents, profile and rules of a pack', () => {
+    const directory = writePack(path.join(tmpDir, 'data-privacy'), {
+      'pack.json': { name: 'data-privacy', tags: ['privacy'], precedents: 'cases', profile: 'profile.yaml', rules: 'rules.js' },
+      'profile.yaml': 'description: Privacy cases\nweights:\n  description: 0.6\n',
+      'rules.js': "module.exports = { markPrivacy: reasoningPath => ({ ...reasoningPath, argument: reasoningPath.argument + ' [privacy]' }) };"
+    });
+    writePack(path.join(directory, 'cases'), {
+      'breach.yaml': `- ${JSON.stringify(privacyPrecedent)}\n- title: Missing reasoning paths\n  precedent_id: incomplete\n`
+    });
+
+    const pack = loadPrecedentPack(directory);
+    assert.deepStrictEqual(pack.precedents.map(p => [p.id, p.pack, p.tags]), [
+      ['data_breach_disclosure', 'data-privacy', ['privacy', 'disclosure']]
+    ]);
+    assert.strictEqual(getSimilarityProfile('data-privacy').weights.description, 0.6);
+    assert.deepStrictEqual(pack.rules.map(rule => rule.name), ['markPrivacy']);
+    assert.strictEqual(loadPrecedentPack(directory), pack);
+
+    // The rules apply to paths adapted from the pack's precedents only
+    const dilemma = { title: 'Leaked Patient Files', description: 'A hospital finds that patient files were leaked.' };
+    const [adapted] = adaptReasoningPaths(pack.precedents[0], dilemma);
+    assert.ok(adapted.argument.endsWith('[privacy]'));
+    const trolley = database.find(p => p.precedent_id === 'trolley_problem');
+    assert.ok(!adaptReasoningPaths(trolley, dilemma)[0].argument.includes('[privacy]'));
+  });
+
+  it('composes packs with the base database, keeping the first precedent of an id', () => {
+    const first = writePack(path.join(tmpDir, 'packs', 'first'), {
+      'pack.json': { name: 'first' },
+      'precedents.json': [privacyPrecedent, { ...database[0] }]
+    });
+    writePack(path.join(tmpDir, 'packs', 'second'), {
+      'pack.json': { name: 'second' },
+      'precedents.json': [{ ...privacyPrecedent, title: 'Another Breach' }]
+    });
+
+    const packs = loadPrecedentPacks('second, first, missing', [path.join(tmpDir, 'packs')]);
+    assert.deepStrictEqual(packs.map(pack => pack.name), ['second', 'first']);
+    assert.strictEqual(loadPrecedentPacks(['all'], [path.join(tmpDir, 'packs')]).length, 2);
+
+    const combined = composePrecedentDatabase(database, packs);
+    assert.strictEqual(combined.length, database.length + 1);
+    assert.strictEqual(combined[combined.length - 1].title, 'Another Breach');
+    assert.strictEqual(loadPrecedentPack(first).precedents.length, 2);
+  });
+
+  it('filters retrieval by tags', async () => {
+    const [pack] = loadPrecedentPacks('autonomous-vehicles', [PACK_DIRECTORY]);
+    const precedents = composePrecedentDatabase(database, [pack]);
+    const dilemma = {
+      title: 'Driverless Car Brake Failure',
+      description: 'A driverless car loses its brakes near a crosswalk full of pedestrians. It can swerve into a wall, risking its passenger.'
+    };
+
+    const tagged = await retrievePrecedents(dilemma, precedents, { threshold: 0, filters: { tags: ['transport'] } });
+    assert.deepStrictEqual(tagged.map(p => p.pack), ['autonomous-vehicles', 'autonomous-vehicles']);
+    const collisions = await retrievePrecedents(dilemma, precedents, { threshold: 0, filters: { tags: 'collision' } });
+    assert.deepStrictEqual(collisions.map(p => p.id), ['av_swerve_dilemma']);
+    assert.ok(getSimilarityProfile('autonomous-vehicles'));
+  });
+});
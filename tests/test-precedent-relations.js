@@ -0,0 +1,101 @@
+/**
+ * Tests for the relations between precedents
+ *
+ * Covers suppressing and flagging overruled precedents during retrieval, annotating refined and
+ * distinguished precedents, validating the links and explaining exclusions in analyses and reports.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { getDeclaredRelations, buildRelationIndex, validateRelations } = require('../src/precedentRelations');
+const { retrievePrecedents, retrieveWithExclusions } = require('../src/precedentRetrieval');
+const { validatePrecedentDatabase } = require('../src/schemaValidator');
+const { generateMarkdownReport } = require('../src/reportGenerator');
+const { analyzeDilemma } = require('../index');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Precedent Relations', () => {
+  useTemporaryLogDirectory();
+
+  const database = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'precedent-database.json'), 'utf8'));
+  const trolley = database.find(p => p.precedent_id === 'trolley_problem');
+
+  // A later trolley case that overrules the original and refines the transplant case
+  const revisited = {
+    ...trolley,
+    precedent_id: 'trolley_revisited',
+    title: 'Trolley Problem Revisited',
+    overrules: [{ id: 'trolley_problem', reason: 'bystanders may not redirect the harm' }],
+    refines: ['transplant_dilemma']
+  };
+  const precedents = [...database, revisited];
+
+  const dilemma = {
+    title: 'Runaway Trolley',
+    description: 'A runaway trolley is heading toward five people. You can pull a lever to divert it to a side track where it will kill one person.'
+  };
+
+  it('reads the links a precedent declares', () => {
+    assert.deepStrictEqual(getDeclaredRelations(revisited), [
+      { type: 'overrules', target: 'trolley_problem', reason: 'bystanders may not redirect the harm' },
+      { type: 'refines', target: 'transplant_dilemma', reason: null }
+    ]);
+
+    const index = buildRelationIndex(precedents);
+    assert.deepStrictEqual(index.get('transplant_dilemma'), [
+      { relation: 'refined_by', precedent_id: 'trolley_revisited', title: 'Trolley Problem Revisited', reason: null }
+    ]);
+    assert.strictEqual(index.get('trolley_revisited'), undefined);
+  });
+
+  it('suppresses overruled precedents and explains why', async () => {
+    const { results, excluded } = await retrieveWithExclusions(dilemma, precedents, { threshold: 0.1 });
+
+    assert.ok(results.some(p => p.precedent_id === 'trolley_revisited'));
+    assert.ok(!results.some(p => p.precedent_id === 'trolley_problem'));
+    assert.deepStrictEqual(excluded.map(p => p.precedent_id), ['trolley_problem']);
+    assert.strictEqual(excluded[0].reason, 'overruled by Trolley Problem Revisited (trolley_revisited): bystanders may not redirect the harm');
+
+    const transplant = results.find(p => p.precedent_id === 'transplant_dilemma');
+    assert.strictEqual(transplant.precedentRelations[0].relation, 'refined_by');
+  });
+
+  it('flags overruled precedents or ignores the links on request', async () => {
+    const flagged = await retrievePrecedents(dilemma, precedents, { threshold: 0.1, relations: 'flag' });
+    const original = flagged.find(p => p.precedent_id === 'trolley_problem');
+    assert.strictEqual(original.overruled, true);
+    assert.strictEqual(original.precedentRelations[0].relation, 'overruled_by');
+
+    const ignored = await retrievePrecedents(dilemma, precedents, { threshold: 0.1, relations: 'ignore' });
+    const plain = ignored.find(p => p.precedent_id === 'trolley_problem');
+    assert.strictEqual(plain.overruled, undefined);
+    assert.strictEqual(plain.precedentRelations, undefined);
+  });
+
+  it('warns about unknown, self and circular links', () => {
+    const issues = validateRelations([
+      { precedent_id: 'a', overrules: ['b', 'a'] },
+      { precedent_id: 'b', overrules: [{ id: 'a' }], distinguishes: ['lifeboat'] }
+    ]);
+    assert.deepStrictEqual(issues, [
+      { path: '$[0].overrules[1]', message: 'links the precedent to itself' },
+      { path: '$[1].distinguishes[0]', message: 'refers to unknown precedent "lifeboat"' },
+      { path: '$', message: 'precedents overrule each other: a -> b -> a' }
+    ]);
+
+    const report = validatePrecedentDatabase([...precedents, { ...revisited, precedent_id: 'broken', overrules: [{ reason: 'no id' }] }]);
+    assert.deepStrictEqual(report.errors.map(error => error.path), ['$[5].overrules[0]']);
+    assert.deepStrictEqual(validatePrecedentDatabase(precedents).warnings, validatePrecedentDatabase(database).warnings);
+  });
+
+  it('lists the excluded precedents in analyses and reports', async () => {
+    const results = await analyzeDilemma(dilemma, precedents, { threshold: 0.1 });
+    assert.deepStrictEqual(results.excludedPrecedents.map(p => p.precedent_id), ['trolley_problem']);
+    assert.notStrictEqual(results.bestMatch.precedent.precedent_id, 'trolley_problem');
+
+    const markdown = generateMarkdownReport(results, { generatedAt: '2024-01-01T00:00:00Z' });
+    assert.ok(markdown.includes('### Excluded Precedents'));
+    assert.ok(markdown.includes('overruled by Trolley Problem Revisited (trolley_revisited)'));
+  });
+});
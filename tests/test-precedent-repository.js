@@ -0,0 +1,153 @@
+/**
+ * Tests for the precedent repositories
+ *
+ * Runs the same CRUD, history and rollback checks against the file-backed and
+ * SQLite implementations.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FilePrecedentRepository, RepositoryError, diffPrecedents } = require('../src/precedentRepository');
+const { SqlitePrecedentRepository } = require('../src/sqlitePrecedentRepository');
+const { addPrecedentToDatabase } = require('../src/precedents');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+const precedent = {
+  precedent_id: 'lifeboat',
+  title: 'Lifeboat',
+  description: 'An overcrowded lifeboat will sink unless one passenger leaves.',
+  reasoning_paths: [{ framework: 'Utilitarianism', conclusion: 'remove_one', argument: 'More survive.', strength: 'moderate' }]
+};
+
+const implementations = {
+  file: dir => new FilePrecedentRepository(path.join(dir, 'precedents.json')),
+  sqlite: dir => SqlitePrecedentRepository.open(path.join(dir, 'precedents.sqlite'))
+};
+
+describe('Precedent Repository', () => {
+  useTemporaryLogDirectory();
+
+  it('diffs nested values by path', () => {
+    const diff = diffPrecedents({ a: 1, b: { c: [1, 2] } }, { a: 1, b: { c: [1, 3], d: 'x' } });
+    assert.deepStrictEqual(diff, [
+      { path: '$.b.c[1]', op: 'replace', from: 2, to: 3 },
+      { path: '$.b.d', op: 'add', to: 'x' }
+    ]);
+  });
+
+  for (const [type, open] of Object.entries(implementations)) {
+    describe(type, () => {
+      let dir;
+      let repository;
+
+      beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), `rea-repo-${type}-`));
+        repository = await open(dir);
+      });
+
+      afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+      });
+
+      it('creates, reads, updates and deletes precedents with revisions', async () => {
+        const created = await repository.create(precedent, { author: 'alice' });
+        assert.strictEqual(created.revision, 1);
+        assert.strictEqual(created.operation, 'create');
+        assert.strictEqual(created.author, 'alice');
+        assert.deepStrictEqual(await repository.get('lifeboat'), precedent);
+
+        const updated = await repository.update('lifeboat', { ...precedent, title: 'Lifeboat Case' }, { author: 'bob', message: 'Rename' });
+        assert.strictEqual(updated.revision, 2);
+        assert.deepStrictEqual(updated.diff, [{ path: '$.title', op: 'replace', from: 'Lifeboat', to: 'Lifeboat Case' }]);
+        assert.strictEqual(await repository.update('lifeboat', { ...precedent, title: 'Lifeboat Case' }), null);
+
+        await repository.delete('lifeboat', { author: 'carol' });
+        assert.strictEqual(await repository.get('lifeboat'), null);
+        assert.deepStrictEqual((await repository.history('lifeboat')).map(r => r.operation), ['create', 'update', 'delete']);
+      });
+
+      it('rolls back to an earlier revision, including after a delete', async () => {
+        await repository.create(precedent);
+        await repository.update('lifeboat', { ...precedent, description: 'Changed' });
+        await repository.delete('lifeboat');
+
+        const restored = await repository.rollback('lifeboat', 1, { author: 'alice' });
+        assert.strictEqual(restored.operation, 'rollback');
+        assert.strictEqual(restored.revision, 4);
+        assert.deepStrictEqual(await repository.get('lifeboat'), precedent);
+        assert.strictEqual(await repository.rollback('lifeboat', 1), null);
+      });
+
+      it('persists precedents and history across instances', async () => {
+        await repository.create(precedent);
+        if (repository.close) repository.close();
+
+        const reopened = await open(dir);
+        assert.deepStrictEqual((await reopened.list()).map(p => p.precedent_id), ['lifeboat']);
+        assert.strictEqual((await reopened.history('lifeboat')).length, 1);
+      });
+
+      it('rejects invalid, duplicate and unknown precedents', async () => {
+        await assert.rejects(repository.create({ precedent_id: 'x', title: 'No paths' }), err => err instanceof RepositoryError && err.code === 'invalid');
+        await repository.create(precedent);
+        await assert.rejects(repository.create(precedent), err => err.code === 'conflict');
+        await assert.rejects(repository.update('missing', precedent), err => err.code === 'not_found');
+        await assert.rejects(repository.update('lifeboat', { ...precedent, precedent_id: 'other' }), err => err.code === 'conflict');
+        await assert.rejects(repository.rollback('lifeboat', 9), err => err.code === 'not_found');
+      });
+    });
+  }
+
+  it('records an import revision for precedents that existed before the first change', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-repo-import-'));
+    try {
+      const databasePath = path.join(dir, 'precedents.json');
+      fs.writeFileSync(databasePath, JSON.stringify([precedent]));
+      const repository = new FilePrecedentRepository(databasePath);
+
+      await repository.update('lifeboat', { ...precedent, title: 'Edited' });
+      const history = await repository.history('lifeboat');
+      assert.deepStrictEqual(history.map(r => r.operation), ['import', 'update']);
+      assert.ok(fs.existsSync(path.join(dir, 'precedents.history.json')));
+
+      await repository.rollback('lifeboat', 1);
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(databasePath, 'utf8')), [precedent]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('records no revision when the database cannot be written', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-repo-write-'));
+    try {
+      const databasePath = path.join(dir, 'precedents.json');
+      fs.writeFileSync(databasePath, '[]');
+      // A directory in the place of the temporary file makes the database write fail
+      fs.mkdirSync(`${databasePath}.${process.pid}.tmp`);
+      const repository = new FilePrecedentRepository(databasePath);
+
+      await assert.rejects(repository.create(precedent));
+      assert.ok(!fs.existsSync(path.join(dir, 'precedents.history.json')));
+      assert.deepStrictEqual(await repository.history('lifeboat'), []);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('adds precedents through addPrecedentToDatabase, resolving to the success status', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-repo-add-'));
+    try {
+      const databasePath = path.join(dir, 'precedents.json');
+      const added = addPrecedentToDatabase(precedent, { databasePath });
+      assert.ok(added instanceof Promise);
+      assert.strictEqual(await added, true);
+      assert.strictEqual(await addPrecedentToDatabase(precedent, { databasePath }), false);
+      assert.strictEqual(await addPrecedentToDatabase({ title: 'No id' }, { databasePath }), false);
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(databasePath, 'utf8')), [precedent]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
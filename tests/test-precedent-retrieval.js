@@ -0,0 +1,121 @@
+/**
+ * Tests for the precedent retrieval service
+ *
+ * Checks the query defaults, the filters, and that every entry point ranks the same
+ * precedents the same way.
+ */
+
+const assert = require('assert');
+const { createRetrievalQuery, retrievePrecedents } = require('../src/precedentRetrieval');
+const similarity = require('../src/similarity');
+const precedents = require('../src/precedents');
+const { analyzeDilemma } = require('../index');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Precedent Retrieval', () => {
+  useTemporaryLogDirectory();
+
+  const dilemma = {
+    title: 'Ventilator Allocation',
+    description: 'A hospital must decide how to allocate scarce ventilators between patients during a pandemic.',
+    possible_actions: [
+      { action: 'prioritize_survival', description: 'Treat those most likely to survive first.' },
+      { action: 'random_lottery', description: 'Allocate ventilators by lottery.' }
+    ]
+  };
+
+  const database = [
+    {
+      id: 'medical_triage',
+      title: 'Medical Triage',
+      description: 'Doctors must decide which patients to treat first when scarce resources run out during a mass casualty event.',
+      possible_actions: [{ action: 'prioritize_survival', description: 'Treat those most likely to survive.' }],
+      reasoning_paths: [{ id: 'mt_util', framework: 'Utilitarianism', action: 'prioritize_survival', argument: 'Saves the most lives.' }]
+    },
+    {
+      id: 'organ_lottery',
+      title: 'Organ Allocation Lottery',
+      description: 'A transplant board must decide how to allocate scarce organs between patients on a waiting list.',
+      possible_actions: [{ action: 'random_lottery', description: 'Draw lots.' }],
+      reasoning_paths: [{ id: 'ol_kant', framework: 'Kantian Deontology', action: 'random_lottery', argument: 'Treats every patient as an equal.' }]
+    },
+    {
+      id: 'no_paths',
+      title: 'Ventilator Allocation Draft',
+      description: 'A hospital must decide how to allocate scarce ventilators during a pandemic.',
+      reasoning_paths: []
+    }
+  ];
+
+  it('completes queries with defaults and accepts the flat weight options', () => {
+    const query = createRetrievalQuery({ descriptionWeight: 0.6, filters: { frameworks: 'Utilitarianism' } });
+    assert.strictEqual(query.threshold, 0.3);
+    assert.strictEqual(query.maxResults, 5);
+    assert.deepStrictEqual(query.weights, { description: 0.6, title: 0.2, actions: 0.4, structure: 0 });
+    assert.strictEqual(query.profile.name, 'default');
+    assert.deepStrictEqual(query.filters.frameworks, ['Utilitarianism']);
+    assert.strictEqual(query.filters.requireReasoningPaths, true);
+
+    assert.strictEqual(createRetrievalQuery({ threshold: 2 }).threshold, 0.3);
+  });
+
+  it('filters by framework and id and skips precedents without reasoning paths', async () => {
+    const all = await retrievePrecedents(dilemma, database, { threshold: 0 });
+    assert.deepStrictEqual(all.map(p => p.id).sort(), ['medical_triage', 'organ_lottery']);
+
+    const utilitarian = await retrievePrecedents(dilemma, database, { threshold: 0, filters: { frameworks: ['utilitarianism'] } });
+    assert.deepStrictEqual(utilitarian.map(p => p.id), ['medical_triage']);
+
+    const excluded = await retrievePrecedents(dilemma, database, { threshold: 0, filters: { excludeIds: ['medical_triage'] } });
+    assert.deepStrictEqual(excluded.map(p => p.id), ['organ_lottery']);
+
+    const withDrafts = await retrievePrecedents(dilemma, database, { threshold: 0, filters: { ids: ['no_paths'], requireReasoningPaths: false } });
+    assert.deepStrictEqual(withDrafts.map(p => p.id), ['no_paths']);
+  });
+
+  it('returns the same ranking from every entry point', async () => {
+    const expected = await retrievePrecedents(dilemma, database, { threshold: 0.1 });
+    const fromSimilarity = await similarity.findRelevantPrecedents(dilemma, database, 0.1);
+    const fromPrecedents = await precedents.findRelevantPrecedents(dilemma, database, 0.1);
+
+    const ranking = results => results.map(p => [p.id, p.totalSimilarityScore]);
+    assert.ok(expected.length > 0);
+    assert.deepStrictEqual(ranking(fromSimilarity), ranking(expected));
+    assert.deepStrictEqual(ranking(fromPrecedents), ranking(expected));
+  });
+
+  it('returns the same result shape from findRelevantPrecedents', async () => {
+    for (const find of [similarity.findRelevantPrecedents, precedents.findRelevantPrecedents]) {
+      const pending = find(dilemma, database, 0.1);
+      assert.ok(pending instanceof Promise);
+      const best = (await pending).find(p => p.id === 'medical_triage');
+
+      assert.strictEqual(best.similarity, best.totalSimilarityScore);
+      ['descriptionSimilarity', 'titleSimilarity', 'actionRelevance'].forEach(field => assert.strictEqual(typeof best[field], 'number'));
+      assert.deepStrictEqual(best.similarityBreakdown.components.map(c => c.name), ['description', 'title', 'actions']);
+      assert.deepStrictEqual(best.reasoning_paths, database[0].reasoning_paths);
+    }
+  });
+
+  it('describes dilemmas without a description by their other fields', async () => {
+    const undescribed = {
+      title: 'Ventilator Allocation',
+      description: '',
+      situation: { type: 'Medical', context: ['A hospital must decide how to allocate scarce ventilators between patients.'] },
+      possible_actions: dilemma.possible_actions
+    };
+    const results = await retrievePrecedents(undescribed, database, { threshold: 0 });
+
+    assert.deepStrictEqual(results.map(p => p.id).sort(), ['medical_triage', 'organ_lottery']);
+    assert.ok(results.every(p => p.descriptionSimilarity > 0));
+    assert.deepStrictEqual(await retrievePrecedents({ title: '', description: '' }, database, { threshold: 0 }), []);
+  });
+
+  it('uses the retrieval query in analyzeDilemma', async () => {
+    const query = { threshold: 0.1, filters: { frameworks: ['Kantian Deontology'] } };
+    const results = await analyzeDilemma(dilemma, database, { query });
+
+    assert.ok(results.bestMatch);
+    assert.strictEqual(results.bestMatch.precedent.id, 'organ_lottery');
+  });
+});
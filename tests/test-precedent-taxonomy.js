@@ -0,0 +1,90 @@
+/**
+ * Tests for the precedent taxonomy
+ *
+ * Covers clustering the corpus with each linkage, labelling the clusters, listing the outliers,
+ * exporting the tree and browsing it from the API and the CLI.
+ */
+
+const assert = require('assert');
+const { buildTaxonomy, browseTaxonomy, formatTaxonomy, getLabelTerms } = require('../src/precedentTaxonomy');
+const { getPrecedentDatabase } = require('../src/precedents');
+const { getSimilarityProfiles } = require('../src/similarityProfiles');
+const { runCommand, EXIT_CODES } = require('../src/cliCommands');
+const { useTemporaryLogDirectory, createIO, runCli } = require('./helpers');
+
+describe('Precedent Taxonomy', () => {
+  useTemporaryLogDirectory();
+
+  let precedents;
+  let taxonomy;
+
+  before(() => {
+    precedents = getPrecedentDatabase(undefined, { packs: ['autonomous-vehicles'] });
+    taxonomy = buildTaxonomy(precedents);
+  });
+
+  // Loading the pack registers its profile; leave the configured profiles as they were
+  after(() => {
+    getSimilarityProfiles().delete('autonomous-vehicles');
+  });
+
+  /**
+   * Lists the precedent ids under a tree node
+   * @param {Object} node - A root, cluster or precedent node
+   * @returns {Array<string>} The ids, in tree order
+   */
+  function leaves(node) {
+    return node.children ? node.children.flatMap(leaves) : [node.precedent_id];
+  }
+
+  it('clusters similar precedents and lists the outliers', () => {
+    assert.strictEqual(taxonomy.total, 6);
+    assert.deepStrictEqual(taxonomy.clusters.map(cluster => cluster.precedents), [
+      ['trolley_problem', 'crying_baby_dilemma'],
+      ['transplant_dilemma', 'medical_triage']
+    ]);
+    assert.ok(taxonomy.clusters.every(cluster => cluster.similarity >= 0.5));
+    assert.deepStrictEqual(taxonomy.outliers.map(outlier => [outlier.precedent_id, outlier.nearest.precedent_id]), [
+      ['av_swerve_dilemma', 'trolley_problem'],
+      ['av_emergency_vehicle_yield', 'av_swerve_dilemma']
+    ]);
+
+    // Every precedent appears once in the exported tree
+    assert.deepStrictEqual(leaves(taxonomy.tree).sort(), precedents.map(p => p.precedent_id).sort());
+    assert.strictEqual(JSON.parse(JSON.stringify(taxonomy.tree)).children.length, 4);
+  });
+
+  it('labels clusters with the situation terms their precedents share', () => {
+    assert.deepStrictEqual(Array.from(getLabelTerms(precedents[3]).values()).slice(0, 4), ['resource', 'allocation', 'dilemma', 'medical']);
+
+    const [lives, medical] = taxonomy.clusters;
+    assert.strictEqual(medical.label, 'medical');
+    assert.deepStrictEqual(medical.terms, [{ term: 'medical', coverage: 1, score: 1 }]);
+    assert.ok(lives.label.split(', ').includes('lives'));
+  });
+
+  it('nests subclusters and depends on the linkage', () => {
+    const loose = buildTaxonomy(precedents, { threshold: 0.3, linkage: 'single' });
+    assert.strictEqual(loose.clusters.length, 1);
+    assert.deepStrictEqual(loose.outliers.map(outlier => outlier.precedent_id), ['av_emergency_vehicle_yield']);
+    assert.strictEqual(loose.clusters[0].size, 5);
+    assert.ok(loose.clusters[0].children.some(child => child.id === '1.1'));
+
+    const strict = buildTaxonomy(precedents, { threshold: 0.3, linkage: 'complete' });
+    assert.ok(strict.clusters[0].size < 5);
+    assert.throws(() => buildTaxonomy(precedents, { linkage: 'ward' }), TypeError);
+  });
+
+  it('browses the taxonomy from the API and the CLI', async () => {
+    const triage = browseTaxonomy(taxonomy, 'triage');
+    assert.deepStrictEqual(triage.clusters.map(cluster => cluster.id), ['2']);
+    assert.deepStrictEqual(browseTaxonomy(taxonomy, 'emergency vehicle').outliers.map(o => o.precedent_id), ['av_emergency_vehicle_yield']);
+    assert.ok(formatTaxonomy(triage).startsWith('Matching "triage": 1 cluster(s), 0 outlier(s)'));
+
+    const io = await runCli(['precedents', 'taxonomy', '--packs', 'autonomous-vehicles', '--find', 'medical', '--format', 'json', '--quiet']);
+    assert.strictEqual(io.code, EXIT_CODES.SUCCESS);
+    assert.deepStrictEqual(JSON.parse(io.out).clusters[0].precedents, ['transplant_dilemma', 'medical_triage']);
+
+    assert.strictEqual(await runCommand(['precedents', 'taxonomy', '--linkage', 'ward'], createIO()), EXIT_CODES.USAGE);
+  });
+});
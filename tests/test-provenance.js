@@ -0,0 +1,84 @@
+/**
+ * Tests for precedent provenance and citations
+ *
+ * Covers validating provenance, formatting citations, citing precedents in adapted reasoning
+ * paths and the citation list of reports.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { AUTHORITY_LEVELS, getProvenance, getAuthorityRank, formatCitation, createCitation, collectCitations } = require('../src/provenance');
+const { validatePrecedent } = require('../src/schemaValidator');
+const { adaptReasoningPaths } = require('../src/adaptation');
+const { generateMarkdownReport, generateHtmlReport } = require('../src/reportGenerator');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Precedent Provenance', () => {
+  useTemporaryLogDirectory();
+
+  const precedents = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'precedent-database.json'), 'utf8'));
+  const trolley = precedents.find(p => p.precedent_id === 'trolley_problem');
+  const triage = precedents.find(p => p.precedent_id === 'medical_triage');
+
+  it('validates the provenance of precedents', () => {
+    for (const precedent of precedents) {
+      assert.deepStrictEqual(validatePrecedent(precedent).errors, [], precedent.precedent_id);
+    }
+
+    const report = validatePrecedent({ ...trolley, provenance: { source: 'Lecture notes', date: 'spring 1967', authority: 'gospel' } });
+    assert.deepStrictEqual(report.errors.map(error => error.path), ['$.provenance.date', '$.provenance.authority']);
+    assert.ok(report.errors[0].message.includes('YYYY-MM-DD'));
+  });
+
+  it('formats citations and ranks authority levels', () => {
+    assert.strictEqual(
+      formatCitation(trolley),
+      'Philippa Foot (1967). The Problem of Abortion and the Doctrine of the Double Effect. Oxford Review, 5. Authority: scholarly.'
+    );
+    assert.strictEqual(formatCitation({ title: 'Lifeboat' }), 'No provenance recorded. Authority: unverified.');
+    assert.deepStrictEqual(getProvenance({ precedent: triage }), { source: 'REA example case', authority: 'illustrative' });
+
+    assert.strictEqual(AUTHORITY_LEVELS[0], 'binding');
+    assert.ok(getAuthorityRank('scholarly') < getAuthorityRank('illustrative'));
+    assert.strictEqual(getAuthorityRank('rumour'), getAuthorityRank('unverified'));
+  });
+
+  it('cites the precedent in adapted reasoning paths', () => {
+    const dilemma = { title: 'Runaway Mine Cart', description: 'A mine cart is heading toward five workers. You can switch it to a siding where it will kill one worker.' };
+    const adapted = adaptReasoningPaths(trolley, dilemma);
+
+    assert.strictEqual(adapted.length, trolley.reasoning_paths.length);
+    for (const reasoningPath of adapted) {
+      assert.strictEqual(reasoningPath.citation.precedent_id, 'trolley_problem');
+      assert.strictEqual(reasoningPath.citation.authority, 'scholarly');
+      assert.ok(reasoningPath.argument.includes('Source: Philippa Foot (1967).'));
+    }
+    assert.strictEqual(trolley.reasoning_paths[0].citation, undefined);
+  });
+
+  it('lists the cited precedents in reports', () => {
+    const trolleyCitation = createCitation(trolley);
+    const triageCitation = createCitation(triage);
+    const results = {
+      dilemma: { title: 'Runaway Mine Cart' },
+      bestMatch: { precedent: trolley, similarity: 0.7 },
+      reasoningPaths: [
+        { framework: 'Utilitarianism', action: 'switch', strength: 'strong', argument: 'Five outweigh one.', citation: trolleyCitation },
+        { framework: 'Care Ethics', action: 'switch', strength: 'weak', argument: 'Attend to the injured.', citation: triageCitation },
+        { framework: 'Kantian Deontology', action: 'wait', strength: 'moderate', argument: 'No one is a means.', citation: trolleyCitation }
+      ]
+    };
+    assert.deepStrictEqual(collectCitations(results.reasoningPaths).map(c => [c.index, c.precedent_id]), [[1, 'trolley_problem'], [2, 'medical_triage']]);
+
+    const markdown = generateMarkdownReport(results, { generatedAt: 'now' });
+    assert.ok(markdown.includes('Source [1]: Philippa Foot (1967).'));
+    assert.ok(markdown.includes('(strength: weak, cites [2])'));
+    assert.ok(markdown.includes('## Citations'));
+    assert.ok(markdown.includes('2. **Medical Triage** (`medical_triage`): REA example case. Authority: illustrative.'));
+
+    const html = generateHtmlReport(results, { generatedAt: 'now' });
+    assert.ok(html.includes('<li id="citation-1"><strong>Trolley Problem</strong>'));
+    assert.ok(generateMarkdownReport({ dilemma: { title: 'x' } }).includes('No precedents were cited.'));
+  });
+});
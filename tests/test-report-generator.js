@@ -0,0 +1,93 @@
+/**
+ * Tests for the Markdown and HTML report generator
+ *
+ * Uses a fixed analysis result so the rendered sections can be checked directly.
+ */
+
+const assert = require('assert');
+const { generateReport, generateMarkdownReport, generateHtmlReport } = require('../src/reportGenerator');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Report Generator', () => {
+  useTemporaryLogDirectory();
+
+  const results = {
+    dilemma: {
+      title: 'Trolley <Variant>',
+      description: 'Five people on the main track, one on the side track.',
+      possible_actions: [
+        { action: 'pull_lever', description: 'Divert the trolley' },
+        { action: 'dont_pull', description: 'Do nothing' }
+      ]
+    },
+    bestMatch: {
+      precedent: {
+        title: 'Trolley Problem',
+        similarityBreakdown: {
+          score: 0.8123,
+          components: [
+            { name: 'description', score: 0.9, weight: 0.4, contribution: 0.36 },
+            { name: 'title', score: 0.8, weight: 0.2, contribution: 0.16 },
+            { name: 'actions', score: 0.73, weight: 0.4, contribution: 0.2923 }
+          ],
+          matchedActions: [{ action: 'pull_lever', relevance: 0.73, matchedAction: 'pull_lever', nameSimilarity: 1 }],
+          matchedFactors: [{ factor: 'urgency', value1: 'high', value2: 'high', score: 1 }],
+          matchedParameters: []
+        }
+      },
+      similarity: 0.8123
+    },
+    keyDifferences: [{ type: 'parameter', name: 'num_people_side_track', precedent_value: 1, new_value: 2 }],
+    reasoningPaths: [
+      { framework: 'Utilitarianism', action: 'pull_lever', strength: 'strong', argument: 'Saving five | maximizes welfare.' },
+      { framework: 'Kantian Deontology', action: 'dont_pull', strength: 'moderate', argument: 'Persons are ends in themselves.' }
+    ],
+    conflicts: [
+      { type: 'action_conflict', framework1: 'Utilitarianism', framework2: 'Kantian Deontology', action1: 'pull_lever', action2: 'dont_pull', severity: 'high' },
+      { type: 'action_conflict', framework1: 'Care Ethics', framework2: 'Virtue Ethics', action1: 'pull_lever', action2: 'dont_pull', severity: 'low' }
+    ],
+    resolvedPaths: [
+      { framework: 'Balanced: Utilitarianism + Kantian Deontology', action: 'pull_lever', resolutionStrategy: 'balance', argument: 'Weighted outcome.' }
+    ]
+  };
+  const options = { generatedAt: '2026-01-01T00:00:00.000Z' };
+
+  it('renders every section in Markdown', () => {
+    const report = generateMarkdownReport(results, options);
+    assert.ok(report.startsWith('# Ethical Analysis: Trolley <Variant>'));
+    assert.ok(report.includes('_Generated 2026-01-01T00:00:00.000Z by the REA system_'));
+    assert.ok(report.includes('**Trolley Problem** (similarity: 0.81)'));
+    assert.ok(report.includes('| description | 0.90 | 0.40 | 0.36 |'));
+    assert.ok(report.includes('| factor urgency | high | high | 1.00 |'));
+    assert.ok(report.includes('| parameter | num_people_side_track | 1 | 2 |'));
+    assert.ok(report.includes('### Utilitarianism'));
+    assert.ok(report.includes('> Saving five | maximizes welfare.'));
+    assert.ok(report.includes('1 high, 1 low (2 total)'));
+    assert.ok(report.includes('Strategy: **balance**, action: `pull_lever`'));
+  });
+
+  it('renders a standalone HTML document with escaped content', () => {
+    const report = generateHtmlReport(results, options);
+    assert.ok(report.startsWith('<!DOCTYPE html>'));
+    assert.ok(report.includes('<title>Ethical Analysis: Trolley &lt;Variant&gt;</title>'));
+    assert.ok(!report.includes('<Variant>'));
+    assert.ok(report.includes('<h3>Similarity Breakdown</h3>'));
+    assert.ok(report.includes('<td>action</td><td>pull_lever</td><td>pull_lever</td><td>0.73</td>'));
+    assert.ok(report.includes('class="severity-high"'));
+    assert.ok(report.trim().endsWith('</html>'));
+  });
+
+  it('renders only known severities as row classes', () => {
+    const injected = { ...results, conflicts: [{ ...results.conflicts[0], severity: '"><img src=x onerror=alert(1)>' }] };
+    const report = generateHtmlReport(injected, options);
+    assert.ok(report.includes('<tr class="severity-unknown">'));
+    assert.ok(!report.includes('<img'));
+  });
+
+  it('renders empty results and rejects unknown formats', () => {
+    const report = generateReport({}, 'markdown', { title: 'Empty' });
+    assert.ok(report.startsWith('# Empty'));
+    assert.ok(report.includes('No conflicts were detected.'));
+    assert.throws(() => generateReport(results, 'pdf'), /Unsupported report format/);
+  });
+});
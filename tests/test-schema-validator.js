@@ -0,0 +1,165 @@
+/**
+ * Tests for the dilemma, precedent and reasoning path schemas
+ *
+ * Checks that the validator reports path-level errors and warnings and that
+ * the loaders use it instead of silently defaulting values.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  validateDilemmaDocument,
+  validatePrecedent,
+  validateReasoningPath,
+  validatePrecedentDatabase
+} = require('../src/schemaValidator');
+const { createDilemma } = require('../src/createDilemma');
+const { loadDilemmaWithReport } = require('../src/dilemmaLoader');
+const { DEFAULT_DATABASE_PATH } = require('../src/precedents');
+const { formatPrecedents } = require('../src/precedentIO');
+const rea = require('../index');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Schema Validation', function() {
+  useTemporaryLogDirectory();
+
+  it('accepts generated dilemmas and the built-in precedent database', function() {
+    assert.deepStrictEqual(validateDilemmaDocument(createDilemma('medical')).errors, []);
+
+    const database = JSON.parse(fs.readFileSync(DEFAULT_DATABASE_PATH, 'utf8'));
+    assert.strictEqual(validatePrecedentDatabase(database).valid, true);
+  });
+
+  it('reports errors with the path of the offending value', function() {
+    const report = validateDilemmaDocument({
+      title: 'Broken',
+      situation: { parameters: { urgency: { value: [1, 2] } } },
+      possible_actions: [{ description: 'No identifier' }]
+    });
+
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(report.errors.map(e => e.path), [
+      '$.situation.parameters.urgency.value',
+      '$.possible_actions[0].action'
+    ]);
+  });
+
+  it('reports deprecated and missing recommended fields as warnings', function() {
+    const report = validateDilemmaDocument({ name: 'Legacy', parameters: { urgency: 0.8 } });
+    const warnings = report.warnings.map(w => w.path);
+
+    assert.strictEqual(report.valid, true);
+    assert.ok(warnings.includes('$.name'));
+    assert.ok(warnings.includes('$.parameters.urgency'));
+    assert.ok(warnings.includes('$.description'));
+  });
+
+  it('requires identifiers and reasoning paths for precedents', function() {
+    const report = validatePrecedent({ title: 'Incomplete', description: 'No paths', reasoning_paths: [] });
+    const messages = report.errors.map(e => `${e.path}: ${e.message}`);
+
+    assert.ok(messages.includes('$: must have "precedent_id" or "id"'));
+    assert.ok(messages.includes('$.reasoning_paths: must contain at least 1 item'));
+  });
+
+  it('validates reasoning paths and prefixes database paths with the index', function() {
+    assert.strictEqual(validateReasoningPath({ framework: 'Utilitarianism', action: 'act' }).valid, true);
+    assert.strictEqual(validateReasoningPath({ conclusion: 'act' }).errors[0].path, '$.framework');
+
+    const report = validatePrecedentDatabase([
+      { precedent_id: 'ok', title: 'Fine', description: 'Valid', reasoning_paths: [{ framework: 'Care Ethics', conclusion: 'help' }] },
+      { precedent_id: 'bad', title: 'Bad', description: 'Invalid', reasoning_paths: [{ framework: 42, conclusion: 'help' }] }
+    ]);
+    assert.deepStrictEqual(report.invalidIndexes, [1]);
+    assert.strictEqual(report.errors[0].path, '$[1].reasoning_paths[0].framework');
+  });
+
+  it('keeps non-numeric parameter values when loading dilemmas', function() {
+    const { dilemma, warnings } = loadDilemmaWithReport(JSON.stringify({
+      title: 'Loaded',
+      description: 'Parameters given as bare values',
+      parameters: { urgency: 'high', affected: 3 }
+    }));
+
+    assert.strictEqual(dilemma.situation.parameters.urgency.value, 'high');
+    assert.strictEqual(dilemma.situation.parameters.affected.value, 3);
+    assert.ok(warnings.some(w => w.path === '$.parameters.urgency'));
+  });
+
+  it('loads string possible_actions with a deprecation warning', function() {
+    const { dilemma, warnings } = loadDilemmaWithReport(JSON.stringify({
+      title: 'Legacy actions',
+      possible_actions: ['report', 'stay_silent']
+    }));
+
+    assert.deepStrictEqual(dilemma.possible_actions.map(a => a.action), ['report', 'stay_silent']);
+    assert.ok(warnings.some(w => w.path === '$.possible_actions[0]' && w.message.startsWith('is deprecated')));
+  });
+
+  it('loads a string situation with a deprecation warning', function() {
+    const { dilemma, warnings } = loadDilemmaWithReport(JSON.stringify({
+      title: 'Legacy situation',
+      situation: 'A nurse notices a medication error'
+    }));
+
+    assert.deepStrictEqual(dilemma.situation.context, ['A nurse notices a medication error']);
+    assert.ok(warnings.some(w => w.path === '$.situation' && w.message.startsWith('is deprecated')));
+  });
+
+  it('loads contextual factors keyed by name with a deprecation warning', function() {
+    const { dilemma, warnings } = loadDilemmaWithReport(JSON.stringify({
+      title: 'Legacy factors',
+      contextual_factors: [{ name: 'urgency', value: 'high' }]
+    }));
+
+    assert.deepStrictEqual(dilemma.contextual_factors, [{ factor: 'urgency', value: 'high', relevance: 'medium' }]);
+    assert.ok(warnings.some(w => w.path === '$.contextual_factors[0].name' && w.message.startsWith('is deprecated')));
+  });
+
+  it('returns the same canonical dilemma from the public loadDilemma', function() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-load-'));
+    try {
+      const file = path.join(dir, 'legacy.json');
+      const legacy = { name: 'Legacy', parameters: { urgency: 'high' }, possible_actions: ['report'] };
+      fs.writeFileSync(file, JSON.stringify(legacy));
+
+      const fromIndex = rea.loadDilemma(file);
+      const fromLoader = loadDilemmaWithReport(JSON.stringify(legacy)).dilemma;
+      assert.strictEqual(fromIndex.parameters, undefined);
+      assert.strictEqual(fromIndex.situation.parameters.urgency.value, 'high');
+      assert.deepStrictEqual({ ...fromIndex, precedent_id: null }, { ...fromLoader, precedent_id: null });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('validates and normalizes a custom database loaded through the public getPrecedentDatabase', function() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-database-'));
+    const error = console.error;
+    const errors = [];
+    console.error = message => errors.push(message);
+    try {
+      const precedent = { precedent_id: 'lifeboat', title: 'Lifeboat', description: 'A lifeboat is overcrowded.', reasoning_paths: [{ framework: 'Utilitarianism', conclusion: 'remove_one' }] };
+      const file = path.join(dir, 'precedents.json');
+      fs.writeFileSync(file, JSON.stringify([precedent, { precedent_id: 'broken', title: 'No paths' }]));
+      const database = rea.getPrecedentDatabase(file);
+      assert.deepStrictEqual(database.map(p => p.id), ['lifeboat']);
+      assert.ok(errors.some(message => message.startsWith('Skipping 1 invalid precedent(s) at index 1')));
+
+      const yamlFile = path.join(dir, 'precedents.yaml');
+      fs.writeFileSync(yamlFile, formatPrecedents([precedent], 'yaml'));
+      assert.deepStrictEqual(rea.getPrecedentDatabase(yamlFile), database);
+    } finally {
+      console.error = error;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects dilemmas with schema errors when loading', function() {
+    const { dilemma, errors } = loadDilemmaWithReport(JSON.stringify({ description: 'No title' }));
+    assert.strictEqual(dilemma, null);
+    assert.strictEqual(errors[0].message, 'must have "title" or "name"');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for the semantic similarity providers
+ *
+ * Covers selecting and registering providers, the fallback to word overlap and the offline
+ * LSA backend trained over a precedent corpus.
+ */
+
+const assert = require('assert');
+const {
+  DEFAULT_PROVIDER_NAME,
+  registerSemanticProvider,
+  listSemanticProviders,
+  setSemanticProvider
+} = require('../src/semanticSimilarity');
+const { LsaModel, createLsaProvider, symmetricEigen } = require('../src/lsaModel');
+const { calculateStringSimilarity } = require('../src/similarity');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Semantic Similarity', () => {
+  useTemporaryLogDirectory();
+
+  const corpus = [
+    { title: 'Runaway Trolley', description: 'Diverting the trolley will kill one worker to prevent the death of five.' },
+    { title: 'Lifeboat', description: 'Sailors may kill the cabin boy, otherwise everyone will die and face death at sea.' },
+    { title: 'Organ Harvest', description: 'A surgeon could kill one patient, causing his death, to save five lives.' },
+    { title: 'Tax Return', description: 'An accountant may hide income from the tax office to protect the company budget.' },
+    { title: 'Stolen Funds', description: 'A clerk could return the money or keep the funds for the company budget.' }
+  ];
+
+  afterEach(() => {
+    setSemanticProvider(DEFAULT_PROVIDER_NAME);
+  });
+
+  it('uses word overlap unless another provider is selected', () => {
+    const names = listSemanticProviders().map(provider => provider.name);
+    assert.ok(names.includes('word-overlap') && names.includes('lsa'));
+    assert.strictEqual(listSemanticProviders().find(provider => provider.active).name, DEFAULT_PROVIDER_NAME);
+    assert.throws(() => setSemanticProvider('telepathy'), /Unknown semantic similarity provider "telepathy"/);
+    assert.throws(() => registerSemanticProvider({ name: 'broken' }), TypeError);
+  });
+
+  it('routes calculateStringSimilarity through a registered provider', () => {
+    const text1 = 'the doctor must decide quickly';
+    const text2 = 'a physician has to choose fast';
+    const byOverlap = calculateStringSimilarity(text1, text2);
+
+    registerSemanticProvider({ name: 'always-similar', similarity: () => 1 });
+    setSemanticProvider('always-similar');
+    assert.ok(calculateStringSimilarity(text1, text2) > byOverlap);
+
+    // Providers that cannot compare the texts fall back to word overlap
+    registerSemanticProvider({ name: 'always-similar', similarity: () => null });
+    assert.strictEqual(calculateStringSimilarity(text1, text2), byOverlap);
+    registerSemanticProvider({ name: 'always-similar', similarity: () => { throw new Error('offline'); } });
+    assert.strictEqual(calculateStringSimilarity(text1, text2), byOverlap);
+  });
+
+  it('relates terms used in the same precedents with the LSA backend', () => {
+    const killing = ['kill', 'cause the death of'];
+    const byOverlap = calculateStringSimilarity(...killing);
+
+    registerSemanticProvider(createLsaProvider({ name: 'test-lsa', precedents: corpus }));
+    setSemanticProvider('test-lsa');
+    assert.ok(calculateStringSimilarity(...killing) > byOverlap + 0.2);
+    assert.ok(calculateStringSimilarity('kill', 'the company budget') < calculateStringSimilarity(...killing));
+  });
+
+  it('trains, saves and restores LSA models', () => {
+    const { values, vectors } = symmetricEigen([[2, 1], [1, 2]]);
+    assert.deepStrictEqual(values.map(value => Math.round(value * 1e9) / 1e9).sort(), [1, 3]);
+    assert.ok(Math.abs(Math.abs(vectors[0][0]) - Math.SQRT1_2) < 1e-9);
+
+    const model = new LsaModel().train(corpus.map(p => p.description), { dimensions: 3 });
+    assert.strictEqual(model.dimensions, 3);
+    assert.strictEqual(model.similarity('quantum chromodynamics', 'kill'), null);
+
+    const restored = LsaModel.fromJSON(JSON.parse(JSON.stringify(model)));
+    assert.strictEqual(restored.similarity('kill', 'death'), model.similarity('kill', 'death'));
+  });
+
+  it('stems LSA documents and texts in their own language', () => {
+    const german = [
+      { id: 'de_1', language: 'de', title: 'Behandlung', description: 'Der Arzt behandelt die Patienten im Krankenhaus' },
+      { id: 'de_2', language: 'de', title: 'Rettung', description: 'Die Ärztin rettet den Patienten' },
+      { id: 'de_3', language: 'de', title: 'Urteil', description: 'Der Richter verurteilt den Angeklagten im Gericht' }
+    ];
+    const model = createLsaProvider({ precedents: german, dimensions: 2 }).getModel();
+    assert.ok(model.terms.has('patient') && !model.terms.has('patienten'));
+    assert.ok(model.similarity('der patient wird von der ärztin behandelt', 'die patienten und der arzt') > 0.9);
+  });
+});
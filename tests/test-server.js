@@ -0,0 +1,220 @@
+/**
+ * Tests for the HTTP API server
+ *
+ * Starts the server on a free port and exercises each route, including
+ * the structured error responses.
+ */
+
+const assert = require('assert');
+const http = require('http');
+const { createServer } = require('../src/server');
+const { createDilemma } = require('../src/createDilemma');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+// Small helper to send a JSON request and collect the response (parsed when it is JSON)
+function request(port, method, path, body) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path,
+      headers: payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}
+    }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        const contentType = res.headers['content-type'] || '';
+        const isJson = contentType.startsWith('application/json');
+        resolve({ status: res.statusCode, contentType, body: data && isJson ? JSON.parse(data) : data || null });
+      });
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+describe('HTTP API Server', () => {
+  useTemporaryLogDirectory();
+
+  const precedents = [
+    {
+      precedent_id: 'trolley_problem',
+      title: 'Trolley Problem',
+      description: 'A runaway trolley is heading down the tracks toward five people who will be killed if it continues. You can pull a lever to divert the trolley to another track where it will kill one person instead.',
+      reasoning_paths: [
+        { framework: 'Utilitarianism', conclusion: 'pull_lever', action: 'pull_lever', strength: 'strong', argument: 'Saving five lives at the cost of one maximizes welfare.' },
+        { framework: 'Kantian Deontology', conclusion: 'dont_pull', action: 'dont_pull', strength: 'moderate', argument: 'Using a person merely as a means violates the categorical imperative.' }
+      ]
+    }
+  ];
+
+  let server;
+  let port;
+
+  before(done => {
+    server = createServer({ precedents });
+    server.listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  after(done => {
+    server.close(done);
+  });
+
+  it('reports health', async () => {
+    const res = await request(port, 'GET', '/health');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, 'ok');
+    assert.strictEqual(res.body.precedents, 1);
+  });
+
+  it('searches precedents', async () => {
+    const res = await request(port, 'POST', '/precedents/search', {
+      dilemma: createDilemma('trolley'),
+      options: { threshold: 0.1 }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.count, res.body.results.length);
+    assert.ok(res.body.results.length > 0, 'Expected the trolley precedent to match');
+  });
+
+  it('lists similarity profiles and searches with one', async () => {
+    const profiles = await request(port, 'GET', '/similarity-profiles');
+    assert.strictEqual(profiles.status, 200);
+    assert.ok(profiles.body.some(profile => profile.name === 'medical'));
+
+    const res = await request(port, 'POST', '/precedents/search', {
+      dilemma: createDilemma('trolley'),
+      options: { threshold: 0.1, profile: 'medical' }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.body.results.every(result => result.similarityBreakdown.profile === 'medical'));
+
+    const unknown = await request(port, 'POST', '/analyze', { dilemma: createDilemma('trolley'), options: { profile: 'astrology' } });
+    assert.strictEqual(unknown.status, 400);
+    assert.strictEqual(unknown.body.error.details.field, 'options.profile');
+  });
+
+  it('builds and browses the precedent taxonomy', async () => {
+    const corpus = [...precedents, { ...precedents[0], precedent_id: 'tram_problem', title: 'Tram Problem' }, createDilemma('medical')];
+    const res = await request(port, 'POST', '/precedents/taxonomy', { precedents: corpus, query: 'tram' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.clusters.map(cluster => cluster.precedents), [['trolley_problem', 'tram_problem']]);
+
+    const invalid = await request(port, 'POST', '/precedents/taxonomy', { linkage: 'ward' });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.error.details.field, 'linkage');
+  });
+
+  it('caps the precedents a taxonomy request may send and reuses the taxonomy of its own database', async () => {
+    const many = Array.from({ length: 101 }, (_, i) => ({ ...precedents[0], precedent_id: `trolley_${i}` }));
+    const tooMany = await request(port, 'POST', '/precedents/taxonomy', { precedents: many });
+    assert.strictEqual(tooMany.status, 413);
+    assert.deepStrictEqual(tooMany.body.error.details, { field: 'precedents', limit: 100 });
+
+    const first = await request(port, 'POST', '/precedents/taxonomy', {});
+    const second = await request(port, 'POST', '/precedents/taxonomy', {});
+    assert.strictEqual(first.status, 200);
+    assert.deepStrictEqual(second.body, first.body);
+  });
+
+  it('analyzes a dilemma', async () => {
+    const res = await request(port, 'POST', '/analyze', { dilemma: createDilemma('trolley') });
+    assert.strictEqual(res.status, 200);
+    assert.ok(Array.isArray(res.body.reasoningPaths));
+    assert.ok(Array.isArray(res.body.conflicts));
+    assert.ok(Array.isArray(res.body.keyDifferences));
+  });
+
+  it('detects and resolves conflicts', async () => {
+    const reasoningPaths = precedents[0].reasoning_paths;
+    const detected = await request(port, 'POST', '/conflicts/detect', { reasoningPaths });
+    assert.strictEqual(detected.status, 200);
+    assert.ok(Array.isArray(detected.body.all));
+
+    const resolved = await request(port, 'POST', '/conflicts/resolve', {
+      reasoningPaths,
+      conflicts: detected.body.all,
+      options: { strategy: 'balance' }
+    });
+    assert.strictEqual(resolved.status, 200);
+    assert.ok(Array.isArray(resolved.body.resolutions));
+  });
+
+  it('renders analysis reports as Markdown and HTML', async () => {
+    const markdown = await request(port, 'POST', '/reports', { dilemma: createDilemma('trolley'), title: 'Trolley Report' });
+    assert.strictEqual(markdown.status, 200);
+    assert.ok(markdown.contentType.startsWith('text/markdown'));
+    assert.ok(markdown.body.startsWith('# Trolley Report'));
+
+    const html = await request(port, 'POST', '/reports', { dilemma: createDilemma('trolley'), format: 'html' });
+    assert.strictEqual(html.status, 200);
+    assert.ok(html.contentType.startsWith('text/html'));
+    assert.ok(html.body.includes('<!DOCTYPE html>'));
+
+    const invalid = await request(port, 'POST', '/reports', { dilemma: createDilemma('trolley'), format: 'pdf' });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.error.details.field, 'format');
+  });
+
+  it('validates thresholds, options and array items', async () => {
+    const dilemma = createDilemma('trolley');
+    const cases = [
+      ['/analyze', { dilemma, options: { threshold: 'abc' } }, 'options.threshold'],
+      ['/analyze', { dilemma, options: { query: { threshold: 2 } } }, 'options.query.threshold'],
+      ['/analyze', { dilemma, options: [] }, 'options'],
+      ['/precedents/search', { dilemma, options: { threshold: -0.1 } }, 'options.threshold'],
+      ['/precedents/search', { dilemma, threshold: 0.1 }, 'threshold'],
+      ['/conflicts/detect', { reasoningPaths: [1, 2] }, 'reasoningPaths[0]'],
+      ['/conflicts/detect', { reasoningPaths: [], granularElements: 'all' }, 'granularElements'],
+      ['/conflicts/resolve', { reasoningPaths: [], conflicts: [], options: 'balance' }, 'options']
+    ];
+
+    for (const [path, body, field] of cases) {
+      const res = await request(port, 'POST', path, body);
+      assert.strictEqual(res.status, 400, `${path} ${JSON.stringify(body.options || body)}`);
+      assert.strictEqual(res.body.error.details.field, field);
+    }
+  });
+
+  it('answers oversized bodies with a structured 413', async () => {
+    const res = await request(port, 'POST', '/analyze', JSON.stringify({ padding: 'x'.repeat(2 * 1024 * 1024) }));
+    assert.strictEqual(res.status, 413);
+    assert.strictEqual(res.body.error.code, 'payload_too_large');
+  });
+
+  it('returns structured errors for invalid JSON', async () => {
+    const res = await request(port, 'POST', '/analyze', '{not json');
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error.code, 'invalid_json');
+  });
+
+  it('returns structured errors for missing fields', async () => {
+    const res = await request(port, 'POST', '/analyze', {});
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error.code, 'invalid_request');
+    assert.strictEqual(res.body.error.details.field, 'dilemma');
+  });
+
+  it('answers request URLs it cannot parse with a structured 400', async () => {
+    const res = await request(port, 'GET', '//[');
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error.code, 'invalid_request');
+    assert.strictEqual((await request(port, 'GET', '/health')).status, 200);
+  });
+
+  it('distinguishes unknown routes from wrong methods', async () => {
+    const missing = await request(port, 'GET', '/nope');
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.body.error.code, 'not_found');
+
+    const wrongMethod = await request(port, 'GET', '/analyze');
+    assert.strictEqual(wrongMethod.status, 405);
+    assert.strictEqual(wrongMethod.body.error.code, 'method_not_allowed');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for the explainable similarity breakdown
+ *
+ * Checks that the breakdown components add up to the reported score and that matched
+ * factor, parameter and action pairs are listed.
+ */
+
+const assert = require('assert');
+const { explainDilemmaSimilarity, calculateDilemmaSimilarity, findRelevantPrecedents } = require('../src/similarity');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Similarity Breakdown', () => {
+  useTemporaryLogDirectory();
+
+  const dilemma = {
+    title: 'Ventilator Allocation',
+    description: 'A hospital must decide how to allocate scarce ventilators during a pandemic.',
+    situation: { parameters: { patients: { value: 10 }, ventilators: { value: 3 } } },
+    contextual_factors: [{ factor: 'urgency', value: 'high' }, { factor: 'public_scrutiny', value: 'high' }],
+    possible_actions: [
+      { action: 'prioritize_survival', description: 'Treat those most likely to survive first.' },
+      { action: 'random_lottery', description: 'Allocate ventilators by lottery.' }
+    ]
+  };
+
+  const precedent = {
+    id: 'medical_triage',
+    title: 'Medical Triage',
+    description: 'In a mass casualty event, doctors must decide which patients to treat first when resources are scarce.',
+    situation: { parameters: { patients: { value: 12 }, ventilators: { value: 3 } } },
+    contextual_factors: [{ factor: 'urgency', value: 'high' }],
+    possible_actions: [
+      { action: 'prioritize_survival', description: 'Treat those most likely to survive.' },
+      { action: 'first_come', description: 'Treat patients in order of arrival.' }
+    ],
+    reasoning_paths: [{ action: 'prioritize_survival', framework: 'Utilitarianism', argument: 'Saves the most lives.' }]
+  };
+
+  const sum = components => components.reduce((total, c) => total + c.contribution, 0);
+
+  it('explains dilemma similarity component by component', () => {
+    const breakdown = explainDilemmaSimilarity(dilemma, precedent);
+
+    assert.deepStrictEqual(breakdown.components.map(c => c.name), ['title', 'description', 'parameters', 'contextual_factors', 'actions', 'roles']);
+    assert.ok(Math.abs(sum(breakdown.components) - breakdown.score) < 1e-9);
+    assert.strictEqual(breakdown.score, calculateDilemmaSimilarity(dilemma, precedent));
+
+    assert.deepStrictEqual(breakdown.matchedFactors, [{ factor: 'urgency', value1: 'high', value2: 'high', score: 1 }]);
+    assert.deepStrictEqual(breakdown.matchedParameters.map(p => [p.parameter, p.value1, p.value2]), [['patients', 10, 12], ['ventilators', 3, 3]]);
+    assert.deepStrictEqual(breakdown.matchedActions[0], { action: 'prioritize_survival', matchedAction: 'prioritize_survival', score: 1 });
+  });
+
+  it('returns an empty breakdown for missing dilemmas', () => {
+    const breakdown = explainDilemmaSimilarity(null, precedent);
+    assert.strictEqual(breakdown.score, 0);
+    assert.deepStrictEqual(breakdown.components, []);
+  });
+
+  it('attaches a breakdown to each relevant precedent', async () => {
+    const [match] = await findRelevantPrecedents(dilemma, [precedent], 0.1);
+    const breakdown = match.similarityBreakdown;
+
+    assert.strictEqual(breakdown.score, match.totalSimilarityScore);
+    assert.deepStrictEqual(breakdown.components.map(c => c.name), ['description', 'title', 'actions']);
+    assert.ok(Math.abs(sum(breakdown.components) - match.totalSimilarityScore) < 1e-9);
+
+    assert.deepStrictEqual(breakdown.matchedActions.map(p => p.action), ['prioritize_survival', 'random_lottery']);
+    assert.strictEqual(breakdown.matchedActions[0].matchedAction, 'prioritize_survival');
+    assert.ok(breakdown.matchedActions.every(p => typeof p.relevance === 'number'));
+    assert.strictEqual(breakdown.matchedFactors[0].factor, 'urgency');
+  });
+});
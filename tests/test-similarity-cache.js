@@ -0,0 +1,101 @@
+/**
+ * Tests for the similarity cache
+ *
+ * Covers least-recently-used eviction, hashed keys, saving the cache between runs and the
+ * statistics reported by getCacheStats.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SimilarityCache, hashCacheKey } = require('../src/similarityCache');
+const {
+  calculateStringSimilarity,
+  configureSimilarityCache,
+  saveSimilarityCache,
+  similarityCache
+} = require('../src/similarity');
+const { DEFAULT_PROVIDER_NAME, setSemanticProvider } = require('../src/semanticSimilarity');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Similarity Cache', () => {
+  useTemporaryLogDirectory();
+
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    similarityCache.clearCache();
+    similarityCache.file = null;
+    configureSimilarityCache({ maxEntries: 10000 });
+  });
+
+  it('evicts the least recently used scores beyond its size', () => {
+    const cache = new SimilarityCache({ maxEntries: 2 });
+    cache.set('a', 0.1);
+    cache.set('b', 0.2);
+    assert.strictEqual(cache.get('a'), 0.1);
+    cache.set('c', 0.3);
+
+    assert.strictEqual(cache.get('b'), undefined);
+    assert.strictEqual(cache.get('a'), 0.1);
+    assert.strictEqual(cache.get('c'), 0.3);
+    assert.deepStrictEqual(
+      { hits: cache.hits, misses: cache.misses, size: cache.getCacheStats().size, evictions: cache.evictions },
+      { hits: 3, misses: 1, size: 2, evictions: 1 }
+    );
+
+    cache.resize(1);
+    assert.deepStrictEqual(Array.from(cache.entries.keys()), ['c']);
+    assert.throws(() => cache.resize(0), TypeError);
+  });
+
+  it('keys scores by a fixed-length hash of the compared texts', () => {
+    const long = 'a '.repeat(5000);
+    assert.strictEqual(hashCacheKey('x', long).length, hashCacheKey('x', 'y').length);
+    assert.notStrictEqual(hashCacheKey('ab', 'c'), hashCacheKey('a', 'bc'));
+
+    similarityCache.clearCache();
+    const score = calculateStringSimilarity(long, 'the doctor must decide quickly');
+    assert.strictEqual(calculateStringSimilarity('the doctor must decide quickly', long), score);
+    assert.deepStrictEqual([similarityCache.hits, similarityCache.misses, similarityCache.entries.size], [1, 1, 1]);
+    assert.ok(Array.from(similarityCache.entries.keys())[0].length < 40);
+  });
+
+  it('saves scores and statistics between runs', () => {
+    const file = path.join(tmpDir, 'cache', 'similarity.json');
+    similarityCache.clearCache();
+    configureSimilarityCache({ file });
+    const score = calculateStringSimilarity('pull the lever', 'divert the trolley');
+    assert.ok(saveSimilarityCache());
+
+    // A new run starts from the saved file
+    similarityCache.clearCache();
+    const stats = configureSimilarityCache({ file, maxEntries: 50 });
+    assert.deepStrictEqual([stats.size, stats.misses, stats.maxEntries, stats.file], [1, 1, 50, file]);
+    assert.strictEqual(calculateStringSimilarity('divert the trolley', 'pull the lever'), score);
+    assert.strictEqual(similarityCache.getCacheStats().hits, 1);
+
+    // Scores saved with another semantic provider are not reused
+    similarityCache.clearCache();
+    setSemanticProvider('lsa');
+    try {
+      assert.strictEqual(configureSimilarityCache({ file }).size, 0);
+    } finally {
+      setSemanticProvider(DEFAULT_PROVIDER_NAME);
+    }
+  });
+
+  it('ignores unreadable cache files', () => {
+    const file = path.join(tmpDir, 'broken.json');
+    fs.writeFileSync(file, '{ not json');
+    similarityCache.clearCache();
+    assert.strictEqual(configureSimilarityCache({ file }).size, 0);
+    assert.throws(() => configureSimilarityCache({ maxEntries: 2.5 }), TypeError);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for the similarity profiles
+ *
+ * Covers loading profiles from a config directory, per-parameter importance and scales,
+ * and selecting a profile for precedent retrieval.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_PROFILE,
+  getSimilarityProfiles,
+  loadSimilarityProfiles,
+  validateSimilarityProfile
+} = require('../src/similarityProfiles');
+const { calculateDilemmaSimilarity, explainDilemmaSimilarity, calculateObjectSimilarity, calculateParameterSimilarity } = require('../src/similarity');
+const { retrievePrecedents, INDEX_MIN_PRECEDENTS } = require('../src/precedentRetrieval');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Similarity Profiles', () => {
+  useTemporaryLogDirectory();
+
+  const dilemma = {
+    title: 'Ventilator Shortage',
+    description: 'A hospital has fewer ventilators than critically ill patients and must choose who receives one.',
+    situation: { parameters: { num_people_affected: { value: 10 }, life_at_stake: { value: true }, urgency: { value: 'high' } } }
+  };
+
+  const precedents = [
+    {
+      id: 'ward_a',
+      title: 'Ward Ventilator Shortage',
+      description: 'A hospital ward has fewer ventilators than critically ill patients and staff must choose who receives one.',
+      situation: { parameters: { num_people_affected: { value: 40 }, life_at_stake: { value: true }, urgency: { value: 'low' } } },
+      reasoning_paths: [{ framework: 'Utilitarianism', action: 'prioritize_survival', argument: 'Save the most lives.' }]
+    },
+    {
+      id: 'field_b',
+      title: 'Field Hospital Triage',
+      description: 'After an earthquake a field hospital must decide which injured people to treat first.',
+      situation: { parameters: { num_people_affected: { value: 9 }, life_at_stake: { value: true }, urgency: { value: 'high' } } },
+      reasoning_paths: [{ framework: 'Utilitarianism', action: 'prioritize_survival', argument: 'Save the most lives.' }]
+    }
+  ];
+
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rea-profiles-'));
+    fs.writeFileSync(path.join(tmpDir, 'wording.json'), JSON.stringify({ weights: { description: 1 } }));
+    fs.writeFileSync(path.join(tmpDir, 'counts.yaml'), 'name: headcount\nparameters:\n  num_people_affected:\n    importance: 5\n    scale: 100\n');
+    fs.writeFileSync(path.join(tmpDir, 'broken.json'), JSON.stringify({ weights: { wording: 2 } }));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('ships the default, medical and resource-allocation profiles', () => {
+    const profiles = getSimilarityProfiles();
+    assert.deepStrictEqual(Array.from(profiles.keys()).sort(), ['default', 'medical', 'resource-allocation']);
+    assert.ok(profiles.get('medical').weights.parameters > DEFAULT_PROFILE.weights.parameters);
+    assert.strictEqual(calculateDilemmaSimilarity(dilemma, precedents[0]), calculateDilemmaSimilarity(dilemma, precedents[0], 'default'));
+  });
+
+  it('loads JSON and YAML profiles on top of the defaults and skips invalid ones', () => {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    let profiles;
+    try {
+      profiles = loadSimilarityProfiles(tmpDir);
+    } finally {
+      console.warn = warn;
+    }
+    assert.deepStrictEqual(Array.from(profiles.keys()).sort(), ['default', 'headcount', 'wording']);
+    assert.strictEqual(profiles.get('wording').weights.description, 1);
+    assert.strictEqual(profiles.get('wording').weights.title, DEFAULT_PROFILE.weights.title);
+    assert.deepStrictEqual(profiles.get('headcount').parameters.num_people_affected, { importance: 5, scale: 100 });
+    // Neither sets retrieval.structure, so their weights and parameters do not change retrieval
+    assert.deepStrictEqual(warnings.filter(w => w.includes('only affect retrieval when retrieval.structure')).map(w => w.split(' ')[2]), ['headcount', 'wording']);
+
+    assert.ok(validateSimilarityProfile({ weights: { wording: 2 } })[0].includes('not a known component'));
+    assert.ok(validateSimilarityProfile({ parameters: { urgency: { scale: 0 } } })[0].includes('positive number'));
+  });
+
+  it('scores situations given as text with the situation weight', () => {
+    const storm = { title: 'Storm', situation: 'A ship is sinking in a storm' };
+    const components = explainDilemmaSimilarity(storm, { ...storm, situation: 'A ship is sinking in a gale' }).components;
+    assert.strictEqual(components.find(c => c.name === 'situation').weight, DEFAULT_PROFILE.weights.situation);
+    assert.strictEqual(DEFAULT_PROFILE.weights.situation, 0.2);
+  });
+
+  it('weights parameters by importance and compares numbers on their scale', () => {
+    const parameters1 = dilemma.situation.parameters;
+    const parameters2 = precedents[0].situation.parameters;
+    assert.strictEqual(calculateParameterSimilarity(parameters1, parameters2).score, calculateObjectSimilarity(parameters1, parameters2));
+
+    const countsOnly = { parameters: { num_people_affected: { importance: 1, scale: 100 }, life_at_stake: { importance: 0 }, urgency: { importance: 0 } } };
+    const { score, pairs } = calculateParameterSimilarity(parameters1, parameters2, countsOnly);
+    assert.ok(Math.abs(score - Math.pow(0.7, 1.5)) < 1e-9);
+    assert.strictEqual(pairs.find(pair => pair.parameter === 'urgency').importance, 0);
+  });
+
+  it('selects a profile per retrieval', async () => {
+    const byDefault = await retrievePrecedents(dilemma, precedents, { threshold: 0 });
+    assert.deepStrictEqual(byDefault.map(p => p.id), ['ward_a', 'field_b']);
+
+    const structural = { retrieval: { description: 0, title: 0, actions: 0, structure: 1 }, weights: { parameters: 1, title: 0, description: 0 } };
+    const byStructure = await retrievePrecedents(dilemma, precedents, { threshold: 0, profile: structural });
+    assert.deepStrictEqual(byStructure.map(p => p.id), ['field_b', 'ward_a']);
+    assert.ok(byStructure[0].similarityBreakdown.components.some(c => c.name === 'structure'));
+
+    // Medical triage matches on the stakes rather than the wording
+    const medical = await retrievePrecedents(dilemma, precedents, { threshold: 0, profile: 'medical' });
+    assert.strictEqual(medical[0].similarityBreakdown.profile, 'medical');
+    assert.deepStrictEqual(medical.map(p => p.id), ['field_b', 'ward_a']);
+  });
+
+  it('scores every precedent of a large database when the profile ranks mostly by structure', async () => {
+    const wards = Array.from({ length: INDEX_MIN_PRECEDENTS }, (_, i) => ({ ...precedents[0], id: `ward_${i}` }));
+    const rescue = {
+      ...precedents[1],
+      id: 'rescue',
+      title: 'Collapsed Mine',
+      description: 'Rescuers can dig out only some trapped miners before the tunnel floods.'
+    };
+    const database = [...wards, rescue];
+    const query = { threshold: 0, maxResults: database.length };
+
+    // The rescue shares no wording with the dilemma, so the text shortlist leaves it out
+    const byDefault = await retrievePrecedents(dilemma, database, query);
+    assert.ok(!byDefault.some(p => p.id === 'rescue'));
+
+    const medical = await retrievePrecedents(dilemma, database, { ...query, profile: 'medical' });
+    assert.strictEqual(medical.length, database.length);
+    assert.ok(medical.some(p => p.id === 'rescue'));
+  });
+});
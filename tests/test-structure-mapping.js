@@ -0,0 +1,104 @@
+/**
+ * Tests for structure mapping between dilemma roles
+ *
+ * Covers inferring and stating roles, the one-to-one role correspondence, and the mapping's
+ * use in dilemma similarity and in adapting precedent arguments.
+ */
+
+const assert = require('assert');
+const { extractRoles, mapRoles, mapDilemmaRoles, getRoleSubstitutions } = require('../src/structureMapping');
+const { explainDilemmaSimilarity } = require('../src/similarity');
+const { adaptArgumentForNewDilemma } = require('../src/adaptation');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Structure Mapping', () => {
+  useTemporaryLogDirectory();
+
+  const trolley = {
+    precedent_id: 'trolley_problem',
+    title: 'Trolley Problem',
+    description: 'A runaway trolley is heading toward five people. You can pull a lever to divert it to a track where it will kill one person instead.'
+  };
+
+  const transplant = {
+    precedent_id: 'transplant_dilemma',
+    title: 'Transplant Dilemma',
+    description: 'You are a doctor with five patients who need organ transplants. A healthy traveler is a perfect match. Would you kill the traveler to save your five patients?'
+  };
+
+  const roleLabels = dilemma => Object.fromEntries(extractRoles(dilemma).map(entity => [entity.role, entity.label]));
+
+  it('infers roles from the description and parameters', () => {
+    assert.deepStrictEqual(roleLabels(trolley), {
+      agent: 'you',
+      potential_victims: 'one person',
+      beneficiaries: 'five people',
+      instrument: 'lever'
+    });
+    assert.deepStrictEqual(roleLabels(transplant), {
+      agent: 'doctor',
+      potential_victims: 'healthy traveler',
+      beneficiaries: 'five patients',
+      resource: 'organ'
+    });
+
+    const counted = extractRoles({
+      title: 'Tracks',
+      situation: { parameters: { num_people_main_track: { value: 3 }, num_people_side_track: { value: 2 } } }
+    });
+    assert.deepStrictEqual(counted.map(entity => [entity.role, entity.attributes.count]), [['potential_victims', 2], ['beneficiaries', 3]]);
+  });
+
+  it('prefers roles stated on the dilemma', () => {
+    const roles = extractRoles({
+      ...trolley,
+      roles: {
+        agent: 'signal operator',
+        instrument: { label: 'points', terms: ['switch points'], attributes: { reversible: false } }
+      }
+    });
+    const byRole = Object.fromEntries(roles.map(entity => [entity.role, entity]));
+
+    assert.strictEqual(byRole.agent.label, 'signal operator');
+    assert.deepStrictEqual(byRole.instrument.terms, ['points', 'switch points']);
+    assert.strictEqual(byRole.instrument.attributes.reversible, false);
+    assert.strictEqual(byRole.beneficiaries.label, 'five people');
+  });
+
+  it('finds the best one-to-one role correspondence', () => {
+    const mapping = mapDilemmaRoles(trolley, transplant);
+    const pairs = mapping.pairs.map(pair => [pair.source.label, pair.target.label]);
+
+    assert.deepStrictEqual(pairs.slice(0, 3), [['you', 'doctor'], ['one person', 'healthy traveler'], ['five people', 'five patients']]);
+    assert.strictEqual(new Set(mapping.pairs.map(pair => pair.target)).size, mapping.pairs.length);
+
+    // A group is mapped onto the group in the same role rather than the one with the closer label
+    const crossed = mapRoles(
+      [{ role: 'potential_victims', label: 'one patient', terms: [], attributes: { count: 1 } }],
+      [
+        { role: 'beneficiaries', label: 'one patient', terms: [], attributes: { count: 1 } },
+        { role: 'potential_victims', label: 'a cyclist', terms: [], attributes: { count: 1 } }
+      ]
+    );
+    assert.strictEqual(crossed.pairs[0].target.label, 'a cyclist');
+    assert.strictEqual(mapRoles([], extractRoles(trolley)).score, null);
+  });
+
+  it('scores role structure and rewrites adapted arguments through the mapping', () => {
+    const breakdown = explainDilemmaSimilarity(transplant, trolley);
+    const roles = breakdown.components.find(component => component.name === 'roles');
+    assert.ok(roles && roles.score > 0.5);
+    assert.ok(breakdown.roleMapping.some(pair => pair.source === 'healthy traveler' && pair.target === 'one person'));
+    assert.ok(!explainDilemmaSimilarity(transplant, trolley, { weights: { roles: 0 } }).components.some(c => c.name === 'roles'));
+
+    assert.deepStrictEqual(getRoleSubstitutions(mapDilemmaRoles(trolley, transplant)), [
+      ['five people', 'five patients'],
+      ['one person', 'healthy traveler']
+    ]);
+
+    const argument = 'Diverting the trolley uses the one person as a means to save the five people.';
+    const adapted = adaptArgumentForNewDilemma(argument, trolley, transplant);
+    assert.ok(adapted.startsWith('Diverting the trolley uses the healthy traveler as a means to save the five patients.'));
+    assert.ok(adapted.includes('Role mapping: you -> doctor; one person -> healthy traveler; five people -> five patients'));
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for learning similarity weights from labelled pairs
+ *
+ * Covers parsing pair files, the logistic regression, the stratified split and training a
+ * profile that the similarity functions accept.
+ */
+
+const assert = require('assert');
+const {
+  parseLabelledPairs,
+  fitLogisticRegression,
+  classificationAccuracy,
+  splitSamples,
+  trainSimilarityProfile,
+  formatTrainingReport
+} = require('../src/weightLearning');
+const { validateSimilarityProfile } = require('../src/similarityProfiles');
+const { calculateDilemmaSimilarity } = require('../src/similarity');
+const { useTemporaryLogDirectory } = require('./helpers');
+
+describe('Weight Learning', () => {
+  useTemporaryLogDirectory();
+
+  // Reviewers judge these cases by their parameters: same stakes means analogous, whatever the wording
+  const wordings = [
+    ['Ventilator Shortage', 'A hospital has fewer ventilators than critically ill patients.'],
+    ['Flood Evacuation', 'Rescuers can reach only one of two flooded villages before nightfall.'],
+    ['Vaccine Allocation', 'A clinic must decide who receives the last doses of a vaccine.'],
+    ['Lifeboat', 'An overcrowded lifeboat will sink unless someone leaves it.']
+  ];
+  const stakes = [
+    { num_people_affected: { value: 50 }, life_at_stake: { value: true }, urgency: { value: 'high' } },
+    { num_people_affected: { value: 2 }, life_at_stake: { value: false }, urgency: { value: 'low' } }
+  ];
+  const caseOf = (wording, stake, suffix = '') => ({
+    title: wordings[wording][0] + suffix,
+    description: wordings[wording][1],
+    situation: { parameters: stakes[stake] }
+  });
+
+  const precedents = [{ precedent_id: 'lifeboat_case', ...caseOf(3, 0), reasoning_paths: [] }];
+
+  const pairs = [];
+  for (let wording = 0; wording < wordings.length; wording++) {
+    for (let stake = 0; stake < stakes.length; stake++) {
+      pairs.push({ dilemma: caseOf(wording, stake), precedent: caseOf((wording + 1) % wordings.length, stake), analogous: true });
+      pairs.push({ dilemma: caseOf(wording, stake), precedent: caseOf(wording, 1 - stake, ' Revisited'), analogous: false });
+    }
+  }
+  pairs.push({ dilemma: caseOf(0, 0), precedent: 'lifeboat_case', analogous: true });
+  pairs.push({ dilemma: caseOf(0, 1), precedent: 'lifeboat_case', analogous: false });
+
+  it('parses JSON, JSON Lines and YAML pair files', () => {
+    const pair = { dilemma: { title: 'A', description: 'a' }, precedent: 'lifeboat_case', analogous: true };
+    assert.strictEqual(parseLabelledPairs(JSON.stringify([pair]), 'json')[0].source, 'item 1');
+    assert.strictEqual(parseLabelledPairs(`\n${JSON.stringify(pair)}\n`, 'jsonl')[0].source, 'line 2');
+    assert.strictEqual(parseLabelledPairs('- dilemma: lifeboat_case\n  precedent: lifeboat_case\n  analogous: false\n', 'yaml')[0].analogous, false);
+
+    assert.throws(() => parseLabelledPairs(JSON.stringify([{ ...pair, analogous: 'yes' }]), 'json'), /item 1: analogous must be true or false/);
+    assert.throws(() => parseLabelledPairs(JSON.stringify(pair), 'json'), /must contain a list/);
+  });
+
+  it('fits a logistic regression and splits samples by label', () => {
+    const samples = [0, 0.1, 0.2, 0.3, 0.7, 0.8, 0.9, 1].map(x => ({ features: [x, 0.5], label: x > 0.5 ? 1 : 0 }));
+    const model = fitLogisticRegression(samples);
+    assert.ok(model.coefficients[0] > 0);
+    assert.strictEqual(classificationAccuracy(model, samples), 1);
+    assert.strictEqual(classificationAccuracy(model, []), null);
+
+    const { training, heldOut } = splitSamples(samples, 0.25, 7);
+    assert.strictEqual(heldOut.length, 2);
+    assert.deepStrictEqual(heldOut.map(sample => sample.label).sort(), [0, 1]);
+    assert.deepStrictEqual(splitSamples(samples, 0.25, 7).heldOut, heldOut);
+    assert.strictEqual(training.length, 6);
+  });
+
+  it('learns a profile that weights what reviewers judge by', async () => {
+    const { profile, report } = await trainSimilarityProfile(pairs, { precedents, name: 'by-stakes' });
+
+    assert.deepStrictEqual(validateSimilarityProfile(profile), []);
+    assert.strictEqual(profile.name, 'by-stakes');
+    assert.ok(profile.weights.parameters > profile.weights.description);
+    assert.ok(Math.abs(Object.values(profile.retrieval).reduce((sum, w) => sum + w, 0) - 1) < 1e-3);
+    assert.ok(profile.retrieval.structure > profile.retrieval.description);
+
+    assert.strictEqual(report.pairs, pairs.length);
+    assert.strictEqual(report.training + report.heldOut, pairs.length);
+    assert.strictEqual(report.similarity.heldOutAccuracy, 1);
+    assert.ok(formatTrainingReport(report).includes('held-out accuracy 100.0%'));
+
+    // The accuracy is that of the saved weights at the reported threshold
+    const side = value => (typeof value === 'string' ? precedents[0] : value);
+    const correct = pairs.filter(pair => (calculateDilemmaSimilarity(pair.dilemma, side(pair.precedent), profile) >= report.similarity.threshold) === pair.analogous);
+    const reported = report.similarity.trainingAccuracy * report.training + report.similarity.heldOutAccuracy * report.heldOut;
+    assert.strictEqual(correct.length, Math.round(reported));
+    assert.ok(report.similarity.threshold > 0);
+
+    const analogous = calculateDilemmaSimilarity(caseOf(0, 0), caseOf(1, 0), profile);
+    const reworded = calculateDilemmaSimilarity(caseOf(0, 0), caseOf(0, 1, ' Revisited'), profile);
+    assert.ok(analogous > reworded);
+  });
+
+  it('rejects pairs it cannot use', async () => {
+    const unknown = [...pairs, { dilemma: caseOf(0, 0), precedent: 'missing', analogous: true, source: 'item 19' }];
+    await assert.rejects(trainSimilarityProfile(unknown, { precedents }), /item 19: unknown precedent "missing"/);
+    await assert.rejects(trainSimilarityProfile(pairs.filter(pair => pair.analogous)), /both analogous and non-analogous/);
+  });
+});